@@ -31,6 +31,7 @@ import {
 import { SignatureInstruction, Range } from '../types/SignatureInstruction';
 import { MedicationProfile } from '../types/MedicationProfile';
 import { MedicationRequestContext } from '../types/MedicationRequestContext';
+import { SupportedLocale, DEFAULT_LOCALE, LOCALE_VOCABULARY, localizeDoseUnit, localizePeriodUnit } from '../lib/templates/locales';
 
 /**
  * PRN timing configuration with ranges
@@ -254,7 +255,7 @@ export class ComplexPRNBuilder extends SimpleTabletBuilder implements IComplexRe
     
     // Add PRN range information to context
     if (this.prnState.doseRange) {
-      const rangeText = `${this.prnState.doseRange.minValue}-${this.prnState.doseRange.maxValue} ${this.prnState.doseRange.unit}`;
+      const rangeNote = this.formatDoseRangeNote(this.prnState.doseRange, DEFAULT_LOCALE);
       context.dose = {
         value: this.prnState.doseRange.minValue, // Use min value as base
         unit: this.prnState.doseRange.unit
@@ -263,8 +264,8 @@ export class ComplexPRNBuilder extends SimpleTabletBuilder implements IComplexRe
       // Add range information to special instructions
       const existingInstructions = context.specialInstructions || '';
       context.specialInstructions = existingInstructions 
-        ? `${existingInstructions}; Dose range: ${rangeText}`
-        : `Dose range: ${rangeText}`;
+        ? `${existingInstructions}; ${rangeNote}`
+        : rangeNote;
     }
     
     return context;
@@ -320,53 +321,90 @@ export class ComplexPRNBuilder extends SimpleTabletBuilder implements IComplexRe
    * Enhance instruction text with PRN range information
    */
   private enhanceInstructionWithPRNRanges(instruction: SignatureInstruction): SignatureInstruction {
-    let enhancedText = instruction.text;
+    // Update FHIR doseAndRate with range
+    const updatedDoseAndRate = this.buildDoseAndRateWithRange();
+    
+    return {
+      ...instruction,
+      text: this.applyPRNRanges(instruction.text),
+      ...(instruction.patientInstructions && {
+        patientInstructions: this.applyPRNRanges(instruction.patientInstructions, this.locale)
+      }),
+      doseAndRate: updatedDoseAndRate
+    };
+  }
+
+  /**
+   * Replace the single dose and interval in rendered text with the PRN ranges
+   */
+  private applyPRNRanges(text: string, locale: SupportedLocale = DEFAULT_LOCALE): string {
+    let enhancedText = text;
     
     // Replace dose with dose range if configured
     if (this.prnState.doseRange) {
-      const rangeText = this.formatDoseRange(this.prnState.doseRange);
+      const rangeText = this.formatDoseRange(this.prnState.doseRange, locale);
       // Find and replace the dose portion
-      const dosePattern = /\d+(\.\d+)?\s+\w+/;
+      const dosePattern = /\d+(\.\d+)?\s+[^\s.,]+/;
       enhancedText = enhancedText.replace(dosePattern, rangeText);
     }
     
     // Add frequency range information
     if (this.prnState.frequencyRange) {
-      const frequencyText = this.formatFrequencyRange(this.prnState.frequencyRange);
-      enhancedText = enhancedText.replace(/every \d+(\.\d+)? \w+/, frequencyText);
+      const frequencyText = this.formatFrequencyRange(this.prnState.frequencyRange, locale);
+      const everyPattern = new RegExp(LOCALE_VOCABULARY[locale].phrases.every('\\d+(\\.\\d+)?', '[^\\s.,]+'));
+      enhancedText = enhancedText.replace(everyPattern, frequencyText);
     }
     
-    // Update FHIR doseAndRate with range
-    const updatedDoseAndRate = this.buildDoseAndRateWithRange();
+    // The dose range note is rendered in English; swap in the patient's language
+    if (this.prnState.doseRange && locale !== DEFAULT_LOCALE) {
+      enhancedText = enhancedText.replace(
+        this.formatDoseRangeNote(this.prnState.doseRange, DEFAULT_LOCALE),
+        this.formatDoseRangeNote(this.prnState.doseRange, locale)
+      );
+    }
     
-    return {
-      ...instruction,
-      text: enhancedText,
-      doseAndRate: updatedDoseAndRate
-    };
+    return enhancedText;
+  }
+
+  /**
+   * Format the dose range note added to special instructions
+   */
+  private formatDoseRangeNote(doseRange: DoseRangeInput, locale: SupportedLocale): string {
+    const rangeText = locale === DEFAULT_LOCALE
+      ? `${doseRange.minValue}-${doseRange.maxValue} ${doseRange.unit}`
+      : this.formatDoseRange(doseRange, locale);
+    return LOCALE_VOCABULARY[locale].phrases.doseRange(rangeText);
   }
 
   /**
    * Format dose range for display
    */
-  private formatDoseRange(doseRange: DoseRangeInput): string {
+  private formatDoseRange(doseRange: DoseRangeInput, locale: SupportedLocale = DEFAULT_LOCALE): string {
     if (doseRange.minValue === doseRange.maxValue) {
-      return `${doseRange.minValue} ${doseRange.unit}`;
+      const unit = locale === DEFAULT_LOCALE
+        ? doseRange.unit
+        : localizeDoseUnit(doseRange.unit, doseRange.minValue, locale);
+      return `${doseRange.minValue} ${unit}`;
     }
     
-    const unit = doseRange.maxValue === 1 ? doseRange.unit : `${doseRange.unit}s`;
+    const unit = locale === DEFAULT_LOCALE
+      ? (doseRange.maxValue === 1 ? doseRange.unit : `${doseRange.unit}s`)
+      : localizeDoseUnit(doseRange.unit, doseRange.maxValue, locale);
     return `${doseRange.minValue}-${doseRange.maxValue} ${unit}`;
   }
 
   /**
    * Format frequency range for display
    */
-  private formatFrequencyRange(frequencyRange: FrequencyRangeInput): string {
-    if (frequencyRange.minFrequency === frequencyRange.maxFrequency) {
-      return `every ${frequencyRange.minFrequency} ${frequencyRange.periodUnit}`;
-    }
-    
-    return `every ${frequencyRange.minFrequency}-${frequencyRange.maxFrequency} ${frequencyRange.periodUnit}`;
+  private formatFrequencyRange(frequencyRange: FrequencyRangeInput, locale: SupportedLocale = DEFAULT_LOCALE): string {
+    const interval = frequencyRange.minFrequency === frequencyRange.maxFrequency
+      ? `${frequencyRange.minFrequency}`
+      : `${frequencyRange.minFrequency}-${frequencyRange.maxFrequency}`;
+    const unit = locale === DEFAULT_LOCALE
+      ? frequencyRange.periodUnit
+      : localizePeriodUnit(frequencyRange.periodUnit, frequencyRange.maxFrequency, locale);
+    
+    return LOCALE_VOCABULARY[locale].phrases.every(interval, unit);
   }
 
   /**
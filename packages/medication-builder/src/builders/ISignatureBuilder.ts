@@ -11,6 +11,8 @@
 import { SignatureInstruction } from '../types/SignatureInstruction';
 import { MedicationRequestContext } from '../types/MedicationRequestContext';
 import { Quantity } from '../types/MedicationProfile';
+import { CyclicPattern, DayOfWeek, isCyclicPattern, isDayOfWeek, isTimeOfDay } from '../lib/temporal/types';
+import type { AllergyChecker } from '../lib/allergies/AllergyChecker';
 
 /**
  * Input structure for dose configuration
@@ -36,11 +38,17 @@ export interface TimingInput {
   periodUnit: string;
   /** Optional: specific times of day */
   when?: string[];
+  /** Optional: days of week (e.g., ['mon', 'thu'] for Mondays and Thursdays) */
+  dayOfWeek?: DayOfWeek[];
+  /** Optional: clock times (e.g., ['08:00', '20:00']) */
+  timeOfDay?: string[];
   /** Optional: duration of therapy */
   duration?: {
     value: number;
     unit: string;
   };
+  /** Optional: on/off cycle (e.g., 5 days on, 2 days off) */
+  cycle?: CyclicPattern;
 }
 
 /**
@@ -160,6 +168,30 @@ export interface ISignatureBuilder {
    */
   buildSpecialInstructions(instructions: string[]): ISignatureBuilder;
 
+  /**
+   * Set the patient's language for patientInstructions
+   * 
+   * The pharmacist-facing text is always rendered in en-US; any other
+   * locale adds a translated patientInstructions string to each result.
+   * 
+   * @param locale - BCP 47 locale (e.g., 'es-US')
+   * @returns Builder instance for chaining
+   * @throws Error if the locale is not supported
+   */
+  buildLocale(locale: string): ISignatureBuilder;
+
+  /**
+   * Check the medication against the patient's allergies
+   * 
+   * Matches ingredients, drug classes and class-level cross-reactivity;
+   * each alert is added to the result as a coded additional instruction.
+   * 
+   * @param allergies - Patient allergies (e.g., ['penicillin', 'sulfa'])
+   * @param checker - Checker to use (defaults to the bundled rules)
+   * @returns Builder instance for chaining
+   */
+  buildAllergyCheck(allergies: string[], checker?: AllergyChecker): ISignatureBuilder;
+
   /**
    * Generate final SignatureInstruction array
    * 
@@ -238,6 +270,16 @@ export function isValidTimingInput(timing: any): timing is TimingInput {
     return false;
   }
 
+  if (timing.dayOfWeek !== undefined &&
+      (!Array.isArray(timing.dayOfWeek) || !timing.dayOfWeek.length || !timing.dayOfWeek.every(isDayOfWeek))) {
+    return false;
+  }
+
+  if (timing.timeOfDay !== undefined &&
+      (!Array.isArray(timing.timeOfDay) || !timing.timeOfDay.length || !timing.timeOfDay.every(isTimeOfDay))) {
+    return false;
+  }
+
   if (timing.duration !== undefined) {
     if (typeof timing.duration.value !== 'number' || timing.duration.value <= 0 ||
         typeof timing.duration.unit !== 'string' || timing.duration.unit.length === 0) {
@@ -245,5 +287,9 @@ export function isValidTimingInput(timing: any): timing is TimingInput {
     }
   }
 
+  if (timing.cycle !== undefined && !isCyclicPattern(timing.cycle)) {
+    return false;
+  }
+
   return true;
 }
\ No newline at end of file
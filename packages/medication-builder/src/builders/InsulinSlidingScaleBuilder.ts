@@ -0,0 +1,515 @@
+/**
+ * InsulinSlidingScaleBuilder
+ *
+ * Specialized builder for insulin sliding scales. Clinicians enter blood
+ * glucose ranges mapped to unit doses, meal timing and an optional correction
+ * factor; each range becomes a conditional instruction such as
+ * "If blood glucose is 151-200 mg/dL: Inject 2 units subcutaneously before meals."
+ *
+ * @since 3.3.0
+ */
+
+import { SimpleLiquidBuilder } from './SimpleLiquidBuilder';
+import { ISignatureBuilder } from './ISignatureBuilder';
+import {
+  IComplexRegimenBuilder,
+  TaperingPhase,
+  ConditionalInstruction,
+  DoseRangeInput,
+  FrequencyRangeInput,
+  MaxDailyDoseConstraint,
+  MultiIngredientDoseInput,
+  ComplexRegimenBuilderState
+} from './IComplexRegimenBuilder';
+import { SignatureInstruction, RelationshipType, InstructionRelationship } from '../types/SignatureInstruction';
+import { MedicationProfile } from '../types/MedicationProfile';
+import { MedicationRequestContext } from '../types/MedicationRequestContext';
+import { createTemplateEngine } from '../lib/templates/templates';
+import { TemplateEngine } from '../lib/templates/types';
+import { TemplateDataBuilder } from '../lib/templates/TemplateDataBuilder';
+import { SupportedLocale, DEFAULT_LOCALE, LOCALE_VOCABULARY } from '../lib/templates/locales';
+
+/**
+ * Blood glucose units accepted on a sliding scale
+ */
+export type GlucoseUnit = 'mg/dL' | 'mmol/L';
+
+/**
+ * Meal timing codes (FHIR EventTiming)
+ */
+export type InsulinMealTiming = 'AC' | 'ACM' | 'ACD' | 'ACV' | 'PC' | 'HS';
+
+/**
+ * Meal timing text and administrations per day
+ */
+const MEAL_TIMING: Record<InsulinMealTiming, { text: string; perDay: number }> = {
+  AC: { text: 'before meals', perDay: 3 },
+  ACM: { text: 'before breakfast', perDay: 1 },
+  ACD: { text: 'before lunch', perDay: 1 },
+  ACV: { text: 'before dinner', perDay: 1 },
+  PC: { text: 'after meals', perDay: 3 },
+  HS: { text: 'at bedtime', perDay: 1 }
+};
+
+/**
+ * Smallest reading step per glucose unit; adjacent ranges must be exactly
+ * one step apart (e.g., 150 → 151 mg/dL, 8.3 → 8.4 mmol/L)
+ */
+const GLUCOSE_STEP: Record<GlucoseUnit, number> = {
+  'mg/dL': 1,
+  'mmol/L': 0.1
+};
+
+/**
+ * One row of a sliding scale
+ */
+export interface GlucoseRange {
+  /** Lowest reading in the range (inclusive) */
+  min: number;
+  /** Highest reading in the range (inclusive); omit for the top range */
+  max?: number;
+  /** Insulin units to give; 0 means no insulin */
+  dose: number;
+  /** Extra direction for this range (e.g., "Call provider") */
+  instruction?: string;
+}
+
+/**
+ * Correction factor: add `units` for every `per` glucose units above `above`
+ */
+export interface CorrectionFactor {
+  units: number;
+  per: number;
+  above: number;
+}
+
+/**
+ * Sliding scale entered by the clinician
+ */
+export interface SlidingScaleInput {
+  ranges: GlucoseRange[];
+  glucoseUnit: GlucoseUnit;
+  mealTiming: InsulinMealTiming;
+  correctionFactor?: CorrectionFactor;
+}
+
+/**
+ * Builder for insulin sliding scales with conditional instructions
+ */
+export class InsulinSlidingScaleBuilder extends SimpleLiquidBuilder implements IComplexRegimenBuilder {
+
+  // Complex regimen state
+  protected complexState: ComplexRegimenBuilderState;
+
+  // Sliding scale, ranges sorted by glucose
+  private slidingScale: SlidingScaleInput | null = null;
+
+  private insulinTemplateEngine: TemplateEngine;
+  private insulinPatientTemplateEngine: TemplateEngine | null = null;
+
+  constructor(medication: MedicationProfile) {
+    super(medication);
+
+    this.insulinTemplateEngine = createTemplateEngine();
+
+    // Initialize complex regimen state
+    this.complexState = {
+      phases: [],
+      conditionals: [],
+      relationships: [],
+      doseRanges: [],
+      frequencyRanges: [],
+      maxDailyConstraints: [],
+      multiIngredientDoses: [],
+      complexAuditTrail: []
+    };
+
+    this.addAuditEntry('InsulinSlidingScaleBuilder initialized for sliding-scale dosing');
+  }
+
+  /**
+   * Build the sliding scale
+   *
+   * @throws Error when ranges overlap, leave gaps or have invalid doses
+   */
+  buildSlidingScale(input: SlidingScaleInput): InsulinSlidingScaleBuilder {
+    const errors = InsulinSlidingScaleBuilder.validateSlidingScale(input);
+    if (errors.length > 0) {
+      throw new Error(`Invalid sliding scale: ${errors.join('; ')}`);
+    }
+
+    this.slidingScale = {
+      ...input,
+      ranges: [...input.ranges].sort((a, b) => a.min - b.min)
+    };
+
+    const mealTiming = MEAL_TIMING[input.mealTiming];
+    this.buildTiming({
+      frequency: mealTiming.perDay,
+      period: 1,
+      periodUnit: 'd',
+      when: [input.mealTiming]
+    });
+
+    this.addComplexAuditEntry(`Added sliding scale: ${input.ranges.length} ranges in ${input.glucoseUnit}, ${mealTiming.text}`);
+    if (input.correctionFactor) {
+      this.addComplexAuditEntry(`Added correction factor: ${this.formatCorrectionFactor(input.correctionFactor, input.glucoseUnit)}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Validate sliding scale ranges
+   *
+   * @returns Array of validation errors, empty if valid
+   */
+  static validateSlidingScale(input: SlidingScaleInput): string[] {
+    const errors: string[] = [];
+
+    if (!MEAL_TIMING[input.mealTiming]) {
+      errors.push(`Unknown meal timing: ${input.mealTiming}`);
+    }
+
+    const step = GLUCOSE_STEP[input.glucoseUnit];
+    if (!step) {
+      errors.push(`Unknown glucose unit: ${input.glucoseUnit}`);
+      return errors;
+    }
+
+    if (!input.ranges?.length) {
+      errors.push('At least one glucose range is required');
+      return errors;
+    }
+
+    const ranges = [...input.ranges].sort((a, b) => a.min - b.min);
+    const epsilon = step / 1000;
+
+    ranges.forEach((range, index) => {
+      const label = formatRange(range, input.glucoseUnit);
+
+      if (!Number.isFinite(range.min) || range.min < 0) {
+        errors.push(`Range ${label} has an invalid minimum`);
+      }
+      if (range.max !== undefined && range.max < range.min) {
+        errors.push(`Range ${label} has a maximum below its minimum`);
+      }
+      if (range.max === undefined && index < ranges.length - 1) {
+        errors.push(`Only the highest range may be open-ended (${label})`);
+      }
+      if (!Number.isFinite(range.dose) || range.dose < 0) {
+        errors.push(`Range ${label} has an invalid dose: ${range.dose}`);
+      }
+
+      const previous = ranges[index - 1];
+      if (previous?.max !== undefined) {
+        const previousLabel = formatRange(previous, input.glucoseUnit);
+        if (range.min <= previous.max) {
+          errors.push(`Ranges ${previousLabel} and ${label} overlap`);
+        } else if (range.min - previous.max > step + epsilon) {
+          errors.push(`Gap between ranges ${previousLabel} and ${label}`);
+        }
+      }
+    });
+
+    if (input.correctionFactor) {
+      const { units, per, above } = input.correctionFactor;
+      if (!(units > 0) || !(per > 0) || !(above >= 0)) {
+        errors.push('Correction factor needs positive units and glucose step and a non-negative threshold');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Rebuild the insulin templates for the patient locale too
+   */
+  buildLocale(locale: string): ISignatureBuilder {
+    super.buildLocale(locale);
+    this.insulinPatientTemplateEngine = this.locale === DEFAULT_LOCALE ? null : createTemplateEngine(this.locale);
+
+    return this;
+  }
+
+  /**
+   * Generate one conditional instruction per glucose range, in ascending
+   * glucose order, followed by any conditionals added with buildConditionalLogic
+   */
+  getResult(): SignatureInstruction[] {
+    const errors = this.validateComplexRegimen();
+    if (errors.length > 0) {
+      throw new Error(`Invalid sliding scale: ${errors.join('; ')}`);
+    }
+
+    const scale = this.slidingScale!;
+    const instructions = scale.ranges.map((range, index) =>
+      this.generateRangeInstruction(scale, range, index + 1)
+    );
+
+    instructions.push(...this.generateConditionalInstructions(instructions.length + 1));
+
+    this.addComplexAuditEntry(`Generated ${instructions.length} conditional instructions`);
+
+    return instructions;
+  }
+
+  /**
+   * Generate complex regimen results with relationships
+   */
+  getComplexResult(): SignatureInstruction[] {
+    return this.getResult();
+  }
+
+  /**
+   * Validate complex regimen constraints
+   */
+  validateComplexRegimen(): string[] {
+    if (!this.slidingScale) {
+      return ['No sliding scale configured'];
+    }
+
+    return InsulinSlidingScaleBuilder.validateSlidingScale(this.slidingScale);
+  }
+
+  /**
+   * Get detailed explanation of complex regimen logic
+   */
+  explainComplexRegimen(): string {
+    let complexExplanation = `${this.explain()}\n\n--- Sliding Scale ---\n`;
+
+    if (this.slidingScale) {
+      const { ranges, glucoseUnit, mealTiming, correctionFactor } = this.slidingScale;
+      complexExplanation += `Timing: ${MEAL_TIMING[mealTiming].text}\n`;
+      ranges.forEach(range => {
+        complexExplanation += `  ${formatRange(range, glucoseUnit)}: ${range.dose} units\n`;
+      });
+      if (correctionFactor) {
+        complexExplanation += `Correction: ${this.formatCorrectionFactor(correctionFactor, glucoseUnit)}\n`;
+      }
+    }
+
+    if (this.complexState.complexAuditTrail.length > 0) {
+      complexExplanation += '\nSliding Scale Operations:\n';
+      this.complexState.complexAuditTrail.forEach(entry => {
+        complexExplanation += `  - ${entry}\n`;
+      });
+    }
+
+    return complexExplanation;
+  }
+
+  // =============================================================================
+  // IComplexRegimenBuilder Implementation (Basic implementations for interface compliance)
+  // =============================================================================
+
+  buildSequentialInstructions(phases: TaperingPhase[]): IComplexRegimenBuilder {
+    this.complexState.phases = phases;
+    this.addComplexAuditEntry(`Added ${phases.length} tapering phases`);
+
+    return this;
+  }
+
+  buildConditionalLogic(conditional: ConditionalInstruction): IComplexRegimenBuilder {
+    this.complexState.conditionals.push(conditional);
+    this.addComplexAuditEntry(`Added conditional instruction: ${conditional.condition}`);
+
+    return this;
+  }
+
+  buildRelationships(relationships: InstructionRelationship[]): IComplexRegimenBuilder {
+    this.complexState.relationships = relationships;
+    this.addComplexAuditEntry(`Added ${relationships.length} instruction relationships`);
+
+    return this;
+  }
+
+  buildDoseRange(doseRange: DoseRangeInput): IComplexRegimenBuilder {
+    this.complexState.doseRanges.push(doseRange);
+    this.addComplexAuditEntry(`Added dose range: ${doseRange.minValue}-${doseRange.maxValue} ${doseRange.unit}`);
+
+    return this;
+  }
+
+  buildFrequencyRange(frequencyRange: FrequencyRangeInput): IComplexRegimenBuilder {
+    this.complexState.frequencyRanges.push(frequencyRange);
+    this.addComplexAuditEntry(`Added frequency range: every ${frequencyRange.minFrequency}-${frequencyRange.maxFrequency} ${frequencyRange.periodUnit}`);
+
+    return this;
+  }
+
+  buildMaxDailyDoseConstraint(constraint: MaxDailyDoseConstraint): IComplexRegimenBuilder {
+    this.complexState.maxDailyConstraints.push(constraint);
+    this.addComplexAuditEntry(`Added max daily dose constraint: ${constraint.maxDosePerDay.value} ${constraint.maxDosePerDay.unit}`);
+
+    return this;
+  }
+
+  buildMultiIngredientDose(multiIngredientDose: MultiIngredientDoseInput): IComplexRegimenBuilder {
+    this.complexState.multiIngredientDoses.push(multiIngredientDose);
+    this.addComplexAuditEntry(`Added multi-ingredient dose configuration`);
+
+    return this;
+  }
+
+  // =============================================================================
+  // Private Implementation Methods
+  // =============================================================================
+
+  /**
+   * Generate the conditional instruction for one glucose range
+   */
+  private generateRangeInstruction(
+    scale: SlidingScaleInput,
+    range: GlucoseRange,
+    sequence: number
+  ): SignatureInstruction {
+    // Temporarily set range dose, as TaperingDoseBuilder does per phase
+    const originalDoses = this.state.doses;
+    const originalRoute = this.state.route;
+
+    this.state.doses = [{ value: range.dose, unit: 'unit' }];
+    if (!this.state.route) {
+      this.buildRoute('subcutaneous');
+    }
+
+    const instruction = { ...super.getResult()[0] };
+    const context = this.createMedicationRequestContext();
+
+    // Restore original state
+    this.state.doses = originalDoses;
+    this.state.route = originalRoute;
+
+    const mealTiming = MEAL_TIMING[scale.mealTiming].text;
+    const condition = `blood glucose ${formatRange(range, scale.glucoseUnit)}`;
+
+    instruction.id = `sliding-scale-${sequence}`;
+    instruction.sequence = sequence;
+    instruction.text = this.renderRangeText(this.insulinTemplateEngine, range, scale, context, mealTiming);
+    if (this.insulinPatientTemplateEngine) {
+      instruction.patientInstructions = this.renderRangeText(
+        this.insulinPatientTemplateEngine, range, scale, context, mealTiming, this.locale
+      );
+    }
+    instruction.asNeeded = { coding: [], text: condition };
+    instruction.relationship = { type: RelationshipType.CONDITIONAL, condition };
+
+    const rangeInstructions: Array<{text: string}> = [];
+    if (range.instruction) {
+      rangeInstructions.push({ text: range.instruction });
+    }
+    if (scale.correctionFactor) {
+      rangeInstructions.push({
+        text: `Correction: ${this.formatCorrectionFactor(scale.correctionFactor, scale.glucoseUnit)}`
+      });
+    }
+    if (rangeInstructions.length > 0) {
+      instruction.additionalInstructions = [
+        ...(instruction.additionalInstructions || []),
+        ...rangeInstructions
+      ];
+    }
+
+    const constraint = this.complexState.maxDailyConstraints[0];
+    if (constraint) {
+      instruction.maxDosePerPeriod = {
+        numerator: { value: constraint.maxDosePerDay.value, unit: constraint.maxDosePerDay.unit },
+        denominator: { value: 1, unit: 'd' }
+      };
+    }
+
+    return instruction;
+  }
+
+  /**
+   * Render "If blood glucose is ...: Inject ..." for one range
+   */
+  private renderRangeText(
+    engine: TemplateEngine,
+    range: GlucoseRange,
+    scale: SlidingScaleInput,
+    context: MedicationRequestContext,
+    mealTiming: string,
+    locale: SupportedLocale = DEFAULT_LOCALE
+  ): string {
+    const phrases = LOCALE_VOCABULARY[locale].phrases;
+    const conditionText = phrases.ifBloodGlucose(range.min, range.max, scale.glucoseUnit);
+
+    if (range.dose === 0) {
+      return `${conditionText}: ${phrases.noInsulin}.`;
+    }
+
+    const text = engine.render(
+      'INSULIN_INJECTION_TEMPLATE',
+      TemplateDataBuilder.forInsulin(context, mealTiming, locale)
+    );
+    return `${conditionText}: ${text}`;
+  }
+
+  /**
+   * Emit instructions from buildConditionalLogic with CONDITIONAL relationships
+   */
+  private generateConditionalInstructions(firstSequence: number): SignatureInstruction[] {
+    const instructions: SignatureInstruction[] = [];
+
+    this.complexState.conditionals.forEach(conditional => {
+      const branches: Array<[SignatureInstruction[], string]> = [
+        [conditional.ifTrue, conditional.condition],
+        [conditional.ifFalse || [], `not ${conditional.condition}`]
+      ];
+
+      branches.forEach(([branch, condition]) => {
+        branch.forEach(instruction => {
+          const sequence = firstSequence + instructions.length;
+          instructions.push({
+            ...instruction,
+            id: instruction.id || `sliding-scale-${sequence}`,
+            sequence,
+            relationship: { type: RelationshipType.CONDITIONAL, condition }
+          });
+        });
+      });
+    });
+
+    return instructions;
+  }
+
+  /**
+   * Format a correction factor for display
+   */
+  private formatCorrectionFactor(correctionFactor: CorrectionFactor, glucoseUnit: GlucoseUnit): string {
+    const { units, per, above } = correctionFactor;
+    return `add ${units} ${units === 1 ? 'unit' : 'units'} for every ${per} ${glucoseUnit} above ${above} ${glucoseUnit}`;
+  }
+
+  /**
+   * Add entry to complex audit trail
+   */
+  private addComplexAuditEntry(entry: string): void {
+    const timestamp = new Date().toISOString();
+    this.complexState.complexAuditTrail.push(`[${timestamp}] ${entry}`);
+  }
+
+  /**
+   * Override builder type in JSON serialization
+   */
+  toJSON(): object {
+    const baseJson = super.toJSON() as Record<string, unknown>;
+
+    return {
+      ...baseJson,
+      builderType: 'InsulinSlidingScaleBuilder',
+      slidingScale: this.slidingScale,
+      complexState: this.complexState
+    };
+  }
+}
+
+/**
+ * Format a glucose range as "151-200 mg/dL" or ">= 351 mg/dL"
+ */
+function formatRange(range: GlucoseRange, glucoseUnit: GlucoseUnit): string {
+  return range.max === undefined
+    ? `>= ${range.min} ${glucoseUnit}`
+    : `${range.min}-${range.max} ${glucoseUnit}`;
+}
@@ -28,6 +28,7 @@ import {
 } from './IComplexRegimenBuilder';
 import { SignatureInstruction } from '../types/SignatureInstruction';
 import { MedicationProfile } from '../types/MedicationProfile';
+import { LOCALE_VOCABULARY } from '../lib/templates/locales';
 import { MedicationRequestContext } from '../types/MedicationRequestContext';
 
 /**
@@ -267,10 +268,14 @@ export class MultiIngredientBuilder extends SimpleLiquidBuilder implements IComp
     // Find the dose portion in the text and enhance it
     const originalText = instruction.text;
     const enhancedText = `${originalText} (containing ${ingredientList})`;
+    const containing = LOCALE_VOCABULARY[this.locale].phrases.containing(ingredientList);
     
     return {
       ...instruction,
-      text: enhancedText
+      text: enhancedText,
+      ...(instruction.patientInstructions && {
+        patientInstructions: `${instruction.patientInstructions} ${containing}`
+      })
     };
   }
 
@@ -16,6 +16,7 @@ import {
 import { SignatureInstruction } from '../types/SignatureInstruction';
 import { MedicationProfile } from '../types/MedicationProfile';
 import { MedicationRequestContext } from '../types/MedicationRequestContext';
+import { DEFAULT_LOCALE, localizeDoseUnit } from '../lib/templates/locales';
 
 /**
  * Builder for nasal spray medications
@@ -124,15 +125,30 @@ export class NasalSprayBuilder extends SimpleLiquidBuilder {
     
     return {
       ...instruction,
-      text: modifiedText
+      text: modifiedText,
+      ...(instruction.patientInstructions && {
+        patientInstructions: this.formatPatientSprayText(instruction.patientInstructions)
+      })
     };
   }
 
+  /**
+   * Apply spray display to patient-language text
+   */
+  private formatPatientSprayText(text: string): string {
+    const sprays = this.originalDose!.value;
+    const unit = this.locale === DEFAULT_LOCALE
+      ? this.originalDose!.unit
+      : localizeDoseUnit(this.originalDose!.unit, sprays, this.locale);
+    const sprayPattern = new RegExp(`${sprays}\\s*${unit}`, 'gi');
+    
+    return text.replace(sprayPattern, this.formatSprayDisplay(sprays, localizeDoseUnit('spray', sprays, this.locale)));
+  }
+
   /**
    * Format spray display as "X sprays (Y mcg)" or "X sprays per nostril"
    */
-  private formatSprayDisplay(sprays: number): string {
-    const sprayText = sprays === 1 ? 'spray' : 'sprays';
+  private formatSprayDisplay(sprays: number, sprayText = sprays === 1 ? 'spray' : 'sprays'): string {
     const mcgValue = this.calculateMcgFromSprays(sprays);
     
     if (mcgValue !== null) {
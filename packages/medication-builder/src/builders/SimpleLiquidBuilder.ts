@@ -24,15 +24,26 @@ import { MedicationProfile } from '../types/MedicationProfile';
 import { createTemplateEngine } from '../lib/templates/templates';
 import { TemplateEngine, TemplateData } from '../lib/templates/types';
 import { TemplateDataBuilder } from '../lib/templates/TemplateDataBuilder';
+import { appendCycleText, createCycleTimingCode } from '../lib/temporal/cycles';
+import { toFHIRTime } from '../lib/temporal/types';
 import { UnitConverter } from '../lib/units/UnitConverter';
 import { ConversionContext } from '../lib/units/types';
 import { RouteValidator } from '../lib/validation/RouteValidator';
+import { SupportedLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES, LOCALE_VOCABULARY, isSupportedLocale } from '../lib/templates/locales';
+import { AllergyChecker, allergyChecker } from '../lib/allergies/AllergyChecker';
+import { AllergyAlert } from '../lib/allergies/types';
+import { reconstitutionCalculator } from '../lib/reconstitution/ReconstitutionCalculator';
+import { ReconstitutionCalculation } from '../lib/reconstitution/types';
 
 /**
  * Builder for liquid medications with concentration handling
  */
 export class SimpleLiquidBuilder implements ISignatureBuilder {
   private templateEngine: TemplateEngine;
+  private patientTemplateEngine: TemplateEngine | null = null;
+  protected locale: SupportedLocale = DEFAULT_LOCALE;
+  private allergyChecker: AllergyChecker | null = null;
+  protected allergyAlerts: AllergyAlert[] = [];
   private unitConverter: UnitConverter;
   protected state: BuilderState;
 
@@ -131,6 +142,42 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
     return this;
   }
 
+  /**
+   * Set patient language for patientInstructions
+   */
+  buildLocale(locale: string): ISignatureBuilder {
+    if (!isSupportedLocale(locale)) {
+      throw new Error(`Unsupported locale: ${locale}. Supported: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+
+    this.locale = locale;
+    this.patientTemplateEngine = locale === DEFAULT_LOCALE ? null : createTemplateEngine(locale);
+    this.addAuditEntry(`Set patient locale: ${locale}`);
+    
+    return this;
+  }
+
+  /**
+   * Check the medication against the patient's allergies
+   */
+  buildAllergyCheck(allergies: string[], checker: AllergyChecker = allergyChecker): ISignatureBuilder {
+    this.allergyChecker = checker;
+    this.allergyAlerts = checker.check(this.medication, allergies);
+    this.addAuditEntry(`Allergy check: ${this.allergyAlerts.length} alert(s) for ${allergies.length} allergies`);
+    this.allergyAlerts.forEach(alert => {
+      this.addAuditEntry(`Allergy alert (${alert.severity}): ${alert.allergy} → ${alert.ingredient}; ${alert.basis}`);
+    });
+    
+    return this;
+  }
+
+  /**
+   * Alerts from the last allergy check
+   */
+  getAllergyAlerts(): AllergyAlert[] {
+    return [...this.allergyAlerts];
+  }
+
   /**
    * Generate final FHIR-compliant instruction
    */
@@ -140,11 +187,17 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
     // Create medication request context for template rendering
     const context = this.createMedicationRequestContext();
     
-    // Build template data with dual dosing if applicable
-    const templateData = this.buildLiquidTemplateData(context);
+    // Build template data with dual dosing, or the draw volume for a powder vial
+    const reconstitution = this.calculateReconstitution();
+    const dualDose = reconstitution ? undefined : this.calculateDualDose();
+    const templateData = this.buildLiquidTemplateData(context, dualDose, DEFAULT_LOCALE, reconstitution);
     
     // Render instruction text
-    const text = this.templateEngine.render('LIQUID_DOSE_TEMPLATE', templateData);
+    let text = this.templateEngine.render('LIQUID_DOSE_TEMPLATE', templateData);
+    const cycle = this.state.timing!.cycle;
+    if (cycle) {
+      text = appendCycleText(text, cycle);
+    }
     
     // Build FHIR instruction
     const instruction: SignatureInstruction = {
@@ -155,6 +208,17 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       additionalInstructions: this.buildAdditionalInstructions()
     };
 
+    // Render patient-language text alongside the pharmacist text
+    if (this.patientTemplateEngine) {
+      instruction.patientInstructions = this.patientTemplateEngine.render(
+        'LIQUID_DOSE_TEMPLATE',
+        this.buildLiquidTemplateData(context, dualDose, this.locale, reconstitution)
+      );
+      if (cycle) {
+        instruction.patientInstructions = appendCycleText(instruction.patientInstructions, cycle, this.locale);
+      }
+    }
+
     this.addAuditEntry('Generated final instruction');
     
     return [instruction];
@@ -213,6 +277,11 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       }
     }
     
+    // Fail early if the dose cannot be measured from a reconstituted vial
+    if (this.medication.reconstitution) {
+      reconstitutionCalculator.calculate(this.medication.reconstitution, { value: dose.value, unit: dose.unit });
+    }
+    
     // Note: Basic validation (positive value, valid unit) is handled by isValidDoseInput
     
     if (dose.value > 1000 && (unit === 'ml' || unit === 'milliliter')) {
@@ -268,14 +337,48 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
   }
 
   /**
-   * Build template data with dual dosing calculation
+   * Build template data with the dual dose phrased for the locale
    */
-  private buildLiquidTemplateData(context: MedicationRequestContext): TemplateData {
-    const baseData = TemplateDataBuilder.forLiquid(context);
+  private buildLiquidTemplateData(
+    context: MedicationRequestContext,
+    dualDose: string | undefined,
+    locale: SupportedLocale = DEFAULT_LOCALE,
+    reconstitution?: ReconstitutionCalculation
+  ): TemplateData {
+    if (reconstitution) {
+      return TemplateDataBuilder.forReconstitution(context, reconstitution, locale);
+    }
+
+    return {
+      ...TemplateDataBuilder.forLiquid(context, locale),
+      dualDose: dualDose ? LOCALE_VOCABULARY[locale].phrases.dualDose(dualDose) : ''
+    };
+  }
+
+  /**
+   * Calculate the draw volume from a reconstituted powder vial,
+   * recording each step in the audit trail
+   */
+  private calculateReconstitution(): ReconstitutionCalculation | undefined {
+    const info = this.medication.reconstitution;
+    if (!info) {
+      return undefined;
+    }
+
+    const dose = this.state.doses[0];
+    const calculation = reconstitutionCalculator.calculate(info, { value: dose.value, unit: dose.unit });
+    calculation.steps.forEach(step => this.addAuditEntry(step));
     
+    return calculation;
+  }
+
+  /**
+   * Calculate complementary dose (e.g. "5 mL" for a mg dose)
+   */
+  private calculateDualDose(): string | undefined {
     // Calculate dual dosing if we have concentration and dose conversion
     const dose = this.state.doses[0];
-    let dualDose = '';
+    let dualDose: string | undefined;
     
     if (this.medication.ingredient?.[0]?.strengthRatio) {
       const strengthRatio = this.medication.ingredient[0].strengthRatio;
@@ -296,7 +399,7 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
           );
           
           if (conversionResult && typeof conversionResult.value === 'number') {
-            dualDose = `, as ${conversionResult.value} mL`;
+            dualDose = `${conversionResult.value} mL`;
             this.addAuditEntry(`Calculated dual dose: ${dose.value} mg = ${conversionResult.value} mL`);
           }
         } else if ((dose.unit.toLowerCase() === 'ml' || dose.unit.toLowerCase() === 'milliliter') && strengthRatio.numerator.unit === 'mg') {
@@ -309,7 +412,7 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
           );
           
           if (conversionResult && typeof conversionResult.value === 'number') {
-            dualDose = `, as ${conversionResult.value} mg`;
+            dualDose = `${conversionResult.value} mg`;
             this.addAuditEntry(`Calculated dual dose: ${dose.value} mL = ${conversionResult.value} mg`);
           }
         }
@@ -319,10 +422,7 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       }
     }
     
-    return {
-      ...baseData,
-      dualDose
-    };
+    return dualDose;
   }
 
   /**
@@ -346,6 +446,8 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       },
       frequency: this.formatFrequencyForContext(timing),
       route: this.state.route!,
+      dayOfWeek: timing.dayOfWeek,
+      timeOfDay: timing.timeOfDay,
       specialInstructions: this.state.specialInstructions.join('; ') || undefined,
       asNeeded: this.state.asNeeded?.indication,
       maxDosePerPeriod: this.state.constraints?.maxDosePerPeriod ? {
@@ -387,8 +489,12 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
         frequency: timing.frequency,
         period: timing.period,
         periodUnit: timing.periodUnit,
-        when: timing.when
-      }
+        when: timing.when,
+        ...(timing.dayOfWeek && { dayOfWeek: [...timing.dayOfWeek] }),
+        ...(timing.timeOfDay && { timeOfDay: timing.timeOfDay.map(toFHIRTime) }),
+        ...(timing.cycle && { boundsDuration: { value: timing.cycle.daysOn, unit: 'd' } })
+      },
+      ...(timing.cycle && { code: createCycleTimingCode(timing.cycle) })
     };
   }
 
@@ -432,6 +538,13 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       additional.push({ text: 'Shake well before use' });
     }
     
+    // Add beyond-use instruction for reconstituted vials
+    const stability = this.medication.reconstitution &&
+      reconstitutionCalculator.describeStability(this.medication.reconstitution);
+    if (stability) {
+      additional.push({ text: stability });
+    }
+    
     if (this.state.specialInstructions.length) {
       additional.push(...this.state.specialInstructions.map(inst => ({ text: inst })));
     }
@@ -442,6 +555,10 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
       });
     }
     
+    if (this.allergyChecker && this.allergyAlerts.length) {
+      additional.push(...this.allergyChecker.toAdditionalInstructions(this.allergyAlerts));
+    }
+    
     return additional.length ? additional : undefined;
   }
 
@@ -458,6 +575,12 @@ export class SimpleLiquidBuilder implements ISignatureBuilder {
     if (timing.frequency === 3 && timing.period === 1 && timing.periodUnit === 'd') {
       return 'three times daily';
     }
+    if (timing.frequency === 1 && timing.period === 1 && timing.periodUnit === 'wk') {
+      return 'once weekly';
+    }
+    if (timing.frequency === 2 && timing.period === 1 && timing.periodUnit === 'wk') {
+      return 'twice weekly';
+    }
     
     return `${timing.frequency} times per ${timing.period} ${timing.periodUnit}`;
   }
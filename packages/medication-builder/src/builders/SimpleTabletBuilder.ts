@@ -24,13 +24,27 @@ import { MedicationProfile, ScoringType } from '../types/MedicationProfile';
 import { createTemplateEngine } from '../lib/templates/templates';
 import { TemplateEngine } from '../lib/templates/types';
 import { TemplateDataBuilder } from '../lib/templates/TemplateDataBuilder';
+import { appendCycleText, createCycleTimingCode } from '../lib/temporal/cycles';
+import { toFHIRTime } from '../lib/temporal/types';
 import { RouteValidator } from '../lib/validation/RouteValidator';
+import { SupportedLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES, isSupportedLocale } from '../lib/templates/locales';
+import { AllergyChecker, allergyChecker } from '../lib/allergies/AllergyChecker';
+import { AllergyAlert } from '../lib/allergies/types';
+import { TabletCombinationSolver, tabletCombinationSolver } from '../lib/tablet-combinations/TabletCombinationSolver';
+import { TabletCombination, TabletCombinationPreference, TabletProduct } from '../lib/tablet-combinations/types';
 
 /**
  * Builder for tablet and similar solid oral medications
  */
 export class SimpleTabletBuilder implements ISignatureBuilder {
   private templateEngine: TemplateEngine;
+  private patientTemplateEngine: TemplateEngine | null = null;
+  protected locale: SupportedLocale = DEFAULT_LOCALE;
+  private allergyChecker: AllergyChecker | null = null;
+  protected allergyAlerts: AllergyAlert[] = [];
+  private tabletProducts: TabletProduct[] = [];
+  private combinationPreference: TabletCombinationPreference = 'fewest-tablets';
+  private combinationSolver: TabletCombinationSolver = tabletCombinationSolver;
   protected state: BuilderState;
 
   constructor(protected medication: MedicationProfile) {
@@ -127,6 +141,66 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
     return this;
   }
 
+  /**
+   * Set patient language for patientInstructions
+   */
+  buildLocale(locale: string): ISignatureBuilder {
+    if (!isSupportedLocale(locale)) {
+      throw new Error(`Unsupported locale: ${locale}. Supported: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+
+    this.locale = locale;
+    this.patientTemplateEngine = locale === DEFAULT_LOCALE ? null : createTemplateEngine(locale);
+    this.addAuditEntry(`Set patient locale: ${locale}`);
+    
+    return this;
+  }
+
+  /**
+   * Check the medication against the patient's allergies
+   */
+  buildAllergyCheck(allergies: string[], checker: AllergyChecker = allergyChecker): ISignatureBuilder {
+    this.allergyChecker = checker;
+    this.allergyAlerts = checker.check(this.medication, allergies);
+    this.addAuditEntry(`Allergy check: ${this.allergyAlerts.length} alert(s) for ${allergies.length} allergies`);
+    this.allergyAlerts.forEach(alert => {
+      this.addAuditEntry(`Allergy alert (${alert.severity}): ${alert.allergy} → ${alert.ingredient}; ${alert.basis}`);
+    });
+    
+    return this;
+  }
+
+  /**
+   * Set the strengths on formulary, so a dose in mg that no single
+   * strength makes is written as several products
+   * (e.g., "Take one 5 mg tablet plus one 2.5 mg tablet")
+   */
+  buildAvailableStrengths(
+    products: TabletProduct[],
+    preference: TabletCombinationPreference = 'fewest-tablets',
+    solver: TabletCombinationSolver = tabletCombinationSolver
+  ): this {
+    if (products.length === 0) {
+      throw new Error('At least one tablet product is required');
+    }
+
+    this.tabletProducts = [...products];
+    this.combinationPreference = preference;
+    this.combinationSolver = solver;
+    this.addAuditEntry(
+      `Set available strengths: ${products.map(p => `${p.strength.value} ${p.strength.unit}`).join(', ')} (${preference})`
+    );
+    
+    return this;
+  }
+
+  /**
+   * Alerts from the last allergy check
+   */
+  getAllergyAlerts(): AllergyAlert[] {
+    return [...this.allergyAlerts];
+  }
+
   /**
    * Generate final FHIR-compliant instruction
    */
@@ -140,7 +214,11 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
     const templateData = TemplateDataBuilder.forTablet(context);
     
     // Render instruction text
-    const text = this.templateEngine.render('ORAL_TABLET_TEMPLATE', templateData);
+    let text = this.templateEngine.render('ORAL_TABLET_TEMPLATE', templateData);
+    const cycle = this.state.timing!.cycle;
+    if (cycle) {
+      text = appendCycleText(text, cycle);
+    }
     
     // Build FHIR instruction
     const instruction: SignatureInstruction = {
@@ -151,6 +229,17 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
       additionalInstructions: this.buildAdditionalInstructions()
     };
 
+    // Render patient-language text alongside the pharmacist text
+    if (this.patientTemplateEngine) {
+      instruction.patientInstructions = this.patientTemplateEngine.render(
+        'ORAL_TABLET_TEMPLATE',
+        TemplateDataBuilder.forTablet(context, this.locale)
+      );
+      if (cycle) {
+        instruction.patientInstructions = appendCycleText(instruction.patientInstructions, cycle, this.locale);
+      }
+    }
+
     this.addAuditEntry('Generated final instruction');
     
     return [instruction];
@@ -297,6 +386,8 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
       },
       frequency: this.formatFrequencyForContext(timing),
       route: this.state.route!,
+      dayOfWeek: timing.dayOfWeek,
+      timeOfDay: timing.timeOfDay,
       specialInstructions: this.state.specialInstructions.join('; ') || undefined,
       asNeeded: this.state.asNeeded?.indication,
       maxDosePerPeriod: this.state.constraints?.maxDosePerPeriod ? {
@@ -338,8 +429,12 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
         frequency: timing.frequency,
         period: timing.period,
         periodUnit: timing.periodUnit,
-        when: timing.when
-      }
+        when: timing.when,
+        ...(timing.dayOfWeek && { dayOfWeek: [...timing.dayOfWeek] }),
+        ...(timing.timeOfDay && { timeOfDay: timing.timeOfDay.map(toFHIRTime) }),
+        ...(timing.cycle && { boundsDuration: { value: timing.cycle.daysOn, unit: 'd' } })
+      },
+      ...(timing.cycle && { code: createCycleTimingCode(timing.cycle) })
     };
   }
 
@@ -364,6 +459,11 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
   private buildAdditionalInstructions() {
     const additional = [];
     
+    const combination = this.getTabletCombination(this.state.doses[0]);
+    if (combination) {
+      additional.push({ text: `Take ${combination.text}` });
+    }
+    
     if (this.state.specialInstructions.length) {
       additional.push(...this.state.specialInstructions.map(inst => ({ text: inst })));
     }
@@ -374,9 +474,38 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
       });
     }
     
+    if (this.allergyChecker && this.allergyAlerts.length) {
+      additional.push(...this.allergyChecker.toAdditionalInstructions(this.allergyAlerts));
+    }
+    
     return additional.length ? additional : undefined;
   }
 
+  /**
+   * Products that make a strength dose, when strengths are available
+   *
+   * @throws Error if no combination of the available strengths makes the dose
+   */
+  protected getTabletCombination(dose: DoseInput): TabletCombination | undefined {
+    const unit = dose.unit.toLowerCase();
+    if (!this.tabletProducts.length || ['tablet', 'tablets', 'capsule', 'capsules'].includes(unit)) {
+      return undefined;
+    }
+
+    const combination = this.combinationSolver.findBest(
+      { value: dose.value, unit: dose.unit },
+      this.tabletProducts,
+      this.combinationPreference
+    );
+    if (!combination) {
+      const strengths = this.tabletProducts.map(p => `${p.strength.value} ${p.strength.unit}`).join(', ');
+      throw new Error(`No combination of ${strengths} tablets makes ${dose.value} ${dose.unit}`);
+    }
+
+    this.addAuditEntry(`Tablet combination for ${dose.value} ${dose.unit}: ${combination.text}`);
+    return combination;
+  }
+
   /**
    * Format frequency for MedicationRequestContext
    */
@@ -390,6 +519,12 @@ export class SimpleTabletBuilder implements ISignatureBuilder {
     if (timing.frequency === 3 && timing.period === 1 && timing.periodUnit === 'd') {
       return 'three times daily';
     }
+    if (timing.frequency === 1 && timing.period === 1 && timing.periodUnit === 'wk') {
+      return 'once weekly';
+    }
+    if (timing.frequency === 2 && timing.period === 1 && timing.periodUnit === 'wk') {
+      return 'twice weekly';
+    }
     
     return `${timing.frequency} times per ${timing.period} ${timing.periodUnit}`;
   }
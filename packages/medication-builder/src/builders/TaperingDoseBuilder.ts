@@ -24,6 +24,7 @@ import {
 } from './IComplexRegimenBuilder';
 import { SignatureInstruction, RelationshipType, InstructionRelationship } from '../types/SignatureInstruction';
 import { MedicationProfile } from '../types/MedicationProfile';
+import { LOCALE_VOCABULARY } from '../lib/templates/locales';
 
 /**
  * Phase transition types for tapering schedules
@@ -207,6 +208,13 @@ export class TaperingDoseBuilder extends SimpleTabletBuilder implements IComplex
     // Generate instruction for each phase
     this.taperingState.phases.forEach((phase, index) => {
       const phaseInstruction = this.generatePhaseInstruction(phase);
+      if (index > 0) {
+        // Each phase follows the one before it
+        phaseInstruction.relationship = {
+          type: RelationshipType.SEQUENTIAL,
+          targetId: instructions[index - 1].id
+        };
+      }
       instructions.push(phaseInstruction);
 
       // Create sequential relationship to next phase
@@ -394,7 +402,8 @@ export class TaperingDoseBuilder extends SimpleTabletBuilder implements IComplex
     const originalTiming = this.state.timing;
     const originalRoute = this.state.route;
     
-    // Apply phase dose and timing
+    // Apply phase dose and timing; the phase dose replaces any earlier dose
+    this.state.doses = [];
     this.buildDose(phase.dose);
     this.buildTiming(phase.timing);
     
@@ -415,6 +424,10 @@ export class TaperingDoseBuilder extends SimpleTabletBuilder implements IComplex
     // Enhance with phase-specific information
     phaseInstruction.id = `phase-${phase.sequenceNumber}`;
     phaseInstruction.text = `Phase ${phase.sequenceNumber} (${phase.name}): ${phaseInstruction.text}`;
+    if (phaseInstruction.patientInstructions) {
+      const phaseLabel = LOCALE_VOCABULARY[this.locale].phrases.phase(phase.sequenceNumber, phase.name);
+      phaseInstruction.patientInstructions = `${phaseLabel}: ${phaseInstruction.patientInstructions}`;
+    }
     
     // Add phase duration to timing (using bounds period)
     if (phaseInstruction.timing) {
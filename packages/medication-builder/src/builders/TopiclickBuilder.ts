@@ -17,6 +17,7 @@ import {
 import { SignatureInstruction } from '../types/SignatureInstruction';
 import { MedicationProfile } from '../types/MedicationProfile';
 import { MedicationRequestContext } from '../types/MedicationRequestContext';
+import { localizeDoseUnit } from '../lib/templates/locales';
 
 /**
  * Builder for medications using Topiclick dispensing system
@@ -91,15 +92,20 @@ export class TopiclickBuilder extends SimpleLiquidBuilder {
     
     return {
       ...instruction,
-      text: modifiedText
+      text: modifiedText,
+      ...(instruction.patientInstructions && {
+        patientInstructions: instruction.patientInstructions.replace(
+          mlPattern,
+          this.formatClickDisplay(this.originalDose.value, localizeDoseUnit('click', this.originalDose.value, this.locale))
+        )
+      })
     };
   }
 
   /**
    * Format click display as "X clicks (Y mg)"
    */
-  private formatClickDisplay(clicks: number): string {
-    const clickText = clicks === 1 ? 'click' : 'clicks';
+  private formatClickDisplay(clicks: number, clickText = clicks === 1 ? 'click' : 'clicks'): string {
     const mgValue = this.calculateMgFromClicks(clicks);
     
     if (mgValue !== null) {
@@ -0,0 +1,317 @@
+/**
+ * WeightBasedDosingBuilder
+ *
+ * Builder for weight-based (mg/kg) dosing. Computes the absolute dose from
+ * the patient's weight, caps it at maxDosePerAdministration and converts it
+ * to a measurable volume using the product concentration, rounded to the
+ * dispenser's delivery precision.
+ *
+ * @since 3.3.0
+ */
+
+import { SimpleLiquidBuilder } from './SimpleLiquidBuilder';
+import {
+  ISignatureBuilder,
+  DoseInput,
+  DoseConstraints,
+  isValidDoseInput
+} from './ISignatureBuilder';
+import { SignatureInstruction } from '../types/SignatureInstruction';
+import { MedicationProfile, Quantity, Ratio } from '../types/MedicationProfile';
+import { PatientContext } from '../types/MedicationRequestContext';
+import { UnitConverter } from '../lib/units/UnitConverter';
+
+/**
+ * Volume units the computed dose can be measured in
+ */
+const VOLUME_UNITS = ['mL', 'ml', 'L', 'milliliter'];
+
+/**
+ * Default measuring precision when the product has no dispenser metadata (mL)
+ */
+const DEFAULT_VOLUME_PRECISION = 0.1;
+
+/**
+ * UCUM weight units the converter knows by another name
+ */
+const WEIGHT_UNIT_ALIASES: Record<string, string> = {
+  '[lb_av]': 'lb'
+};
+
+/**
+ * Result of resolving a per-kg dose for a patient
+ */
+export interface WeightBasedDoseCalculation {
+  /** Patient weight in kg */
+  weightKg: number;
+  /** Ordered per-kg dose (e.g., 15 mg/kg) */
+  dosePerKg: DoseInput;
+  /** Dose before any cap (mass unit of the per-kg dose) */
+  calculatedDose: Quantity;
+  /** Dose after applying maxDosePerAdministration */
+  cappedDose: Quantity;
+  /** Whether the cap reduced the dose */
+  capApplied: boolean;
+  /** Final measurable dose (volume if concentration is known) */
+  measuredDose: Quantity;
+  /** Rounding increment used for the measured dose */
+  precision?: number;
+}
+
+/**
+ * Builder for weight-based doses (e.g., "15 mg/kg every 6 hours, max 1 g/dose")
+ */
+export class WeightBasedDosingBuilder extends SimpleLiquidBuilder {
+  private weightConverter: UnitConverter;
+  private dosePerKg?: DoseInput;
+  private calculation?: WeightBasedDoseCalculation;
+
+  constructor(medication: MedicationProfile, private patient: PatientContext) {
+    super(medication);
+    this.weightConverter = new UnitConverter();
+
+    if (!patient.weight) {
+      throw new Error('Weight-based dosing requires patient weight');
+    }
+
+    this.addAuditEntry(`WeightBasedDosingBuilder initialized for patient weight ${patient.weight.value} ${patient.weight.unit}`);
+  }
+
+  /**
+   * Configure dose; per-kg units (e.g., 'mg/kg') are resolved against
+   * the patient's weight when first needed
+   */
+  buildDose(dose: DoseInput): ISignatureBuilder {
+    if (!isValidDoseInput(dose)) {
+      throw new Error('Invalid dose input');
+    }
+
+    if (!this.isPerKgUnit(dose.unit)) {
+      return super.buildDose(dose);
+    }
+
+    this.dosePerKg = dose;
+    this.calculation = undefined;
+    this.addAuditEntry(`Added weight-based dose: ${dose.value} ${dose.unit}`);
+
+    return this;
+  }
+
+  /**
+   * Configure constraints; a new cap invalidates the weight-based calculation
+   */
+  buildConstraints(constraints: DoseConstraints): ISignatureBuilder {
+    super.buildConstraints(constraints);
+    this.calculation = undefined;
+
+    return this;
+  }
+
+  /**
+   * Generate final instruction with the resolved weight-based dose
+   */
+  getResult(): SignatureInstruction[] {
+    this.resolveCalculation();
+
+    return super.getResult();
+  }
+
+  /**
+   * Return audit trail, including the weight-based calculation
+   */
+  explain(): string {
+    try {
+      this.resolveCalculation();
+    } catch {
+      // getResult() reports why the dose cannot be measured
+    }
+
+    return super.explain();
+  }
+
+  /**
+   * Get the most recent weight-based calculation
+   */
+  getCalculation(): WeightBasedDoseCalculation | undefined {
+    return this.calculation;
+  }
+
+  /**
+   * Calculate the per-kg dose once per dose and constraints
+   */
+  private resolveCalculation(): void {
+    if (!this.dosePerKg || this.calculation) {
+      return;
+    }
+
+    this.calculation = this.calculateDose(this.dosePerKg);
+    this.state.doses = [{
+      value: this.calculation.measuredDose.value,
+      unit: this.calculation.measuredDose.unit
+    }];
+  }
+
+  /**
+   * Resolve a per-kg dose into a capped, measurable dose
+   */
+  private calculateDose(dosePerKg: DoseInput): WeightBasedDoseCalculation {
+    const weight = this.patient.weight!;
+    const massUnit = dosePerKg.unit.replace(/\/kg$/i, '');
+
+    const weightKg = weight.unit === 'kg'
+      ? weight.value
+      : this.weightConverter.convert(weight.value, WEIGHT_UNIT_ALIASES[weight.unit] || weight.unit, 'kg').value;
+    this.addAuditEntry(`Patient weight: ${weight.value} ${weight.unit} = ${this.round(weightKg, 3)} kg`);
+
+    const calculatedDose: Quantity = {
+      value: this.round(dosePerKg.value * weightKg, 6),
+      unit: massUnit
+    };
+    this.addAuditEntry(
+      `Per-kg dose: ${dosePerKg.value} ${dosePerKg.unit} × ${this.round(weightKg, 3)} kg = ${calculatedDose.value} ${massUnit}`
+    );
+
+    const { dose: cappedDose, capApplied } = this.applyCap(calculatedDose);
+
+    const concentration = this.getConcentration();
+    if (!concentration) {
+      this.addAuditEntry(`No volume concentration available; dosing as ${cappedDose.value} ${massUnit}`);
+      return { weightKg, dosePerKg, calculatedDose, cappedDose, capApplied, measuredDose: cappedDose };
+    }
+
+    // Convert mass dose to the concentration's numerator unit, then to volume
+    const doseInNumeratorUnit = cappedDose.unit === concentration.numerator.unit
+      ? cappedDose.value
+      : this.weightConverter.convert(cappedDose.value, cappedDose.unit, concentration.numerator.unit).value;
+    const perVolume = concentration.numerator.value / concentration.denominator.value;
+    const exactVolume = doseInNumeratorUnit / perVolume;
+
+    const precision = this.getDeliveryPrecision();
+    let volume = this.roundToIncrement(exactVolume, precision, Math.round);
+    let roundingNote = 'nearest';
+
+    // Never let rounding push the measured dose above the cap, capped or not
+    const max = this.getMaxDose(concentration.numerator.unit);
+    if (max !== undefined && volume * perVolume > max + 1e-9) {
+      volume = this.roundToIncrement(exactVolume, precision, Math.floor);
+      roundingNote = 'down to stay within the cap';
+    }
+
+    this.addAuditEntry(
+      `Rounded ${this.round(exactVolume, 4)} ${concentration.denominator.unit} ${roundingNote} ` +
+      `to ${volume} ${concentration.denominator.unit} (precision ${precision} ${concentration.denominator.unit}, ` +
+      `concentration ${perVolume} ${concentration.numerator.unit}/${concentration.denominator.unit})`
+    );
+
+    if (volume <= 0) {
+      throw new Error(
+        `Weight-based dose of ${cappedDose.value} ${cappedDose.unit} is below the measurable precision of ` +
+        `${precision} ${concentration.denominator.unit}`
+      );
+    }
+
+    return {
+      weightKg,
+      dosePerKg,
+      calculatedDose,
+      cappedDose,
+      capApplied,
+      measuredDose: { value: volume, unit: concentration.denominator.unit },
+      precision
+    };
+  }
+
+  /**
+   * Cap a calculated dose at maxDosePerAdministration
+   */
+  private applyCap(dose: Quantity): { dose: Quantity; capApplied: boolean } {
+    const max = this.state.constraints?.maxDosePerAdministration;
+    const maxInDoseUnit = this.getMaxDose(dose.unit);
+    if (!max || maxInDoseUnit === undefined) {
+      this.addAuditEntry('No maximum dose per administration configured');
+      return { dose, capApplied: false };
+    }
+
+    if (dose.value > maxInDoseUnit) {
+      this.addAuditEntry(
+        `Cap applied: ${dose.value} ${dose.unit} exceeds max ${max.value} ${max.unit}/dose; ` +
+        `using ${maxInDoseUnit} ${dose.unit}`
+      );
+      return { dose: { value: maxInDoseUnit, unit: dose.unit }, capApplied: true };
+    }
+
+    this.addAuditEntry(`Cap not applied: ${dose.value} ${dose.unit} is within max ${max.value} ${max.unit}/dose`);
+    return { dose, capApplied: false };
+  }
+
+  /**
+   * maxDosePerAdministration in the given unit
+   */
+  private getMaxDose(unit: string): number | undefined {
+    const max = this.state.constraints?.maxDosePerAdministration;
+    if (!max) {
+      return undefined;
+    }
+
+    return max.unit === unit
+      ? max.value
+      : this.weightConverter.convert(max.value, max.unit, unit).value;
+  }
+
+  /**
+   * Get mass-per-volume concentration for the product
+   */
+  private getConcentration(): Ratio | undefined {
+    const ratio = this.medication.concentrationRatio || this.medication.ingredient?.[0]?.strengthRatio;
+    if (ratio && VOLUME_UNITS.includes(ratio.denominator.unit)) {
+      return ratio;
+    }
+    return undefined;
+  }
+
+  /**
+   * Smallest volume the dispenser can measure
+   */
+  private getDeliveryPrecision(): number {
+    return this.medication.dispenserMetadata?.deliveryPrecision ||
+      this.medication.dosageConstraints?.step ||
+      DEFAULT_VOLUME_PRECISION;
+  }
+
+  /**
+   * Round a value to a multiple of the increment
+   */
+  private roundToIncrement(value: number, increment: number, mode: (x: number) => number): number {
+    const decimals = (increment.toString().split('.')[1] || '').length;
+    return Number((mode(value / increment + 1e-9) * increment).toFixed(decimals));
+  }
+
+  /**
+   * Round for display in the audit trail
+   */
+  private round(value: number, decimals: number): number {
+    return Number(value.toFixed(decimals));
+  }
+
+  /**
+   * Check for per-kg units such as 'mg/kg' or 'mcg/kg'
+   */
+  private isPerKgUnit(unit: string): boolean {
+    return /\/kg$/i.test(unit);
+  }
+
+  /**
+   * Serialize builder state with weight-based calculation
+   */
+  toJSON(): object {
+    const baseJson = super.toJSON() as Record<string, unknown>;
+
+    return {
+      ...baseJson,
+      builderType: 'WeightBasedDosingBuilder',
+      patientWeight: this.patient.weight,
+      dosePerKg: this.dosePerKg,
+      calculation: this.calculation
+    };
+  }
+}
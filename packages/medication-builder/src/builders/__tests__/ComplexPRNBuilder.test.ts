@@ -447,6 +447,27 @@ describe('ComplexPRNBuilder', () => {
     });
   });
 
+  // =============================================================================
+  // Patient Language Tests
+  // =============================================================================
+
+  describe('Patient Language', () => {
+    it('should render dose and frequency ranges in Spanish without English text', () => {
+      const [instruction] = builder
+        .buildDoseRange({ minValue: 1, maxValue: 2, unit: 'tablet' })
+        .buildFrequencyRange({ minFrequency: 4, maxFrequency: 6, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .buildLocale('es-US')
+        .getResult();
+
+      expect(instruction.text).toContain('Dose range: 1-2 tablet');
+      expect(instruction.patientInstructions).toBe(
+        'Tome 1-2 tabletas por vía oral 4 veces al día Rango de dosis: 1-2 tabletas.'
+      );
+      expect(instruction.patientInstructions).not.toMatch(/Dose range|tablets?\b|by mouth|times/);
+    });
+  });
+
   // =============================================================================
   // Validation Tests
   // =============================================================================
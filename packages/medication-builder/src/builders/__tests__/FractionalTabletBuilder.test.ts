@@ -273,6 +273,37 @@ describe('FractionalTabletBuilder', () => {
     });
   });
 
+  describe('Multi-Product Doses', () => {
+    const strengths = [
+      { strength: { value: 5, unit: 'mg' } },
+      { strength: { value: 2.5, unit: 'mg' } }
+    ];
+
+    it('should write a strength dose as a combination of products', () => {
+      const builder = new FractionalTabletBuilder(mockUnscoredMedication);
+      const instructions = builder
+        .buildAvailableStrengths(strengths)
+        .buildDose({ value: 7.5, unit: 'mg' })
+        .buildTiming({ frequency: 1, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .getResult();
+
+      const texts = instructions[0].additionalInstructions?.map(inst => inst.text);
+      expect(texts).toContain('Take one 5 mg tablet plus one 2.5 mg tablet');
+      expect(builder.explain()).toContain('Tablet combination for 7.5 mg: one 5 mg tablet plus one 2.5 mg tablet');
+    });
+
+    it('should reject a dose the available strengths cannot make', () => {
+      const builder = new FractionalTabletBuilder(mockUnscoredMedication)
+        .buildAvailableStrengths(strengths)
+        .buildDose({ value: 3, unit: 'mg' })
+        .buildTiming({ frequency: 1, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth');
+
+      expect(() => builder.getResult()).toThrow('No combination of 5 mg, 2.5 mg tablets makes 3 mg');
+    });
+  });
+
   describe('Validation Inheritance', () => {
     it('should inherit fractional validation from SimpleTabletBuilder', () => {
       const builder = new FractionalTabletBuilder(mockUnscoredMedication);
@@ -73,6 +73,16 @@ class MockSignatureBuilder implements ISignatureBuilder {
     return this;
   }
 
+  buildLocale(locale: string): ISignatureBuilder {
+    this.addAuditEntry(`Set patient locale: ${locale}`);
+    return this;
+  }
+
+  buildAllergyCheck(allergies: string[]): ISignatureBuilder {
+    this.addAuditEntry(`Allergy check: ${allergies.length} allergies`);
+    return this;
+  }
+
   getResult(): SignatureInstruction[] {
     // Simple implementation for testing
     if (!this.state.doses.length || !this.state.timing || !this.state.route) {
@@ -332,5 +342,14 @@ describe('Input validation functions', () => {
       expect(isValidTimingInput({ frequency: 1, period: 1, periodUnit: '' })).toBe(false);
       expect(isValidTimingInput(null as any)).toBe(false);
     });
+
+    it('should validate day-of-week and time-of-day schedules', () => {
+      expect(isValidTimingInput({ frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] })).toBe(true);
+      expect(isValidTimingInput({ frequency: 2, period: 1, periodUnit: 'd', timeOfDay: ['08:00', '20:00:00'] })).toBe(true);
+      expect(isValidTimingInput({ frequency: 1, period: 1, periodUnit: 'wk', dayOfWeek: ['monday'] as any })).toBe(false);
+      expect(isValidTimingInput({ frequency: 1, period: 1, periodUnit: 'wk', dayOfWeek: [] })).toBe(false);
+      expect(isValidTimingInput({ frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['8am'] })).toBe(false);
+      expect(isValidTimingInput({ frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['24:00'] })).toBe(false);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * InsulinSlidingScaleBuilder Tests
+ *
+ * Test suite for glucose-range insulin dosing and conditional instructions.
+ */
+
+import { InsulinSlidingScaleBuilder, SlidingScaleInput } from '../InsulinSlidingScaleBuilder';
+import { MedicationProfile } from '../../types/MedicationProfile';
+import { RelationshipType } from '../../types/SignatureInstruction';
+
+// Rapid-acting insulin, 100 units/mL
+const insulinLispro: MedicationProfile = {
+  id: 'test-insulin-lispro',
+  name: 'Insulin Lispro 100 units/mL',
+  type: 'medication',
+  isActive: true,
+  doseForm: 'Vial',
+  code: {
+    coding: [{
+      system: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+      code: '86009',
+      display: 'Insulin Lispro'
+    }]
+  },
+  ingredient: [{
+    name: 'Insulin Lispro',
+    strengthRatio: {
+      numerator: { value: 100, unit: 'unit' },
+      denominator: { value: 1, unit: 'mL' }
+    }
+  }]
+};
+
+const standardScale: SlidingScaleInput = {
+  glucoseUnit: 'mg/dL',
+  mealTiming: 'AC',
+  ranges: [
+    { min: 151, max: 200, dose: 2 },
+    { min: 70, max: 150, dose: 0 },
+    { min: 201, max: 250, dose: 4 },
+    { min: 251, dose: 6, instruction: 'Call provider if above 350 mg/dL' }
+  ]
+};
+
+describe('InsulinSlidingScaleBuilder', () => {
+  let builder: InsulinSlidingScaleBuilder;
+
+  beforeEach(() => {
+    builder = new InsulinSlidingScaleBuilder(insulinLispro);
+  });
+
+  describe('Sliding Scale Output', () => {
+    it('should produce one conditional instruction per range in glucose order', () => {
+      const result = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(result).toHaveLength(4);
+      expect(result.map(instruction => instruction.sequence)).toEqual([1, 2, 3, 4]);
+      expect(result.map(instruction => instruction.id)).toEqual([
+        'sliding-scale-1', 'sliding-scale-2', 'sliding-scale-3', 'sliding-scale-4'
+      ]);
+      result.forEach(instruction => {
+        expect(instruction.relationship?.type).toBe(RelationshipType.CONDITIONAL);
+      });
+    });
+
+    it('should render range text with the insulin template', () => {
+      const result = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(result[1].text).toBe('If blood glucose is 151-200 mg/dL: Inject 2 units subcutaneously before meals.');
+      expect(result[3].text).toBe('If blood glucose is 251 mg/dL or higher: Inject 6 units subcutaneously before meals.');
+    });
+
+    it('should say no insulin for zero-dose ranges', () => {
+      const result = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(result[0].text).toBe('If blood glucose is 70-150 mg/dL: no insulin.');
+      expect(result[0].doseAndRate?.[0].doseQuantity?.value).toBe(0);
+    });
+
+    it('should carry the condition on the relationship and asNeeded', () => {
+      const result = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(result[2].relationship?.condition).toBe('blood glucose 201-250 mg/dL');
+      expect(result[2].asNeeded?.text).toBe('blood glucose 201-250 mg/dL');
+      expect(result[3].asNeeded?.text).toBe('blood glucose >= 251 mg/dL');
+    });
+
+    it('should set meal timing and subcutaneous route', () => {
+      const result = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(result[1].timing?.repeat).toMatchObject({ frequency: 3, period: 1, periodUnit: 'd', when: ['AC'] });
+      expect(result[1].route?.coding[0].code).toBe('34206005');
+      expect(result[1].doseAndRate?.[0].doseQuantity).toEqual({ value: 2, unit: 'unit' });
+    });
+
+    it('should add range notes and the correction factor', () => {
+      const result = builder.buildSlidingScale({
+        ...standardScale,
+        correctionFactor: { units: 1, per: 50, above: 150 }
+      }).getResult();
+
+      const notes = result[3].additionalInstructions?.map(instruction => instruction.text);
+      expect(notes).toContain('Call provider if above 350 mg/dL');
+      expect(notes).toContain('Correction: add 1 unit for every 50 mg/dL above 150 mg/dL');
+    });
+
+    it('should render patient instructions in the patient locale', () => {
+      builder.buildLocale('es-US');
+      const instructions = builder.buildSlidingScale(standardScale).getResult();
+
+      expect(instructions[1].patientInstructions).toBe(
+        'Si su glucosa en sangre está entre 151 y 200 mg/dL: Inyecte 2 unidades por vía subcutánea antes de las comidas.'
+      );
+    });
+
+    it('should apply the max daily dose to every range', () => {
+      builder.buildSlidingScale(standardScale);
+      builder.buildMaxDailyDoseConstraint({ maxDosePerDay: { value: 30, unit: 'unit' } });
+
+      builder.getResult().forEach(instruction => {
+        expect(instruction.maxDosePerPeriod?.numerator.value).toBe(30);
+      });
+    });
+
+    it('should emit conditionals from buildConditionalLogic after the ranges', () => {
+      builder.buildSlidingScale(standardScale);
+      builder.buildConditionalLogic({
+        condition: 'blood glucose below 70 mg/dL',
+        ifTrue: [{ text: 'Treat hypoglycemia and recheck in 15 minutes' }],
+        ifFalse: [{ text: 'Continue sliding scale' }]
+      });
+
+      const result = builder.getResult();
+
+      expect(result).toHaveLength(6);
+      expect(result[4]).toMatchObject({
+        sequence: 5,
+        text: 'Treat hypoglycemia and recheck in 15 minutes',
+        relationship: { type: RelationshipType.CONDITIONAL, condition: 'blood glucose below 70 mg/dL' }
+      });
+      expect(result[5].relationship?.condition).toBe('not blood glucose below 70 mg/dL');
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject overlapping ranges', () => {
+      expect(() => builder.buildSlidingScale({
+        ...standardScale,
+        ranges: [
+          { min: 70, max: 150, dose: 0 },
+          { min: 150, max: 200, dose: 2 }
+        ]
+      })).toThrow('Ranges 70-150 mg/dL and 150-200 mg/dL overlap');
+    });
+
+    it('should reject gaps between ranges', () => {
+      expect(() => builder.buildSlidingScale({
+        ...standardScale,
+        ranges: [
+          { min: 70, max: 150, dose: 0 },
+          { min: 160, max: 200, dose: 2 }
+        ]
+      })).toThrow('Gap between ranges 70-150 mg/dL and 160-200 mg/dL');
+    });
+
+    it('should accept adjacent mmol/L ranges one tenth apart', () => {
+      expect(InsulinSlidingScaleBuilder.validateSlidingScale({
+        glucoseUnit: 'mmol/L',
+        mealTiming: 'HS',
+        ranges: [
+          { min: 4, max: 8.3, dose: 0 },
+          { min: 8.4, max: 11.1, dose: 2 },
+          { min: 11.2, dose: 4 }
+        ]
+      })).toEqual([]);
+    });
+
+    it('should only allow the highest range to be open-ended', () => {
+      const errors = InsulinSlidingScaleBuilder.validateSlidingScale({
+        ...standardScale,
+        ranges: [
+          { min: 70, dose: 0 },
+          { min: 151, max: 200, dose: 2 }
+        ]
+      });
+
+      expect(errors).toContain('Only the highest range may be open-ended (>= 70 mg/dL)');
+    });
+
+    it('should reject negative doses', () => {
+      expect(() => builder.buildSlidingScale({
+        ...standardScale,
+        ranges: [{ min: 70, max: 150, dose: -1 }]
+      })).toThrow('invalid dose');
+    });
+
+    it('should require a sliding scale before getResult', () => {
+      expect(builder.validateComplexRegimen()).toEqual(['No sliding scale configured']);
+      expect(() => builder.getResult()).toThrow('No sliding scale configured');
+    });
+  });
+});
@@ -425,6 +425,80 @@ describe('SimpleLiquidBuilder', () => {
     });
   });
 
+  describe('Reconstitution', () => {
+    let hcgVial: MedicationProfile;
+
+    beforeEach(() => {
+      hcgVial = {
+        id: 'hcg-10000',
+        name: 'HCG 10,000 IU Vial',
+        type: 'medication',
+        isActive: true,
+        doseForm: 'Vial',
+        code: {
+          coding: [{ display: 'Chorionic Gonadotropin 10,000 IU' }]
+        },
+        ingredient: [{
+          name: 'Chorionic Gonadotropin',
+          strengthRatio: {
+            numerator: { value: 10000, unit: 'IU' },
+            denominator: { value: 1, unit: 'vial' }
+          }
+        }],
+        reconstitution: {
+          powderAmount: { value: 10000, unit: 'IU' },
+          diluentVolume: { value: 5, unit: 'mL' },
+          diluent: 'bacteriostatic water',
+          stability: { duration: { value: 60, unit: 'days' }, storage: 'refrigerated' }
+        }
+      };
+    });
+
+    it('should render the mixing step and draw volume', () => {
+      const [instruction] = new SimpleLiquidBuilder(hcgVial)
+        .buildDose({ value: 500, unit: 'IU' })
+        .buildTiming({ frequency: 3, period: 1, periodUnit: 'wk' })
+        .buildRoute('subcutaneously')
+        .getResult();
+
+      expect(instruction.text).toContain('Add 5 mL bacteriostatic water; inject 0.25 mL (500 IU) subcutaneously');
+      expect(instruction.doseAndRate?.[0].doseQuantity).toEqual({ value: 500, unit: 'IU' });
+      expect(instruction.additionalInstructions).toContainEqual({
+        text: 'Use within 60 days of mixing; store refrigerated'
+      });
+    });
+
+    it('should show the full calculation in explain()', () => {
+      const builder = new SimpleLiquidBuilder(hcgVial)
+        .buildDose({ value: 500, unit: 'IU' })
+        .buildTiming({ frequency: 3, period: 1, periodUnit: 'wk' })
+        .buildRoute('subcutaneously');
+      builder.getResult();
+
+      const explanation = builder.explain();
+      expect(explanation).toContain('Concentration: 10000 IU ÷ 5 mL = 2000 IU/mL');
+      expect(explanation).toContain('Draw volume: 500 IU ÷ 2000 IU/mL = 0.25 mL');
+      expect(explanation).toContain('Doses per vial: 5 mL ÷ 0.25 mL = 20');
+    });
+
+    it('should render the mixing step in the patient language', () => {
+      const [instruction] = new SimpleLiquidBuilder(hcgVial)
+        .buildLocale('es-US')
+        .buildDose({ value: 500, unit: 'IU' })
+        .buildTiming({ frequency: 3, period: 1, periodUnit: 'wk' })
+        .buildRoute('subcutaneously')
+        .getResult();
+
+      expect(instruction.patientInstructions).toContain('Agregue 5 mL de agua bacteriostática; inyecte 0.25 mL (500 IU)');
+    });
+
+    it('should reject a dose that cannot be measured from the vial', () => {
+      const builder = new SimpleLiquidBuilder(hcgVial);
+
+      expect(() => builder.buildDose({ value: 5, unit: 'mg' })).toThrow('Cannot convert mg to IU');
+    });
+  });
+
   describe('Serialization', () => {
     let builder: SimpleLiquidBuilder;
 
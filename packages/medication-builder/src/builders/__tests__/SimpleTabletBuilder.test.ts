@@ -355,6 +355,131 @@ describe('SimpleTabletBuilder', () => {
     });
   });
 
+  describe('Patient Locale', () => {
+    let builder: SimpleTabletBuilder;
+
+    beforeEach(() => {
+      builder = new SimpleTabletBuilder(mockMedication);
+    });
+
+    it('should add Spanish patientInstructions alongside English text', () => {
+      const [instruction] = builder
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 2, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .buildLocale('es-US')
+        .getResult();
+
+      expect(instruction.text).toBe('Take 1 tablet by mouth twice daily.');
+      expect(instruction.patientInstructions).toBe('Tome 1 tableta por vía oral dos veces al día.');
+      expect(builder.explain()).toContain('Set patient locale: es-US');
+    });
+
+    it('should omit patientInstructions for en-US', () => {
+      const [instruction] = builder
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 2, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .buildLocale('en-US')
+        .getResult();
+
+      expect(instruction.patientInstructions).toBeUndefined();
+    });
+
+    it('should reject unsupported locales', () => {
+      expect(() => builder.buildLocale('fr-FR')).toThrow('Unsupported locale: fr-FR');
+    });
+  });
+
+  describe('Weekday and Time-of-Day Schedules', () => {
+    it('should emit dayOfWeek and render the weekdays', () => {
+      const [instruction] = new SimpleTabletBuilder(mockMedication)
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] })
+        .buildRoute('by mouth')
+        .getResult();
+
+      expect(instruction.text).toBe('Take 1 tablet by mouth twice weekly on Mondays and Thursdays.');
+      expect(instruction.timing?.repeat?.dayOfWeek).toEqual(['mon', 'thu']);
+    });
+
+    it('should emit timeOfDay as FHIR time and render the clock times', () => {
+      const [instruction] = new SimpleTabletBuilder(mockMedication)
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 2, period: 1, periodUnit: 'd', timeOfDay: ['08:00', '20:00'] })
+        .buildRoute('by mouth')
+        .buildLocale('es-US')
+        .getResult();
+
+      expect(instruction.text).toBe('Take 1 tablet by mouth twice daily at 08:00 and 20:00.');
+      expect(instruction.patientInstructions).toBe('Tome 1 tableta por vía oral dos veces al día a las 08:00 y 20:00.');
+      expect(instruction.timing?.repeat?.timeOfDay).toEqual(['08:00:00', '20:00:00']);
+    });
+
+    it('should reject unknown day codes', () => {
+      expect(() => new SimpleTabletBuilder(mockMedication)
+        .buildTiming({ frequency: 1, period: 1, periodUnit: 'wk', dayOfWeek: ['monday' as any] })
+      ).toThrow('Invalid timing input');
+    });
+  });
+
+  describe('Cyclic Regimens', () => {
+    it('should bound the repeat to the on days and describe the cycle', () => {
+      const [instruction] = new SimpleTabletBuilder(mockMedication)
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 1, period: 1, periodUnit: 'd', cycle: { daysOn: 5, daysOff: 2 } })
+        .buildRoute('by mouth')
+        .getResult();
+
+      expect(instruction.text).toBe('Take 1 tablet by mouth once daily for 5 days, then stop for 2 days; repeat.');
+      expect(instruction.timing?.repeat?.boundsDuration).toEqual({ value: 5, unit: 'd' });
+      expect(instruction.timing?.code?.coding?.[0].code).toBe('5-on-2-off');
+    });
+
+    it('should reject invalid cycles', () => {
+      expect(() => new SimpleTabletBuilder(mockMedication)
+        .buildTiming({ frequency: 1, period: 1, periodUnit: 'd', cycle: { daysOn: 0, daysOff: 2 } })
+      ).toThrow();
+    });
+  });
+
+  describe('Allergy Check', () => {
+    it('should add coded allergy alerts as additional instructions', () => {
+      const amoxicillin = {
+        ...mockMedication,
+        name: 'Amoxicillin 500 MG Oral Capsule',
+        ingredient: [{ name: 'Amoxicillin', strengthRatio: { numerator: { value: 500, unit: 'mg' }, denominator: { value: 1, unit: 'capsule' } } }]
+      };
+      const builder = new SimpleTabletBuilder(amoxicillin);
+      const [instruction] = builder
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 3, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .buildAllergyCheck(['Penicillin'])
+        .getResult();
+
+      expect(builder.getAllergyAlerts()[0]).toMatchObject({
+        matchType: 'drug-class',
+        severity: 'contraindicated',
+        allergyClass: 'penicillins'
+      });
+      expect(instruction.additionalInstructions?.[0].coding?.[0].code)
+        .toBe('drug-class:penicillin:amoxicillin');
+      expect(builder.explain()).toContain('Allergy check: 1 alert(s) for 1 allergies');
+    });
+
+    it('should not add alerts when nothing matches', () => {
+      const [instruction] = new SimpleTabletBuilder(mockMedication)
+        .buildDose({ value: 1, unit: 'tablet' })
+        .buildTiming({ frequency: 2, period: 1, periodUnit: 'd' })
+        .buildRoute('by mouth')
+        .buildAllergyCheck(['sulfa'])
+        .getResult();
+
+      expect(instruction.additionalInstructions).toBeUndefined();
+    });
+  });
+
   describe('Serialization', () => {
     let builder: SimpleTabletBuilder;
 
@@ -288,6 +288,16 @@ describe('TaperingDoseBuilder', () => {
       expect(relationships[0].relationshipType).toBe(RelationshipType.SEQUENTIAL);
     });
 
+    it('should link each phase instruction to the one before it', () => {
+      const complexResult = builder.getComplexResult();
+
+      expect(complexResult[0].relationship).toBeUndefined();
+      expect(complexResult[1].relationship).toEqual({
+        type: RelationshipType.SEQUENTIAL,
+        targetId: complexResult[0].id
+      });
+    });
+
     it('should include tapering schedule overview', () => {
       const complexResult = builder.getComplexResult();
       const additionalTexts = complexResult[0].additionalInstructions?.map(inst => inst.text).filter(Boolean) || [];
@@ -308,6 +318,27 @@ describe('TaperingDoseBuilder', () => {
     });
   });
 
+  describe('Multi-Product Phases', () => {
+    it('should make each phase dose from the available strengths', () => {
+      const instructions = builder
+        .buildAvailableStrengths([
+          { strength: { value: 5, unit: 'mg' } },
+          { strength: { value: 2.5, unit: 'mg' } }
+        ])
+        .buildSequentialInstructions([
+          { ...standardTaperingPhases[2], dose: { value: 12.5, unit: 'mg' } },
+          { ...standardTaperingPhases[3], dose: { value: 7.5, unit: 'mg' } }
+        ])
+        .getComplexResult();
+
+      const textsFor = (index: number) => instructions[index].additionalInstructions?.map(inst => inst.text);
+      expect(instructions[0].text).toContain('12.5 mg');
+      expect(textsFor(0)).toContain('Take two 5 mg tablets plus one 2.5 mg tablet');
+      expect(instructions[1].text).toContain('7.5 mg');
+      expect(textsFor(1)).toContain('Take one 5 mg tablet plus one 2.5 mg tablet');
+    });
+  });
+
   // =============================================================================
   // Monitoring and Safety Tests
   // =============================================================================
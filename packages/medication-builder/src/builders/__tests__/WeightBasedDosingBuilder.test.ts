@@ -0,0 +1,174 @@
+import { WeightBasedDosingBuilder } from '../WeightBasedDosingBuilder';
+import { MedicationProfile } from '../../types/MedicationProfile';
+import { PatientContext } from '../../types/MedicationRequestContext';
+
+describe('WeightBasedDosingBuilder', () => {
+  let acetaminophen: MedicationProfile;
+  let child: PatientContext;
+
+  beforeEach(() => {
+    acetaminophen = {
+      id: 'apap-susp',
+      name: 'Acetaminophen 160 mg/5 mL Oral Suspension',
+      type: 'medication',
+      isActive: true,
+      doseForm: 'Suspension',
+      code: { coding: [{ display: 'Acetaminophen 160 MG in 5 mL Oral Suspension' }] },
+      ingredient: [{
+        name: 'Acetaminophen',
+        strengthRatio: {
+          numerator: { value: 160, unit: 'mg' },
+          denominator: { value: 5, unit: 'mL' }
+        }
+      }],
+      concentrationRatio: {
+        numerator: { value: 160, unit: 'mg' },
+        denominator: { value: 5, unit: 'mL' }
+      }
+    };
+
+    child = { id: 'peds-1', age: 6, weight: { value: 20, unit: 'kg' } };
+  });
+
+  function buildResult(builder: WeightBasedDosingBuilder) {
+    return builder
+      .buildDose({ value: 15, unit: 'mg/kg' })
+      .buildTiming({ frequency: 1, period: 6, periodUnit: 'h' })
+      .buildRoute('by mouth')
+      .buildConstraints({ maxDosePerAdministration: { value: 1000, unit: 'mg' } })
+      .getResult();
+  }
+
+  describe('Constructor', () => {
+    it('should require patient weight', () => {
+      expect(() => new WeightBasedDosingBuilder(acetaminophen, { id: 'p', age: 30 }))
+        .toThrow('Weight-based dosing requires patient weight');
+    });
+  });
+
+  describe('Dose Calculation', () => {
+    it('should compute the absolute dose and round the volume to dispenser precision', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      const [instruction] = buildResult(builder);
+      const calculation = builder.getCalculation()!;
+
+      expect(calculation.weightKg).toBe(20);
+      expect(calculation.calculatedDose).toEqual({ value: 300, unit: 'mg' });
+      expect(calculation.capApplied).toBe(false);
+      // 300 mg / 32 mg/mL = 9.375 mL, rounded to the default 0.1 mL
+      expect(calculation.measuredDose).toEqual({ value: 9.4, unit: 'mL' });
+      expect(instruction.doseAndRate?.[0].doseQuantity).toEqual({ value: 9.4, unit: 'mL' });
+    });
+
+    it('should cap at maxDosePerAdministration and round down', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, { ...child, weight: { value: 80, unit: 'kg' } });
+      buildResult(builder);
+      const calculation = builder.getCalculation()!;
+
+      expect(calculation.calculatedDose.value).toBe(1200);
+      expect(calculation.capApplied).toBe(true);
+      expect(calculation.cappedDose).toEqual({ value: 1000, unit: 'mg' });
+      // 1000 mg / 32 mg/mL = 31.25 mL; nearest 0.1 would exceed the cap
+      expect(calculation.measuredDose.value).toBe(31.2);
+    });
+
+    it('should round down when rounding would exceed an uncapped dose', () => {
+      const concentrate: MedicationProfile = {
+        ...acetaminophen,
+        concentrationRatio: {
+          numerator: { value: 150, unit: 'mg' },
+          denominator: { value: 1, unit: 'mL' }
+        },
+        dispenserMetadata: { type: 'Oral syringe', deliveryPrecision: 1 }
+      };
+      const builder = new WeightBasedDosingBuilder(concentrate, { ...child, weight: { value: 66, unit: 'kg' } });
+      builder
+        .buildDose({ value: 15, unit: 'mg/kg' })
+        .buildTiming({ frequency: 1, period: 6, periodUnit: 'h' })
+        .buildRoute('by mouth')
+        .buildConstraints({ maxDosePerAdministration: { value: 1, unit: 'g' } })
+        .getResult();
+      const calculation = builder.getCalculation()!;
+
+      expect(calculation.calculatedDose.value).toBe(990);
+      expect(calculation.capApplied).toBe(false);
+      // 990 mg / 150 mg/mL = 6.6 mL; 7 mL would deliver 1050 mg
+      expect(calculation.measuredDose.value).toBe(6);
+    });
+
+    it('should accept weights in pounds', () => {
+      for (const unit of ['[lb_av]', 'lb']) {
+        const builder = new WeightBasedDosingBuilder(acetaminophen, { ...child, weight: { value: 44, unit } });
+        buildResult(builder);
+        const calculation = builder.getCalculation()!;
+
+        expect(calculation.weightKg).toBeCloseTo(19.958, 3);
+        // 299.37 mg / 32 mg/mL = 9.355 mL
+        expect(calculation.measuredDose.value).toBe(9.4);
+      }
+    });
+
+    it('should use the dispenser delivery precision', () => {
+      acetaminophen.dispenserMetadata = { type: 'Oral syringe', deliveryPrecision: 0.5 };
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      buildResult(builder);
+
+      expect(builder.getCalculation()!.measuredDose.value).toBe(9.5);
+    });
+
+    it('should pass non per-kg doses through unchanged', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      const [instruction] = builder
+        .buildDose({ value: 5, unit: 'mL' })
+        .buildTiming({ frequency: 1, period: 6, periodUnit: 'h' })
+        .buildRoute('by mouth')
+        .getResult();
+
+      expect(builder.getCalculation()).toBeUndefined();
+      expect(instruction.doseAndRate?.[0].doseQuantity).toEqual({ value: 5, unit: 'mL' });
+    });
+  });
+
+  describe('Audit Trail', () => {
+    it('should explain weight, per-kg dose, cap and rounding', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, { ...child, weight: { value: 80, unit: 'kg' } });
+      buildResult(builder);
+      const explanation = builder.explain();
+
+      expect(explanation).toContain('Patient weight: 80 kg = 80 kg');
+      expect(explanation).toContain('Per-kg dose: 15 mg/kg × 80 kg = 1200 mg');
+      expect(explanation).toContain('Cap applied: 1200 mg exceeds max 1000 mg/dose');
+      expect(explanation).toContain('Rounded 31.25 mL down to stay within the cap to 31.2 mL');
+    });
+
+    it('should explain the calculation before the result is generated', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      builder
+        .buildDose({ value: 15, unit: 'mg/kg' })
+        .buildConstraints({ maxDosePerAdministration: { value: 1000, unit: 'mg' } });
+
+      expect(builder.explain()).toContain('Per-kg dose: 15 mg/kg × 20 kg = 300 mg');
+    });
+
+    it('should record the calculation once', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      buildResult(builder);
+      builder.explain();
+      builder.getResult();
+
+      const entries = builder.explain().split('\n').filter(entry => entry.includes('Per-kg dose'));
+      expect(entries).toHaveLength(1);
+    });
+
+    it('should recalculate when the cap changes', () => {
+      const builder = new WeightBasedDosingBuilder(acetaminophen, child);
+      buildResult(builder);
+      builder.buildConstraints({ maxDosePerAdministration: { value: 160, unit: 'mg' } });
+
+      const [instruction] = builder.getResult();
+
+      expect(builder.getCalculation()!.cappedDose).toEqual({ value: 160, unit: 'mg' });
+      expect(instruction.doseAndRate?.[0].doseQuantity).toEqual({ value: 5, unit: 'mL' });
+    });
+  });
+});
@@ -50,15 +50,22 @@ export { SimpleLiquidBuilder } from './SimpleLiquidBuilder';
 export { FractionalTabletBuilder } from './FractionalTabletBuilder';
 export { TopiclickBuilder } from './TopiclickBuilder';
 export { NasalSprayBuilder } from './NasalSprayBuilder';
+export { WeightBasedDosingBuilder } from './WeightBasedDosingBuilder';
+export type { WeightBasedDoseCalculation } from './WeightBasedDosingBuilder';
 
 // Complex regimen builders (Epic 5)
 export { MultiIngredientBuilder } from './MultiIngredientBuilder';
 export { ComplexPRNBuilder } from './ComplexPRNBuilder';
 export { TaperingDoseBuilder } from './TaperingDoseBuilder';
+export { InsulinSlidingScaleBuilder } from './InsulinSlidingScaleBuilder';
+export type {
+  GlucoseUnit,
+  InsulinMealTiming,
+  GlucoseRange,
+  CorrectionFactor,
+  SlidingScaleInput
+} from './InsulinSlidingScaleBuilder';
 
-/**
- * Factory function to create appropriate builder based on medication
- */
 import { MedicationProfile } from '../types/MedicationProfile';
 import { ISignatureBuilder } from './ISignatureBuilder';
 import { isMultiIngredient } from '../lib/signature';
@@ -70,8 +77,38 @@ import { NasalSprayBuilder } from './NasalSprayBuilder';
 import { MultiIngredientBuilder } from './MultiIngredientBuilder';
 import { ComplexPRNBuilder } from './ComplexPRNBuilder';
 import { TaperingDoseBuilder } from './TaperingDoseBuilder';
+import type { AllergyChecker } from '../lib/allergies/AllergyChecker';
 
-export function createBuilder(medication: MedicationProfile): ISignatureBuilder {
+/**
+ * Options for createBuilder
+ */
+export interface CreateBuilderOptions {
+  /** Patient locale for patientInstructions (e.g., 'es-US') */
+  locale?: string;
+  /** Patient allergies to check the medication against */
+  allergies?: string[];
+  /** Allergy checker to use (defaults to the bundled rules) */
+  allergyChecker?: AllergyChecker;
+}
+
+/**
+ * Factory function to create appropriate builder based on medication
+ */
+export function createBuilder(medication: MedicationProfile, options: CreateBuilderOptions = {}): ISignatureBuilder {
+  let builder = selectBuilder(medication);
+  if (options.locale) {
+    builder = builder.buildLocale(options.locale);
+  }
+  if (options.allergies?.length) {
+    builder = builder.buildAllergyCheck(options.allergies, options.allergyChecker);
+  }
+  return builder;
+}
+
+/**
+ * Select the builder class for a medication's dose form and dispenser
+ */
+function selectBuilder(medication: MedicationProfile): ISignatureBuilder {
   const doseForm = medication.doseForm?.toLowerCase() || '';
   
   // Check for multi-ingredient medications first
@@ -8,9 +8,86 @@ export { calculateDaysSupply } from './lib/calculations';
 export { generateSignature } from './lib/signature';
 
 // Utility exports
-export { UnitConverter } from './lib/units';
+export { UnitConverter, Rational } from './lib/units';
+export { SYRINGE_UNITS, isSyringeUnit } from './lib/units/syringe-units';
 export { TemplateEngine } from './lib/templates/TemplateEngine';
 export { StrategyDispatcher } from './lib/dispatcher/StrategyDispatcher';
+export { ConversionTracer } from './lib/tracing/ConversionTracer';
+export { OtlpSpanExporter } from './lib/tracing/OtlpSpanExporter';
+export {
+  InMemorySpanSink,
+  FileSpanSink,
+  HttpSpanSink,
+  DEFAULT_OTLP_ENDPOINT
+} from './lib/tracing/span-sinks';
+export { SigParser, parseSig } from './lib/parsing/SigParser';
+export {
+  MedicationRequestExporter,
+  exportMedicationRequest,
+  exportTaperingBundle
+} from './lib/fhir/MedicationRequestExporter';
+export { NewRxSerializer, serializeNewRx } from './lib/ncpdp/NewRxSerializer';
+export { ScriptMessageParser, parseScriptMessage } from './lib/ncpdp/ScriptMessageParser';
+export {
+  InteractionScreener,
+  interactionScreener,
+  screenInteractions
+} from './lib/interactions/InteractionScreener';
+export { UnacknowledgedInteractionError } from './lib/interactions/errors';
+export { AllergyChecker, allergyChecker, checkAllergies } from './lib/allergies/AllergyChecker';
+export {
+  CumulativeExposureCalculator,
+  calculateCumulativeExposure,
+  DEFAULT_CUMULATIVE_LIMITS
+} from './lib/exposure/CumulativeExposureCalculator';
+export {
+  AdministrationScheduler,
+  administrationScheduler,
+  generateAdministrationSchedule,
+  scheduleToJSON,
+  DEFAULT_DOSE_TIMES
+} from './lib/schedule/AdministrationScheduler';
+export { toICalendar } from './lib/schedule/ical';
+export {
+  InjectionSiteRotation,
+  injectionSiteRotation,
+  planInjectionSites,
+  formatRotationChart
+} from './lib/injection-sites/InjectionSiteRotation';
+export { INJECTION_SITES, getInjectionSite } from './lib/injection-sites/sites';
+export {
+  ReconstitutionCalculator,
+  reconstitutionCalculator,
+  calculateReconstitution
+} from './lib/reconstitution/ReconstitutionCalculator';
+export {
+  TabletCombinationSolver,
+  tabletCombinationSolver,
+  findTabletCombination
+} from './lib/tablet-combinations/TabletCombinationSolver';
+export {
+  DispenseQuantityCalculator,
+  dispenseQuantityCalculator,
+  calculateDispenseQuantity
+} from './lib/strategies/days-supply/DispenseQuantityCalculator';
+export {
+  StrategyDefinitionLoader,
+  strategyDefinitionLoader,
+  loadStrategyDefinitions,
+  validateStrategyDefinitions,
+  StrategyDefinitionError
+} from './lib/strategies/declarative';
+export {
+  ProductCatalog,
+  SkuStrategy,
+  registerProductCatalog
+} from './lib/catalog';
+export {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  localizeFrequency
+} from './lib/templates/locales';
 
 // Re-export all types and interfaces
 export type {
@@ -19,6 +96,120 @@ export type {
   SignatureResult
 } from './types';
 
+export type {
+  SigParseResult,
+  ParsedSigSegment,
+  ParsedField
+} from './lib/parsing/types';
+
+export type {
+  FHIRMedicationRequest,
+  FHIRMedication,
+  FHIRDosage,
+  FHIRBundle,
+  FHIRBundleEntry,
+  MedicationRequestExportOptions
+} from './lib/fhir/types';
+
+export type {
+  NewRxSerializationOptions,
+  ParsedNCPDPMessage,
+  ParsedNCPDPMedication,
+  NCPDPChangeRequestType
+} from './lib/ncpdp/types';
+
+export type {
+  InteractionSeverity,
+  InteractionRule,
+  InteractionKnowledgeBase,
+  InteractionAlert,
+  InteractionScreeningOptions
+} from './lib/interactions/types';
+
+export type {
+  AllergyMatchType,
+  AllergyAlertSeverity,
+  CrossReactivityRule,
+  AllergyRules,
+  AllergyAlert
+} from './lib/allergies/types';
+
+export type {
+  ActiveOrder,
+  CumulativeDoseLimit,
+  CumulativeExposureOptions,
+  CumulativeExposureReport,
+  IngredientExposure,
+  ExposureContribution,
+  CumulativeDoseBreach
+} from './lib/exposure/types';
+
+export type {
+  ScheduleOptions,
+  AdministrationEvent,
+  PrnAllowance,
+  AdministrationSchedule,
+  ICalendarOptions
+} from './lib/schedule/types';
+
+export type {
+  InjectionRoute,
+  BodySide,
+  InjectionSiteDefinition,
+  InjectionSiteUse,
+  RotationOptions,
+  PlannedInjectionSite,
+  RotationPlan
+} from './lib/injection-sites/types';
+
+export type { ReconstitutionCalculation } from './lib/reconstitution/types';
+
+export type {
+  TabletProduct,
+  TabletCombinationPreference,
+  TabletCombinationPart,
+  TabletCombination
+} from './lib/tablet-combinations/types';
+
+export type {
+  DispenseRegimen,
+  DispenseRounding,
+  DispenseQuantityResult
+} from './lib/strategies/days-supply/types';
+
+export type { SyringeUnit, TickRounding } from './lib/units/syringe-units';
+
+export type {
+  StrategySelectionAudit,
+  DispatchPhase
+} from './lib/dispatcher/StrategyDispatcher';
+
+export type {
+  OtlpSpan,
+  OtlpExportRequest,
+  OtlpExporterOptions,
+  SpanSink
+} from './lib/tracing/types';
+
+export type {
+  StrategyDefinitionDocument,
+  StrategyDefinition,
+  ModifierDefinition,
+  DefinitionIssue,
+  LoadedStrategies
+} from './lib/strategies/declarative';
+
+export type {
+  VendorProduct,
+  VendorCatalog,
+  CatalogProduct
+} from './lib/catalog';
+
+export type {
+  SupportedLocale,
+  LocaleVocabulary
+} from './lib/templates/locales';
+
 export type {
   MedicationProfile,
   ScoringType,
@@ -30,6 +221,7 @@ export type {
   CustomConversion,
   MolarMass,
   DispenserMetadata,
+  ReconstitutionInfo,
   PackageInfo,
   DispenserInfo,
   DosageConstraints,
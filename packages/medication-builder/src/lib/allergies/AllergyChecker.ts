@@ -0,0 +1,192 @@
+/**
+ * Allergy Checker
+ *
+ * Checks a medication's ingredients against the patient's allergy list
+ * by direct ingredient match, shared drug class and class-level
+ * cross-reactivity rules loaded from a local rules file.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationProfile } from '../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { AdditionalInstruction } from '../../types/SignatureInstruction';
+import { AllergyAlert, AllergyMatchType, AllergyAlertSeverity, AllergyRules } from './types';
+import defaultRules from './allergy-rules.json';
+
+export class AllergyChecker {
+  private rules!: AllergyRules;
+  private classByIngredient = new Map<string, string>();
+
+  constructor(rules: AllergyRules = defaultRules as AllergyRules) {
+    this.loadRules(rules);
+  }
+
+  /**
+   * Replaces the allergy rules
+   *
+   * @throws {Error} When a cross-reactivity rule or alias names an unknown class
+   */
+  loadRules(rules: AllergyRules): void {
+    const classNames = Object.keys(rules.drugClasses);
+
+    for (const [alias, drugClass] of Object.entries(rules.aliases)) {
+      if (!classNames.includes(drugClass)) {
+        throw new Error(`Allergy alias "${alias}" refers to unknown drug class "${drugClass}"`);
+      }
+    }
+    for (const rule of rules.crossReactivity) {
+      for (const drugClass of [rule.from, rule.to]) {
+        if (!classNames.includes(drugClass)) {
+          throw new Error(`Cross-reactivity rule refers to unknown drug class "${drugClass}"`);
+        }
+      }
+    }
+
+    const index = new Map<string, string>();
+    for (const [drugClass, members] of Object.entries(rules.drugClasses)) {
+      for (const member of members) {
+        index.set(normalize(member), drugClass);
+      }
+    }
+
+    this.rules = rules;
+    this.classByIngredient = index;
+  }
+
+  /**
+   * Rules file version in use
+   */
+  getRulesVersion(): string {
+    return this.rules.version;
+  }
+
+  /**
+   * Checks a medication against a list of allergies
+   *
+   * @param medication - Medication being prescribed
+   * @param allergies - Allergies as recorded for the patient
+   * @returns Alerts, contraindications first
+   */
+  check(medication: MedicationProfile, allergies: string[] = []): AllergyAlert[] {
+    const alerts: AllergyAlert[] = [];
+
+    for (const allergy of allergies) {
+      const allergyName = normalize(allergy);
+      if (!allergyName) continue;
+      const allergyClass = this.resolveAllergyClass(allergyName);
+
+      for (const { name } of medication.ingredient || []) {
+        const ingredient = normalize(name);
+        const ingredientClass = this.findIngredientClass(ingredient);
+        const base = { allergy, ingredient, allergyClass, ingredientClass };
+
+        if (matchesName(ingredient, allergyName) || matchesName(allergyName, ingredient)) {
+          alerts.push(this.createAlert('ingredient', 'contraindicated', base,
+            `Patient is allergic to ${ingredient}`));
+        } else if (allergyClass && ingredientClass === allergyClass) {
+          alerts.push(this.createAlert('drug-class', 'contraindicated', base,
+            `${ingredient} is in the ${allergyClass} class`));
+        } else if (allergyClass && ingredientClass) {
+          const rule = this.rules.crossReactivity.find(
+            r => r.from === allergyClass && r.to === ingredientClass
+          );
+          if (rule) {
+            alerts.push(this.createAlert('cross-reactivity', rule.severity, base,
+              `${allergyClass} → ${ingredientClass}: ${rule.basis}`));
+          }
+        }
+      }
+    }
+
+    return alerts.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+  }
+
+  /**
+   * Checks a request context's medication against the patient's allergies
+   */
+  checkContext(context: MedicationRequestContext): AllergyAlert[] {
+    if (!context.medication) return [];
+    return this.check(context.medication, context.patient?.allergies);
+  }
+
+  /**
+   * Formats alerts as coded additional instructions
+   */
+  toAdditionalInstructions(alerts: AllergyAlert[]): AdditionalInstruction[] {
+    return alerts.map(alert => ({
+      coding: [{
+        system: 'urn:medication-builder:allergy',
+        code: alert.code,
+        display: alert.severity
+      }],
+      text: `Allergy alert (${alert.severity}): ${alert.allergy} allergy; ${alert.basis}`
+    }));
+  }
+
+  /**
+   * Drug class for an allergy entry: alias, class name or class member
+   */
+  private resolveAllergyClass(allergy: string): string | undefined {
+    const aliases = this.rules.aliases;
+    if (aliases[allergy]) return aliases[allergy];
+    if (this.rules.drugClasses[allergy]) return allergy;
+    return this.findIngredientClass(allergy);
+  }
+
+  /**
+   * Drug class of an ingredient, also matching salt forms
+   * (e.g., "amoxicillin trihydrate" → penicillins)
+   */
+  private findIngredientClass(ingredient: string): string | undefined {
+    if (this.classByIngredient.has(ingredient)) {
+      return this.classByIngredient.get(ingredient);
+    }
+    for (const [member, drugClass] of this.classByIngredient) {
+      if (matchesName(ingredient, member)) return drugClass;
+    }
+    return undefined;
+  }
+
+  private createAlert(
+    matchType: AllergyMatchType,
+    severity: AllergyAlertSeverity,
+    match: Pick<AllergyAlert, 'allergy' | 'ingredient' | 'allergyClass' | 'ingredientClass'>,
+    basis: string
+  ): AllergyAlert {
+    return {
+      code: `${matchType}:${normalize(match.allergy)}:${match.ingredient}`,
+      matchType,
+      severity,
+      ...match,
+      basis,
+      rulesVersion: this.rules.version
+    };
+  }
+}
+
+function normalize(name: string): string {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function severityRank(severity: AllergyAlertSeverity): number {
+  return severity === 'contraindicated' ? 0 : 1;
+}
+
+/**
+ * Whole-word match of a name inside a longer description
+ */
+function matchesName(description: string, name: string): boolean {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(description);
+}
+
+// Export singleton instance
+export const allergyChecker = new AllergyChecker();
+
+/**
+ * Convenience function for checking a request context
+ */
+export function checkAllergies(context: MedicationRequestContext): AllergyAlert[] {
+  return allergyChecker.checkContext(context);
+}
@@ -0,0 +1,135 @@
+/**
+ * Tests for AllergyChecker
+ */
+
+import { AllergyChecker } from '../AllergyChecker';
+import { AllergyRules } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+
+describe('AllergyChecker', () => {
+  let checker: AllergyChecker;
+
+  function medication(...ingredients: string[]): MedicationProfile {
+    return {
+      id: ingredients.join('-').toLowerCase(),
+      name: ingredients.join(' / '),
+      type: 'medication',
+      isActive: true,
+      doseForm: 'Capsule',
+      code: { coding: [{ display: ingredients.join(' / ') }] },
+      ingredient: ingredients.map(name => ({
+        name,
+        strengthRatio: {
+          numerator: { value: 500, unit: 'mg' },
+          denominator: { value: 1, unit: 'capsule' }
+        }
+      }))
+    };
+  }
+
+  beforeEach(() => {
+    checker = new AllergyChecker();
+  });
+
+  describe('check', () => {
+    it('should return no alerts without allergies', () => {
+      expect(checker.check(medication('Amoxicillin'))).toEqual([]);
+      expect(checker.check(medication('Metformin'), ['penicillin'])).toEqual([]);
+    });
+
+    it('should match the ingredient directly, including salt forms', () => {
+      const [alert] = checker.check(medication('Amoxicillin Trihydrate'), ['Amoxicillin']);
+
+      expect(alert).toMatchObject({
+        code: 'ingredient:amoxicillin:amoxicillin trihydrate',
+        matchType: 'ingredient',
+        severity: 'contraindicated',
+        allergy: 'Amoxicillin',
+        ingredient: 'amoxicillin trihydrate',
+        rulesVersion: checker.getRulesVersion()
+      });
+    });
+
+    it('should match the drug class through aliases', () => {
+      const [alert] = checker.check(medication('Amoxicillin'), ['PCN']);
+
+      expect(alert.matchType).toBe('drug-class');
+      expect(alert.allergyClass).toBe('penicillins');
+      expect(alert.basis).toBe('amoxicillin is in the penicillins class');
+    });
+
+    it('should flag penicillin → cephalosporin cross-reactivity', () => {
+      const [alert] = checker.check(medication('Cephalexin'), ['penicillin']);
+
+      expect(alert).toMatchObject({
+        matchType: 'cross-reactivity',
+        severity: 'caution',
+        allergyClass: 'penicillins',
+        ingredientClass: 'cephalosporins'
+      });
+      expect(alert.basis).toMatch(/^penicillins → cephalosporins: Shared beta-lactam ring/);
+    });
+
+    it('should flag sulfonamide antibiotics for a sulfa allergy', () => {
+      const alerts = checker.check(medication('Sulfamethoxazole', 'Trimethoprim'), ['Sulfa']);
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        matchType: 'drug-class',
+        ingredient: 'sulfamethoxazole',
+        allergyClass: 'sulfonamide antibiotics'
+      });
+    });
+
+    it('should list contraindications before cautions', () => {
+      const alerts = checker.check(medication('Cefazolin', 'Ampicillin'), ['penicillin']);
+
+      expect(alerts.map(a => a.severity)).toEqual(['contraindicated', 'caution']);
+    });
+  });
+
+  describe('checkContext', () => {
+    it('should use the patient allergy list', () => {
+      const context: MedicationRequestContext = {
+        id: 'req-1',
+        timestamp: '2026-01-01T00:00:00Z',
+        patient: { id: 'p-1', age: 40, allergies: ['sulfa drugs'] },
+        medication: medication('Furosemide')
+      };
+
+      const [alert] = checker.checkContext(context);
+      expect(alert.matchType).toBe('cross-reactivity');
+      expect(alert.ingredientClass).toBe('sulfonamide non-antibiotics');
+    });
+  });
+
+  describe('loadRules', () => {
+    it('should reject aliases to unknown classes', () => {
+      const rules: AllergyRules = {
+        version: 'bad',
+        drugClasses: { penicillins: ['amoxicillin'] },
+        aliases: { pcn: 'penicilins' },
+        crossReactivity: []
+      };
+
+      expect(() => checker.loadRules(rules))
+        .toThrow('Allergy alias "pcn" refers to unknown drug class "penicilins"');
+    });
+  });
+
+  describe('toAdditionalInstructions', () => {
+    it('should code each alert', () => {
+      const [instruction] = checker.toAdditionalInstructions(
+        checker.check(medication('Cephalexin'), ['penicillin'])
+      );
+
+      expect(instruction.coding?.[0]).toEqual({
+        system: 'urn:medication-builder:allergy',
+        code: 'cross-reactivity:penicillin:cephalexin',
+        display: 'caution'
+      });
+      expect(instruction.text).toMatch(/^Allergy alert \(caution\): penicillin allergy;/);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Allergy Checking Types
+ *
+ * Types for the local allergy rules file (drug classes, aliases and
+ * class-level cross-reactivity) and the coded alerts produced when a
+ * medication is checked against the patient's allergy list.
+ *
+ * @since 3.3.0
+ */
+
+/**
+ * How an allergy matched the medication
+ */
+export type AllergyMatchType =
+  /** Allergy names the ingredient itself */
+  | 'ingredient'
+  /** Allergy and ingredient belong to the same drug class */
+  | 'drug-class'
+  /** Allergy class cross-reacts with the ingredient's class */
+  | 'cross-reactivity';
+
+export type AllergyAlertSeverity = 'contraindicated' | 'caution';
+
+/**
+ * Class-level cross-reactivity rule
+ */
+export interface CrossReactivityRule {
+  /** Drug class the patient is allergic to */
+  from: string;
+  /** Drug class that may cross-react */
+  to: string;
+  severity: AllergyAlertSeverity;
+  /** Clinical basis shown on the alert */
+  basis: string;
+}
+
+/**
+ * Allergy rules file contents
+ */
+export interface AllergyRules {
+  version: string;
+  /** Drug class name → lower-case member ingredients */
+  drugClasses: Record<string, string[]>;
+  /** Common allergy spellings → drug class (e.g., "sulfa" → "sulfonamide antibiotics") */
+  aliases: Record<string, string>;
+  crossReactivity: CrossReactivityRule[];
+}
+
+/**
+ * Coded alert for one allergy/ingredient match
+ */
+export interface AllergyAlert {
+  /** Alert code: "<matchType>:<allergy>:<ingredient>" */
+  code: string;
+  matchType: AllergyMatchType;
+  severity: AllergyAlertSeverity;
+  /** Allergy as recorded on the patient context */
+  allergy: string;
+  /** Matched medication ingredient (lower case) */
+  ingredient: string;
+  /** Drug class the allergy resolved to, if any */
+  allergyClass?: string;
+  /** Drug class of the ingredient, if any */
+  ingredientClass?: string;
+  /** Why the alert fired */
+  basis: string;
+  /** Rules file version the alert came from */
+  rulesVersion: string;
+}
@@ -0,0 +1,99 @@
+/**
+ * Product Catalog
+ *
+ * Vendor catalogs keyed by SKU. Resolving a request applies the ordered
+ * SKU's vendor overrides (concentration, dispenser) to its medication so
+ * strategies, modifiers and safety checks all see the product that will
+ * be dispensed.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { CatalogProduct, VendorCatalog } from './types';
+
+export class ProductCatalog {
+  private products: Map<string, CatalogProduct> = new Map();
+
+  /**
+   * Add a vendor's products
+   *
+   * @returns The products added
+   * @throws Error if a SKU is blank or already in the catalog
+   */
+  register(catalog: VendorCatalog): CatalogProduct[] {
+    const added = catalog.products.map(product => {
+      const key = normalizeSku(product.sku);
+      if (!key) {
+        throw new Error(`Product in ${catalog.vendor} catalog has no SKU`);
+      }
+      const existing = this.products.get(key);
+      if (existing) {
+        throw new Error(`SKU ${product.sku} is already in the catalog (${existing.vendor})`);
+      }
+      return { ...product, vendor: catalog.vendor };
+    });
+
+    for (const product of added) {
+      this.products.set(normalizeSku(product.sku), product);
+    }
+    return added;
+  }
+
+  /**
+   * Product for a SKU
+   */
+  find(sku?: string): CatalogProduct | undefined {
+    return sku ? this.products.get(normalizeSku(sku)) : undefined;
+  }
+
+  /**
+   * Every product, in registration order
+   */
+  getProducts(): CatalogProduct[] {
+    return [...this.products.values()];
+  }
+
+  /**
+   * The context with its SKU's vendor overrides applied; unchanged when
+   * the medication has no SKU in the catalog
+   */
+  resolve(context: MedicationRequestContext): MedicationRequestContext {
+    const product = this.find(context.medication?.sku);
+    return product ? applyProduct(context, product) : context;
+  }
+}
+
+/**
+ * Apply a product's vendor, concentration and dispenser to the context's
+ * medication
+ */
+export function applyProduct(
+  context: MedicationRequestContext,
+  product: CatalogProduct
+): MedicationRequestContext {
+  const medication = context.medication;
+  const { concentration, dispenser } = product;
+
+  return {
+    ...context,
+    medication: {
+      ...medication,
+      vendor: product.vendor,
+      ...(concentration && {
+        concentrationRatio: concentration,
+        ingredient: (medication.ingredient || []).map((ingredient, i) =>
+          i === 0 ? { ...ingredient, strengthRatio: concentration } : ingredient
+        )
+      }),
+      ...(dispenser && { dispenserMetadata: dispenser })
+    }
+  };
+}
+
+/**
+ * SKUs compare trimmed and case-insensitively
+ */
+export function normalizeSku(sku: string): string {
+  return sku.trim().toLowerCase();
+}
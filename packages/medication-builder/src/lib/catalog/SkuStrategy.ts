@@ -0,0 +1,114 @@
+/**
+ * SKU Strategy
+ *
+ * Most specific base strategy: matches one vendor product by SKU, applies
+ * the vendor's concentration and dispenser, builds the instruction with
+ * the next most specific matching strategy and adds the vendor's default
+ * instructions.
+ *
+ * @since 3.3.0
+ */
+
+import type { StrategyRegistry } from '../registry/StrategyRegistry';
+import {
+  IBaseStrategy,
+  IBaseStrategyWithMetadata,
+  SpecificityLevel,
+  StrategyMetadata,
+  compareSpecificity
+} from '../strategies/types';
+import { NoMatchingStrategyError } from '../dispatcher/errors';
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../types/SignatureInstruction';
+import { applyProduct, normalizeSku } from './ProductCatalog';
+import { CatalogProduct } from './types';
+
+export class SkuStrategy implements IBaseStrategyWithMetadata {
+  readonly specificity = SpecificityLevel.MEDICATION_SKU;
+  readonly metadata: StrategyMetadata;
+
+  /**
+   * @param product - The vendor product this strategy handles
+   * @param registry - Registry holding the strategy to build with
+   */
+  constructor(
+    readonly product: CatalogProduct,
+    private readonly registry: StrategyRegistry
+  ) {
+    this.metadata = {
+      id: `sku-strategy-${normalizeSku(product.sku)}`,
+      name: `SKU ${product.sku} (${product.vendor})`,
+      description: `Applies ${product.vendor} overrides for SKU ${product.sku}`,
+      examples: product.name ? [product.name] : undefined,
+      version: '1.0.0'
+    };
+  }
+
+  /**
+   * Matches the medication with this SKU
+   */
+  matches(context: MedicationRequestContext): boolean {
+    const sku = context.medication?.sku;
+    return !!sku && normalizeSku(sku) === normalizeSku(this.product.sku);
+  }
+
+  /**
+   * Builds with the next most specific strategy for the vendor's product
+   *
+   * @throws {NoMatchingStrategyError} If no less specific strategy matches
+   */
+  buildInstruction(context: MedicationRequestContext): SignatureInstruction {
+    const resolved = applyProduct(context, this.product);
+    const instruction: SignatureInstruction = this.findDelegate(resolved).buildInstruction(resolved);
+
+    const defaults = (this.product.defaultInstructions || []).filter(text =>
+      !instruction.additionalInstructions?.some(existing => existing.text === text)
+    );
+    if (defaults.length === 0) {
+      return instruction;
+    }
+
+    return {
+      ...instruction,
+      additionalInstructions: [
+        ...(instruction.additionalInstructions || []),
+        ...defaults.map(text => ({ text }))
+      ]
+    };
+  }
+
+  /**
+   * Explains the strategy's behavior
+   */
+  explain(): string {
+    const { product } = this;
+    const overrides = [
+      product.concentration &&
+        `concentration ${product.concentration.numerator.value} ${product.concentration.numerator.unit}/` +
+        `${product.concentration.denominator.value} ${product.concentration.denominator.unit}`,
+      product.dispenser && `${product.dispenser.type} dispenser`,
+      product.defaultInstructions?.length &&
+        `${product.defaultInstructions.length} default instruction${product.defaultInstructions.length === 1 ? '' : 's'}`
+    ].filter(Boolean);
+
+    return `SKU strategy: ${product.sku} from ${product.vendor}` +
+      (product.name ? ` (${product.name})` : '') +
+      (overrides.length > 0 ? `; ${overrides.join(', ')}` : '') +
+      '; builds with the next most specific matching strategy';
+  }
+
+  /**
+   * Highest-specificity matching strategy below SKU level
+   */
+  private findDelegate(context: MedicationRequestContext): IBaseStrategy {
+    const strategies = this.registry.getBaseStrategies();
+    const [delegate] = [...strategies.values()]
+      .filter(strategy => strategy.specificity < SpecificityLevel.MEDICATION_SKU && strategy.matches(context))
+      .sort(compareSpecificity);
+
+    if (!delegate) {
+      throw NoMatchingStrategyError.create(context, Array.from(strategies.keys()));
+    }
+    return delegate;
+  }
+}
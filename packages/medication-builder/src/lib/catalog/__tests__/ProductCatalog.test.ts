@@ -0,0 +1,236 @@
+/**
+ * Tests for ProductCatalog, SkuStrategy and catalog registration
+ */
+
+import { ProductCatalog } from '../ProductCatalog';
+import { SkuStrategy } from '../SkuStrategy';
+import { registerProductCatalog } from '../registerProductCatalog';
+import { VendorCatalog } from '../types';
+import { StrategyDispatcher } from '../../dispatcher/StrategyDispatcher';
+import { DuplicateStrategyError, NoMatchingStrategyError } from '../../dispatcher/errors';
+import { IBaseStrategy, IModifierStrategy, SpecificityLevel } from '../../strategies/types';
+import type { StrategyRegistry } from '../../registry/StrategyRegistry';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+
+const empower: VendorCatalog = {
+  vendor: 'Empower Pharmacy',
+  products: [{
+    sku: 'EMP-EST-01',
+    name: 'Estradiol 1 mg/g cream, Topiclick',
+    concentration: { numerator: { value: 1, unit: 'mg' }, denominator: { value: 1, unit: 'g' } },
+    dispenser: { type: 'Topiclick', deliveryPrecision: 0.25 },
+    defaultInstructions: ['Prime the dispenser before first use']
+  }]
+};
+
+const olympia: VendorCatalog = {
+  vendor: 'Olympia Pharmacy',
+  products: [{
+    sku: 'OLY-EST-05',
+    concentration: { numerator: { value: 0.5, unit: 'mg' }, denominator: { value: 1, unit: 'g' } }
+  }]
+};
+
+function createMedication(overrides: Partial<MedicationProfile> = {}): MedicationProfile {
+  return {
+    id: 'estradiol-cream',
+    name: 'Estradiol Cream',
+    type: 'compound',
+    isActive: true,
+    doseForm: 'Cream',
+    code: { coding: [{ display: 'Estradiol Cream' }] },
+    ingredient: [{
+      name: 'Estradiol',
+      strengthRatio: {
+        numerator: { value: 2, unit: 'mg' },
+        denominator: { value: 1, unit: 'g' }
+      }
+    }],
+    ...overrides
+  };
+}
+
+function createContext(medication: MedicationProfile = createMedication()): MedicationRequestContext {
+  return {
+    id: 'req-1',
+    timestamp: '2026-01-01T00:00:00Z',
+    patient: { id: 'patient-1', age: 52 },
+    medication,
+    dose: { value: 1, unit: 'g' },
+    frequency: 'once daily',
+    route: 'topical'
+  };
+}
+
+/**
+ * Writes the strength it was given, so tests can see the vendor override
+ */
+class CreamStrategy implements IBaseStrategy {
+  readonly specificity = SpecificityLevel.DOSE_FORM;
+
+  matches(context: MedicationRequestContext): boolean {
+    return context.medication?.doseForm === 'Cream';
+  }
+
+  buildInstruction(context: MedicationRequestContext): SignatureInstruction {
+    const strength = context.medication.ingredient[0].strengthRatio.numerator;
+    return {
+      text: `Apply 1 g (${strength.value} ${strength.unit}) topically once daily.`,
+      additionalInstructions: [{ text: 'Wash hands after applying' }]
+    };
+  }
+
+  explain(): string {
+    return 'Cream strategy';
+  }
+}
+
+/**
+ * Just enough of a registry for registration and dispatch
+ */
+function createRegistry(): StrategyRegistry {
+  const bases = new Map<string, IBaseStrategy>();
+  const modifiers = new Map<string, IModifierStrategy>();
+  return {
+    registerBase: (name: string, strategy: IBaseStrategy) => bases.set(name, strategy),
+    registerModifier: (name: string, modifier: IModifierStrategy) => modifiers.set(name, modifier),
+    getBaseStrategies: () => new Map(bases),
+    getModifiers: () => new Map(modifiers)
+  } as unknown as StrategyRegistry;
+}
+
+describe('ProductCatalog', () => {
+  let catalog: ProductCatalog;
+
+  beforeEach(() => {
+    catalog = new ProductCatalog();
+    catalog.register(empower);
+  });
+
+  it('should find products by SKU regardless of case', () => {
+    expect(catalog.find(' emp-est-01 ')).toMatchObject({ sku: 'EMP-EST-01', vendor: 'Empower Pharmacy' });
+    expect(catalog.find('OLY-EST-05')).toBeUndefined();
+    expect(catalog.find(undefined)).toBeUndefined();
+  });
+
+  it('should reject SKUs already in the catalog', () => {
+    expect(() => catalog.register({ vendor: 'Olympia Pharmacy', products: [{ sku: 'emp-est-01' }] }))
+      .toThrow('SKU emp-est-01 is already in the catalog (Empower Pharmacy)');
+    expect(() => catalog.register({ vendor: 'Olympia Pharmacy', products: [{ sku: ' ' }] }))
+      .toThrow('Product in Olympia Pharmacy catalog has no SKU');
+  });
+
+  it('should apply vendor overrides to the medication', () => {
+    const resolved = catalog.resolve(createContext(createMedication({ sku: 'EMP-EST-01' })));
+
+    expect(resolved.medication.vendor).toBe('Empower Pharmacy');
+    expect(resolved.medication.concentrationRatio?.numerator.value).toBe(1);
+    expect(resolved.medication.ingredient[0].strengthRatio.numerator.value).toBe(1);
+    expect(resolved.medication.dispenserMetadata).toEqual({ type: 'Topiclick', deliveryPrecision: 0.25 });
+  });
+
+  it('should leave medications without a catalog SKU unchanged', () => {
+    const context = createContext();
+
+    expect(catalog.resolve(context)).toBe(context);
+  });
+});
+
+describe('SkuStrategy', () => {
+  let registry: StrategyRegistry;
+
+  beforeEach(() => {
+    registry = createRegistry();
+    registry.registerBase('cream', new CreamStrategy());
+  });
+
+  it('should match its SKU at the most specific level', () => {
+    const strategy = new SkuStrategy({ ...empower.products[0], vendor: empower.vendor }, registry);
+
+    expect(strategy.specificity).toBe(SpecificityLevel.MEDICATION_SKU);
+    expect(strategy.matches(createContext(createMedication({ sku: 'emp-est-01' })))).toBe(true);
+    expect(strategy.matches(createContext(createMedication({ sku: 'OLY-EST-05' })))).toBe(false);
+    expect(strategy.matches(createContext())).toBe(false);
+  });
+
+  it('should build with the next strategy using the vendor product', () => {
+    const strategy = new SkuStrategy({ ...empower.products[0], vendor: empower.vendor }, registry);
+
+    const instruction = strategy.buildInstruction(createContext(createMedication({ sku: 'EMP-EST-01' })));
+
+    expect(instruction.text).toBe('Apply 1 g (1 mg) topically once daily.');
+    expect(instruction.additionalInstructions).toEqual([
+      { text: 'Wash hands after applying' },
+      { text: 'Prime the dispenser before first use' }
+    ]);
+  });
+
+  it('should explain the vendor overrides', () => {
+    const strategy = new SkuStrategy({ ...empower.products[0], vendor: empower.vendor }, registry);
+
+    expect(strategy.explain()).toBe(
+      'SKU strategy: EMP-EST-01 from Empower Pharmacy (Estradiol 1 mg/g cream, Topiclick); ' +
+      'concentration 1 mg/1 g, Topiclick dispenser, 1 default instruction; ' +
+      'builds with the next most specific matching strategy'
+    );
+  });
+
+  it('should fail when no other strategy handles the product', () => {
+    const strategy = new SkuStrategy({ sku: 'EMP-EST-01', vendor: empower.vendor }, createRegistry());
+
+    expect(() => strategy.buildInstruction(createContext(createMedication({ sku: 'EMP-EST-01' }))))
+      .toThrow(NoMatchingStrategyError);
+  });
+});
+
+describe('registerProductCatalog', () => {
+  let registry: StrategyRegistry;
+  let catalog: ProductCatalog;
+
+  beforeEach(() => {
+    registry = createRegistry();
+    registry.registerBase('cream', new CreamStrategy());
+    catalog = registerProductCatalog(registry, empower);
+    registerProductCatalog(registry, olympia, catalog);
+  });
+
+  it('should register a strategy per SKU', () => {
+    expect([...registry.getBaseStrategies().keys()]).toEqual(['cream', 'sku:emp-est-01', 'sku:oly-est-05']);
+    expect(catalog.getProducts().map(product => product.vendor)).toEqual(['Empower Pharmacy', 'Olympia Pharmacy']);
+  });
+
+  it('should register nothing when a SKU already has a strategy', () => {
+    expect(() => registerProductCatalog(registry, olympia)).toThrow(DuplicateStrategyError);
+  });
+
+  it('should reject a SKU that differs only in case from another catalog', () => {
+    const copy: VendorCatalog = { vendor: 'Other Pharmacy', products: [{ sku: ' emp-est-01' }] };
+
+    expect(() => registerProductCatalog(registry, copy)).toThrow(DuplicateStrategyError);
+    expect(registry.getBaseStrategies().size).toBe(3);
+  });
+
+  it('should dispatch to the SKU of each vendor', () => {
+    const dispatcher = new StrategyDispatcher(registry, { productCatalog: catalog });
+
+    const empowerSig = dispatcher.dispatch(createContext(createMedication({ sku: 'EMP-EST-01' })));
+    const olympiaSig = dispatcher.dispatch(createContext(createMedication({ sku: 'OLY-EST-05' })));
+    const [audit] = dispatcher.getAuditLog();
+
+    expect(empowerSig.text).toBe('Apply 1 g (1 mg) topically once daily.');
+    expect(olympiaSig.text).toBe('Apply 1 g (0.5 mg) topically once daily.');
+    expect(audit.selectedStrategy).toBe('SkuStrategy');
+    expect(audit.context.medication.dispenserMetadata?.type).toBe('Topiclick');
+  });
+
+  it('should show the SKU and vendor in explainSelection', () => {
+    const dispatcher = new StrategyDispatcher(registry, { productCatalog: catalog });
+
+    const explanation = dispatcher.explainSelection(createContext(createMedication({ sku: 'OLY-EST-05' })));
+
+    expect(explanation).toContain('SKU: OLY-EST-05 (Olympia Pharmacy)');
+    expect(explanation).toContain('SKU strategy: OLY-EST-05 from Olympia Pharmacy; concentration 0.5 mg/1 g');
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Product Catalog Exports
+ *
+ * Central export point for vendor catalogs and SKU-level strategies.
+ *
+ * @since 3.3.0
+ */
+
+export { ProductCatalog, applyProduct } from './ProductCatalog';
+export { SkuStrategy } from './SkuStrategy';
+export { registerProductCatalog, skuStrategyName } from './registerProductCatalog';
+export type { VendorProduct, VendorCatalog, CatalogProduct } from './types';
@@ -0,0 +1,49 @@
+/**
+ * Product Catalog Registration
+ *
+ * Adds a vendor catalog to a ProductCatalog and registers an SKU strategy
+ * for each of its products with a StrategyRegistry.
+ *
+ * @since 3.3.0
+ */
+
+import type { StrategyRegistry } from '../registry/StrategyRegistry';
+import { DuplicateStrategyError } from '../dispatcher/errors';
+import { ProductCatalog, normalizeSku } from './ProductCatalog';
+import { SkuStrategy } from './SkuStrategy';
+import { VendorCatalog } from './types';
+
+/**
+ * Registry name of a SKU's strategy; SKUs that match the same
+ * medication share one name
+ */
+export function skuStrategyName(sku: string): string {
+  return `sku:${normalizeSku(sku)}`;
+}
+
+/**
+ * Register a vendor's products; pass the returned catalog to the
+ * StrategyDispatcher so modifiers and safety checks see vendor overrides
+ *
+ * @param registry - Registry to add SKU strategies to
+ * @param vendorCatalog - The vendor's products
+ * @param catalog - Catalog to add to; a new one by default
+ * @throws {DuplicateStrategyError} If a SKU already has a strategy; nothing is registered
+ * @throws Error if a SKU is blank or already in the catalog
+ */
+export function registerProductCatalog(
+  registry: StrategyRegistry,
+  vendorCatalog: VendorCatalog,
+  catalog: ProductCatalog = new ProductCatalog()
+): ProductCatalog {
+  const registered = registry.getBaseStrategies();
+  const taken = vendorCatalog.products.find(product => registered.has(skuStrategyName(product.sku)));
+  if (taken) {
+    throw new DuplicateStrategyError(skuStrategyName(taken.sku), 'base');
+  }
+
+  for (const product of catalog.register(vendorCatalog)) {
+    registry.registerBase(skuStrategyName(product.sku), new SkuStrategy(product, registry));
+  }
+  return catalog;
+}
@@ -0,0 +1,43 @@
+/**
+ * Product Catalog Types
+ *
+ * Vendor products (SKUs) of a medication and how each differs from the
+ * medication profile, e.g. the same compounded cream from two pharmacies
+ * at different concentrations and in different dispensers.
+ *
+ * @since 3.3.0
+ */
+
+import { DispenserMetadata, Ratio } from '../../types/MedicationProfile';
+
+/**
+ * A vendor's product, as listed in its catalog
+ */
+export interface VendorProduct {
+  /** Matched against MedicationProfile.sku (case-insensitive) */
+  sku: string;
+  /** Product name, for explanations (e.g., 'Estradiol 0.1 mg/g cream, 30 g Topiclick') */
+  name?: string;
+  /** Replaces the profile's concentration and first ingredient strength */
+  concentration?: Ratio;
+  /** Replaces the profile's dispenser */
+  dispenser?: DispenserMetadata;
+  /** Added to every instruction for the SKU (e.g., 'Prime pump 3 times before first use') */
+  defaultInstructions?: string[];
+}
+
+/**
+ * Products from one vendor
+ */
+export interface VendorCatalog {
+  /** Vendor name, recorded on the medication as MedicationProfile.vendor */
+  vendor: string;
+  products: VendorProduct[];
+}
+
+/**
+ * A product with the vendor it came from
+ */
+export interface CatalogProduct extends VendorProduct {
+  vendor: string;
+}
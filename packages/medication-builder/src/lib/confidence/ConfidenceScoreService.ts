@@ -13,6 +13,11 @@ import {
   ConversionTrace
 } from './types';
 
+/**
+ * Relative change below which a rounding step is not penalized (0.01%)
+ */
+const NEGLIGIBLE_ROUNDING = 1e-4;
+
 /**
  * Service for calculating conversion confidence scores
  */
@@ -59,7 +64,8 @@ export class ConfidenceScoreService {
    * Get base score based on conversion complexity
    */
   private getBaseScore(trace: ConversionTrace): number {
-    const stepCount = trace.steps.length;
+    // Rounding to device markings is scored as an adjustment, not a step
+    const stepCount = trace.steps.filter(step => step.type !== 'rounding').length;
     
     if (stepCount === 0) return 1.0;      // No conversion needed
     if (stepCount === 1) return 0.95;     // Direct conversion
@@ -155,6 +161,21 @@ export class ConfidenceScoreService {
             category: 'reliability'
           });
           break;
+        case 'rounding': {
+          // Rounding to device markings changes the dose actually given
+          const change = Math.abs(step.toValue - step.fromValue) / Math.abs(step.fromValue || 1);
+          // Display rounding of an exact result changes no dose
+          if (change < NEGLIGIBLE_ROUNDING) {
+            break;
+          }
+          adjustments.push({
+            value: change > 0.05 ? -0.10 : -0.05,
+            reason: `Rounded to device markings: ${formatAmount(step.fromValue)} → ` +
+              `${formatAmount(step.toValue)} ${step.toUnit} (${formatAmount(change * 100)}% change)`,
+            category: 'precision'
+          });
+          break;
+        }
       }
     });
     
@@ -248,6 +269,11 @@ export class ConfidenceScoreService {
    * Check if conversion has precision concerns
    */
   private hasPrecisionConcerns(trace: ConversionTrace): boolean {
+    // Exact fractions lose nothing until display
+    if (trace.usedRationalArithmetic) {
+      return false;
+    }
+    
     const { value } = trace.request;
     
     // Very small values (risk of underflow)
@@ -335,6 +361,7 @@ export class ConfidenceScoreService {
       usedDefaults?: boolean;
       hasLotSpecificData?: boolean;
       missingRequiredContext?: boolean;
+      usedRationalArithmetic?: boolean;
     }
   ): ConversionTrace {
     return {
@@ -343,8 +370,15 @@ export class ConfidenceScoreService {
       usedDefaults: context?.usedDefaults || false,
       hasLotSpecificData: context?.hasLotSpecificData || false,
       missingRequiredContext: context?.missingRequiredContext || false,
-      hasApproximations: false, // Could be detected from steps
-      usedRationalArithmetic: false // Current implementation uses floating-point
+      hasApproximations: false, // Rounding steps carry their own adjustment
+      usedRationalArithmetic: context?.usedRationalArithmetic || false
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Format an amount for a rationale (at most 4 decimal places)
+ */
+function formatAmount(value: number): string {
+  return String(Math.round(value * 10000) / 10000);
+}
@@ -277,6 +277,85 @@ describe('ConfidenceScoreService', () => {
         })
       );
     });
+    
+    it('should report rounding to syringe markings', () => {
+      const steps: ConversionStep[] = [
+        {
+          description: 'Convert mL to {U100_unit}',
+          fromValue: 0.043,
+          fromUnit: 'mL',
+          toValue: 4.3,
+          toUnit: '{U100_unit}',
+          factor: 100,
+          type: 'device'
+        },
+        {
+          description: 'Round to nearest half unit mark',
+          fromValue: 4.3,
+          fromUnit: '{U100_unit}',
+          toValue: 4.5,
+          toUnit: '{U100_unit}',
+          type: 'rounding'
+        }
+      ];
+      
+      const result = service.calculate(
+        service.createTraceFromSteps(steps, { value: 0.043, fromUnit: 'mL', toUnit: '{U100_unit}' })
+      );
+      
+      // Rounding is not a conversion step: base 0.95, device -0.05, rounding -0.05
+      expect(result.score).toBeCloseTo(0.85, 10);
+      expect(result.factors.precision).toBeCloseTo(0.95, 10);
+      expect(result.rationale).toContain('Rounded to device markings: 4.3 → 4.5 {U100_unit} (4.6512% change)');
+    });
+    
+    it('should not penalize display rounding of exact results', () => {
+      const steps: ConversionStep[] = [{
+        description: 'Round 200/3 mL to 6 decimal places for display',
+        fromValue: 200 / 3,
+        fromUnit: 'mL',
+        toValue: 66.666667,
+        toUnit: 'mL',
+        type: 'rounding'
+      }];
+      
+      const result = service.calculate(service.createTraceFromSteps(
+        steps,
+        { value: 0.0000002, fromUnit: 'g', toUnit: 'mL' },
+        { usedRationalArithmetic: true }
+      ));
+      
+      expect(result.adjustments).toEqual([{
+        value: 0.05,
+        reason: 'Using rational number arithmetic',
+        category: 'precision'
+      }]);
+    });
+    
+    it('should penalize rounding that changes the dose by more than 5%', () => {
+      const trace: ConversionTrace = {
+        steps: [{
+          description: 'Round to nearest whole unit mark',
+          fromValue: 1.4,
+          fromUnit: '{U100_unit}',
+          toValue: 1,
+          toUnit: '{U100_unit}',
+          type: 'rounding'
+        }],
+        request: { value: 1.4, fromUnit: '{U100_unit}', toUnit: '{U100_unit}' },
+        usedDefaults: false,
+        hasLotSpecificData: false,
+        missingRequiredContext: false,
+        hasApproximations: false,
+        usedRationalArithmetic: false
+      };
+      
+      expect(service.calculate(trace).adjustments).toContainEqual({
+        value: -0.10,
+        reason: 'Rounded to device markings: 1.4 → 1 {U100_unit} (28.5714% change)',
+        category: 'precision'
+      });
+    });
   });
   
   describe('explain', () => {
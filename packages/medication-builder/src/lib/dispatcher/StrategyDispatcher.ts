@@ -9,7 +9,7 @@
  */
 
 import { MedicationRequestContext } from '../../types/MedicationRequestContext';
-import { SignatureInstruction } from '../../types/SignatureInstruction';
+import { SignatureInstruction, AdditionalInstruction } from '../../types/SignatureInstruction';
 import { 
   IBaseStrategy, 
   IModifierStrategy, 
@@ -21,6 +21,49 @@ import {
   AmbiguousStrategyError, 
   NoMatchingStrategyError 
 } from './errors';
+import { InteractionScreener } from '../interactions/InteractionScreener';
+import { InteractionAlert } from '../interactions/types';
+import { AllergyChecker } from '../allergies/AllergyChecker';
+import { AllergyAlert } from '../allergies/types';
+import { ProductCatalog } from '../catalog/ProductCatalog';
+
+/**
+ * Record of how one modifier changed the instruction
+ */
+export interface ModifierChange {
+  /** Registered modifier name */
+  modifier: string;
+  /** Instruction text before the modifier ran */
+  textBefore: string;
+  /** Instruction text after the modifier ran */
+  textAfter: string;
+  /** Additional instructions (e.g., warnings) the modifier added */
+  addedInstructions: string[];
+}
+
+/**
+ * When a strategy, modifier or safety check ran within a dispatch
+ */
+export interface DispatchPhase {
+  /** Strategy class name, registered modifier name, or safety service */
+  name: string;
+  kind: 'strategy' | 'modifier' | 'safety';
+  /** Start, in ms after the dispatch started */
+  startMs: number;
+  durationMs: number;
+}
+
+/**
+ * Optional dispatcher services
+ */
+export interface StrategyDispatcherOptions {
+  /** Screens each request against the patient's concurrent medications */
+  interactionScreener?: InteractionScreener;
+  /** Checks each request against the patient's allergies */
+  allergyChecker?: AllergyChecker;
+  /** Applies vendor overrides for the medication's SKU before dispatch */
+  productCatalog?: ProductCatalog;
+}
 
 /**
  * Audit entry for strategy selection decisions
@@ -35,6 +78,16 @@ export interface StrategySelectionAudit {
   }>;
   selectedStrategy: string | null;
   appliedModifiers: string[];
+  /** Modifiers that changed the instruction text or added instructions */
+  modifierChanges: ModifierChange[];
+  /** Drug-drug interaction alerts raised for the request */
+  interactionAlerts: InteractionAlert[];
+  /** Allergy and cross-sensitivity alerts raised for the request */
+  allergyAlerts: AllergyAlert[];
+  /** Timing of the strategy (including its modifiers), each modifier and each safety check */
+  phases: DispatchPhase[];
+  /** Why the dispatch failed, if it did */
+  error?: string;
   executionTimeMs: number;
 }
 
@@ -45,9 +98,15 @@ export class StrategyDispatcher {
   private registry: StrategyRegistry;
   private auditLog: StrategySelectionAudit[] = [];
   private readonly maxAuditLogSize = 1000;
+  private readonly interactionScreener?: InteractionScreener;
+  private readonly allergyChecker?: AllergyChecker;
+  private readonly productCatalog?: ProductCatalog;
 
-  constructor(registry: StrategyRegistry) {
+  constructor(registry: StrategyRegistry, options: StrategyDispatcherOptions = {}) {
     this.registry = registry;
+    this.interactionScreener = options.interactionScreener;
+    this.allergyChecker = options.allergyChecker;
+    this.productCatalog = options.productCatalog;
   }
 
   /**
@@ -60,12 +119,18 @@ export class StrategyDispatcher {
    */
   dispatch(context: MedicationRequestContext): SignatureInstruction {
     const startTime = performance.now();
+    // Everything downstream sees the vendor's product for the SKU
+    context = this.resolveProduct(context);
     const audit: StrategySelectionAudit = {
       timestamp: new Date(),
       context,
       candidateStrategies: [],
       selectedStrategy: null,
       appliedModifiers: [],
+      modifierChanges: [],
+      interactionAlerts: [],
+      allergyAlerts: [],
+      phases: [],
       executionTimeMs: 0
     };
 
@@ -115,15 +180,18 @@ export class StrategyDispatcher {
       audit.selectedStrategy = baseStrategy.constructor.name;
 
       // Build base instruction
+      const strategyStart = performance.now();
       let instruction = baseStrategy.buildInstruction(context);
 
       // Apply all matching modifiers in priority order
       const allModifiers = this.registry.getModifiers();
       const applicableModifiers: IModifierStrategy[] = [];
+      const modifierNames = new Map<IModifierStrategy, string>();
 
       for (const [name, modifier] of allModifiers) {
         if (modifier.appliesTo(context)) {
           applicableModifiers.push(modifier);
+          modifierNames.set(modifier, name);
           audit.appliedModifiers.push(name);
         }
       }
@@ -131,7 +199,32 @@ export class StrategyDispatcher {
       // Sort by priority and apply
       const sortedModifiers = sortModifiersByPriority(applicableModifiers);
       for (const modifier of sortedModifiers) {
+        const modifierStart = performance.now();
+        const before = instruction;
         instruction = modifier.modify(instruction, context);
+        this.recordPhase(audit, startTime, modifierNames.get(modifier)!, 'modifier', modifierStart);
+        this.recordModifierChange(audit, modifierNames.get(modifier)!, before, instruction);
+      }
+      this.recordPhase(audit, startTime, baseStrategy.constructor.name, 'strategy', strategyStart);
+
+      // Run safety checks and surface alerts as warnings
+      if (this.allergyChecker) {
+        const checkStart = performance.now();
+        audit.allergyAlerts = this.allergyChecker.checkContext(context);
+        this.recordPhase(audit, startTime, 'AllergyChecker', 'safety', checkStart);
+        instruction = this.appendWarnings(
+          instruction,
+          this.allergyChecker.toAdditionalInstructions(audit.allergyAlerts)
+        );
+      }
+      if (this.interactionScreener) {
+        const screenStart = performance.now();
+        audit.interactionAlerts = this.interactionScreener.screenContext(context);
+        this.recordPhase(audit, startTime, 'InteractionScreener', 'safety', screenStart);
+        instruction = this.appendWarnings(
+          instruction,
+          this.interactionScreener.toAdditionalInstructions(audit.interactionAlerts)
+        );
       }
 
       // Record execution time
@@ -142,6 +235,7 @@ export class StrategyDispatcher {
 
     } catch (error) {
       // Record failed dispatch in audit
+      audit.error = error instanceof Error ? error.message : String(error);
       audit.executionTimeMs = performance.now() - startTime;
       this.recordAudit(audit);
       throw error;
@@ -157,8 +251,11 @@ export class StrategyDispatcher {
     modifiers: string[];
     wouldSucceed: boolean;
     error?: string;
+    /** The selected strategy's explanation */
+    explanation?: string;
   } {
     try {
+      context = this.resolveProduct(context);
       const allStrategies = this.registry.getBaseStrategies();
       const matchingStrategies: IBaseStrategy[] = [];
       
@@ -204,7 +301,8 @@ export class StrategyDispatcher {
       return {
         baseStrategy: baseStrategy.constructor.name,
         modifiers: applicableModifiers,
-        wouldSucceed: true
+        wouldSucceed: true,
+        explanation: baseStrategy.explain()
       };
 
     } catch (error) {
@@ -222,10 +320,13 @@ export class StrategyDispatcher {
    */
   explainSelection(context: MedicationRequestContext): string {
     const preview = this.preview(context);
+    const sku = context.medication?.sku;
+    const product = this.productCatalog?.find(sku);
     const lines: string[] = [
       '=== Strategy Selection Explanation ===',
       `Context: ${context.medication?.name || 'Unknown medication'}`,
       `Dose Form: ${context.medication?.doseForm || 'Unknown'}`,
+      ...(sku ? [`SKU: ${sku}${product ? ` (${product.vendor})` : ''}`] : []),
       ''
     ];
 
@@ -235,6 +336,9 @@ export class StrategyDispatcher {
     }
 
     lines.push(`✅ Selected Base Strategy: ${preview.baseStrategy}`);
+    if (preview.explanation) {
+      lines.push(`   ${preview.explanation}`);
+    }
     
     if (preview.modifiers.length > 0) {
       lines.push('');
@@ -264,6 +368,70 @@ export class StrategyDispatcher {
     this.auditLog = [];
   }
 
+  /**
+   * Appends safety warnings to an instruction's additional instructions
+   */
+  private appendWarnings(
+    instruction: SignatureInstruction,
+    warnings: AdditionalInstruction[]
+  ): SignatureInstruction {
+    if (warnings.length === 0) return instruction;
+
+    return {
+      ...instruction,
+      additionalInstructions: [...(instruction.additionalInstructions || []), ...warnings]
+    };
+  }
+
+  /**
+   * Records a modifier's effect on the instruction, if it had one
+   */
+  private recordModifierChange(
+    audit: StrategySelectionAudit,
+    modifier: string,
+    before: SignatureInstruction,
+    after: SignatureInstruction
+  ): void {
+    const beforeCount = before.additionalInstructions?.length || 0;
+    const addedInstructions = (after.additionalInstructions || [])
+      .slice(beforeCount)
+      .map(instruction => instruction.text || '');
+
+    if (before.text !== after.text || addedInstructions.length > 0) {
+      audit.modifierChanges.push({
+        modifier,
+        textBefore: before.text,
+        textAfter: after.text,
+        addedInstructions
+      });
+    }
+  }
+
+  /**
+   * The context with vendor overrides for its SKU, when a catalog is set
+   */
+  private resolveProduct(context: MedicationRequestContext): MedicationRequestContext {
+    return this.productCatalog ? this.productCatalog.resolve(context) : context;
+  }
+
+  /**
+   * Records when part of a dispatch ran, relative to the dispatch start
+   */
+  private recordPhase(
+    audit: StrategySelectionAudit,
+    dispatchStart: number,
+    name: string,
+    kind: DispatchPhase['kind'],
+    start: number
+  ): void {
+    audit.phases.push({
+      name,
+      kind,
+      startMs: start - dispatchStart,
+      durationMs: performance.now() - start
+    });
+  }
+
   /**
    * Records an audit entry, maintaining size limit
    */
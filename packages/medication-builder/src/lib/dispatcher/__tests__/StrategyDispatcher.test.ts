@@ -4,10 +4,12 @@
 
 import { StrategyDispatcher } from '../StrategyDispatcher';
 import { StrategyRegistry } from '../../registry/StrategyRegistry';
-import { IBaseStrategy, IModifierStrategy, SpecificityLevel } from '../../lib/strategies/types';
-import { MedicationRequestContext } from '../../types/MedicationRequestContext';
-import { SignatureInstruction } from '../../types/SignatureInstruction';
+import { IBaseStrategy, IModifierStrategy, SpecificityLevel } from '../../strategies/types';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
 import { AmbiguousStrategyError, NoMatchingStrategyError } from '../errors';
+import { InteractionScreener } from '../../interactions/InteractionScreener';
+import { AllergyChecker } from '../../allergies/AllergyChecker';
 import { createTestMedicationProfile, createTestContext } from './test-helpers';
 
 // Mock implementations
@@ -333,6 +335,68 @@ describe('StrategyDispatcher', () => {
       expect(audit[0].candidateStrategies[0]).toHaveProperty('matched');
       expect(audit[0].candidateStrategies[0]).toHaveProperty('specificity');
     });
+
+    it('should record text changes made by modifiers', () => {
+      registry.registerBase('base', new MockBaseStrategy(SpecificityLevel.DEFAULT, () => true, 'Base'));
+      registry.registerModifier('changes', new MockModifierStrategy(10, () => true, 'Changed'));
+
+      dispatcher.dispatch(createTestContext());
+      const [audit] = dispatcher.getAuditLog();
+
+      expect(audit.modifierChanges).toEqual([{
+        modifier: 'changes',
+        textBefore: 'Base',
+        textAfter: 'Base [Changed]',
+        addedInstructions: []
+      }]);
+    });
+
+    it('should record when the strategy and each modifier ran', () => {
+      registry.registerBase('base', new MockBaseStrategy(SpecificityLevel.DEFAULT, () => true, 'Base'));
+      registry.registerModifier('changes', new MockModifierStrategy(10, () => true, 'Changed'));
+
+      dispatcher.dispatch(createTestContext());
+      const [audit] = dispatcher.getAuditLog();
+
+      expect(audit.phases.map(phase => [phase.kind, phase.name])).toEqual([
+        ['modifier', 'changes'],
+        ['strategy', 'MockBaseStrategy']
+      ]);
+      expect(audit.phases[1].startMs).toBeLessThanOrEqual(audit.phases[0].startMs);
+    });
+
+    it('should record interaction alerts and add them as warnings', () => {
+      dispatcher = new StrategyDispatcher(registry, { interactionScreener: new InteractionScreener() });
+      registry.registerBase('base', new MockBaseStrategy(SpecificityLevel.DEFAULT, () => true, 'Base'));
+
+      const context = createTestContext({
+        medication: createTestMedicationProfile({ ingredient: [{ name: 'Simvastatin', strengthRatio: { numerator: { value: 20, unit: 'mg' }, denominator: { value: 1, unit: 'tablet' } } }] }),
+        patient: { id: 'p', age: 60, concurrentMedications: ['Clarithromycin 500 mg'] }
+      });
+
+      const instruction = dispatcher.dispatch(context);
+      const [audit] = dispatcher.getAuditLog();
+
+      expect(audit.interactionAlerts).toHaveLength(1);
+      expect(audit.interactionAlerts[0].severity).toBe('contraindicated');
+      expect(instruction.additionalInstructions?.[0].text).toContain('simvastatin + clarithromycin');
+    });
+
+    it('should record allergy alerts and add them as warnings', () => {
+      dispatcher = new StrategyDispatcher(registry, { allergyChecker: new AllergyChecker() });
+      registry.registerBase('base', new MockBaseStrategy(SpecificityLevel.DEFAULT, () => true, 'Base'));
+
+      const context = createTestContext({
+        medication: createTestMedicationProfile({ ingredient: [{ name: 'Cephalexin', strengthRatio: { numerator: { value: 500, unit: 'mg' }, denominator: { value: 1, unit: 'capsule' } } }] }),
+        patient: { id: 'p', age: 60, allergies: ['Penicillin'] }
+      });
+
+      const instruction = dispatcher.dispatch(context);
+      const [audit] = dispatcher.getAuditLog();
+
+      expect(audit.allergyAlerts[0]).toMatchObject({ matchType: 'cross-reactivity', severity: 'caution' });
+      expect(instruction.additionalInstructions?.[0].coding?.[0].code).toBe('cross-reactivity:penicillin:cephalexin');
+    });
   });
 
   // Debug mode test removed - not a feature of the dispatcher
@@ -0,0 +1,379 @@
+/**
+ * Cumulative Exposure Calculator
+ *
+ * Computes a patient's worst-case daily and lifetime exposure to each
+ * ingredient across all active orders (e.g., two acetaminophen-containing
+ * products, or a scheduled dose plus a PRN dose of the same drug) and
+ * flags totals that breach patient-level limits.
+ *
+ * @since 3.3.0
+ */
+
+import { Ingredient, MedicationProfile, Quantity } from '../../types/MedicationProfile';
+import { RelationshipType, SignatureInstruction } from '../../types/SignatureInstruction';
+import { UnitConverter } from '../units/UnitConverter';
+import { IUnitConverter } from '../units/types';
+import {
+  ActiveOrder,
+  CumulativeDoseBreach,
+  CumulativeDoseLimit,
+  CumulativeExposureOptions,
+  CumulativeExposureReport,
+  ExposureContribution,
+  IngredientExposure
+} from './types';
+
+/**
+ * Default patient-level limits
+ */
+export const DEFAULT_CUMULATIVE_LIMITS: CumulativeDoseLimit[] = [
+  { ingredient: 'acetaminophen', maxDailyDose: { value: 4000, unit: 'mg' } },
+  { ingredient: 'ibuprofen', maxDailyDose: { value: 3200, unit: 'mg' } },
+  { ingredient: 'naproxen', maxDailyDose: { value: 1500, unit: 'mg' } }
+];
+
+/**
+ * Days per FHIR period unit
+ */
+const DAYS_PER_PERIOD_UNIT: Record<string, number> = {
+  s: 1 / 86400,
+  min: 1 / 1440,
+  h: 1 / 24,
+  d: 1,
+  wk: 7,
+  mo: 30,
+  a: 365
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class CumulativeExposureCalculator {
+  private converter: IUnitConverter;
+
+  constructor(converter?: IUnitConverter) {
+    this.converter = converter || new UnitConverter();
+  }
+
+  /**
+   * Calculates per-ingredient totals across all active orders
+   *
+   * @param orders - Every active order for the patient
+   * @param options - Limits, prior exposure and reporting unit
+   * @returns Totals, breaches and any instructions that were left out
+   */
+  calculate(orders: ActiveOrder[], options: CumulativeExposureOptions = {}): CumulativeExposureReport {
+    const limits = options.limits || DEFAULT_CUMULATIVE_LIMITS;
+    const defaultUnit = options.defaultUnit || 'mg';
+    const warnings: string[] = [];
+    const exposures = new Map<string, IngredientExposure>();
+
+    for (const order of orders) {
+      const sequential = order.sequential ??
+        order.instructions.some(i => i.relationship?.type === RelationshipType.SEQUENTIAL);
+      const orderDaily = new Map<string, number[]>();
+
+      order.instructions.forEach((instruction, instructionIndex) => {
+        for (const ingredient of order.medication.ingredient || []) {
+          const name = normalize(ingredient.name);
+          const limit = findLimit(limits, name);
+          const unit = limit?.maxDailyDose?.unit || limit?.maxLifetimeDose?.unit || defaultUnit;
+
+          let contribution: ExposureContribution | undefined;
+          try {
+            contribution = this.calculateContribution(order, instructionIndex, ingredient, unit, warnings);
+          } catch (error) {
+            warnings.push(
+              `Order ${order.id} instruction ${instructionIndex}: cannot express ${name} in ${unit} ` +
+              `(${error instanceof Error ? error.message : String(error)})`
+            );
+          }
+          if (!contribution) continue;
+
+          const exposure = exposures.get(name) || {
+            ingredient: name,
+            unit,
+            dailyTotal: 0,
+            lifetimeTotal: 0,
+            lifetimeUnbounded: false,
+            contributions: []
+          };
+          exposure.contributions.push(contribution);
+          if (contribution.totalAmount === undefined) {
+            exposure.lifetimeUnbounded = true;
+          } else {
+            exposure.lifetimeTotal += contribution.totalAmount;
+          }
+          exposures.set(name, exposure);
+          orderDaily.set(name, [...(orderDaily.get(name) || []), contribution.dailyAmount]);
+        }
+      });
+
+      // Phases of a sequential order never overlap, so only the largest counts
+      for (const [name, amounts] of orderDaily) {
+        const exposure = exposures.get(name)!;
+        exposure.dailyTotal += sequential ? Math.max(...amounts) : sum(amounts);
+      }
+    }
+
+    for (const prior of options.priorExposure || []) {
+      const exposure = exposures.get(normalize(prior.ingredient));
+      if (exposure) {
+        exposure.lifetimeTotal += this.convert(prior.amount, exposure.unit);
+      }
+    }
+
+    const ingredients = Array.from(exposures.values()).map(exposure => ({
+      ...exposure,
+      dailyTotal: round(exposure.dailyTotal),
+      lifetimeTotal: round(exposure.lifetimeTotal)
+    }));
+    const breaches = this.findBreaches(ingredients, limits, warnings);
+
+    return {
+      ingredients,
+      breaches,
+      warnings,
+      hasBreaches: breaches.length > 0
+    };
+  }
+
+  /**
+   * Worst-case amount of one ingredient from one instruction
+   */
+  private calculateContribution(
+    order: ActiveOrder,
+    instructionIndex: number,
+    ingredient: Ingredient,
+    unit: string,
+    warnings: string[]
+  ): ExposureContribution | undefined {
+    const instruction = order.instructions[instructionIndex];
+    const label = `Order ${order.id} instruction ${instructionIndex}`;
+
+    const dose = getWorstCaseDose(instruction);
+    if (!dose) {
+      warnings.push(`${label}: no dose quantity`);
+      return undefined;
+    }
+
+    let amountPerDose = this.ingredientAmount(dose, order.medication, ingredient, unit);
+    if (instruction.maxDosePerAdministration) {
+      amountPerDose = Math.min(
+        amountPerDose,
+        this.ingredientAmount(instruction.maxDosePerAdministration, order.medication, ingredient, unit)
+      );
+    }
+
+    const repeat = instruction.timing?.repeat;
+    let administrationsPerDay = 1;
+    if (repeat?.frequency || repeat?.frequencyMax) {
+      const periodDays = (repeat.period || 1) * (DAYS_PER_PERIOD_UNIT[repeat.periodUnit || 'd'] ?? 1);
+      administrationsPerDay = (repeat.frequencyMax ?? repeat.frequency ?? 1) / periodDays;
+    } else {
+      warnings.push(`${label}: no frequency; counted as once daily`);
+    }
+
+    let dailyAmount = amountPerDose * administrationsPerDay;
+    const cap = instruction.maxDosePerPeriod;
+    if (cap?.numerator && cap.denominator) {
+      const capDays = (cap.denominator.value || 1) * (DAYS_PER_PERIOD_UNIT[cap.denominator.unit] ?? 1);
+      const capAmount = this.ingredientAmount(cap.numerator, order.medication, ingredient, unit);
+      // A cap over several days could all be taken on one day
+      dailyAmount = Math.min(dailyAmount, capDays >= 1 ? capAmount : capAmount / capDays);
+    }
+
+    let totalAmount: number | undefined;
+    if (repeat?.count) {
+      totalAmount = (repeat.countMax ?? repeat.count) * amountPerDose;
+    } else {
+      const days = getDurationDays(instruction);
+      if (days !== undefined) {
+        totalAmount = dailyAmount * days;
+      }
+    }
+
+    return {
+      orderId: order.id,
+      instructionIndex,
+      amountPerDose: round(amountPerDose),
+      administrationsPerDay: round(administrationsPerDay),
+      dailyAmount: round(dailyAmount),
+      ...(totalAmount !== undefined && { totalAmount: round(totalAmount) })
+    };
+  }
+
+  /**
+   * Amount of an ingredient delivered by a dose of the product
+   */
+  private ingredientAmount(
+    dose: Quantity,
+    medication: MedicationProfile,
+    ingredient: Ingredient,
+    unit: string
+  ): number {
+    const ingredients = medication.ingredient || [];
+    const strength = ingredient.strengthRatio;
+
+    // Counted in the strength's own unit (e.g. 2 tablet of 500 mg/tablet): apply the strength
+    if (strength && sameProductUnit(dose.unit, strength.denominator.unit)) {
+      return this.convert({
+        value: dose.value * strength.numerator.value / strength.denominator.value,
+        unit: strength.numerator.unit
+      }, unit);
+    }
+
+    // Single ingredient: the converter resolves mL, device units, etc. from strength
+    if (ingredients.length <= 1) {
+      return this.converter.convert(dose.value, dose.unit, unit, {
+        medication,
+        strengthRatio: ingredient.strengthRatio
+      }).value;
+    }
+
+    // Multi-ingredient: express the dose in product units, then apply this ingredient's strength
+    const primary = ingredients[0].strengthRatio;
+    if (!primary || !strength) {
+      throw new Error(`missing strength for ${ingredient.name}`);
+    }
+
+    const productUnits = sameProductUnit(dose.unit, primary.denominator.unit)
+      ? dose.value
+      : this.convert(dose, primary.numerator.unit) / primary.numerator.value * primary.denominator.value;
+    const perProductUnit = strength.numerator.value / strength.denominator.value;
+
+    return this.convert({ value: productUnits * perProductUnit, unit: strength.numerator.unit }, unit);
+  }
+
+  /**
+   * Compares totals with their limits
+   */
+  private findBreaches(
+    ingredients: IngredientExposure[],
+    limits: CumulativeDoseLimit[],
+    warnings: string[]
+  ): CumulativeDoseBreach[] {
+    const breaches: CumulativeDoseBreach[] = [];
+
+    for (const exposure of ingredients) {
+      const limit = findLimit(limits, exposure.ingredient);
+      if (!limit) continue;
+      const orderIds = Array.from(new Set(exposure.contributions.map(c => c.orderId)));
+
+      if (limit.maxDailyDose && exceeds(exposure.dailyTotal, this.convert(limit.maxDailyDose, exposure.unit))) {
+        breaches.push({
+          ingredient: exposure.ingredient,
+          limitType: 'daily',
+          limit: limit.maxDailyDose,
+          total: { value: exposure.dailyTotal, unit: exposure.unit },
+          orderIds
+        });
+      }
+
+      if (limit.maxLifetimeDose) {
+        if (exceeds(exposure.lifetimeTotal, this.convert(limit.maxLifetimeDose, exposure.unit))) {
+          breaches.push({
+            ingredient: exposure.ingredient,
+            limitType: 'lifetime',
+            limit: limit.maxLifetimeDose,
+            total: { value: exposure.lifetimeTotal, unit: exposure.unit },
+            orderIds
+          });
+        } else if (exposure.lifetimeUnbounded) {
+          warnings.push(
+            `${exposure.ingredient}: lifetime limit cannot be verified because an order has no end date`
+          );
+        }
+      }
+    }
+
+    return breaches;
+  }
+
+  private convert(quantity: Quantity, unit: string): number {
+    if (sameUnit(quantity.unit, unit)) return quantity.value;
+    return this.converter.convert(quantity.value, quantity.unit, unit).value;
+  }
+}
+
+/**
+ * Largest single dose: top of a range, else the fixed quantity
+ */
+function getWorstCaseDose(instruction: SignatureInstruction): Quantity | undefined {
+  let worst: Quantity | undefined;
+  for (const entry of instruction.doseAndRate || []) {
+    const candidate = entry.doseRange?.high || entry.doseQuantity;
+    if (candidate && (!worst || candidate.value > worst.value)) {
+      worst = candidate;
+    }
+  }
+  return worst;
+}
+
+/**
+ * Treatment length from repeat duration or bounds, if any
+ */
+function getDurationDays(instruction: SignatureInstruction): number | undefined {
+  const timing = instruction.timing;
+  const repeat = timing?.repeat;
+
+  const duration = repeat?.durationMax ?? repeat?.duration;
+  if (duration !== undefined) {
+    return duration * (DAYS_PER_PERIOD_UNIT[repeat?.durationUnit || 'd'] ?? 1);
+  }
+
+  if (timing?.bounds?.start && timing.bounds.end) {
+    const ms = Date.parse(timing.bounds.end) - Date.parse(timing.bounds.start);
+    if (!isNaN(ms) && ms >= 0) return ms / MS_PER_DAY;
+  }
+
+  return undefined;
+}
+
+function findLimit(limits: CumulativeDoseLimit[], ingredient: string): CumulativeDoseLimit | undefined {
+  return limits.find(limit => {
+    const name = normalize(limit.ingredient);
+    return ingredient === name || ingredient.split(/[^a-z0-9]+/).includes(name);
+  });
+}
+
+function normalize(name: string): string {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function sameUnit(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Product units compare without UCUM braces or plurals, so 'tablets'
+ * matches '{tablet}'
+ */
+function sameProductUnit(a: string, b: string): boolean {
+  const bare = (unit: string) => unit.toLowerCase().replace(/^\{(.*)\}$/, '$1').replace(/s$/, '');
+  return bare(a) === bare(b);
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function exceeds(total: number, limit: number): boolean {
+  return total > limit + 1e-9;
+}
+
+function round(value: number): number {
+  return Number(value.toFixed(4));
+}
+
+// Export singleton instance
+export const cumulativeExposureCalculator = new CumulativeExposureCalculator();
+
+/**
+ * Convenience function for calculating cumulative exposure
+ */
+export function calculateCumulativeExposure(
+  orders: ActiveOrder[],
+  options?: CumulativeExposureOptions
+): CumulativeExposureReport {
+  return cumulativeExposureCalculator.calculate(orders, options);
+}
@@ -0,0 +1,188 @@
+/**
+ * Tests for CumulativeExposureCalculator
+ */
+
+import { CumulativeExposureCalculator } from '../CumulativeExposureCalculator';
+import { ActiveOrder } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { RelationshipType, SignatureInstruction } from '../../../types/SignatureInstruction';
+
+describe('CumulativeExposureCalculator', () => {
+  let calculator: CumulativeExposureCalculator;
+
+  function tablet(id: string, ingredients: Array<[string, number]>): MedicationProfile {
+    return {
+      id,
+      name: id,
+      type: 'medication',
+      isActive: true,
+      doseForm: 'Tablet',
+      code: { coding: [{ display: id }] },
+      ingredient: ingredients.map(([name, mg]) => ({
+        name,
+        strengthRatio: {
+          numerator: { value: mg, unit: 'mg' },
+          denominator: { value: 1, unit: 'tablet' }
+        }
+      }))
+    };
+  }
+
+  function instruction(
+    dose: { value: number; unit: string },
+    frequency: number,
+    period: number,
+    periodUnit: string,
+    extra: Partial<SignatureInstruction> = {}
+  ): SignatureInstruction {
+    return {
+      text: 'test',
+      doseAndRate: [{ doseQuantity: dose }],
+      timing: { repeat: { frequency, period, periodUnit } },
+      ...extra
+    };
+  }
+
+  beforeEach(() => {
+    calculator = new CumulativeExposureCalculator();
+  });
+
+  describe('Daily totals', () => {
+    it('should flag two acetaminophen-containing products over 4 g/day', () => {
+      const orders: ActiveOrder[] = [
+        {
+          id: 'apap',
+          medication: tablet('Acetaminophen 500 MG', [['Acetaminophen', 500]]),
+          instructions: [instruction({ value: 2, unit: 'tablet' }, 1, 6, 'h')]
+        },
+        {
+          id: 'norco',
+          medication: tablet('Hydrocodone/APAP 5/325', [['Hydrocodone Bitartrate', 5], ['Acetaminophen', 325]]),
+          instructions: [instruction({ value: 1, unit: 'tablet' }, 1, 4, 'h', {
+            asNeeded: { text: 'for pain' }
+          })]
+        }
+      ];
+
+      const report = calculator.calculate(orders);
+      const apap = report.ingredients.find(i => i.ingredient === 'acetaminophen')!;
+
+      expect(apap.dailyTotal).toBe(5950); // 8 × 500 + 6 × 325
+      expect(apap.unit).toBe('mg');
+      expect(report.hasBreaches).toBe(true);
+      expect(report.breaches).toEqual([{
+        ingredient: 'acetaminophen',
+        limitType: 'daily',
+        limit: { value: 4000, unit: 'mg' },
+        total: { value: 5950, unit: 'mg' },
+        orderIds: ['apap', 'norco']
+      }]);
+      expect(report.ingredients.find(i => i.ingredient === 'hydrocodone bitartrate')!.dailyTotal).toBe(30);
+    });
+
+    it('should add a scheduled dose and a capped PRN dose of the same drug', () => {
+      const ibuprofen = tablet('Ibuprofen 400 MG', [['Ibuprofen', 400]]);
+      const orders: ActiveOrder[] = [
+        { id: 'scheduled', medication: ibuprofen, instructions: [instruction({ value: 800, unit: 'mg' }, 3, 1, 'd')] },
+        {
+          id: 'prn',
+          medication: ibuprofen,
+          instructions: [{
+            text: 'Take 1-2 tablets every 6 hours as needed',
+            doseAndRate: [{ doseRange: { low: { value: 1, unit: 'tablet' }, high: { value: 2, unit: 'tablet' } } }],
+            timing: { repeat: { frequency: 1, period: 6, periodUnit: 'h' } },
+            maxDosePerPeriod: {
+              numerator: { value: 1200, unit: 'mg' },
+              denominator: { value: 1, unit: 'd' }
+            }
+          }]
+        }
+      ];
+
+      const report = calculator.calculate(orders);
+      const [exposure] = report.ingredients;
+
+      expect(exposure.contributions.map(c => c.dailyAmount)).toEqual([2400, 1200]);
+      expect(exposure.dailyTotal).toBe(3600);
+      expect(report.breaches[0].limitType).toBe('daily');
+    });
+
+    it('should count only the largest phase of a sequential order', () => {
+      const prednisone = tablet('Prednisone 10 MG', [['Prednisone', 10]]);
+      const order: ActiveOrder = {
+        id: 'taper',
+        medication: prednisone,
+        instructions: [
+          instruction({ value: 4, unit: 'tablet' }, 1, 1, 'd', { relationship: { type: RelationshipType.SEQUENTIAL } }),
+          instruction({ value: 2, unit: 'tablet' }, 1, 1, 'd')
+        ]
+      };
+
+      const [exposure] = calculator.calculate([order]).ingredients;
+      expect(exposure.dailyTotal).toBe(40);
+    });
+
+    it('should not flag totals within the limit', () => {
+      const report = calculator.calculate([{
+        id: 'apap',
+        medication: tablet('Acetaminophen 500 MG', [['Acetaminophen', 500]]),
+        instructions: [instruction({ value: 1, unit: 'tablet' }, 1, 6, 'h')]
+      }]);
+
+      expect(report.hasBreaches).toBe(false);
+      expect(report.ingredients[0].dailyTotal).toBe(2000);
+    });
+  });
+
+  describe('Lifetime totals', () => {
+    const limits = [{ ingredient: 'bleomycin', maxLifetimeDose: { value: 1, unit: 'g' } }];
+    const bleomycin = tablet('Bleomycin', [['Bleomycin Sulfate', 50]]);
+
+    it('should include duration and prior exposure', () => {
+      const report = calculator.calculate([{
+        id: 'cycle',
+        medication: bleomycin,
+        instructions: [instruction({ value: 50, unit: 'mg' }, 1, 1, 'wk', {
+          timing: { repeat: { frequency: 1, period: 1, periodUnit: 'wk', duration: 12, durationUnit: 'wk' } }
+        })]
+      }], {
+        limits,
+        priorExposure: [{ ingredient: 'Bleomycin Sulfate', amount: { value: 0.5, unit: 'g' } }]
+      });
+
+      expect(report.ingredients[0]).toMatchObject({
+        unit: 'g',
+        lifetimeTotal: 1.1,
+        lifetimeUnbounded: false
+      });
+      expect(report.breaches[0]).toMatchObject({ limitType: 'lifetime', total: { value: 1.1, unit: 'g' } });
+    });
+
+    it('should warn when an open-ended order prevents a lifetime check', () => {
+      const report = calculator.calculate([{
+        id: 'open',
+        medication: bleomycin,
+        instructions: [instruction({ value: 50, unit: 'mg' }, 1, 1, 'wk')]
+      }], { limits });
+
+      expect(report.ingredients[0].lifetimeUnbounded).toBe(true);
+      expect(report.hasBreaches).toBe(false);
+      expect(report.warnings).toContain(
+        'bleomycin sulfate: lifetime limit cannot be verified because an order has no end date'
+      );
+    });
+  });
+
+  describe('Warnings', () => {
+    it('should report instructions without a dose', () => {
+      const report = calculator.calculate([{
+        id: 'empty',
+        medication: tablet('Acetaminophen 500 MG', [['Acetaminophen', 500]]),
+        instructions: [{ text: 'Use as directed' }]
+      }]);
+
+      expect(report.ingredients).toEqual([]);
+      expect(report.warnings).toEqual(['Order empty instruction 0: no dose quantity']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Cumulative Exposure Types
+ *
+ * Types for computing a patient's worst-case total exposure to each
+ * ingredient across all active orders, and the limits it is checked
+ * against.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationProfile, Quantity } from '../../types/MedicationProfile';
+import { SignatureInstruction } from '../../types/SignatureInstruction';
+
+/**
+ * One active order: a medication and the instructions generated for it
+ */
+export interface ActiveOrder {
+  /** Order identifier, reported on breaches */
+  id: string;
+  medication: MedicationProfile;
+  instructions: SignatureInstruction[];
+  /**
+   * Instructions are phases taken one after another (e.g., a taper),
+   * so only the largest daily amount counts. Detected automatically
+   * from SEQUENTIAL relationships.
+   */
+  sequential?: boolean;
+}
+
+/**
+ * Patient-level limit for one ingredient
+ */
+export interface CumulativeDoseLimit {
+  /** Ingredient name (matched case-insensitively, including salt forms) */
+  ingredient: string;
+  /** Maximum total per 24 hours across all orders */
+  maxDailyDose?: Quantity;
+  /** Maximum total over the patient's lifetime */
+  maxLifetimeDose?: Quantity;
+}
+
+/**
+ * Calculation options
+ */
+export interface CumulativeExposureOptions {
+  /** Limits to enforce */
+  limits?: CumulativeDoseLimit[];
+  /** Exposure already received, per ingredient, counted toward lifetime totals */
+  priorExposure?: Array<{ ingredient: string; amount: Quantity }>;
+  /**
+   * Unit totals are reported in when no limit names one
+   * @default 'mg'
+   */
+  defaultUnit?: string;
+}
+
+/**
+ * One instruction's contribution to an ingredient total
+ */
+export interface ExposureContribution {
+  orderId: string;
+  /** Index into the order's instructions */
+  instructionIndex: number;
+  /** Worst-case amount per administration */
+  amountPerDose: number;
+  /** Worst-case administrations per day */
+  administrationsPerDay: number;
+  /** Worst-case amount per day */
+  dailyAmount: number;
+  /** Total over the instruction's duration, if bounded */
+  totalAmount?: number;
+}
+
+/**
+ * Totals for one ingredient
+ */
+export interface IngredientExposure {
+  /** Lower-case ingredient name */
+  ingredient: string;
+  /** Unit of all amounts below */
+  unit: string;
+  /** Worst-case total per day across all orders */
+  dailyTotal: number;
+  /** Prior exposure plus every bounded order's total */
+  lifetimeTotal: number;
+  /** At least one contributing order has no end, so lifetimeTotal is a lower bound */
+  lifetimeUnbounded: boolean;
+  contributions: ExposureContribution[];
+}
+
+/**
+ * A limit exceeded by the combined orders
+ */
+export interface CumulativeDoseBreach {
+  ingredient: string;
+  limitType: 'daily' | 'lifetime';
+  limit: Quantity;
+  total: Quantity;
+  /** Orders that contribute to the total */
+  orderIds: string[];
+}
+
+/**
+ * Result of a cumulative exposure calculation
+ */
+export interface CumulativeExposureReport {
+  ingredients: IngredientExposure[];
+  breaches: CumulativeDoseBreach[];
+  /** Instructions that could not be normalized and were left out */
+  warnings: string[];
+  hasBreaches: boolean;
+}
@@ -0,0 +1,410 @@
+/**
+ * FHIR MedicationRequest Exporter
+ *
+ * Converts a MedicationRequestContext plus builder output
+ * (SignatureInstruction[]) into FHIR R4 MedicationRequest resources.
+ * Tapering schedules (TaperingDoseBuilder.getComplexResult()) are
+ * exported as a transaction Bundle with one MedicationRequest per phase.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { MedicationProfile, Quantity } from '../../types/MedicationProfile';
+import { SignatureInstruction } from '../../types/SignatureInstruction';
+import { calculateDaysSupply, createDaysSupplyContext } from '../strategies/days-supply';
+import {
+  FHIRBundle,
+  FHIRDosage,
+  FHIRMedication,
+  FHIRMedicationRequest,
+  FHIRQuantity,
+  FHIRReference,
+  MedicationRequestExportOptions,
+  FHIR_SYSTEMS
+} from './types';
+
+/**
+ * UCUM codes for units that appear in dispense quantities
+ */
+const UCUM_CODES: Record<string, string> = {
+  'ml': 'mL',
+  'l': 'L',
+  'mg': 'mg',
+  'g': 'g',
+  'mcg': 'ug',
+  'unit': '[iU]',
+  'units': '[iU]',
+  'tablet': '{tablet}',
+  'tablets': '{tablet}',
+  'capsule': '{capsule}',
+  'capsules': '{capsule}'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class MedicationRequestExporter {
+  private readonly options: Required<MedicationRequestExportOptions>;
+
+  constructor(options: MedicationRequestExportOptions = {}) {
+    this.options = {
+      status: options.status || 'active',
+      intent: options.intent || 'order',
+      generateId: options.generateId || generateUUID
+    };
+  }
+
+  /**
+   * Export a single MedicationRequest with all instructions as dosageInstruction
+   */
+  toMedicationRequest(
+    context: MedicationRequestContext,
+    instructions: SignatureInstruction[]
+  ): FHIRMedicationRequest {
+    const request = this.createBaseRequest(context);
+    request.dosageInstruction = instructions.map(instruction => this.toDosage(instruction));
+
+    const dispenseRequest = this.buildDispenseRequest(context, this.calculateExpectedSupply(context));
+    if (dispenseRequest) {
+      request.dispenseRequest = dispenseRequest;
+    }
+
+    return request;
+  }
+
+  /**
+   * Export tapering phases as a transaction Bundle.
+   *
+   * Each phase becomes its own MedicationRequest linked to the previous
+   * phase through priorPrescription. The dispense covers the whole taper,
+   * so dispenseRequest is carried on the first phase only and its expected
+   * supply duration is the sum of the phase bounds.
+   */
+  toTaperingBundle(
+    context: MedicationRequestContext,
+    phaseInstructions: SignatureInstruction[]
+  ): FHIRBundle<FHIRMedicationRequest> {
+    if (phaseInstructions.length === 0) {
+      throw new Error('At least one phase instruction is required for a tapering bundle');
+    }
+
+    const fullUrls = phaseInstructions.map(() => `urn:uuid:${this.options.generateId()}`);
+    const taperDays = this.calculateTaperDays(phaseInstructions);
+
+    const entry = phaseInstructions.map((instruction, index) => {
+      const request = this.createBaseRequest(context);
+      request.groupIdentifier = { value: context.id };
+      request.dosageInstruction = [this.toDosage(instruction)];
+
+      if (index === 0) {
+        const expectedSupply = taperDays > 0 ? taperDays : this.calculateExpectedSupply(context);
+        const dispenseRequest = this.buildDispenseRequest(context, expectedSupply);
+        if (dispenseRequest) {
+          request.dispenseRequest = dispenseRequest;
+        }
+      } else {
+        request.priorPrescription = { reference: fullUrls[index - 1] };
+      }
+
+      return {
+        fullUrl: fullUrls[index],
+        resource: request,
+        request: { method: 'POST' as const, url: 'MedicationRequest' }
+      };
+    });
+
+    return {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      timestamp: context.timestamp,
+      entry
+    };
+  }
+
+  /**
+   * Convert a SignatureInstruction to a FHIR R4 Dosage
+   */
+  toDosage(instruction: SignatureInstruction): FHIRDosage {
+    const dosage: FHIRDosage = {};
+
+    if (instruction.sequence !== undefined) dosage.sequence = instruction.sequence;
+    dosage.text = instruction.text;
+
+    if (instruction.additionalInstructions?.length) {
+      dosage.additionalInstruction = instruction.additionalInstructions;
+    }
+    if (instruction.patientInstructions) {
+      dosage.patientInstruction = instruction.patientInstructions;
+    }
+
+    if (instruction.timing) {
+      const { bounds, repeat, ...rest } = instruction.timing;
+      dosage.timing = { ...rest };
+      if (repeat || bounds) {
+        dosage.timing.repeat = {
+          ...(bounds && { boundsPeriod: bounds }),
+          ...repeat
+        };
+      }
+    }
+
+    if (instruction.asNeeded) {
+      const isNoInformation = instruction.asNeeded.coding?.some(
+        coding => coding.system === FHIR_SYSTEMS.NULL_FLAVOR
+      );
+      if (isNoInformation && !instruction.asNeeded.text) {
+        dosage.asNeededBoolean = true;
+      } else {
+        dosage.asNeededCodeableConcept = instruction.asNeeded;
+      }
+    }
+
+    if (instruction.site) dosage.site = instruction.site;
+    if (instruction.route) dosage.route = instruction.route;
+    if (instruction.method) dosage.method = instruction.method;
+    if (instruction.doseAndRate) dosage.doseAndRate = instruction.doseAndRate;
+    if (instruction.maxDosePerPeriod) dosage.maxDosePerPeriod = instruction.maxDosePerPeriod;
+    if (instruction.maxDosePerAdministration) dosage.maxDosePerAdministration = instruction.maxDosePerAdministration;
+    if (instruction.maxDosePerLifetime) dosage.maxDosePerLifetime = instruction.maxDosePerLifetime;
+
+    return dosage;
+  }
+
+  /**
+   * Build the contained Medication resource from the profile
+   */
+  toMedication(medication: MedicationProfile): FHIRMedication {
+    return {
+      resourceType: 'Medication',
+      id: this.containedMedicationId(medication),
+      code: medication.code,
+      form: { coding: [], text: medication.doseForm },
+      ingredient: medication.ingredient.map(ingredient => ({
+        itemCodeableConcept: { coding: [], text: ingredient.name },
+        isActive: true,
+        strength: ingredient.strengthRatio
+      }))
+    };
+  }
+
+  /**
+   * Fields shared by single and bundled requests
+   */
+  private createBaseRequest(context: MedicationRequestContext): FHIRMedicationRequest {
+    const medication = this.toMedication(context.medication);
+
+    const request: FHIRMedicationRequest = {
+      resourceType: 'MedicationRequest',
+      identifier: [{ value: context.id }],
+      status: this.options.status,
+      intent: this.options.intent,
+      contained: [medication],
+      medicationReference: { reference: `#${medication.id}`, display: context.medication.name },
+      subject: { reference: `Patient/${context.patient.id}` },
+      authoredOn: context.timestamp
+    };
+
+    const requester = this.buildRequester(context);
+    if (requester) {
+      request.requester = requester;
+    }
+
+    const reasonCode = this.buildReasonCode(context);
+    if (reasonCode.length > 0) {
+      request.reasonCode = reasonCode;
+    }
+
+    if (context.clinicalContext?.notes) {
+      request.note = [{ text: context.clinicalContext.notes }];
+    }
+
+    return request;
+  }
+
+  /**
+   * Build requester reference from PrescriberContext
+   */
+  private buildRequester(context: MedicationRequestContext): FHIRReference | undefined {
+    const prescriber = context.prescriber;
+    if (!prescriber) return undefined;
+
+    return {
+      reference: `Practitioner/${prescriber.id}`,
+      display: prescriber.name,
+      ...(prescriber.npi && { identifier: { system: FHIR_SYSTEMS.NPI, value: prescriber.npi } })
+    };
+  }
+
+  /**
+   * Build reasonCode from ICD-10 codes, falling back to the indication text
+   */
+  private buildReasonCode(context: MedicationRequestContext) {
+    const clinical = context.clinicalContext;
+    if (!clinical) return [];
+
+    if (clinical.icd10Codes && clinical.icd10Codes.length > 0) {
+      return clinical.icd10Codes.map(code => ({
+        coding: [{ system: FHIR_SYSTEMS.ICD10_CM, code, display: clinical.indication }],
+        text: clinical.indication
+      }));
+    }
+
+    return clinical.indication ? [{ coding: [], text: clinical.indication }] : [];
+  }
+
+  /**
+   * Build dispenseRequest from quantity, refills and expected supply (days)
+   */
+  private buildDispenseRequest(
+    context: MedicationRequestContext,
+    expectedSupplyDays: number | undefined
+  ): FHIRMedicationRequest['dispenseRequest'] | undefined {
+    const dispenseRequest: NonNullable<FHIRMedicationRequest['dispenseRequest']> = {};
+
+    if (context.quantity) {
+      dispenseRequest.quantity = this.toFHIRQuantity(context.quantity);
+    }
+    if (context.refills !== undefined) {
+      dispenseRequest.numberOfRepeatsAllowed = context.refills;
+    }
+    if (expectedSupplyDays !== undefined && expectedSupplyDays > 0) {
+      dispenseRequest.expectedSupplyDuration = {
+        value: expectedSupplyDays,
+        unit: 'days',
+        system: FHIR_SYSTEMS.UCUM,
+        code: 'd'
+      };
+    }
+
+    return Object.keys(dispenseRequest).length > 0 ? dispenseRequest : undefined;
+  }
+
+  /**
+   * Expected supply in days using the days supply strategies.
+   * Falls back to the therapy duration when no quantity is known.
+   */
+  private calculateExpectedSupply(context: MedicationRequestContext): number | undefined {
+    if (context.quantity) {
+      const medication = context.medication;
+      const daysSupplyContext = createDaysSupplyContext(
+        context.quantity.value,
+        context.quantity.unit,
+        context.dose.value,
+        context.dose.unit,
+        context.frequency,
+        {
+          doseForm: medication.doseForm,
+          ingredient: medication.ingredient.map(ingredient => ({ strengthRatio: ingredient.strengthRatio })),
+          ...(medication.dispenserInfo && {
+            dispenserInfo: {
+              conversionRatio: medication.dispenserInfo.conversionRatio,
+              unit: medication.dispenserInfo.unit
+            }
+          }),
+          ...(medication.packageInfo && { packageInfo: medication.packageInfo }),
+          ...(medication.dispenserMetadata && { dispenserMetadata: medication.dispenserMetadata }),
+          // A mixed powder vial's stability is its beyond-use date
+          beyondUseAfterOpening: medication.beyondUseAfterOpening || medication.reconstitution?.stability?.duration
+        }
+      );
+
+      try {
+        const result = calculateDaysSupply(daysSupplyContext);
+        if (result.daysSupply > 0) {
+          return result.daysSupply;
+        }
+      } catch {
+        // Fall through to duration-based estimate
+      }
+    }
+
+    if (context.duration) {
+      return this.durationToDays(context.duration);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Total taper length in days from each phase's timing bounds
+   */
+  private calculateTaperDays(phaseInstructions: SignatureInstruction[]): number {
+    return phaseInstructions.reduce((total, instruction) => {
+      const bounds = instruction.timing?.bounds;
+      if (!bounds?.start || !bounds?.end) return total;
+
+      const days = (new Date(bounds.end).getTime() - new Date(bounds.start).getTime()) / MS_PER_DAY;
+      return total + (Number.isFinite(days) && days > 0 ? Math.round(days) : 0);
+    }, 0);
+  }
+
+  private durationToDays(duration: Quantity): number | undefined {
+    const daysPerUnit: Record<string, number> = {
+      'd': 1,
+      'day': 1,
+      'days': 1,
+      'wk': 7,
+      'week': 7,
+      'weeks': 7,
+      'mo': 30,
+      'month': 30,
+      'months': 30
+    };
+    const factor = daysPerUnit[duration.unit.toLowerCase()];
+    return factor ? duration.value * factor : undefined;
+  }
+
+  private toFHIRQuantity(quantity: Quantity): FHIRQuantity {
+    const code = UCUM_CODES[quantity.unit.toLowerCase()];
+    return {
+      value: quantity.value,
+      unit: quantity.unit,
+      ...(code && { system: FHIR_SYSTEMS.UCUM, code })
+    };
+  }
+
+  private containedMedicationId(medication: MedicationProfile): string {
+    return `med-${medication.id}`.replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+  }
+}
+
+/**
+ * RFC 4122 version 4 identifier
+ */
+function generateUUID(): string {
+  const cryptoApi = (globalThis as { crypto?: { randomUUID?: () => string } }).crypto;
+  if (cryptoApi?.randomUUID) {
+    return cryptoApi.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+}
+
+/**
+ * Create singleton instance
+ */
+export const medicationRequestExporter = new MedicationRequestExporter();
+
+/**
+ * Convenience function for exporting a single MedicationRequest
+ */
+export function exportMedicationRequest(
+  context: MedicationRequestContext,
+  instructions: SignatureInstruction[]
+): FHIRMedicationRequest {
+  return medicationRequestExporter.toMedicationRequest(context, instructions);
+}
+
+/**
+ * Convenience function for exporting a tapering schedule as a transaction Bundle
+ */
+export function exportTaperingBundle(
+  context: MedicationRequestContext,
+  phaseInstructions: SignatureInstruction[]
+): FHIRBundle<FHIRMedicationRequest> {
+  return medicationRequestExporter.toTaperingBundle(context, phaseInstructions);
+}
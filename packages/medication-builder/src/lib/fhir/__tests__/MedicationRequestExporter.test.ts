@@ -0,0 +1,249 @@
+/**
+ * Tests for FHIR MedicationRequest Exporter
+ *
+ * Validates MedicationRequest and transaction Bundle output for
+ * single regimens and tapering schedules.
+ */
+
+import {
+  MedicationRequestExporter,
+  exportMedicationRequest,
+  exportTaperingBundle
+} from '../MedicationRequestExporter';
+import { isFHIRMedicationRequest, FHIR_SYSTEMS } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction, RelationshipType } from '../../../types/SignatureInstruction';
+
+const prednisone: MedicationProfile = {
+  id: 'prednisone-10',
+  name: 'Prednisone 10mg',
+  type: 'medication',
+  isActive: true,
+  doseForm: 'Tablet',
+  code: {
+    coding: [{
+      system: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+      code: '8640',
+      display: 'Prednisone 10 MG Oral Tablet'
+    }]
+  },
+  ingredient: [{
+    name: 'Prednisone',
+    strengthRatio: {
+      numerator: { value: 10, unit: 'mg' },
+      denominator: { value: 1, unit: 'tablet' }
+    }
+  }]
+};
+
+const baseContext: MedicationRequestContext = {
+  id: 'req-001',
+  timestamp: '2025-01-15T10:00:00.000Z',
+  medication: prednisone,
+  patient: { id: 'patient-1', age: 54 },
+  dose: { value: 1, unit: 'tablet' },
+  frequency: 'twice daily',
+  route: 'Orally',
+  quantity: { value: 60, unit: 'tablet' },
+  refills: 2,
+  prescriber: {
+    id: 'prac-9',
+    name: 'Dr. Jane Smith',
+    npi: '1234567890'
+  },
+  clinicalContext: {
+    indication: 'Asthma exacerbation',
+    icd10Codes: ['J45.901']
+  }
+};
+
+const twiceDailyInstruction: SignatureInstruction = {
+  text: 'Take 1 tablet by mouth twice daily',
+  timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd' } },
+  route: { coding: [{ system: 'http://snomed.info/sct', code: '26643006', display: 'Orally' }] },
+  doseAndRate: [{ doseQuantity: { value: 1, unit: 'tablet' } }],
+  additionalInstructions: [{ text: 'Take with food' }]
+};
+
+function phaseInstruction(sequence: number, mg: number, start: string, end: string): SignatureInstruction {
+  return {
+    id: `phase-${sequence}`,
+    text: `Phase ${sequence}: Take ${mg} mg by mouth once daily`,
+    timing: {
+      repeat: { frequency: 1, period: 1, periodUnit: 'd' },
+      bounds: { start, end }
+    },
+    doseAndRate: [{ doseQuantity: { value: mg, unit: 'mg' } }],
+    ...(sequence > 1 && {
+      relationship: { type: RelationshipType.SEQUENTIAL, targetId: `phase-${sequence - 1}` }
+    })
+  };
+}
+
+describe('MedicationRequestExporter', () => {
+  let exporter: MedicationRequestExporter;
+  let idCounter: number;
+
+  beforeEach(() => {
+    idCounter = 0;
+    exporter = new MedicationRequestExporter({ generateId: () => `id-${++idCounter}` });
+  });
+
+  describe('MedicationRequest', () => {
+    it('should export a valid MedicationRequest', () => {
+      const request = exporter.toMedicationRequest(baseContext, [twiceDailyInstruction]);
+
+      expect(isFHIRMedicationRequest(request)).toBe(true);
+      expect(request.status).toBe('active');
+      expect(request.intent).toBe('order');
+      expect(request.subject).toEqual({ reference: 'Patient/patient-1' });
+      expect(request.authoredOn).toBe(baseContext.timestamp);
+      expect(request.identifier).toEqual([{ value: 'req-001' }]);
+    });
+
+    it('should build a contained Medication from code and ingredients', () => {
+      const request = exporter.toMedicationRequest(baseContext, [twiceDailyInstruction]);
+
+      expect(request.contained).toHaveLength(1);
+      const medication = request.contained![0];
+      expect(medication.resourceType).toBe('Medication');
+      expect(medication.code).toEqual(prednisone.code);
+      expect(medication.form?.text).toBe('Tablet');
+      expect(medication.ingredient?.[0]).toEqual({
+        itemCodeableConcept: { coding: [], text: 'Prednisone' },
+        isActive: true,
+        strength: prednisone.ingredient[0].strengthRatio
+      });
+      expect(request.medicationReference?.reference).toBe(`#${medication.id}`);
+    });
+
+    it('should populate requester from PrescriberContext', () => {
+      const request = exporter.toMedicationRequest(baseContext, [twiceDailyInstruction]);
+
+      expect(request.requester).toEqual({
+        reference: 'Practitioner/prac-9',
+        display: 'Dr. Jane Smith',
+        identifier: { system: FHIR_SYSTEMS.NPI, value: '1234567890' }
+      });
+    });
+
+    it('should map ICD-10 codes to reasonCode', () => {
+      const request = exporter.toMedicationRequest(baseContext, [twiceDailyInstruction]);
+
+      expect(request.reasonCode).toEqual([{
+        coding: [{ system: FHIR_SYSTEMS.ICD10_CM, code: 'J45.901', display: 'Asthma exacerbation' }],
+        text: 'Asthma exacerbation'
+      }]);
+    });
+
+    it('should convert instructions to FHIR Dosage field names', () => {
+      const request = exporter.toMedicationRequest(baseContext, [{
+        ...twiceDailyInstruction,
+        patientInstructions: 'Take in the morning and evening',
+        asNeeded: {
+          coding: [{ system: FHIR_SYSTEMS.NULL_FLAVOR, code: 'NI', display: 'NoInformation' }]
+        }
+      }]);
+      const dosage = request.dosageInstruction![0];
+
+      expect(dosage.additionalInstruction).toEqual([{ text: 'Take with food' }]);
+      expect(dosage.patientInstruction).toBe('Take in the morning and evening');
+      expect(dosage.asNeededBoolean).toBe(true);
+      expect(dosage).not.toHaveProperty('additionalInstructions');
+      expect(dosage).not.toHaveProperty('relationship');
+    });
+
+    it('should compute dispenseRequest using the days supply strategies', () => {
+      const request = exporter.toMedicationRequest(baseContext, [twiceDailyInstruction]);
+
+      expect(request.dispenseRequest).toEqual({
+        quantity: { value: 60, unit: 'tablet', system: FHIR_SYSTEMS.UCUM, code: '{tablet}' },
+        numberOfRepeatsAllowed: 2,
+        expectedSupplyDuration: { value: 30, unit: 'days', system: FHIR_SYSTEMS.UCUM, code: 'd' }
+      });
+    });
+
+    it('should fall back to therapy duration when no quantity is given', () => {
+      const request = exportMedicationRequest({
+        ...baseContext,
+        quantity: undefined,
+        refills: undefined,
+        duration: { value: 2, unit: 'weeks' }
+      }, [twiceDailyInstruction]);
+
+      expect(request.dispenseRequest).toEqual({
+        expectedSupplyDuration: { value: 14, unit: 'days', system: FHIR_SYSTEMS.UCUM, code: 'd' }
+      });
+    });
+
+    it('should omit optional elements when context is minimal', () => {
+      const request = exporter.toMedicationRequest({
+        ...baseContext,
+        quantity: undefined,
+        refills: undefined,
+        prescriber: undefined,
+        clinicalContext: undefined
+      }, [twiceDailyInstruction]);
+
+      expect(request.requester).toBeUndefined();
+      expect(request.reasonCode).toBeUndefined();
+      expect(request.dispenseRequest).toBeUndefined();
+    });
+  });
+
+  describe('Tapering Bundle', () => {
+    const phases = [
+      phaseInstruction(1, 40, '2025-01-15T00:00:00.000Z', '2025-01-29T00:00:00.000Z'),
+      phaseInstruction(2, 20, '2025-01-29T00:00:00.000Z', '2025-02-12T00:00:00.000Z'),
+      phaseInstruction(3, 10, '2025-02-12T00:00:00.000Z', '2025-02-19T00:00:00.000Z')
+    ];
+
+    it('should wrap each phase in a transaction Bundle entry', () => {
+      const bundle = exporter.toTaperingBundle(baseContext, phases);
+
+      expect(bundle.resourceType).toBe('Bundle');
+      expect(bundle.type).toBe('transaction');
+      expect(bundle.entry).toHaveLength(3);
+      bundle.entry.forEach((entry, index) => {
+        expect(entry.fullUrl).toBe(`urn:uuid:id-${index + 1}`);
+        expect(entry.request).toEqual({ method: 'POST', url: 'MedicationRequest' });
+        expect(entry.resource.groupIdentifier).toEqual({ value: 'req-001' });
+        expect(entry.resource.dosageInstruction).toHaveLength(1);
+      });
+    });
+
+    it('should chain phases with priorPrescription', () => {
+      const bundle = exporter.toTaperingBundle(baseContext, phases);
+
+      expect(bundle.entry[0].resource.priorPrescription).toBeUndefined();
+      expect(bundle.entry[1].resource.priorPrescription).toEqual({ reference: 'urn:uuid:id-1' });
+      expect(bundle.entry[2].resource.priorPrescription).toEqual({ reference: 'urn:uuid:id-2' });
+    });
+
+    it('should move phase bounds into Timing.repeat.boundsPeriod', () => {
+      const bundle = exporter.toTaperingBundle(baseContext, phases);
+      const timing = bundle.entry[0].resource.dosageInstruction![0].timing;
+
+      expect(timing?.repeat?.boundsPeriod).toEqual({
+        start: '2025-01-15T00:00:00.000Z',
+        end: '2025-01-29T00:00:00.000Z'
+      });
+      expect(timing).not.toHaveProperty('bounds');
+    });
+
+    it('should carry the dispense on the first phase with the total taper length', () => {
+      const bundle = exportTaperingBundle(baseContext, phases);
+
+      expect(bundle.entry[0].resource.dispenseRequest?.expectedSupplyDuration?.value).toBe(35);
+      expect(bundle.entry[0].resource.dispenseRequest?.numberOfRepeatsAllowed).toBe(2);
+      expect(bundle.entry[1].resource.dispenseRequest).toBeUndefined();
+    });
+
+    it('should reject an empty phase list', () => {
+      expect(() => exporter.toTaperingBundle(baseContext, [])).toThrow(
+        'At least one phase instruction is required for a tapering bundle'
+      );
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * FHIR R4 Resource Types for Export
+ *
+ * Minimal FHIR R4 resource shapes produced when exporting builder output
+ * as MedicationRequest resources and transaction Bundles.
+ *
+ * Based on:
+ * https://www.hl7.org/fhir/R4/medicationrequest.html
+ * https://www.hl7.org/fhir/R4/bundle.html
+ *
+ * @since 3.3.0
+ */
+
+import { CodeableConcept, Quantity, Ratio } from '../../types/MedicationProfile';
+import { DoseAndRate } from '../../types/SignatureInstruction';
+
+/**
+ * FHIR Reference
+ */
+export interface FHIRReference {
+  reference?: string;
+  display?: string;
+  identifier?: FHIRIdentifier;
+}
+
+/**
+ * FHIR Identifier
+ */
+export interface FHIRIdentifier {
+  system?: string;
+  value: string;
+}
+
+/**
+ * FHIR Quantity with UCUM coding
+ */
+export interface FHIRQuantity extends Quantity {
+  system?: string;
+  code?: string;
+}
+
+/**
+ * FHIR R4 Timing as emitted in Dosage (bounds live under repeat)
+ */
+export interface FHIRDosageTiming {
+  event?: string[];
+  repeat?: {
+    boundsPeriod?: { start?: string; end?: string };
+    boundsDuration?: { value: number; unit: string };
+    count?: number;
+    countMax?: number;
+    duration?: number;
+    durationMax?: number;
+    durationUnit?: string;
+    frequency?: number;
+    frequencyMax?: number;
+    period?: number;
+    periodMax?: number;
+    periodUnit?: string;
+    dayOfWeek?: string[];
+    timeOfDay?: string[];
+    when?: string[];
+    offset?: number;
+  };
+  code?: CodeableConcept;
+}
+
+/**
+ * FHIR R4 Dosage
+ */
+export interface FHIRDosage {
+  sequence?: number;
+  text?: string;
+  additionalInstruction?: Array<{ coding?: Array<{ system?: string; code?: string; display?: string }>; text?: string }>;
+  patientInstruction?: string;
+  timing?: FHIRDosageTiming;
+  asNeededBoolean?: boolean;
+  asNeededCodeableConcept?: CodeableConcept;
+  site?: CodeableConcept;
+  route?: CodeableConcept;
+  method?: CodeableConcept;
+  doseAndRate?: DoseAndRate[];
+  maxDosePerPeriod?: Ratio;
+  maxDosePerAdministration?: Quantity;
+  maxDosePerLifetime?: Quantity;
+}
+
+/**
+ * FHIR R4 Medication (used as a contained resource)
+ */
+export interface FHIRMedication {
+  resourceType: 'Medication';
+  id: string;
+  code?: CodeableConcept;
+  form?: CodeableConcept;
+  ingredient?: Array<{
+    itemCodeableConcept: CodeableConcept;
+    isActive?: boolean;
+    strength?: Ratio;
+  }>;
+}
+
+/**
+ * FHIR R4 MedicationRequest
+ */
+export interface FHIRMedicationRequest {
+  resourceType: 'MedicationRequest';
+  id?: string;
+  identifier?: FHIRIdentifier[];
+  status: 'active' | 'on-hold' | 'cancelled' | 'completed' | 'entered-in-error' | 'stopped' | 'draft' | 'unknown';
+  intent: 'proposal' | 'plan' | 'order' | 'original-order' | 'reflex-order' | 'filler-order' | 'instance-order' | 'option';
+  contained?: FHIRMedication[];
+  medicationReference?: FHIRReference;
+  subject: FHIRReference;
+  authoredOn?: string;
+  requester?: FHIRReference;
+  reasonCode?: CodeableConcept[];
+  groupIdentifier?: FHIRIdentifier;
+  priorPrescription?: FHIRReference;
+  note?: Array<{ text: string }>;
+  dosageInstruction?: FHIRDosage[];
+  dispenseRequest?: {
+    quantity?: FHIRQuantity;
+    numberOfRepeatsAllowed?: number;
+    expectedSupplyDuration?: FHIRQuantity;
+  };
+}
+
+/**
+ * FHIR R4 Bundle entry
+ */
+export interface FHIRBundleEntry<T> {
+  fullUrl?: string;
+  resource: T;
+  request?: {
+    method: 'GET' | 'HEAD' | 'POST' | 'PUT' | 'DELETE' | 'PATCH';
+    url: string;
+  };
+}
+
+/**
+ * FHIR R4 Bundle
+ */
+export interface FHIRBundle<T> {
+  resourceType: 'Bundle';
+  id?: string;
+  type: 'transaction' | 'batch' | 'collection' | 'document' | 'message';
+  timestamp?: string;
+  entry: Array<FHIRBundleEntry<T>>;
+}
+
+/**
+ * Options controlling MedicationRequest export
+ */
+export interface MedicationRequestExportOptions {
+  /** Request status (default: 'active') */
+  status?: FHIRMedicationRequest['status'];
+  /** Request intent (default: 'order') */
+  intent?: FHIRMedicationRequest['intent'];
+  /** Identifier generator for bundle fullUrls (default: random UUID) */
+  generateId?: () => string;
+}
+
+/**
+ * Code systems used in exported resources
+ */
+export const FHIR_SYSTEMS = {
+  UCUM: 'http://unitsofmeasure.org',
+  NPI: 'http://hl7.org/fhir/sid/us-npi',
+  ICD10_CM: 'http://hl7.org/fhir/sid/icd-10-cm',
+  NULL_FLAVOR: 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor'
+} as const;
+
+/**
+ * Type guard for exported MedicationRequest resources
+ */
+export function isFHIRMedicationRequest(obj: any): obj is FHIRMedicationRequest {
+  return obj &&
+         obj.resourceType === 'MedicationRequest' &&
+         typeof obj.status === 'string' &&
+         typeof obj.intent === 'string' &&
+         obj.subject && typeof obj.subject === 'object';
+}
@@ -0,0 +1,288 @@
+/**
+ * Injection Site Rotation Planner
+ *
+ * Plans the sites for the next injections of an intramuscular or
+ * subcutaneous regimen: sides alternate, the least recently used site
+ * and side comes next once it has rested its minimum interval, and sites
+ * too small for the injection volume are left out. The plan codes each
+ * site for SignatureInstruction.site and renders as a patient-facing
+ * chart.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity } from '../../types/MedicationProfile';
+import { SignatureInstruction } from '../../types/SignatureInstruction';
+import { DEFAULT_LOCALE, SupportedLocale } from '../templates/locales';
+import { addDays, daysBetween, isLocalDate } from '../schedule/zoned-time';
+import { getInjectionSite, getInjectionSitesForRoute } from './sites';
+import {
+  BODY_SIDES,
+  BodySide,
+  InjectionRoute,
+  InjectionSiteDefinition,
+  PlannedInjectionSite,
+  RotationOptions,
+  RotationPlan
+} from './types';
+
+/**
+ * Days per FHIR period unit
+ */
+const DAYS_PER_PERIOD_UNIT: Record<string, number> = {
+  s: 1 / 86400,
+  min: 1 / 1440,
+  h: 1 / 24,
+  d: 1,
+  wk: 7,
+  mo: 30,
+  a: 365
+};
+
+/**
+ * SNOMED CT route codes
+ */
+const ROUTE_CODES: Record<string, InjectionRoute> = {
+  '78421000': 'intramuscular',
+  '34206005': 'subcutaneous'
+};
+
+/**
+ * Chart wording per locale
+ */
+const CHART_TEXT: Record<SupportedLocale, { title: string; tip: string }> = {
+  'en-US': {
+    title: 'Injection site rotation',
+    tip: 'Use a new spot at least 1 inch (2.5 cm) from your last injection.'
+  },
+  'es-US': {
+    title: 'Rotación de sitios de inyección',
+    tip: 'Use un punto nuevo a por lo menos 2.5 cm (1 pulgada) de la última inyección.'
+  }
+};
+
+interface Slot {
+  site: InjectionSiteDefinition;
+  side: BodySide;
+  lastUsed?: number;
+}
+
+export class InjectionSiteRotation {
+  /**
+   * Plans the sites for the next injections of a regimen
+   *
+   * @param instruction - Instruction for the injection regimen
+   * @param options - Number of injections, start date, history and site choices
+   * @returns Planned sites in order, with any warnings
+   */
+  plan(instruction: SignatureInstruction, options: RotationOptions): RotationPlan {
+    const { count, startDate, history = [] } = options;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid count: ${count}`);
+    }
+    if (startDate !== undefined && !isLocalDate(startDate)) {
+      throw new Error(`Invalid start date: ${startDate}. Expected YYYY-MM-DD`);
+    }
+    if (history.length > 0 && startDate === undefined) {
+      throw new Error('A start date is required to plan from injection history');
+    }
+
+    const route = options.route || detectRoute(instruction);
+    if (!route) {
+      throw new Error('Cannot determine injection route; pass route');
+    }
+
+    const intervalDays = options.intervalDays ?? getIntervalDays(instruction);
+    if (intervalDays === undefined && count > 1) {
+      throw new Error('Cannot determine days between injections; pass intervalDays');
+    }
+    if (intervalDays !== undefined && !(intervalDays > 0)) {
+      throw new Error(`Invalid interval: ${intervalDays} days`);
+    }
+
+    const warnings: string[] = [];
+    const sites = this.resolveSites(route, options.sites);
+    const volumeMl = toMilliliters(options.volume || instruction.doseAndRate?.[0]?.doseQuantity);
+    let usable = sites;
+    if (volumeMl !== undefined) {
+      usable = sites.filter(site => volumeMl <= site.maxVolumeMl);
+      if (usable.length === 0) {
+        warnings.push(`${volumeMl} mL exceeds the volume limit of every ${route} site; consider splitting the dose`);
+        usable = sites;
+      } else if (usable.length < sites.length) {
+        const excluded = sites.filter(site => !usable.includes(site)).map(site => site.id);
+        warnings.push(`${volumeMl} mL is too much for ${excluded.join(', ')}; ${excluded.length === 1 ? 'site' : 'sites'} left out`);
+      }
+    }
+
+    const slots: Slot[] = usable.flatMap(site => BODY_SIDES.map(side => ({ site, side })));
+    let lastSide: BodySide | undefined;
+    for (const use of [...history].sort((a, b) => a.date.localeCompare(b.date))) {
+      lastSide = use.side;
+      const slot = slots.find(s => s.site.id === use.siteId && s.side === use.side);
+      if (slot) {
+        slot.lastUsed = daysBetween(startDate!, use.date);
+      }
+    }
+
+    const planned: PlannedInjectionSite[] = [];
+    for (let index = 0; index < count; index++) {
+      const dayOffset = round(index * (intervalDays || 0));
+      // Alternate sides: the opposite side is always available
+      const candidates = slots.filter(slot => slot.side !== lastSide);
+      // Least recently used rested slot, so every site takes its turn
+      const rested = candidates
+        .filter(slot => slot.lastUsed === undefined || dayOffset - slot.lastUsed >= slot.site.minReuseDays)
+        .reduce<Slot | undefined>((oldest, candidate) =>
+          !oldest || (candidate.lastUsed ?? -Infinity) < (oldest.lastUsed ?? -Infinity) ? candidate : oldest, undefined);
+
+      let slot = rested;
+      if (!slot) {
+        slot = candidates.reduce((oldest, candidate) =>
+          candidate.lastUsed! < oldest.lastUsed! ? candidate : oldest);
+        warnings.push(
+          `Injection ${index + 1}: no ${route} site has rested ${slot.site.minReuseDays} days; ` +
+          `reusing ${slot.site.labels[DEFAULT_LOCALE][slot.side].toLowerCase()} after ${round(dayOffset - slot.lastUsed!)} days`
+        );
+      }
+
+      slot.lastUsed = dayOffset;
+      lastSide = slot.side;
+      planned.push({
+        sequence: index + 1,
+        ...(startDate !== undefined && { date: addDays(startDate, Math.floor(dayOffset)) }),
+        dayOffset,
+        siteId: slot.site.id,
+        side: slot.side,
+        site: {
+          coding: [slot.site.snomed[slot.side], slot.site.actSite[slot.side]],
+          text: slot.site.labels[DEFAULT_LOCALE][slot.side]
+        }
+      });
+    }
+
+    return {
+      route,
+      ...(intervalDays !== undefined && { intervalDays: round(intervalDays) }),
+      sites: planned,
+      warnings
+    };
+  }
+
+  /**
+   * Sets an instruction's site to a planned site
+   */
+  applySite(instruction: SignatureInstruction, planned: PlannedInjectionSite): SignatureInstruction {
+    return {
+      ...instruction,
+      site: planned.site
+    };
+  }
+
+  /**
+   * Renders a plan as a patient-facing chart, one injection per line
+   */
+  formatChart(plan: RotationPlan, locale: SupportedLocale = DEFAULT_LOCALE): string {
+    const text = CHART_TEXT[locale];
+    const lines = plan.sites.map(planned => {
+      const label = getInjectionSite(planned.siteId)?.labels[locale][planned.side] || planned.site.text;
+      return `${planned.sequence}. ${planned.date ? `${planned.date}  ` : ''}${label}`;
+    });
+
+    return [text.title, '', ...lines, '', text.tip].join('\n');
+  }
+
+  private resolveSites(route: InjectionRoute, ids?: string[]): InjectionSiteDefinition[] {
+    if (!ids) {
+      return getInjectionSitesForRoute(route);
+    }
+    if (ids.length === 0) {
+      throw new Error('At least one injection site is required');
+    }
+
+    return ids.map(id => {
+      const site = getInjectionSite(id);
+      if (!site) {
+        throw new Error(`Unknown injection site: ${id}`);
+      }
+      if (site.route !== route) {
+        throw new Error(`Site ${id} is not used for ${route} injections`);
+      }
+      return site;
+    });
+  }
+}
+
+/**
+ * Reads the route from SNOMED codes, then from display text
+ */
+function detectRoute(instruction: SignatureInstruction): InjectionRoute | undefined {
+  const coding = instruction.route?.coding || [];
+  for (const { code } of coding) {
+    if (code && ROUTE_CODES[code]) {
+      return ROUTE_CODES[code];
+    }
+  }
+
+  const text = [instruction.route?.text, ...coding.map(c => c.display)].join(' ').toLowerCase();
+  if (/intramuscular|\bim\b/.test(text)) {
+    return 'intramuscular';
+  }
+  if (/subcutaneous|\bsub-?q\b|\bsc\b/.test(text)) {
+    return 'subcutaneous';
+  }
+  return undefined;
+}
+
+/**
+ * Days between injections from the instruction's repeat
+ */
+function getIntervalDays(instruction: SignatureInstruction): number | undefined {
+  const repeat = instruction.timing?.repeat;
+  if (!repeat) {
+    return undefined;
+  }
+  if (repeat.dayOfWeek?.length) {
+    return 7 / repeat.dayOfWeek.length;
+  }
+  if (!repeat.period || !repeat.periodUnit || !DAYS_PER_PERIOD_UNIT[repeat.periodUnit]) {
+    return undefined;
+  }
+
+  return repeat.period * DAYS_PER_PERIOD_UNIT[repeat.periodUnit] / (repeat.frequency || 1);
+}
+
+function toMilliliters(quantity?: Quantity): number | undefined {
+  if (!quantity) {
+    return undefined;
+  }
+  switch (quantity.unit.toLowerCase()) {
+    case 'ml':
+      return quantity.value;
+    case 'l':
+      return quantity.value * 1000;
+    default:
+      return undefined;
+  }
+}
+
+function round(value: number): number {
+  return Number(value.toFixed(4));
+}
+
+// Export singleton instance
+export const injectionSiteRotation = new InjectionSiteRotation();
+
+/**
+ * Convenience function for planning injection sites
+ */
+export function planInjectionSites(instruction: SignatureInstruction, options: RotationOptions): RotationPlan {
+  return injectionSiteRotation.plan(instruction, options);
+}
+
+/**
+ * Convenience function for rendering a rotation chart
+ */
+export function formatRotationChart(plan: RotationPlan, locale?: SupportedLocale): string {
+  return injectionSiteRotation.formatChart(plan, locale);
+}
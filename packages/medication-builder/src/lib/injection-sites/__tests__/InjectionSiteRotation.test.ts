@@ -0,0 +1,204 @@
+/**
+ * Tests for InjectionSiteRotation
+ */
+
+import {
+  InjectionSiteRotation,
+  planInjectionSites,
+  formatRotationChart
+} from '../InjectionSiteRotation';
+import { INJECTION_SITES, getInjectionSitesForRoute } from '../sites';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+
+const weeklyIM: SignatureInstruction = {
+  text: 'Inject 100 mg, as 0.5 mL, intramuscularly once weekly.',
+  doseAndRate: [{ doseQuantity: { value: 0.5, unit: 'mL' } }],
+  route: { coding: [{ system: 'http://snomed.info/sct', code: '78421000', display: 'Intramuscular' }] },
+  timing: { repeat: { frequency: 1, period: 1, periodUnit: 'wk' } }
+};
+
+const dailySubQ: SignatureInstruction = {
+  text: 'Inject 10 units subcutaneously once daily.',
+  doseAndRate: [{ doseQuantity: { value: 10, unit: 'unit' } }],
+  route: { coding: [{ display: 'subcutaneous' }] },
+  timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd' } }
+};
+
+describe('InjectionSiteRotation', () => {
+  let rotation: InjectionSiteRotation;
+
+  beforeEach(() => {
+    rotation = new InjectionSiteRotation();
+  });
+
+  describe('Site Catalogue', () => {
+    it('should code every site and side in SNOMED CT and HL7 ActSite', () => {
+      INJECTION_SITES.forEach(site => {
+        (['left', 'right'] as const).forEach(side => {
+          expect(site.snomed[side]).toMatchObject({ system: 'http://snomed.info/sct', code: expect.stringMatching(/^\d+$/) });
+          expect(site.actSite[side].code).toMatch(side === 'left' ? /^L/ : /^R/);
+        });
+      });
+    });
+
+    it('should list sites per route', () => {
+      expect(getInjectionSitesForRoute('intramuscular').map(site => site.id))
+        .toEqual(['ventrogluteal', 'gluteal', 'vastus-lateralis', 'deltoid']);
+      expect(getInjectionSitesForRoute('subcutaneous').map(site => site.id))
+        .toEqual(['abdomen-lower', 'abdomen-upper', 'thigh', 'upper-arm']);
+    });
+  });
+
+  describe('Planning', () => {
+    it('should alternate sides and rotate sites for a weekly intramuscular regimen', () => {
+      const plan = rotation.plan(weeklyIM, { count: 6, startDate: '2025-06-02' });
+
+      expect(plan.route).toBe('intramuscular');
+      expect(plan.intervalDays).toBe(7);
+      expect(plan.sites.map(s => `${s.date} ${s.side} ${s.siteId}`)).toEqual([
+        '2025-06-02 right ventrogluteal',
+        '2025-06-09 left ventrogluteal',
+        '2025-06-16 right gluteal',
+        '2025-06-23 left gluteal',
+        '2025-06-30 right vastus-lateralis',
+        '2025-07-07 left vastus-lateralis'
+      ]);
+      expect(plan.warnings).toEqual([]);
+    });
+
+    it('should rotate through every site for a weekly subcutaneous regimen', () => {
+      const plan = rotation.plan({
+        ...dailySubQ,
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'wk' } }
+      }, { count: 10 });
+
+      expect(plan.sites.map(s => `${s.side} ${s.siteId}`)).toEqual([
+        'right abdomen-lower',
+        'left abdomen-lower',
+        'right abdomen-upper',
+        'left abdomen-upper',
+        'right thigh',
+        'left thigh',
+        'right upper-arm',
+        'left upper-arm',
+        'right abdomen-lower',
+        'left abdomen-lower'
+      ]);
+    });
+
+    it('should move on to another site until the last one has rested', () => {
+      const plan = rotation.plan(dailySubQ, { count: 9 });
+
+      expect(plan.sites.map(s => `${s.side} ${s.siteId}`)).toEqual([
+        'right abdomen-lower',
+        'left abdomen-lower',
+        'right abdomen-upper',
+        'left abdomen-upper',
+        'right thigh',
+        'left thigh',
+        'right upper-arm',
+        'left upper-arm',
+        'right abdomen-lower'
+      ]);
+      expect(plan.sites[8].dayOffset).toBe(8);
+    });
+
+    it('should reuse the longest-rested site and warn when none has rested enough', () => {
+      const plan = rotation.plan(dailySubQ, { count: 3, sites: ['thigh'] });
+
+      expect(plan.sites.map(s => s.side)).toEqual(['right', 'left', 'right']);
+      expect(plan.warnings).toEqual([
+        'Injection 3: no subcutaneous site has rested 7 days; reusing right thigh (front) after 2 days'
+      ]);
+    });
+
+    it('should continue from injection history', () => {
+      const plan = rotation.plan(weeklyIM, {
+        count: 2,
+        startDate: '2025-06-09',
+        sites: ['gluteal'],
+        history: [
+          { siteId: 'gluteal', side: 'left', date: '2025-05-26' },
+          { siteId: 'gluteal', side: 'right', date: '2025-06-02' }
+        ]
+      });
+
+      expect(plan.sites.map(s => `${s.date} ${s.side}`)).toEqual(['2025-06-09 left', '2025-06-16 right']);
+    });
+
+    it('should leave out sites too small for the injection volume', () => {
+      const plan = rotation.plan({
+        ...weeklyIM,
+        doseAndRate: [{ doseQuantity: { value: 2, unit: 'mL' } }]
+      }, { count: 1, sites: ['deltoid', 'vastus-lateralis'] });
+
+      expect(plan.sites[0].siteId).toBe('vastus-lateralis');
+      expect(plan.warnings).toEqual(['2 mL is too much for deltoid; site left out']);
+    });
+
+    it('should derive the interval from weekdays and sub-daily periods', () => {
+      expect(rotation.plan({
+        ...weeklyIM,
+        timing: { repeat: { frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] } }
+      }, { count: 2 }).intervalDays).toBe(3.5);
+      expect(rotation.plan({
+        ...dailySubQ,
+        timing: { repeat: { frequency: 1, period: 12, periodUnit: 'h' } }
+      }, { count: 2 }).intervalDays).toBe(0.5);
+    });
+
+    it('should reject plans it cannot make', () => {
+      expect(() => rotation.plan({ ...weeklyIM, route: undefined }, { count: 1 }))
+        .toThrow('Cannot determine injection route');
+      expect(() => rotation.plan({ ...weeklyIM, timing: undefined }, { count: 2 }))
+        .toThrow('Cannot determine days between injections');
+      expect(() => rotation.plan(weeklyIM, { count: 0 })).toThrow('Invalid count: 0');
+      expect(() => rotation.plan(weeklyIM, { count: 1, sites: ['thigh'] }))
+        .toThrow('Site thigh is not used for intramuscular injections');
+      expect(() => rotation.plan(weeklyIM, { count: 1, sites: ['elbow'] }))
+        .toThrow('Unknown injection site: elbow');
+      expect(() => rotation.plan(weeklyIM, {
+        count: 1,
+        history: [{ siteId: 'gluteal', side: 'left', date: '2025-06-02' }]
+      })).toThrow('A start date is required');
+    });
+  });
+
+  describe('Instruction Site', () => {
+    it('should set SignatureInstruction.site to the planned site', () => {
+      const [planned] = rotation.plan(dailySubQ, { count: 1 }).sites;
+      const instruction = rotation.applySite(dailySubQ, planned);
+
+      expect(instruction.site).toEqual({
+        coding: [
+          { system: 'http://snomed.info/sct', code: '48544008', display: 'Right lower quadrant of abdomen' },
+          { system: 'http://terminology.hl7.org/CodeSystem/v3-ActSite', code: 'RLAQ', display: 'right lower abd quadrant' }
+        ],
+        text: 'Lower right abdomen'
+      });
+      expect(dailySubQ.site).toBeUndefined();
+    });
+  });
+
+  describe('Rotation Chart', () => {
+    it('should render a dated chart', () => {
+      const plan = planInjectionSites(weeklyIM, { count: 2, startDate: '2025-06-02' });
+
+      expect(formatRotationChart(plan)).toBe([
+        'Injection site rotation',
+        '',
+        '1. 2025-06-02  Right hip (ventrogluteal)',
+        '2. 2025-06-09  Left hip (ventrogluteal)',
+        '',
+        'Use a new spot at least 1 inch (2.5 cm) from your last injection.'
+      ].join('\n'));
+    });
+
+    it('should render the chart in Spanish', () => {
+      const plan = planInjectionSites(dailySubQ, { count: 1 });
+
+      expect(formatRotationChart(plan, 'es-US')).toContain('1. Abdomen inferior derecho');
+      expect(formatRotationChart(plan, 'es-US')).toContain('Rotación de sitios de inyección');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Injection Site Catalogue
+ *
+ * Sites for intramuscular and subcutaneous self-injection, each coded
+ * per side in SNOMED CT (body structure) and HL7 ActSite (administration
+ * site), with patient-facing names and per-injection volume limits.
+ *
+ * @since 3.3.0
+ */
+
+import { Coding } from '../../types/MedicationProfile';
+import { BodySide, InjectionRoute, InjectionSiteDefinition } from './types';
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+const ACT_SITE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActSite';
+
+function snomed(code: string, display: string): Coding {
+  return { system: SNOMED_SYSTEM, code, display };
+}
+
+function actSite(code: string, display: string): Coding {
+  return { system: ACT_SITE_SYSTEM, code, display };
+}
+
+function bothSides(coding: Coding): Record<BodySide, Coding> {
+  return { left: coding, right: coding };
+}
+
+/**
+ * All sites, in default order of preference within each route
+ */
+export const INJECTION_SITES: InjectionSiteDefinition[] = [
+  {
+    id: 'ventrogluteal',
+    route: 'intramuscular',
+    snomed: bothSides(snomed('29836001', 'Hip region structure')),
+    actSite: {
+      left: actSite('LVG', 'left ventragluteal'),
+      right: actSite('RVG', 'right ventragluteal')
+    },
+    labels: {
+      'en-US': { left: 'Left hip (ventrogluteal)', right: 'Right hip (ventrogluteal)' },
+      'es-US': { left: 'Cadera izquierda (ventroglúteo)', right: 'Cadera derecha (ventroglúteo)' }
+    },
+    maxVolumeMl: 3,
+    minReuseDays: 7
+  },
+  {
+    id: 'gluteal',
+    route: 'intramuscular',
+    snomed: bothSides(snomed('46862004', 'Buttock structure')),
+    actSite: {
+      left: actSite('LG', 'left gluteus medius'),
+      right: actSite('RG', 'right gluteus medius')
+    },
+    labels: {
+      'en-US': { left: 'Left buttock (upper outer)', right: 'Right buttock (upper outer)' },
+      'es-US': { left: 'Glúteo izquierdo (parte superior externa)', right: 'Glúteo derecho (parte superior externa)' }
+    },
+    maxVolumeMl: 3,
+    minReuseDays: 7
+  },
+  {
+    id: 'vastus-lateralis',
+    route: 'intramuscular',
+    snomed: {
+      left: snomed('61396006', 'Left thigh structure'),
+      right: snomed('11207009', 'Right thigh structure')
+    },
+    actSite: {
+      left: actSite('LVL', 'left vastus lateralis'),
+      right: actSite('RVL', 'right vastus lateralis')
+    },
+    labels: {
+      'en-US': { left: 'Left thigh (outer)', right: 'Right thigh (outer)' },
+      'es-US': { left: 'Muslo izquierdo (parte externa)', right: 'Muslo derecho (parte externa)' }
+    },
+    maxVolumeMl: 3,
+    minReuseDays: 7
+  },
+  {
+    id: 'deltoid',
+    route: 'intramuscular',
+    snomed: {
+      left: snomed('368208006', 'Left upper arm structure'),
+      right: snomed('368209003', 'Right upper arm structure')
+    },
+    actSite: {
+      left: actSite('LD', 'left deltoid'),
+      right: actSite('RD', 'right deltoid')
+    },
+    labels: {
+      'en-US': { left: 'Left upper arm (deltoid)', right: 'Right upper arm (deltoid)' },
+      'es-US': { left: 'Brazo izquierdo (deltoides)', right: 'Brazo derecho (deltoides)' }
+    },
+    maxVolumeMl: 1,
+    minReuseDays: 7
+  },
+  {
+    id: 'abdomen-lower',
+    route: 'subcutaneous',
+    snomed: {
+      left: snomed('68505006', 'Left lower quadrant of abdomen'),
+      right: snomed('48544008', 'Right lower quadrant of abdomen')
+    },
+    actSite: {
+      left: actSite('LLAQ', 'left lower abd quadrant'),
+      right: actSite('RLAQ', 'right lower abd quadrant')
+    },
+    labels: {
+      'en-US': { left: 'Lower left abdomen', right: 'Lower right abdomen' },
+      'es-US': { left: 'Abdomen inferior izquierdo', right: 'Abdomen inferior derecho' }
+    },
+    maxVolumeMl: 2,
+    minReuseDays: 7
+  },
+  {
+    id: 'abdomen-upper',
+    route: 'subcutaneous',
+    snomed: {
+      left: snomed('86367003', 'Left upper quadrant of abdomen'),
+      right: snomed('50519007', 'Right upper quadrant of abdomen')
+    },
+    actSite: {
+      left: actSite('LUAQ', 'left upper abd quadrant'),
+      right: actSite('RUAQ', 'right upper abd quadrant')
+    },
+    labels: {
+      'en-US': { left: 'Upper left abdomen', right: 'Upper right abdomen' },
+      'es-US': { left: 'Abdomen superior izquierdo', right: 'Abdomen superior derecho' }
+    },
+    maxVolumeMl: 2,
+    minReuseDays: 7
+  },
+  {
+    id: 'thigh',
+    route: 'subcutaneous',
+    snomed: {
+      left: snomed('61396006', 'Left thigh structure'),
+      right: snomed('11207009', 'Right thigh structure')
+    },
+    actSite: {
+      left: actSite('LT', 'left thigh'),
+      right: actSite('RT', 'right thigh')
+    },
+    labels: {
+      'en-US': { left: 'Left thigh (front)', right: 'Right thigh (front)' },
+      'es-US': { left: 'Muslo izquierdo (parte frontal)', right: 'Muslo derecho (parte frontal)' }
+    },
+    maxVolumeMl: 2,
+    minReuseDays: 7
+  },
+  {
+    id: 'upper-arm',
+    route: 'subcutaneous',
+    snomed: {
+      left: snomed('368208006', 'Left upper arm structure'),
+      right: snomed('368209003', 'Right upper arm structure')
+    },
+    actSite: {
+      left: actSite('LUA', 'left upper arm'),
+      right: actSite('RUA', 'right upper arm')
+    },
+    labels: {
+      'en-US': { left: 'Back of left upper arm', right: 'Back of right upper arm' },
+      'es-US': { left: 'Parte posterior del brazo izquierdo', right: 'Parte posterior del brazo derecho' }
+    },
+    maxVolumeMl: 1,
+    minReuseDays: 7
+  }
+];
+
+/**
+ * Looks up a site by id
+ */
+export function getInjectionSite(id: string): InjectionSiteDefinition | undefined {
+  return INJECTION_SITES.find(site => site.id === id);
+}
+
+/**
+ * Sites for a route, in default order of preference
+ */
+export function getInjectionSitesForRoute(route: InjectionRoute): InjectionSiteDefinition[] {
+  return INJECTION_SITES.filter(site => site.route === route);
+}
@@ -0,0 +1,102 @@
+/**
+ * Injection Site Rotation Types
+ *
+ * Types for planning where successive intramuscular and subcutaneous
+ * doses are given, so sites alternate sides and rest between uses.
+ *
+ * @since 3.3.0
+ */
+
+import { CodeableConcept, Coding, Quantity } from '../../types/MedicationProfile';
+import { SupportedLocale } from '../templates/locales';
+
+/**
+ * Injection routes with a site catalogue
+ */
+export const INJECTION_ROUTES = ['intramuscular', 'subcutaneous'] as const;
+
+export type InjectionRoute = typeof INJECTION_ROUTES[number];
+
+/**
+ * Body sides, in the order a rotation starts
+ */
+export const BODY_SIDES = ['right', 'left'] as const;
+
+export type BodySide = typeof BODY_SIDES[number];
+
+/**
+ * One injection site, available on both sides of the body
+ */
+export interface InjectionSiteDefinition {
+  /** Stable identifier (e.g., 'ventrogluteal') */
+  id: string;
+  route: InjectionRoute;
+  /** SNOMED CT body structure per side */
+  snomed: Record<BodySide, Coding>;
+  /** HL7 ActSite code per side (e.g., 'LVG') */
+  actSite: Record<BodySide, Coding>;
+  /** Patient-facing name per locale and side */
+  labels: Record<SupportedLocale, Record<BodySide, string>>;
+  /** Largest volume given at this site in one injection (mL) */
+  maxVolumeMl: number;
+  /** Fewest days before the same site and side is used again */
+  minReuseDays: number;
+}
+
+/**
+ * A previous injection
+ */
+export interface InjectionSiteUse {
+  siteId: string;
+  side: BodySide;
+  /** Local date (YYYY-MM-DD) */
+  date: string;
+}
+
+/**
+ * Rotation planning options
+ */
+export interface RotationOptions {
+  /** Number of injections to plan */
+  count: number;
+  /** Date of the first planned injection (YYYY-MM-DD); required with history */
+  startDate?: string;
+  /** Route; detected from the instruction when omitted */
+  route?: InjectionRoute;
+  /** Site ids to rotate through, in order of preference */
+  sites?: string[];
+  /** Days between injections; derived from the instruction timing when omitted */
+  intervalDays?: number;
+  /** Volume per injection; derived from an mL dose when omitted */
+  volume?: Quantity;
+  /** Injections already given, oldest first */
+  history?: InjectionSiteUse[];
+}
+
+/**
+ * One planned injection
+ */
+export interface PlannedInjectionSite {
+  /** 1-based position in the plan */
+  sequence: number;
+  /** Planned date, when the plan has a start date */
+  date?: string;
+  /** Days after the first planned injection */
+  dayOffset: number;
+  siteId: string;
+  side: BodySide;
+  /** FHIR site, with SNOMED CT and HL7 ActSite codings */
+  site: CodeableConcept;
+}
+
+/**
+ * Rotation plan for a regimen
+ */
+export interface RotationPlan {
+  route: InjectionRoute;
+  /** Days between injections; omitted for a single injection with unknown timing */
+  intervalDays?: number;
+  sites: PlannedInjectionSite[];
+  /** Assumptions made and minimum intervals that could not be kept */
+  warnings: string[];
+}
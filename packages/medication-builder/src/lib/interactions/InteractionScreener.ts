@@ -0,0 +1,204 @@
+/**
+ * Drug-Drug Interaction Screener
+ *
+ * Screens a medication's ingredients against the patient's concurrent
+ * medications using a locally loaded interaction knowledge file and
+ * returns structured alerts, most severe first.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationProfile } from '../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { AdditionalInstruction } from '../../types/SignatureInstruction';
+import {
+  INTERACTION_SEVERITIES,
+  InteractionAlert,
+  InteractionKnowledgeBase,
+  InteractionRule,
+  InteractionScreeningOptions,
+  InteractionSeverity,
+  isInteractionSeverity
+} from './types';
+import { UnacknowledgedInteractionError } from './errors';
+import defaultKnowledgeBase from './interaction-knowledge.json';
+
+/**
+ * Default screening options
+ */
+const DEFAULT_OPTIONS: Required<InteractionScreeningOptions> = {
+  acknowledgementThreshold: 'major',
+  minimumSeverity: 'minor'
+};
+
+export class InteractionScreener {
+  private knowledgeBase!: InteractionKnowledgeBase;
+  private rulesByIngredient = new Map<string, InteractionRule[]>();
+  private options: Required<InteractionScreeningOptions>;
+
+  constructor(
+    knowledgeBase: InteractionKnowledgeBase = defaultKnowledgeBase as InteractionKnowledgeBase,
+    options?: InteractionScreeningOptions
+  ) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.loadKnowledgeBase(knowledgeBase);
+  }
+
+  /**
+   * Replaces the interaction knowledge base
+   *
+   * @throws {Error} When a rule has an unknown severity or is not a pair
+   */
+  loadKnowledgeBase(knowledgeBase: InteractionKnowledgeBase): void {
+    const index = new Map<string, InteractionRule[]>();
+
+    for (const rule of knowledgeBase.interactions) {
+      if (!isInteractionSeverity(rule.severity)) {
+        throw new Error(`Invalid severity "${rule.severity}" for interaction ${rule.id}`);
+      }
+      if (!Array.isArray(rule.ingredients) || rule.ingredients.length !== 2) {
+        throw new Error(`Interaction ${rule.id} must list exactly two ingredients`);
+      }
+
+      for (const ingredient of rule.ingredients) {
+        const key = normalize(ingredient);
+        index.set(key, [...(index.get(key) || []), rule]);
+      }
+    }
+
+    this.knowledgeBase = knowledgeBase;
+    this.rulesByIngredient = index;
+  }
+
+  /**
+   * Knowledge base version in use
+   */
+  getKnowledgeBaseVersion(): string {
+    return this.knowledgeBase.version;
+  }
+
+  /**
+   * Screens a medication against a list of concurrent medications
+   *
+   * @param medication - Medication being prescribed
+   * @param concurrentMedications - Medication names or descriptions the patient takes
+   * @returns Alerts sorted most severe first
+   */
+  screen(medication: MedicationProfile, concurrentMedications: string[] = []): InteractionAlert[] {
+    const alerts: InteractionAlert[] = [];
+    const seen = new Set<string>();
+
+    for (const ingredient of medication.ingredient || []) {
+      const ingredientName = normalize(ingredient.name);
+
+      for (const rule of this.findRulesForIngredient(ingredientName)) {
+        const [first, second] = rule.ingredients.map(normalize);
+        const interactingIngredient = mentionsIngredient(ingredientName, first) ? second : first;
+
+        for (const concurrent of concurrentMedications) {
+          const alertKey = `${rule.id}|${concurrent}`;
+          if (seen.has(alertKey) || !mentionsIngredient(concurrent, interactingIngredient)) continue;
+          if (!this.isAtLeast(rule.severity, this.options.minimumSeverity)) continue;
+
+          seen.add(alertKey);
+          alerts.push({
+            id: rule.id,
+            severity: rule.severity,
+            ingredient: ingredientName,
+            interactingIngredient,
+            concurrentMedication: concurrent,
+            mechanism: rule.mechanism,
+            management: rule.management,
+            requiresAcknowledgement: this.isAtLeast(rule.severity, this.options.acknowledgementThreshold),
+            knowledgeBaseVersion: this.knowledgeBase.version
+          });
+        }
+      }
+    }
+
+    return alerts.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+  }
+
+  /**
+   * Screens a request context's medication against the patient's
+   * concurrent medications
+   */
+  screenContext(context: MedicationRequestContext): InteractionAlert[] {
+    if (!context.medication) return [];
+    return this.screen(context.medication, context.patient?.concurrentMedications);
+  }
+
+  /**
+   * Throws unless every alert requiring acknowledgement has its ID in
+   * the acknowledged list
+   *
+   * @throws {UnacknowledgedInteractionError} When any required alert is unacknowledged
+   */
+  assertAcknowledged(alerts: InteractionAlert[], acknowledgedIds: string[] = []): void {
+    const pending = alerts.filter(
+      alert => alert.requiresAcknowledgement && !acknowledgedIds.includes(alert.id)
+    );
+
+    if (pending.length > 0) {
+      throw UnacknowledgedInteractionError.create(pending);
+    }
+  }
+
+  /**
+   * Formats alerts as additional instructions for a signature
+   */
+  toAdditionalInstructions(alerts: InteractionAlert[]): AdditionalInstruction[] {
+    return alerts.map(alert => ({
+      coding: [{
+        system: 'urn:medication-builder:interaction',
+        code: alert.id,
+        display: alert.severity
+      }],
+      text: `Interaction (${alert.severity}): ${alert.ingredient} + ${alert.interactingIngredient}. ${alert.management}`
+    }));
+  }
+
+  /**
+   * Rules mentioning the ingredient, also matching salt forms
+   * (e.g., "warfarin sodium" matches "warfarin")
+   */
+  private findRulesForIngredient(ingredientName: string): InteractionRule[] {
+    const rules: InteractionRule[] = [];
+    for (const [name, indexed] of this.rulesByIngredient) {
+      if (mentionsIngredient(ingredientName, name)) {
+        rules.push(...indexed);
+      }
+    }
+    return rules;
+  }
+
+  private isAtLeast(severity: InteractionSeverity, threshold: InteractionSeverity): boolean {
+    return severityRank(severity) <= severityRank(threshold);
+  }
+}
+
+function normalize(name: string): string {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function severityRank(severity: InteractionSeverity): number {
+  return INTERACTION_SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Whole-word match of an ingredient inside a medication description
+ */
+function mentionsIngredient(description: string, ingredient: string): boolean {
+  const escaped = ingredient.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(normalize(description));
+}
+
+// Export singleton instance
+export const interactionScreener = new InteractionScreener();
+
+/**
+ * Convenience function for screening a request context
+ */
+export function screenInteractions(context: MedicationRequestContext): InteractionAlert[] {
+  return interactionScreener.screenContext(context);
+}
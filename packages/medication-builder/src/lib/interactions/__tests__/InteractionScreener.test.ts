@@ -0,0 +1,141 @@
+/**
+ * Tests for InteractionScreener
+ */
+
+import { InteractionScreener } from '../InteractionScreener';
+import { UnacknowledgedInteractionError } from '../errors';
+import { InteractionKnowledgeBase } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+
+describe('InteractionScreener', () => {
+  let screener: InteractionScreener;
+  let warfarin: MedicationProfile;
+
+  beforeEach(() => {
+    screener = new InteractionScreener();
+    warfarin = {
+      id: 'warfarin-5mg',
+      name: 'Warfarin Sodium 5 MG Oral Tablet',
+      type: 'medication',
+      isActive: true,
+      doseForm: 'Tablet',
+      code: { coding: [{ display: 'Warfarin Sodium 5 MG Oral Tablet' }] },
+      ingredient: [{
+        name: 'Warfarin Sodium',
+        strengthRatio: {
+          numerator: { value: 5, unit: 'mg' },
+          denominator: { value: 1, unit: 'tablet' }
+        }
+      }]
+    };
+  });
+
+  describe('screen', () => {
+    it('should return no alerts without concurrent medications', () => {
+      expect(screener.screen(warfarin)).toEqual([]);
+      expect(screener.screen(warfarin, ['Metformin 500 mg'])).toEqual([]);
+    });
+
+    it('should match salt forms and concurrent medication descriptions', () => {
+      const [alert] = screener.screen(warfarin, ['Aspirin 81 MG Oral Tablet']);
+
+      expect(alert).toMatchObject({
+        id: 'warfarin-aspirin',
+        severity: 'major',
+        ingredient: 'warfarin sodium',
+        interactingIngredient: 'aspirin',
+        concurrentMedication: 'Aspirin 81 MG Oral Tablet',
+        requiresAcknowledgement: true,
+        knowledgeBaseVersion: screener.getKnowledgeBaseVersion()
+      });
+      expect(alert.mechanism).toBeTruthy();
+      expect(alert.management).toBeTruthy();
+    });
+
+    it('should sort alerts most severe first', () => {
+      const alerts = screener.screen(warfarin, ['testosterone cypionate', 'fluconazole']);
+
+      expect(alerts.map(a => a.severity)).toEqual(['major', 'moderate']);
+      expect(alerts[1].requiresAcknowledgement).toBe(false);
+    });
+
+    it('should not match partial words', () => {
+      const custom: InteractionKnowledgeBase = {
+        version: 'test',
+        interactions: [{
+          id: 'warfarin-asa',
+          ingredients: ['warfarin', 'asa'],
+          severity: 'major',
+          mechanism: 'm',
+          management: 'n'
+        }]
+      };
+      screener.loadKnowledgeBase(custom);
+
+      expect(screener.screen(warfarin, ['Mesalamine'])).toEqual([]);
+      expect(screener.screen(warfarin, ['ASA 81 mg'])).toHaveLength(1);
+    });
+
+    it('should honor minimum severity and acknowledgement threshold', () => {
+      const strict = new InteractionScreener(undefined, {
+        minimumSeverity: 'moderate',
+        acknowledgementThreshold: 'moderate'
+      });
+      const alerts = strict.screen(warfarin, ['testosterone']);
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].requiresAcknowledgement).toBe(true);
+    });
+  });
+
+  describe('screenContext', () => {
+    it('should screen the patient concurrent medications', () => {
+      const context: MedicationRequestContext = {
+        id: 'req-1',
+        timestamp: '2026-01-01T00:00:00Z',
+        patient: { id: 'p-1', age: 60, concurrentMedications: ['Nitroglycerin 0.4 MG SL'] },
+        medication: {
+          ...warfarin,
+          id: 'sildenafil-20mg',
+          name: 'Sildenafil 20 MG Oral Tablet',
+          ingredient: [{ name: 'Sildenafil', strengthRatio: { numerator: { value: 20, unit: 'mg' }, denominator: { value: 1, unit: 'tablet' } } }]
+        }
+      };
+
+      const [alert] = screener.screenContext(context);
+      expect(alert.severity).toBe('contraindicated');
+      expect(alert.requiresAcknowledgement).toBe(true);
+    });
+  });
+
+  describe('assertAcknowledged', () => {
+    it('should throw until required alerts are acknowledged', () => {
+      const alerts = screener.screen(warfarin, ['aspirin', 'testosterone']);
+
+      expect(() => screener.assertAcknowledged(alerts)).toThrow(UnacknowledgedInteractionError);
+      expect(() => screener.assertAcknowledged(alerts)).toThrow('warfarin sodium + aspirin (major)');
+      expect(() => screener.assertAcknowledged(alerts, ['warfarin-aspirin'])).not.toThrow();
+    });
+  });
+
+  describe('loadKnowledgeBase', () => {
+    it('should reject unknown severities', () => {
+      const invalid = {
+        version: 'bad',
+        interactions: [{ id: 'x', ingredients: ['a', 'b'], severity: 'severe', mechanism: '', management: '' }]
+      } as unknown as InteractionKnowledgeBase;
+
+      expect(() => screener.loadKnowledgeBase(invalid)).toThrow('Invalid severity "severe" for interaction x');
+    });
+  });
+
+  describe('toAdditionalInstructions', () => {
+    it('should format alerts as coded warnings', () => {
+      const [instruction] = screener.toAdditionalInstructions(screener.screen(warfarin, ['aspirin']));
+
+      expect(instruction.coding?.[0]).toMatchObject({ code: 'warfarin-aspirin', display: 'major' });
+      expect(instruction.text).toMatch(/^Interaction \(major\): warfarin sodium \+ aspirin\./);
+    });
+  });
+});
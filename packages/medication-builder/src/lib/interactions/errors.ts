@@ -0,0 +1,40 @@
+/**
+ * Custom Error Classes for Interaction Screening
+ *
+ * @since 3.3.0
+ */
+
+import { InteractionAlert } from './types';
+
+/**
+ * Thrown when alerts that require acknowledgement have not been
+ * acknowledged by the caller.
+ */
+export class UnacknowledgedInteractionError extends Error {
+  public readonly alerts: InteractionAlert[];
+
+  constructor(message: string, alerts: InteractionAlert[]) {
+    super(message);
+    this.name = 'UnacknowledgedInteractionError';
+    this.alerts = alerts;
+
+    // Maintain proper stack trace in V8
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, UnacknowledgedInteractionError);
+    }
+  }
+
+  /**
+   * Creates an error listing the unacknowledged alerts
+   */
+  static create(alerts: InteractionAlert[]): UnacknowledgedInteractionError {
+    const summary = alerts
+      .map(alert => `${alert.ingredient} + ${alert.interactingIngredient} (${alert.severity})`)
+      .join(', ');
+
+    return new UnacknowledgedInteractionError(
+      `Interaction alerts require acknowledgement: ${summary}`,
+      alerts
+    );
+  }
+}
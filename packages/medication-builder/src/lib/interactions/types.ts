@@ -0,0 +1,84 @@
+/**
+ * Drug-Drug Interaction Types
+ *
+ * Types for the locally loaded interaction knowledge file and the
+ * structured alerts produced when screening a medication against a
+ * patient's concurrent medications.
+ *
+ * @since 3.3.0
+ */
+
+/**
+ * Interaction severities, most severe first
+ */
+export const INTERACTION_SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'] as const;
+
+export type InteractionSeverity = typeof INTERACTION_SEVERITIES[number];
+
+/**
+ * One ingredient pair in the knowledge file
+ */
+export interface InteractionRule {
+  /** Stable identifier (e.g., "simvastatin-clarithromycin") */
+  id: string;
+  /** Lower-case ingredient names; order does not matter */
+  ingredients: [string, string];
+  severity: InteractionSeverity;
+  /** Pharmacological mechanism */
+  mechanism: string;
+  /** What the prescriber or pharmacist should do */
+  management: string;
+}
+
+/**
+ * Interaction knowledge file contents
+ */
+export interface InteractionKnowledgeBase {
+  /** Knowledge file version, recorded on alerts for audit */
+  version: string;
+  interactions: InteractionRule[];
+}
+
+/**
+ * Structured alert for one interacting pair
+ */
+export interface InteractionAlert {
+  /** Rule identifier, used for acknowledgement */
+  id: string;
+  severity: InteractionSeverity;
+  /** Ingredient of the medication being prescribed */
+  ingredient: string;
+  /** Interacting ingredient from the concurrent medication */
+  interactingIngredient: string;
+  /** Concurrent medication as supplied on the patient context */
+  concurrentMedication: string;
+  mechanism: string;
+  management: string;
+  /** Whether the caller must acknowledge before proceeding */
+  requiresAcknowledgement: boolean;
+  /** Knowledge file version the alert came from */
+  knowledgeBaseVersion: string;
+}
+
+/**
+ * Screening options
+ */
+export interface InteractionScreeningOptions {
+  /**
+   * Least severe level that requires acknowledgement
+   * @default 'major'
+   */
+  acknowledgementThreshold?: InteractionSeverity;
+  /**
+   * Least severe level to report at all
+   * @default 'minor'
+   */
+  minimumSeverity?: InteractionSeverity;
+}
+
+/**
+ * Type guard for interaction severities
+ */
+export function isInteractionSeverity(value: unknown): value is InteractionSeverity {
+  return typeof value === 'string' && (INTERACTION_SEVERITIES as readonly string[]).includes(value);
+}
@@ -0,0 +1,565 @@
+/**
+ * NCPDP SCRIPT NewRx Serializer
+ *
+ * Serializes a MedicationRequestContext plus builder output
+ * (SignatureInstruction[]) into an NCPDP SCRIPT 2017071 NewRx message
+ * for transmission to a pharmacy. Each instruction becomes a structured
+ * Sig Instruction (dose, route, frequency or interval, indication,
+ * duration) alongside the free-text SigText.
+ *
+ * Controlled substances (MedicationProfile.isControlled) carry the
+ * dispense quantity spelled out in the pharmacist note.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import { Quantity } from '../../types/MedicationProfile';
+import { SignatureInstruction, RelationshipType } from '../../types/SignatureInstruction';
+import { calculateDaysSupply, convertDurationToDays, createDaysSupplyContext } from '../strategies/days-supply';
+import type { PluralForms } from '../templates/locales';
+import { XmlElement, element, serializeXml } from './xml';
+import {
+  NCPDPCode,
+  NewRxSerializationOptions,
+  NCPDP_SCRIPT_VERSION,
+  NCPDP_LIMITS,
+  NCPDP_QUALIFIERS,
+  NCPDP_ROUTE_CODES,
+  NCPDP_DELIVERY_METHOD_CODES,
+  NCPDP_QUANTITY_UNIT_CODES,
+  NCPDP_UNSPECIFIED_UNIT,
+  NCPDP_TIME_UNIT_CODES,
+  NCPDP_WHEN_TIMING_TEXT
+} from './types';
+
+const SCRIPT_NAMESPACE = 'http://www.ncpdp.org/schema/SCRIPT';
+
+/**
+ * Multiple instruction modifiers by relationship type
+ */
+const INSTRUCTION_MODIFIERS: Record<RelationshipType, string> = {
+  [RelationshipType.SEQUENTIAL]: 'THEN',
+  [RelationshipType.CONCURRENT]: 'AND',
+  [RelationshipType.CONDITIONAL]: 'OR'
+};
+
+/**
+ * Count units spelled out in the note, keyed by singular unit
+ */
+const COUNT_UNITS: Record<string, PluralForms> = {
+  tablet: { one: 'tablet', other: 'tablets' },
+  capsule: { one: 'capsule', other: 'capsules' },
+  patch: { one: 'patch', other: 'patches' },
+  drop: { one: 'drop', other: 'drops' },
+  unit: { one: 'unit', other: 'units' },
+  each: { one: 'each', other: 'each' },
+  box: { one: 'box', other: 'boxes' }
+};
+
+export class NewRxSerializer {
+  /**
+   * Serialize a NewRx message
+   *
+   * @throws Error when the combined sig text exceeds the NCPDP limit
+   */
+  serialize(
+    context: MedicationRequestContext,
+    instructions: SignatureInstruction[],
+    options: NewRxSerializationOptions
+  ): string {
+    return serializeXml(this.buildMessage(context, instructions, options));
+  }
+
+  /**
+   * Build the NewRx message element tree
+   */
+  buildMessage(
+    context: MedicationRequestContext,
+    instructions: SignatureInstruction[],
+    options: NewRxSerializationOptions
+  ): XmlElement {
+    if (instructions.length === 0) {
+      throw new Error('At least one instruction is required for a NewRx message');
+    }
+
+    return {
+      name: 'Message',
+      attributes: {
+        xmlns: SCRIPT_NAMESPACE,
+        DatatypesVersion: NCPDP_SCRIPT_VERSION,
+        TransportVersion: NCPDP_SCRIPT_VERSION,
+        TransactionDomain: 'SCRIPT',
+        TransactionVersion: NCPDP_SCRIPT_VERSION,
+        StructuresVersion: NCPDP_SCRIPT_VERSION,
+        ECLVersion: NCPDP_SCRIPT_VERSION
+      },
+      children: [
+        element('Header', [
+          element('To', options.pharmacyId, { Qualifier: 'P' }),
+          element('From', options.senderId, { Qualifier: 'C' }),
+          element('MessageID', options.messageId || context.id),
+          element('SentTime', context.timestamp),
+          element('PrescriberOrderNumber', context.id)
+        ])!,
+        element('Body', [
+          element('NewRx', [
+            this.buildPatient(context),
+            this.buildPrescriber(context),
+            this.buildMedicationPrescribed(context, instructions, options)
+          ])
+        ])!
+      ]
+    };
+  }
+
+  /**
+   * Build the structured and free-text Sig segment
+   *
+   * @throws Error when the combined sig text exceeds maxSigTextLength
+   */
+  buildSig(
+    instructions: SignatureInstruction[],
+    maxSigTextLength: number = NCPDP_LIMITS.SIG_TEXT_MAX_LENGTH
+  ): XmlElement {
+    const sigText = this.buildSigText(instructions);
+    if (sigText.length > maxSigTextLength) {
+      throw new Error(
+        `Sig text is ${sigText.length} characters; NCPDP SCRIPT allows at most ${maxSigTextLength}`
+      );
+    }
+
+    const children: Array<XmlElement | undefined> = [element('SigText', sigText)];
+    instructions.forEach((instruction, index) => {
+      if (index > 0) {
+        const type = instruction.relationship?.type || RelationshipType.SEQUENTIAL;
+        children.push(element('MultipleInstructionModifier', INSTRUCTION_MODIFIERS[type]));
+      }
+      children.push(this.buildInstruction(instruction));
+    });
+
+    return element('Sig', children)!;
+  }
+
+  private buildPatient(context: MedicationRequestContext): XmlElement | undefined {
+    const genderCodes = { MALE: 'M', FEMALE: 'F', OTHER: 'U' } as const;
+    const gender = context.patient.gender;
+
+    return element('Patient', [
+      element('HumanPatient', [
+        element('Identification', [
+          element('MedicalRecordIdentificationNumberEHR', context.patient.id)
+        ]),
+        element('Gender', gender ? genderCodes[gender] : undefined)
+      ])
+    ]);
+  }
+
+  private buildPrescriber(context: MedicationRequestContext): XmlElement | undefined {
+    const prescriber = context.prescriber;
+    if (!prescriber) return undefined;
+
+    const { firstName, lastName } = splitName(prescriber.name);
+
+    return element('Prescriber', [
+      element('NonVeterinarian', [
+        element('Identification', [
+          element('NPI', prescriber.npi),
+          element('DEANumber', prescriber.dea),
+          element('StateLicenseNumber', prescriber.stateLicense)
+        ]),
+        element('Name', [
+          element('LastName', lastName),
+          element('FirstName', firstName)
+        ])
+      ])
+    ]);
+  }
+
+  private buildMedicationPrescribed(
+    context: MedicationRequestContext,
+    instructions: SignatureInstruction[],
+    options: NewRxSerializationOptions
+  ): XmlElement | undefined {
+    const medication = context.medication;
+    const daysSupply = this.calculateExpectedSupply(context);
+
+    return element('MedicationPrescribed', [
+      element('DrugDescription', medication.name),
+      this.buildDrugCoded(context),
+      context.quantity && element('Quantity', [
+        element('Value', formatNumber(context.quantity.value)),
+        element('CodeListQualifier', NCPDP_QUALIFIERS.QUANTITY_UNIT),
+        element('QuantityUnitOfMeasure', [
+          element('Code', quantityUnitCode(context.quantity.unit).code)
+        ])
+      ]),
+      element('DaysSupply', daysSupply !== undefined ? Math.floor(daysSupply) : undefined),
+      element('WrittenDate', [element('Date', context.timestamp.slice(0, 10))]),
+      element('Substitutions', '0'),
+      element('NumberOfRefills', context.refills),
+      this.buildDiagnosis(context),
+      element('Note', this.buildNote(context)),
+      this.buildSig(instructions, options.maxSigTextLength)
+    ]);
+  }
+
+  /**
+   * Expected supply in days using the days supply strategies.
+   * Falls back to the therapy duration when no quantity is known.
+   */
+  private calculateExpectedSupply(context: MedicationRequestContext): number | undefined {
+    if (context.quantity) {
+      const medication = context.medication;
+      const daysSupplyContext = createDaysSupplyContext(
+        context.quantity.value,
+        context.quantity.unit,
+        context.dose.value,
+        context.dose.unit,
+        context.frequency,
+        {
+          doseForm: medication.doseForm,
+          ingredient: medication.ingredient.map(ingredient => ({ strengthRatio: ingredient.strengthRatio })),
+          ...(medication.dispenserInfo && {
+            dispenserInfo: {
+              conversionRatio: medication.dispenserInfo.conversionRatio,
+              unit: medication.dispenserInfo.unit
+            }
+          }),
+          ...(medication.packageInfo && { packageInfo: medication.packageInfo }),
+          ...(medication.dispenserMetadata && { dispenserMetadata: medication.dispenserMetadata }),
+          // A mixed powder vial's stability is its beyond-use date
+          beyondUseAfterOpening: medication.beyondUseAfterOpening || medication.reconstitution?.stability?.duration
+        }
+      );
+
+      try {
+        const result = calculateDaysSupply(daysSupplyContext);
+        if (result.daysSupply > 0) {
+          return result.daysSupply;
+        }
+      } catch {
+        // Fall through to duration-based estimate
+      }
+    }
+
+    if (context.duration) {
+      try {
+        return convertDurationToDays(context.duration.value, context.duration.unit);
+      } catch {
+        return undefined;
+      }
+    }
+
+    return undefined;
+  }
+
+  private buildDrugCoded(context: MedicationRequestContext): XmlElement | undefined {
+    const codings = context.medication.code.coding || [];
+    const ndc = codings.find(coding => coding.system?.toLowerCase().includes('ndc'));
+    const rxnorm = codings.find(coding => coding.system?.toLowerCase().includes('rxnorm'));
+
+    return element('DrugCoded', [
+      ndc && element('ProductCode', [
+        element('Code', ndc.code),
+        element('Qualifier', NCPDP_QUALIFIERS.NDC)
+      ]),
+      rxnorm && element('DrugDBCode', [
+        element('Code', rxnorm.code),
+        element('Qualifier', NCPDP_QUALIFIERS.RXNORM)
+      ])
+    ]);
+  }
+
+  private buildDiagnosis(context: MedicationRequestContext): XmlElement | undefined {
+    const clinical = context.clinicalContext;
+    const [primary, secondary] = clinical?.icd10Codes || [];
+    if (!primary) return undefined;
+
+    const diagnosis = (name: string, code: string) => element(name, [
+      element('Code', code),
+      element('Qualifier', NCPDP_QUALIFIERS.ICD10),
+      element('Description', clinical!.indication)
+    ]);
+
+    return element('Diagnosis', [
+      element('ClinicalInformationQualifier', '1'),
+      diagnosis('Primary', primary),
+      secondary ? diagnosis('Secondary', secondary) : undefined
+    ]);
+  }
+
+  /**
+   * Pharmacist note. Controlled substances lead with the spelled-out
+   * quantity so the written amount can be checked against the numeric one.
+   */
+  private buildNote(context: MedicationRequestContext): string | undefined {
+    const parts: string[] = [];
+
+    if (context.medication.isControlled && context.quantity) {
+      parts.push(`Quantity: ${spellOutQuantity(context.quantity)}`);
+    }
+    if (context.specialInstructions) {
+      parts.push(context.specialInstructions);
+    }
+    if (context.clinicalContext?.notes) {
+      parts.push(context.clinicalContext.notes);
+    }
+
+    return parts.length > 0 ? parts.join('. ') : undefined;
+  }
+
+  private buildSigText(instructions: SignatureInstruction[]): string {
+    return instructions.reduce((text, instruction, index) => {
+      const next = instruction.text.trim();
+      if (index === 0) return next;
+
+      const joiner = instruction.relationship?.type === RelationshipType.CONCURRENT ? '; and ' : '; then ';
+      return `${text.replace(/\.$/, '')}${joiner}${next.charAt(0).toLowerCase()}${next.slice(1)}`;
+    }, '');
+  }
+
+  private buildInstruction(instruction: SignatureInstruction): XmlElement {
+    return element('Instruction', [
+      element('DoseAdministration', [
+        this.buildDeliveryMethod(instruction),
+        ...this.buildDosage(instruction),
+        this.buildRoute(instruction)
+      ]),
+      this.buildTimingAndDuration(instruction),
+      this.buildIndication(instruction)
+    ]) || { name: 'Instruction' };
+  }
+
+  private buildDeliveryMethod(instruction: SignatureInstruction): XmlElement | undefined {
+    const verb = instruction.method?.text || instruction.text.trim().split(/\s+/)[0];
+    const method = NCPDP_DELIVERY_METHOD_CODES[verb.toLowerCase()];
+    if (!method) return undefined;
+
+    return codedElement('DoseDeliveryMethod', method);
+  }
+
+  private buildDosage(instruction: SignatureInstruction): Array<XmlElement | undefined> {
+    const doseAndRate = instruction.doseAndRate?.[0];
+
+    const dosage = (quantity: Quantity, rangeModifier?: string) => element('Dosage', [
+      element('DoseQuantity', formatNumber(quantity.value)),
+      element('DoseUnitOfMeasure', [
+        element('Text', quantity.unit),
+        element('Qualifier', NCPDP_QUALIFIERS.QUANTITY_UNIT),
+        element('Code', quantityUnitCode(quantity.unit).code)
+      ]),
+      element('DoseRangeModifier', rangeModifier)
+    ]);
+
+    if (doseAndRate?.doseRange?.low && doseAndRate.doseRange.high) {
+      return [
+        dosage(doseAndRate.doseRange.low, 'to'),
+        dosage(doseAndRate.doseRange.high)
+      ];
+    }
+    if (doseAndRate?.doseQuantity) {
+      return [dosage(doseAndRate.doseQuantity)];
+    }
+    return [];
+  }
+
+  private buildRoute(instruction: SignatureInstruction): XmlElement | undefined {
+    const coding = instruction.route?.coding?.[0];
+    const name = coding?.display || instruction.route?.text;
+    const route = name ? NCPDP_ROUTE_CODES[name] : undefined;
+
+    if (route) {
+      return codedElement('RouteOfAdministration', route);
+    }
+    return name ? element('RouteOfAdministration', [element('Text', name)]) : undefined;
+  }
+
+  /**
+   * Frequency ("2 times per day") when the period is a single unit,
+   * interval ("every 8 hours") otherwise
+   */
+  private buildTimingAndDuration(instruction: SignatureInstruction): XmlElement | undefined {
+    const repeat = instruction.timing?.repeat;
+    if (!repeat) return undefined;
+
+    const frequency = repeat.frequency ?? 1;
+    const period = repeat.period ?? 1;
+    const unit = repeat.periodUnit ? NCPDP_TIME_UNIT_CODES[repeat.periodUnit] : undefined;
+    const children: Array<XmlElement | undefined> = [];
+
+    if (unit) {
+      const useInterval = repeat.periodMax !== undefined || (period !== 1 && frequency === 1) || repeat.periodUnit === 'h';
+
+      if (useInterval) {
+        children.push(element('Interval', [
+          element('IntervalNumericValue', formatNumber(period)),
+          codedElement('IntervalUnits', unit),
+          element('VariableIntervalModifier', repeat.periodMax !== undefined ? 'to' : undefined)
+        ]));
+        if (repeat.periodMax !== undefined) {
+          children.push(element('Interval', [
+            element('IntervalNumericValue', formatNumber(repeat.periodMax)),
+            codedElement('IntervalUnits', unit)
+          ]));
+        }
+      } else {
+        children.push(element('Frequency', [
+          element('FrequencyNumericValue', formatNumber(frequency)),
+          codedElement('FrequencyUnits', unit),
+          element('VariableFrequencyModifier', repeat.frequencyMax !== undefined ? 'to' : undefined)
+        ]));
+        if (repeat.frequencyMax !== undefined) {
+          children.push(element('Frequency', [
+            element('FrequencyNumericValue', formatNumber(repeat.frequencyMax)),
+            codedElement('FrequencyUnits', unit)
+          ]));
+        }
+      }
+    }
+
+    (repeat.when || []).forEach(when => {
+      children.push(element('AdministrationTiming', [
+        element('AdministrationTimingText', NCPDP_WHEN_TIMING_TEXT[when] || when)
+      ]));
+    });
+
+    children.push(this.buildDuration(instruction));
+
+    return element('TimingAndDuration', children);
+  }
+
+  /**
+   * Duration from timing bounds, or from repeat.count over the dosing period
+   */
+  private buildDuration(instruction: SignatureInstruction): XmlElement | undefined {
+    const timing = instruction.timing;
+    const repeat = timing?.repeat;
+    let days: number | undefined;
+
+    if (timing?.bounds?.start && timing.bounds.end) {
+      const milliseconds = new Date(timing.bounds.end).getTime() - new Date(timing.bounds.start).getTime();
+      days = milliseconds / (24 * 60 * 60 * 1000);
+    } else if (repeat?.count && repeat.periodUnit) {
+      try {
+        const periodDays = convertDurationToDays(repeat.period ?? 1, repeat.periodUnit);
+        days = repeat.count / (repeat.frequency ?? 1) * periodDays;
+      } catch {
+        days = undefined;
+      }
+    }
+
+    if (!days || !Number.isFinite(days) || days <= 0) return undefined;
+
+    const isWholeDays = Math.abs(days - Math.round(days)) < 1e-9;
+    const value = isWholeDays ? Math.round(days) : Math.round(days * 24);
+    const unit = NCPDP_TIME_UNIT_CODES[isWholeDays ? 'd' : 'h'];
+
+    return element('Duration', [
+      element('DurationNumericValue', value),
+      codedElement('DurationText', unit)
+    ]);
+  }
+
+  private buildIndication(instruction: SignatureInstruction): XmlElement | undefined {
+    if (!instruction.asNeeded) return undefined;
+
+    const indication = instruction.asNeeded.text;
+    return element('IndicationForUse', [
+      element('IndicationPrecursor', indication ? 'as needed for' : 'as needed'),
+      element('IndicationText', indication)
+    ]);
+  }
+}
+
+function codedElement(name: string, code: NCPDPCode): XmlElement | undefined {
+  return element(name, [
+    element('Text', code.text),
+    element('Qualifier', NCPDP_QUALIFIERS.SNOMED),
+    element('Code', code.code)
+  ]);
+}
+
+function quantityUnitCode(unit: string): NCPDPCode {
+  const normalized = unit.toLowerCase().replace(/s$/, '');
+  return NCPDP_QUANTITY_UNIT_CODES[normalized] || NCPDP_UNSPECIFIED_UNIT;
+}
+
+function formatNumber(value: number): string {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function splitName(fullName: string): { firstName?: string; lastName: string } {
+  const parts = fullName
+    .replace(/^(dr|mr|mrs|ms)\.?\s+/i, '')
+    .replace(/,?\s+(md|do|np|pa|pa-c|dds)\.?$/i, '')
+    .trim()
+    .split(/\s+/);
+
+  if (parts.length === 1) {
+    return { lastName: parts[0] };
+  }
+  return { firstName: parts[0], lastName: parts[parts.length - 1] };
+}
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/**
+ * Spell out a non-negative integer (e.g. 120 -> "one hundred twenty")
+ */
+export function numberToWords(value: number): string {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Cannot spell out ${value}; expected a non-negative integer`);
+  }
+  if (value < 20) return ONES[value];
+  if (value < 100) {
+    const remainder = value % 10;
+    return TENS[Math.floor(value / 10)] + (remainder ? `-${ONES[remainder]}` : '');
+  }
+  if (value < 1000) {
+    const remainder = value % 100;
+    return `${ONES[Math.floor(value / 100)]} hundred` + (remainder ? ` ${numberToWords(remainder)}` : '');
+  }
+  if (value < 1000000) {
+    const remainder = value % 1000;
+    return `${numberToWords(Math.floor(value / 1000))} thousand` + (remainder ? ` ${numberToWords(remainder)}` : '');
+  }
+  throw new Error(`Cannot spell out ${value}; value is too large`);
+}
+
+/**
+ * Spell out a dispense quantity as written on controlled substance
+ * prescriptions, e.g. "thirty (30) tablets" or "ten point five (10.5) mL"
+ */
+export function spellOutQuantity(quantity: Quantity): string {
+  const [whole, fraction] = formatNumber(quantity.value).split('.');
+  const words = numberToWords(Number(whole)) +
+    (fraction ? ` point ${fraction.split('').map(digit => ONES[Number(digit)]).join(' ')}` : '');
+
+  const lower = quantity.unit.toLowerCase();
+  const forms = Object.values(COUNT_UNITS).find(entry => entry.one === lower || entry.other === lower);
+  const unit = forms ? (quantity.value === 1 ? forms.one : forms.other) : quantity.unit;
+
+  return `${words} (${formatNumber(quantity.value)}) ${unit}`;
+}
+
+/**
+ * Create singleton instance
+ */
+export const newRxSerializer = new NewRxSerializer();
+
+/**
+ * Convenience function for serializing a NewRx message
+ */
+export function serializeNewRx(
+  context: MedicationRequestContext,
+  instructions: SignatureInstruction[],
+  options: NewRxSerializationOptions
+): string {
+  return newRxSerializer.serialize(context, instructions, options);
+}
@@ -0,0 +1,306 @@
+/**
+ * NCPDP SCRIPT Message Parser
+ *
+ * Parses inbound RxRenewalRequest and RxChangeRequest messages (and
+ * echoed NewRx messages) into plain objects. The structured Sig is
+ * converted back into SignatureInstructions so that a prescription
+ * serialized by NewRxSerializer can be round-tripped.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity } from '../../types/MedicationProfile';
+import {
+  SignatureInstruction,
+  TimingRepeat,
+  DoseAndRate,
+  RelationshipType
+} from '../../types/SignatureInstruction';
+import { convertDurationToDays } from '../strategies/days-supply';
+import { FHIR_SYSTEMS } from '../fhir/types';
+import { XmlElement, parseXml, findChildren, findPath, textAt, numberAt } from './xml';
+import {
+  NCPDPCode,
+  NCPDPMessageType,
+  ParsedNCPDPMedication,
+  ParsedNCPDPMessage,
+  NCPDP_ROUTE_CODES,
+  NCPDP_QUANTITY_UNIT_CODES,
+  NCPDP_TIME_UNIT_CODES,
+  NCPDP_WHEN_TIMING_TEXT,
+  isNCPDPChangeRequestType
+} from './types';
+
+const MESSAGE_TYPES: NCPDPMessageType[] = ['NewRx', 'RxRenewalRequest', 'RxChangeRequest'];
+
+const RELATIONSHIP_BY_MODIFIER: Record<string, RelationshipType> = {
+  'THEN': RelationshipType.SEQUENTIAL,
+  'AND': RelationshipType.CONCURRENT,
+  'OR': RelationshipType.CONDITIONAL
+};
+
+export class ScriptMessageParser {
+  /**
+   * Parse a SCRIPT message
+   *
+   * @throws Error when the XML is malformed or the message type is unsupported
+   */
+  parse(xml: string): ParsedNCPDPMessage {
+    return this.parseElement(parseXml(xml));
+  }
+
+  /**
+   * Parse an already-built message element tree
+   */
+  parseElement(message: XmlElement): ParsedNCPDPMessage {
+    const body = findPath(message, 'Body')?.children?.[0];
+    const messageType = body?.name.replace(/^.*:/, '');
+
+    if (!body || !MESSAGE_TYPES.includes(messageType as NCPDPMessageType)) {
+      throw new Error(`Unsupported NCPDP message type: ${messageType || 'none'}`);
+    }
+
+    const header = findPath(message, 'Header');
+    const changeRequestType = textAt(body, 'MessageRequestCode');
+    const prescribed = findPath(body, 'MedicationPrescribed');
+    const dispensed = findPath(body, 'MedicationDispensed');
+
+    return {
+      messageType: messageType as NCPDPMessageType,
+      messageId: textAt(header, 'MessageID'),
+      relatesToMessageId: textAt(header, 'RelatesToMessageID'),
+      prescriberOrderNumber: textAt(header, 'PrescriberOrderNumber'),
+      sentTime: textAt(header, 'SentTime'),
+      patientId: textAt(body, 'Patient', 'HumanPatient', 'Identification', 'MedicalRecordIdentificationNumberEHR'),
+      prescriber: this.parsePrescriber(body),
+      medicationPrescribed: prescribed && this.parseMedication(prescribed),
+      medicationDispensed: dispensed && this.parseMedication(dispensed),
+      medicationRequested: findChildren(body, 'MedicationRequested').map(node => this.parseMedication(node)),
+      changeRequestType: isNCPDPChangeRequestType(changeRequestType) ? changeRequestType : undefined
+    };
+  }
+
+  private parsePrescriber(body: XmlElement): ParsedNCPDPMessage['prescriber'] {
+    const prescriber = findPath(body, 'Prescriber', 'NonVeterinarian');
+    if (!prescriber) return undefined;
+
+    const identification = findPath(prescriber, 'Identification');
+    const name = [textAt(prescriber, 'Name', 'FirstName'), textAt(prescriber, 'Name', 'LastName')]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      npi: textAt(identification, 'NPI'),
+      dea: textAt(identification, 'DEANumber'),
+      stateLicense: textAt(identification, 'StateLicenseNumber'),
+      name: name || undefined
+    };
+  }
+
+  private parseMedication(node: XmlElement): ParsedNCPDPMedication {
+    const codes: Record<string, string> = {};
+    findChildren(findPath(node, 'DrugCoded'), 'ProductCode')
+      .concat(findChildren(findPath(node, 'DrugCoded'), 'DrugDBCode'))
+      .forEach(code => {
+        const qualifier = textAt(code, 'Qualifier');
+        const value = textAt(code, 'Code');
+        if (qualifier && value) codes[qualifier] = value;
+      });
+
+    const quantityValue = numberAt(node, 'Quantity', 'Value');
+    const quantityUnit = reverseLookup(NCPDP_QUANTITY_UNIT_CODES, textAt(node, 'Quantity', 'QuantityUnitOfMeasure', 'Code'));
+    const note = textAt(node, 'Note');
+    const sigText = textAt(node, 'Sig', 'SigText');
+    const diagnosis = findPath(node, 'Diagnosis');
+
+    return {
+      description: textAt(node, 'DrugDescription'),
+      codes,
+      quantity: quantityValue !== undefined
+        ? { value: quantityValue, unit: displayUnit(quantityUnit || 'each') }
+        : undefined,
+      quantityText: note ? /^Quantity: (.+?\(\d+(?:\.\d+)?\) \S+)/.exec(note)?.[1] : undefined,
+      daysSupply: numberAt(node, 'DaysSupply'),
+      refills: numberAt(node, 'NumberOfRefills'),
+      writtenDate: textAt(node, 'WrittenDate', 'Date'),
+      icd10Codes: ['Primary', 'Secondary']
+        .map(name => textAt(diagnosis, name, 'Code'))
+        .filter((code): code is string => code !== undefined),
+      note,
+      sigText,
+      instructions: this.parseSig(findPath(node, 'Sig'), sigText)
+    };
+  }
+
+  /**
+   * Convert structured Sig instructions to SignatureInstructions.
+   * Free text is split back into one sentence per instruction when
+   * the segment count matches; otherwise every instruction carries
+   * the full SigText.
+   */
+  private parseSig(sig: XmlElement | undefined, sigText: string | undefined): SignatureInstruction[] {
+    if (!sig) return [];
+
+    const instructions: SignatureInstruction[] = [];
+    const instructionNodes = findChildren(sig, 'Instruction');
+    const textSegments = (sigText || '').split(/;\s+(?:then|and)\s+/i);
+    let pendingModifier: string | undefined;
+
+    (sig.children || []).forEach(child => {
+      const name = child.name.replace(/^.*:/, '');
+      if (name === 'MultipleInstructionModifier') {
+        pendingModifier = child.text?.toUpperCase();
+        return;
+      }
+      if (name !== 'Instruction') return;
+
+      const index = instructions.length;
+      const text = textSegments.length === instructionNodes.length
+        ? capitalize(textSegments[index])
+        : sigText || '';
+
+      const instruction = this.parseInstruction(child, text, index + 1);
+      const relationship = pendingModifier ? RELATIONSHIP_BY_MODIFIER[pendingModifier] : undefined;
+      if (index > 0 && relationship) {
+        instruction.relationship = { type: relationship, targetId: instructions[index - 1].id };
+      }
+
+      instructions.push(instruction);
+      pendingModifier = undefined;
+    });
+
+    return instructions;
+  }
+
+  private parseInstruction(node: XmlElement, text: string, sequence: number): SignatureInstruction {
+    const instruction: SignatureInstruction = {
+      id: `ncpdp-${sequence}`,
+      sequence,
+      text
+    };
+
+    const administration = findPath(node, 'DoseAdministration');
+    const doseAndRate = this.parseDosage(administration);
+    if (doseAndRate) {
+      instruction.doseAndRate = [doseAndRate];
+    }
+
+    const routeCode = textAt(administration, 'RouteOfAdministration', 'Code');
+    const routeName = reverseLookup(NCPDP_ROUTE_CODES, routeCode) ||
+      textAt(administration, 'RouteOfAdministration', 'Text');
+    if (routeName) {
+      instruction.route = {
+        coding: routeCode ? [{ system: 'http://snomed.info/sct', code: routeCode, display: routeName }] : [],
+        text: routeName
+      };
+    }
+
+    const repeat = this.parseTiming(findPath(node, 'TimingAndDuration'));
+    if (repeat) {
+      instruction.timing = { repeat };
+    }
+
+    const indication = findPath(node, 'IndicationForUse');
+    if (indication) {
+      const indicationText = textAt(indication, 'IndicationText');
+      instruction.asNeeded = indicationText
+        ? { coding: [], text: indicationText }
+        : { coding: [{ system: FHIR_SYSTEMS.NULL_FLAVOR, code: 'NI', display: 'NoInformation' }] };
+    }
+
+    return instruction;
+  }
+
+  private parseDosage(administration: XmlElement | undefined): DoseAndRate | undefined {
+    const doses = findChildren(administration, 'Dosage')
+      .map((dosage): Quantity | undefined => {
+        const value = numberAt(dosage, 'DoseQuantity');
+        const unit = textAt(dosage, 'DoseUnitOfMeasure', 'Text') ||
+          displayUnit(reverseLookup(NCPDP_QUANTITY_UNIT_CODES, textAt(dosage, 'DoseUnitOfMeasure', 'Code')) || 'each');
+        return value !== undefined ? { value, unit } : undefined;
+      })
+      .filter((dose): dose is Quantity => dose !== undefined);
+
+    if (doses.length >= 2) {
+      return { doseRange: { low: doses[0], high: doses[1] } };
+    }
+    return doses.length === 1 ? { doseQuantity: doses[0] } : undefined;
+  }
+
+  private parseTiming(timing: XmlElement | undefined): TimingRepeat | undefined {
+    if (!timing) return undefined;
+
+    const repeat: TimingRepeat = {};
+    const frequencies = findChildren(timing, 'Frequency');
+    const intervals = findChildren(timing, 'Interval');
+
+    if (frequencies.length > 0) {
+      repeat.frequency = numberAt(frequencies[0], 'FrequencyNumericValue');
+      if (frequencies.length > 1) {
+        repeat.frequencyMax = numberAt(frequencies[1], 'FrequencyNumericValue');
+      }
+      repeat.period = 1;
+      repeat.periodUnit = reverseLookup(NCPDP_TIME_UNIT_CODES, textAt(frequencies[0], 'FrequencyUnits', 'Code'));
+    } else if (intervals.length > 0) {
+      repeat.frequency = 1;
+      repeat.period = numberAt(intervals[0], 'IntervalNumericValue');
+      if (intervals.length > 1) {
+        repeat.periodMax = numberAt(intervals[1], 'IntervalNumericValue');
+      }
+      repeat.periodUnit = reverseLookup(NCPDP_TIME_UNIT_CODES, textAt(intervals[0], 'IntervalUnits', 'Code'));
+    }
+
+    const when = findChildren(timing, 'AdministrationTiming')
+      .map(node => textAt(node, 'AdministrationTimingText'))
+      .map(text => Object.keys(NCPDP_WHEN_TIMING_TEXT).find(code => NCPDP_WHEN_TIMING_TEXT[code] === text) || text)
+      .filter((code): code is string => code !== undefined);
+    if (when.length > 0) {
+      repeat.when = when;
+    }
+
+    const durationValue = numberAt(timing, 'Duration', 'DurationNumericValue');
+    const durationUnit = reverseLookup(NCPDP_TIME_UNIT_CODES, textAt(timing, 'Duration', 'DurationText', 'Code'));
+    if (durationValue !== undefined && durationUnit && repeat.periodUnit) {
+      try {
+        const durationDays = convertDurationToDays(durationValue, durationUnit);
+        const periodDays = convertDurationToDays(repeat.period ?? 1, repeat.periodUnit);
+        repeat.count = Math.round(durationDays / periodDays * (repeat.frequency ?? 1));
+      } catch {
+        // Units without a day equivalent leave count unset
+      }
+    }
+
+    Object.keys(repeat).forEach(key => {
+      if (repeat[key as keyof TimingRepeat] === undefined) {
+        delete repeat[key as keyof TimingRepeat];
+      }
+    });
+
+    return Object.keys(repeat).length > 0 ? repeat : undefined;
+  }
+}
+
+function reverseLookup(table: Record<string, NCPDPCode>, code: string | undefined): string | undefined {
+  if (!code) return undefined;
+  return Object.keys(table).find(key => table[key].code === code);
+}
+
+function displayUnit(unit: string): string {
+  return unit === 'ml' ? 'mL' : unit;
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Create singleton instance
+ */
+export const scriptMessageParser = new ScriptMessageParser();
+
+/**
+ * Convenience function for parsing an inbound SCRIPT message
+ */
+export function parseScriptMessage(xml: string): ParsedNCPDPMessage {
+  return scriptMessageParser.parse(xml);
+}
@@ -0,0 +1,271 @@
+/**
+ * Tests for NCPDP SCRIPT NewRx Serializer
+ *
+ * Validates message structure, structured Sig mapping, the free-text
+ * sig length limit and spelled-out quantities for controlled substances.
+ */
+
+import {
+  NewRxSerializer,
+  serializeNewRx,
+  spellOutQuantity,
+  numberToWords
+} from '../NewRxSerializer';
+import { parseXml, findPath, findChildren, textAt } from '../xml';
+import { NCPDP_LIMITS } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction, RelationshipType } from '../../../types/SignatureInstruction';
+
+const oxycodone: MedicationProfile = {
+  id: 'oxycodone-5',
+  name: 'Oxycodone HCl 5mg Tablet',
+  type: 'medication',
+  isActive: true,
+  doseForm: 'Tablet',
+  isControlled: true,
+  code: {
+    coding: [
+      { system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '1049621', display: 'Oxycodone 5 MG Oral Tablet' },
+      { system: 'http://hl7.org/fhir/sid/ndc', code: '00406055262', display: 'Oxycodone 5 MG Oral Tablet' }
+    ]
+  },
+  ingredient: [{
+    name: 'Oxycodone Hydrochloride',
+    strengthRatio: {
+      numerator: { value: 5, unit: 'mg' },
+      denominator: { value: 1, unit: 'tablet' }
+    }
+  }]
+};
+
+const context: MedicationRequestContext = {
+  id: 'rx-1001',
+  timestamp: '2025-03-02T14:30:00.000Z',
+  medication: oxycodone,
+  patient: { id: 'mrn-42', age: 61, gender: 'FEMALE' },
+  dose: { value: 1, unit: 'tablet' },
+  frequency: 'every 6 hours',
+  route: 'Orally',
+  quantity: { value: 20, unit: 'tablet' },
+  refills: 0,
+  prescriber: {
+    id: 'prac-7',
+    name: 'Dr. Maria Lopez',
+    npi: '1922334455',
+    dea: 'BL1234563'
+  },
+  clinicalContext: {
+    indication: 'Post-operative pain',
+    icd10Codes: ['G89.18']
+  }
+};
+
+const prnInstruction: SignatureInstruction = {
+  text: 'Take 1-2 tablets by mouth every 4-6 hours as needed for pain',
+  route: { coding: [{ system: 'http://snomed.info/sct', code: '26643006', display: 'Orally' }] },
+  doseAndRate: [{
+    doseRange: { low: { value: 1, unit: 'tablet' }, high: { value: 2, unit: 'tablet' } }
+  }],
+  timing: { repeat: { frequency: 1, period: 4, periodMax: 6, periodUnit: 'h' } },
+  asNeeded: { coding: [], text: 'pain' }
+};
+
+const options = { pharmacyId: 'NCPDP-7788', senderId: 'EHR-01' };
+
+describe('NewRxSerializer', () => {
+  let serializer: NewRxSerializer;
+
+  beforeEach(() => {
+    serializer = new NewRxSerializer();
+  });
+
+  describe('Message Structure', () => {
+    it('should produce a NewRx message with header routing', () => {
+      const message = parseXml(serializer.serialize(context, [prnInstruction], options));
+
+      expect(message.name).toBe('Message');
+      expect(message.attributes?.TransactionVersion).toBe('20170715');
+      expect(textAt(message, 'Header', 'To')).toBe('NCPDP-7788');
+      expect(textAt(message, 'Header', 'From')).toBe('EHR-01');
+      expect(textAt(message, 'Header', 'MessageID')).toBe('rx-1001');
+      expect(textAt(message, 'Header', 'PrescriberOrderNumber')).toBe('rx-1001');
+      expect(findPath(message, 'Body', 'NewRx')).toBeDefined();
+    });
+
+    it('should include patient and prescriber identification', () => {
+      const newRx = findPath(parseXml(serializeNewRx(context, [prnInstruction], options)), 'Body', 'NewRx');
+
+      expect(textAt(newRx, 'Patient', 'HumanPatient', 'Identification', 'MedicalRecordIdentificationNumberEHR')).toBe('mrn-42');
+      expect(textAt(newRx, 'Patient', 'HumanPatient', 'Gender')).toBe('F');
+
+      const prescriber = findPath(newRx, 'Prescriber', 'NonVeterinarian');
+      expect(textAt(prescriber, 'Identification', 'NPI')).toBe('1922334455');
+      expect(textAt(prescriber, 'Identification', 'DEANumber')).toBe('BL1234563');
+      expect(textAt(prescriber, 'Name', 'FirstName')).toBe('Maria');
+      expect(textAt(prescriber, 'Name', 'LastName')).toBe('Lopez');
+    });
+
+    it('should describe the prescribed medication', () => {
+      const medication = findPath(
+        parseXml(serializer.serialize(context, [prnInstruction], options)),
+        'Body', 'NewRx', 'MedicationPrescribed'
+      );
+
+      expect(textAt(medication, 'DrugDescription')).toBe('Oxycodone HCl 5mg Tablet');
+      expect(textAt(medication, 'DrugCoded', 'ProductCode', 'Code')).toBe('00406055262');
+      expect(textAt(medication, 'DrugCoded', 'DrugDBCode', 'Code')).toBe('1049621');
+      expect(textAt(medication, 'Quantity', 'Value')).toBe('20');
+      expect(textAt(medication, 'Quantity', 'QuantityUnitOfMeasure', 'Code')).toBe('C48542');
+      expect(textAt(medication, 'DaysSupply')).toBe('5');
+      expect(textAt(medication, 'WrittenDate', 'Date')).toBe('2025-03-02');
+      expect(textAt(medication, 'NumberOfRefills')).toBe('0');
+      expect(textAt(medication, 'Diagnosis', 'Primary', 'Code')).toBe('G89.18');
+    });
+
+    it('should escape reserved XML characters', () => {
+      const xml = serializer.serialize(
+        { ...context, specialInstructions: 'Do not combine with alcohol & sedatives <see label>' },
+        [prnInstruction],
+        options
+      );
+
+      expect(xml).toContain('alcohol &amp; sedatives &lt;see label&gt;');
+      expect(textAt(parseXml(xml), 'Body', 'NewRx', 'MedicationPrescribed', 'Note'))
+        .toContain('alcohol & sedatives <see label>');
+    });
+
+    it('should reject an empty instruction list', () => {
+      expect(() => serializer.serialize(context, [], options))
+        .toThrow('At least one instruction is required for a NewRx message');
+    });
+  });
+
+  describe('Structured Sig', () => {
+    it('should map dose range, route, interval range and indication', () => {
+      const sig = serializer.buildSig([prnInstruction]);
+      const instruction = findPath(sig, 'Instruction');
+      const dosages = findChildren(findPath(instruction, 'DoseAdministration'), 'Dosage');
+
+      expect(textAt(sig, 'SigText')).toBe(prnInstruction.text);
+      expect(textAt(instruction, 'DoseAdministration', 'DoseDeliveryMethod', 'Code')).toBe('419652001');
+      expect(dosages).toHaveLength(2);
+      expect(textAt(dosages[0], 'DoseQuantity')).toBe('1');
+      expect(textAt(dosages[0], 'DoseRangeModifier')).toBe('to');
+      expect(textAt(dosages[1], 'DoseQuantity')).toBe('2');
+      expect(textAt(instruction, 'DoseAdministration', 'RouteOfAdministration', 'Code')).toBe('26643006');
+
+      const intervals = findChildren(findPath(instruction, 'TimingAndDuration'), 'Interval');
+      expect(intervals.map(interval => textAt(interval, 'IntervalNumericValue'))).toEqual(['4', '6']);
+      expect(textAt(intervals[0], 'IntervalUnits', 'Code')).toBe('258702006');
+      expect(textAt(intervals[0], 'VariableIntervalModifier')).toBe('to');
+
+      expect(textAt(instruction, 'IndicationForUse', 'IndicationPrecursor')).toBe('as needed for');
+      expect(textAt(instruction, 'IndicationForUse', 'IndicationText')).toBe('pain');
+    });
+
+    it('should use frequency for per-day dosing and derive duration from count', () => {
+      const sig = serializer.buildSig([{
+        text: 'Take 2 tablets by mouth twice daily for 5 days',
+        doseAndRate: [{ doseQuantity: { value: 2, unit: 'tablet' } }],
+        timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd', count: 10 } }
+      }]);
+      const timing = findPath(sig, 'Instruction', 'TimingAndDuration');
+
+      expect(textAt(timing, 'Frequency', 'FrequencyNumericValue')).toBe('2');
+      expect(textAt(timing, 'Frequency', 'FrequencyUnits', 'Text')).toBe('day');
+      expect(findPath(timing, 'Interval')).toBeUndefined();
+      expect(textAt(timing, 'Duration', 'DurationNumericValue')).toBe('5');
+      expect(textAt(timing, 'Duration', 'DurationText', 'Code')).toBe('258703001');
+    });
+
+    it('should join sequential instructions with THEN', () => {
+      const sig = serializer.buildSig([
+        {
+          id: 'phase-1',
+          text: 'Take 40 mg by mouth once daily.',
+          doseAndRate: [{ doseQuantity: { value: 40, unit: 'mg' } }],
+          timing: {
+            repeat: { frequency: 1, period: 1, periodUnit: 'd' },
+            bounds: { start: '2025-03-02T00:00:00.000Z', end: '2025-03-09T00:00:00.000Z' }
+          }
+        },
+        {
+          id: 'phase-2',
+          text: 'Take 20 mg by mouth once daily',
+          doseAndRate: [{ doseQuantity: { value: 20, unit: 'mg' } }],
+          timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd' } },
+          relationship: { type: RelationshipType.SEQUENTIAL, targetId: 'phase-1' }
+        }
+      ]);
+
+      expect(textAt(sig, 'SigText')).toBe('Take 40 mg by mouth once daily; then take 20 mg by mouth once daily');
+      expect(findChildren(sig, 'Instruction')).toHaveLength(2);
+      expect(textAt(sig, 'MultipleInstructionModifier')).toBe('THEN');
+      expect(textAt(sig, 'Instruction', 'TimingAndDuration', 'Duration', 'DurationNumericValue')).toBe('7');
+    });
+
+    it('should write a bare precursor for PRN without indication', () => {
+      const sig = serializer.buildSig([{
+        ...prnInstruction,
+        asNeeded: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor', code: 'NI' }] }
+      }]);
+
+      expect(textAt(sig, 'Instruction', 'IndicationForUse', 'IndicationPrecursor')).toBe('as needed');
+      expect(textAt(sig, 'Instruction', 'IndicationForUse', 'IndicationText')).toBeUndefined();
+    });
+  });
+
+  describe('Sig Text Limit', () => {
+    it('should reject sig text over the NCPDP limit', () => {
+      const longInstruction = { ...prnInstruction, text: 'Take '.padEnd(NCPDP_LIMITS.SIG_TEXT_MAX_LENGTH + 1, 'x') };
+
+      expect(() => serializer.serialize(context, [longInstruction], options)).toThrow(
+        `Sig text is ${NCPDP_LIMITS.SIG_TEXT_MAX_LENGTH + 1} characters; NCPDP SCRIPT allows at most ${NCPDP_LIMITS.SIG_TEXT_MAX_LENGTH}`
+      );
+    });
+
+    it('should honour a configured limit', () => {
+      expect(() => serializer.serialize(context, [prnInstruction], { ...options, maxSigTextLength: 40 }))
+        .toThrow('NCPDP SCRIPT allows at most 40');
+    });
+  });
+
+  describe('Controlled Substances', () => {
+    it('should spell out the quantity in the note', () => {
+      const note = textAt(
+        parseXml(serializer.serialize(context, [prnInstruction], options)),
+        'Body', 'NewRx', 'MedicationPrescribed', 'Note'
+      );
+
+      expect(note).toBe('Quantity: twenty (20) tablets');
+    });
+
+    it('should not spell out quantity for non-controlled medications', () => {
+      const xml = serializer.serialize(
+        { ...context, medication: { ...oxycodone, isControlled: false } },
+        [prnInstruction],
+        options
+      );
+
+      expect(textAt(parseXml(xml), 'Body', 'NewRx', 'MedicationPrescribed', 'Note')).toBeUndefined();
+    });
+
+    it('should spell out numbers and quantities', () => {
+      expect(numberToWords(0)).toBe('zero');
+      expect(numberToWords(45)).toBe('forty-five');
+      expect(numberToWords(120)).toBe('one hundred twenty');
+      expect(numberToWords(2500)).toBe('two thousand five hundred');
+      expect(spellOutQuantity({ value: 1, unit: 'tablet' })).toBe('one (1) tablet');
+      expect(spellOutQuantity({ value: 10.5, unit: 'mL' })).toBe('ten point five (10.5) mL');
+    });
+
+    it('should use irregular plurals for count units', () => {
+      expect(spellOutQuantity({ value: 10, unit: 'patch' })).toBe('ten (10) patches');
+      expect(spellOutQuantity({ value: 1, unit: 'patches' })).toBe('one (1) patch');
+      expect(spellOutQuantity({ value: 2, unit: 'box' })).toBe('two (2) boxes');
+      expect(spellOutQuantity({ value: 30, unit: 'Tablets' })).toBe('thirty (30) tablets');
+      expect(spellOutQuantity({ value: 3, unit: 'each' })).toBe('three (3) each');
+    });
+  });
+});
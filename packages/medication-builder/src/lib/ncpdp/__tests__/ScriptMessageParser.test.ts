@@ -0,0 +1,211 @@
+/**
+ * Tests for NCPDP SCRIPT Message Parser
+ *
+ * Round-trips NewRx output through RxRenewalRequest and RxChangeRequest
+ * envelopes and validates header, medication and structured Sig parsing.
+ */
+
+import { ScriptMessageParser, parseScriptMessage } from '../ScriptMessageParser';
+import { NewRxSerializer } from '../NewRxSerializer';
+import { XmlElement, findPath, serializeXml } from '../xml';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction, RelationshipType } from '../../../types/SignatureInstruction';
+
+const context: MedicationRequestContext = {
+  id: 'rx-2002',
+  timestamp: '2025-04-10T09:00:00.000Z',
+  medication: {
+    id: 'pregabalin-75',
+    name: 'Pregabalin 75mg Capsule',
+    type: 'medication',
+    isActive: true,
+    doseForm: 'Capsule',
+    isControlled: true,
+    code: {
+      coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '483440', display: 'Pregabalin 75 MG Oral Capsule' }]
+    },
+    ingredient: [{
+      name: 'Pregabalin',
+      strengthRatio: {
+        numerator: { value: 75, unit: 'mg' },
+        denominator: { value: 1, unit: 'capsule' }
+      }
+    }]
+  },
+  patient: { id: 'mrn-77', age: 35 },
+  dose: { value: 1, unit: 'capsule' },
+  frequency: 'three times daily',
+  route: 'Orally',
+  quantity: { value: 30, unit: 'capsule' },
+  refills: 1,
+  prescriber: { id: 'prac-3', name: 'Alan Grant', npi: '1112223334' },
+  clinicalContext: { indication: 'Diabetic neuropathy', icd10Codes: ['E11.42', 'G62.9'] }
+};
+
+const instructions: SignatureInstruction[] = [
+  {
+    id: 'sig-1',
+    text: 'Take 2 capsules by mouth three times daily for 2 days',
+    route: { coding: [{ system: 'http://snomed.info/sct', code: '26643006', display: 'Orally' }] },
+    doseAndRate: [{ doseQuantity: { value: 2, unit: 'capsule' } }],
+    timing: { repeat: { frequency: 3, period: 1, periodUnit: 'd', count: 6 } }
+  },
+  {
+    id: 'sig-2',
+    text: 'Take 1 capsule by mouth every 8 hours at bedtime',
+    route: { coding: [{ system: 'http://snomed.info/sct', code: '26643006', display: 'Orally' }] },
+    doseAndRate: [{ doseQuantity: { value: 1, unit: 'capsule' } }],
+    timing: { repeat: { frequency: 1, period: 8, periodUnit: 'h', when: ['HS'] } },
+    relationship: { type: RelationshipType.SEQUENTIAL, targetId: 'sig-1' }
+  }
+];
+
+const options = { pharmacyId: 'NCPDP-1', senderId: 'EHR-01' };
+
+/**
+ * Wrap a serialized NewRx as a pharmacy-originated message
+ */
+function asInboundMessage(
+  messageType: 'RxRenewalRequest' | 'RxChangeRequest',
+  extra: (medication: XmlElement) => XmlElement[]
+): string {
+  const message = new NewRxSerializer().buildMessage(context, instructions, options);
+  const header = findPath(message, 'Header')!;
+  const newRx = findPath(message, 'Body', 'NewRx')!;
+  const medication = findPath(newRx, 'MedicationPrescribed')!;
+
+  header.children!.push({ name: 'RelatesToMessageID', text: 'rx-2002' });
+  findPath(message, 'Body')!.children = [{
+    name: messageType,
+    children: [...newRx.children!, ...extra(medication)]
+  }];
+
+  return serializeXml(message);
+}
+
+describe('ScriptMessageParser', () => {
+  let parser: ScriptMessageParser;
+
+  beforeEach(() => {
+    parser = new ScriptMessageParser();
+  });
+
+  describe('RxRenewalRequest', () => {
+    it('should parse header, patient and prescriber', () => {
+      const result = parser.parse(asInboundMessage('RxRenewalRequest', medication => [
+        { ...medication, name: 'MedicationDispensed' }
+      ]));
+
+      expect(result.messageType).toBe('RxRenewalRequest');
+      expect(result.messageId).toBe('rx-2002');
+      expect(result.relatesToMessageId).toBe('rx-2002');
+      expect(result.prescriberOrderNumber).toBe('rx-2002');
+      expect(result.patientId).toBe('mrn-77');
+      expect(result.prescriber).toEqual({
+        npi: '1112223334',
+        dea: undefined,
+        stateLicense: undefined,
+        name: 'Alan Grant'
+      });
+      expect(result.medicationDispensed?.description).toBe('Pregabalin 75mg Capsule');
+    });
+
+    it('should round-trip the prescribed medication', () => {
+      const medication = parser.parse(asInboundMessage('RxRenewalRequest', () => [])).medicationPrescribed!;
+
+      expect(medication.codes).toEqual({ SCD: '483440' });
+      expect(medication.quantity).toEqual({ value: 30, unit: 'capsule' });
+      expect(medication.quantityText).toBe('thirty (30) capsules');
+      expect(medication.refills).toBe(1);
+      expect(medication.daysSupply).toBe(10);
+      expect(medication.writtenDate).toBe('2025-04-10');
+      expect(medication.icd10Codes).toEqual(['E11.42', 'G62.9']);
+    });
+
+    it('should round-trip the structured Sig into instructions', () => {
+      const [first, second] = parser.parse(asInboundMessage('RxRenewalRequest', () => []))
+        .medicationPrescribed!.instructions;
+
+      expect(first.text).toBe(instructions[0].text);
+      expect(first.doseAndRate).toEqual(instructions[0].doseAndRate);
+      expect(first.route?.coding?.[0]).toMatchObject({ code: '26643006', display: 'Orally' });
+      expect(first.timing?.repeat).toEqual(instructions[0].timing?.repeat);
+
+      expect(second.text).toBe(instructions[1].text);
+      expect(second.timing?.repeat).toEqual(instructions[1].timing?.repeat);
+      expect(second.relationship).toEqual({ type: RelationshipType.SEQUENTIAL, targetId: first.id });
+    });
+  });
+
+  describe('RxChangeRequest', () => {
+    it('should parse the change reason and requested alternatives', () => {
+      const xml = asInboundMessage('RxChangeRequest', medication => [
+        { name: 'MessageRequestCode', text: 'T' },
+        {
+          ...medication,
+          name: 'MedicationRequested',
+          children: medication.children!.map(child => child.name === 'DrugDescription'
+            ? { ...child, text: 'Pregabalin 150mg Capsule' }
+            : child)
+        }
+      ]);
+      const result = parseScriptMessage(xml);
+
+      expect(result.messageType).toBe('RxChangeRequest');
+      expect(result.changeRequestType).toBe('T');
+      expect(result.medicationRequested).toHaveLength(1);
+      expect(result.medicationRequested[0].description).toBe('Pregabalin 150mg Capsule');
+      expect(result.medicationRequested[0].instructions).toHaveLength(2);
+    });
+
+    it('should ignore unknown change reasons', () => {
+      const result = parser.parse(asInboundMessage('RxChangeRequest', () => [
+        { name: 'MessageRequestCode', text: 'ZZ' }
+      ]));
+
+      expect(result.changeRequestType).toBeUndefined();
+    });
+  });
+
+  describe('Input Validation', () => {
+    it('should parse PRN indications and dose ranges', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <Message xmlns="http://www.ncpdp.org/schema/SCRIPT">
+          <Header><MessageID>m-1</MessageID></Header>
+          <Body>
+            <RxRenewalRequest>
+              <MedicationPrescribed>
+                <Sig>
+                  <SigText>Take 1-2 tablets every 4-6 hours as needed for pain</SigText>
+                  <Instruction>
+                    <DoseAdministration>
+                      <Dosage><DoseQuantity>1</DoseQuantity><DoseUnitOfMeasure><Code>C48542</Code></DoseUnitOfMeasure></Dosage>
+                      <Dosage><DoseQuantity>2</DoseQuantity><DoseUnitOfMeasure><Code>C48542</Code></DoseUnitOfMeasure></Dosage>
+                    </DoseAdministration>
+                    <IndicationForUse><IndicationText>pain</IndicationText></IndicationForUse>
+                  </Instruction>
+                </Sig>
+              </MedicationPrescribed>
+            </RxRenewalRequest>
+          </Body>
+        </Message>`;
+      const [instruction] = parser.parse(xml).medicationPrescribed!.instructions;
+
+      expect(instruction.text).toBe('Take 1-2 tablets every 4-6 hours as needed for pain');
+      expect(instruction.doseAndRate?.[0].doseRange).toEqual({
+        low: { value: 1, unit: 'tablet' },
+        high: { value: 2, unit: 'tablet' }
+      });
+      expect(instruction.asNeeded).toEqual({ coding: [], text: 'pain' });
+    });
+
+    it('should reject unsupported message types', () => {
+      expect(() => parser.parse('<Message><Body><Status/></Body></Message>'))
+        .toThrow('Unsupported NCPDP message type: Status');
+    });
+
+    it('should reject malformed XML', () => {
+      expect(() => parser.parse('<Message><Body></Message>')).toThrow('Malformed XML');
+    });
+  });
+});
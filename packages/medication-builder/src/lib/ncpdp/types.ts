@@ -0,0 +1,210 @@
+/**
+ * NCPDP SCRIPT Types and Code Tables
+ *
+ * Types and code lists for NCPDP SCRIPT e-prescribing messages
+ * (NewRx outbound, RxRenewalRequest / RxChangeRequest inbound).
+ * Element names follow SCRIPT 2017071; only the subset the builder
+ * can populate is modelled.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity } from '../../types/MedicationProfile';
+import { SignatureInstruction } from '../../types/SignatureInstruction';
+
+/**
+ * SCRIPT standard version written to the Message element
+ */
+export const NCPDP_SCRIPT_VERSION = '20170715';
+
+/**
+ * Field length limits from the SCRIPT 2017071 data dictionary
+ */
+export const NCPDP_LIMITS = {
+  /** Free-text Sig */
+  SIG_TEXT_MAX_LENGTH: 1000
+} as const;
+
+/**
+ * Code system qualifiers used inside the structured Sig
+ */
+export const NCPDP_QUALIFIERS = {
+  SNOMED: 'SNOMED',
+  /** NCI Thesaurus code list for quantity units */
+  QUANTITY_UNIT: '38',
+  ICD10: 'ABF',
+  RXNORM: 'SCD',
+  NDC: 'ND'
+} as const;
+
+/**
+ * Coded value with display text
+ */
+export interface NCPDPCode {
+  code: string;
+  text: string;
+}
+
+/**
+ * SNOMED CT routes keyed by the route names in medication-data
+ */
+export const NCPDP_ROUTE_CODES: Record<string, NCPDPCode> = {
+  'Orally': { code: '26643006', text: 'oral route' },
+  'Sublingually': { code: '37839007', text: 'sublingual route' },
+  'Subcutaneous': { code: '34206005', text: 'subcutaneous route' },
+  'Intramuscularly': { code: '78421000', text: 'intramuscular route' },
+  'Intravenous': { code: '47625008', text: 'intravenous route' },
+  'Topically': { code: '6064005', text: 'topical route' },
+  'On Scalp': { code: '6064005', text: 'topical route' },
+  'Transdermal': { code: '45890007', text: 'transdermal route' },
+  'Rectally': { code: '37161004', text: 'rectal route' },
+  'Vaginally': { code: '16857009', text: 'vaginal route' },
+  'Intranasal': { code: '46713006', text: 'nasal route' },
+  'Inhaled': { code: '447694001', text: 'respiratory tract route' }
+};
+
+/**
+ * SNOMED CT dose delivery methods keyed by lower-case sig verb
+ */
+export const NCPDP_DELIVERY_METHOD_CODES: Record<string, NCPDPCode> = {
+  'take': { code: '419652001', text: 'Take' },
+  'inject': { code: '422145002', text: 'Inject' },
+  'apply': { code: '417924000', text: 'Apply' },
+  'inhale': { code: '420606003', text: 'Inhale' },
+  'insert': { code: '421257003', text: 'Insert' }
+};
+
+/**
+ * NCI Thesaurus quantity units keyed by lower-case unit
+ */
+export const NCPDP_QUANTITY_UNIT_CODES: Record<string, NCPDPCode> = {
+  'tablet': { code: 'C48542', text: 'Tablet' },
+  'capsule': { code: 'C48480', text: 'Capsule' },
+  'ml': { code: 'C28254', text: 'Milliliter' },
+  'mg': { code: 'C28253', text: 'Milligram' },
+  'g': { code: 'C48155', text: 'Gram' },
+  'mcg': { code: 'C48152', text: 'Microgram' },
+  'unit': { code: 'C44278', text: 'Unit' },
+  'patch': { code: 'C48524', text: 'Patch' },
+  'drop': { code: 'C48491', text: 'Drop' },
+  'each': { code: 'C64933', text: 'Each' }
+};
+
+/**
+ * Code used when a unit has no NCI mapping
+ */
+export const NCPDP_UNSPECIFIED_UNIT: NCPDPCode = { code: 'C38046', text: 'Unspecified' };
+
+/**
+ * SNOMED CT time units keyed by UCUM period unit
+ */
+export const NCPDP_TIME_UNIT_CODES: Record<string, NCPDPCode> = {
+  'min': { code: '258701004', text: 'minute' },
+  'h': { code: '258702006', text: 'hour' },
+  'd': { code: '258703001', text: 'day' },
+  'wk': { code: '258705008', text: 'week' },
+  'mo': { code: '258706009', text: 'month' }
+};
+
+/**
+ * Human-readable administration timing for FHIR "when" codes
+ */
+export const NCPDP_WHEN_TIMING_TEXT: Record<string, string> = {
+  'MORN': 'in the morning',
+  'NOON': 'at noon',
+  'AFT': 'in the afternoon',
+  'EVE': 'in the evening',
+  'NIGHT': 'at night',
+  'HS': 'at bedtime',
+  'WAKE': 'upon waking',
+  'C': 'with meals',
+  'AC': 'before meals',
+  'PC': 'after meals'
+};
+
+/**
+ * RxChangeRequest reasons (MessageRequestCode)
+ */
+export const NCPDP_CHANGE_REQUEST_TYPES = {
+  G: 'Generic substitution',
+  P: 'Prior authorization required',
+  T: 'Therapeutic interchange',
+  D: 'Drug use evaluation',
+  S: 'Script clarification',
+  OS: 'Out of stock',
+  U: 'Prescriber authorization'
+} as const;
+
+export type NCPDPChangeRequestType = keyof typeof NCPDP_CHANGE_REQUEST_TYPES;
+
+/**
+ * Message types handled by the serializer and parser
+ */
+export type NCPDPMessageType = 'NewRx' | 'RxRenewalRequest' | 'RxChangeRequest';
+
+/**
+ * Options for NewRx serialization
+ */
+export interface NewRxSerializationOptions {
+  /** Receiving pharmacy identifier (Header/To) */
+  pharmacyId: string;
+  /** Sending system identifier (Header/From) */
+  senderId: string;
+  /** Message identifier (default: request id) */
+  messageId?: string;
+  /** Override the free-text sig limit (default: NCPDP_LIMITS.SIG_TEXT_MAX_LENGTH) */
+  maxSigTextLength?: number;
+}
+
+/**
+ * Medication section of a parsed message
+ */
+export interface ParsedNCPDPMedication {
+  description?: string;
+  /** Product codes keyed by qualifier (e.g. ND, SCD) */
+  codes: Record<string, string>;
+  quantity?: Quantity;
+  /** Spelled-out quantity text for controlled substances */
+  quantityText?: string;
+  daysSupply?: number;
+  refills?: number;
+  writtenDate?: string;
+  icd10Codes: string[];
+  note?: string;
+  sigText?: string;
+  /** Structured Sig converted back to SignatureInstructions */
+  instructions: SignatureInstruction[];
+}
+
+/**
+ * Parsed inbound (or echoed) SCRIPT message
+ */
+export interface ParsedNCPDPMessage {
+  messageType: NCPDPMessageType;
+  messageId?: string;
+  relatesToMessageId?: string;
+  prescriberOrderNumber?: string;
+  sentTime?: string;
+  patientId?: string;
+  prescriber?: {
+    npi?: string;
+    dea?: string;
+    stateLicense?: string;
+    name?: string;
+  };
+  /** Medication as originally prescribed */
+  medicationPrescribed?: ParsedNCPDPMedication;
+  /** Alternatives the pharmacy is asking for (RxChangeRequest) */
+  medicationRequested: ParsedNCPDPMedication[];
+  /** Change reason (RxChangeRequest) */
+  changeRequestType?: NCPDPChangeRequestType;
+  /** Medication last dispensed by the pharmacy (RxRenewalRequest) */
+  medicationDispensed?: ParsedNCPDPMedication;
+}
+
+/**
+ * Check that a value is a known change request type
+ */
+export function isNCPDPChangeRequestType(value: any): value is NCPDPChangeRequestType {
+  return typeof value === 'string' && value in NCPDP_CHANGE_REQUEST_TYPES;
+}
@@ -0,0 +1,249 @@
+/**
+ * Minimal XML Tree Utilities
+ *
+ * Just enough XML to write and read NCPDP SCRIPT messages without an
+ * external dependency: element trees with attributes and text content,
+ * entity escaping, and path-based lookups. Namespace prefixes are
+ * ignored on lookup so documents with or without a default namespace
+ * parse the same way.
+ *
+ * Not supported: DTDs, CDATA sections and mixed content.
+ *
+ * @since 3.3.0
+ */
+
+/**
+ * XML element node
+ */
+export interface XmlElement {
+  name: string;
+  attributes?: Record<string, string>;
+  children?: XmlElement[];
+  text?: string;
+}
+
+const ENTITIES: Record<string, string> = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+/**
+ * Escape text for element content or attribute values
+ */
+export function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value: string): string {
+  return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, entity => {
+    if (entity.startsWith('&#x')) return String.fromCharCode(parseInt(entity.slice(3, -1), 16));
+    if (entity.startsWith('&#')) return String.fromCharCode(parseInt(entity.slice(2, -1), 10));
+    return ENTITIES[entity];
+  });
+}
+
+/**
+ * Create an element. Undefined or empty text produces no element,
+ * which keeps optional fields out of the document.
+ */
+export function element(
+  name: string,
+  content?: string | number | Array<XmlElement | undefined>,
+  attributes?: Record<string, string>
+): XmlElement | undefined {
+  if (content === undefined || content === '') return undefined;
+
+  if (Array.isArray(content)) {
+    const children = content.filter((child): child is XmlElement => child !== undefined);
+    if (children.length === 0) return undefined;
+    return { name, children, ...(attributes && { attributes }) };
+  }
+
+  return { name, text: String(content), ...(attributes && { attributes }) };
+}
+
+/**
+ * Serialize an element tree with two-space indentation
+ */
+export function serializeXml(root: XmlElement, declaration = true): string {
+  const lines: string[] = [];
+  if (declaration) {
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  }
+  writeElement(root, 0, lines);
+  return lines.join('\n');
+}
+
+function writeElement(node: XmlElement, depth: number, lines: string[]): void {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children && node.children.length > 0) {
+    lines.push(`${indent}<${node.name}${attributes}>`);
+    node.children.forEach(child => writeElement(child, depth + 1, lines));
+    lines.push(`${indent}</${node.name}>`);
+  } else if (node.text !== undefined) {
+    lines.push(`${indent}<${node.name}${attributes}>${escapeXml(node.text)}</${node.name}>`);
+  } else {
+    lines.push(`${indent}<${node.name}${attributes}/>`);
+  }
+}
+
+/**
+ * Parse an XML document into an element tree
+ *
+ * @throws Error when the document is not well formed
+ */
+export function parseXml(xml: string): XmlElement {
+  let position = 0;
+
+  const fail = (message: string): never => {
+    throw new Error(`Malformed XML at offset ${position}: ${message}`);
+  };
+
+  const skipMisc = () => {
+    for (;;) {
+      while (position < xml.length && /\s/.test(xml[position])) position++;
+      if (xml.startsWith('<?', position)) {
+        const end = xml.indexOf('?>', position);
+        if (end === -1) fail('unterminated processing instruction');
+        position = end + 2;
+      } else if (xml.startsWith('<!--', position)) {
+        const end = xml.indexOf('-->', position);
+        if (end === -1) fail('unterminated comment');
+        position = end + 3;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readName = (): string => {
+    const match = /^[A-Za-z_][\w.:-]*/.exec(xml.slice(position));
+    if (!match) fail('expected a name');
+    position += match![0].length;
+    return match![0];
+  };
+
+  const readElement = (): XmlElement => {
+    if (xml[position] !== '<') fail('expected "<"');
+    position++;
+    const name = readName();
+    const attributes: Record<string, string> = {};
+
+    for (;;) {
+      while (/\s/.test(xml[position])) position++;
+      if (xml.startsWith('/>', position)) {
+        position += 2;
+        return Object.keys(attributes).length > 0 ? { name, attributes } : { name };
+      }
+      if (xml[position] === '>') {
+        position++;
+        break;
+      }
+      const attributeName = readName();
+      while (/\s/.test(xml[position])) position++;
+      if (xml[position] !== '=') fail(`expected "=" after attribute ${attributeName}`);
+      position++;
+      while (/\s/.test(xml[position])) position++;
+      const quote = xml[position];
+      if (quote !== '"' && quote !== "'") fail('expected quoted attribute value');
+      const end = xml.indexOf(quote, position + 1);
+      if (end === -1) fail('unterminated attribute value');
+      attributes[attributeName] = unescapeXml(xml.slice(position + 1, end));
+      position = end + 1;
+    }
+
+    const children: XmlElement[] = [];
+    let text = '';
+
+    for (;;) {
+      if (position >= xml.length) fail(`unclosed element <${name}>`);
+      if (xml.startsWith('</', position)) {
+        position += 2;
+        const closing = readName();
+        if (closing !== name) fail(`expected </${name}> but found </${closing}>`);
+        while (/\s/.test(xml[position])) position++;
+        if (xml[position] !== '>') fail('expected ">"');
+        position++;
+        break;
+      }
+      if (xml.startsWith('<!--', position)) {
+        const end = xml.indexOf('-->', position);
+        if (end === -1) fail('unterminated comment');
+        position = end + 3;
+      } else if (xml[position] === '<') {
+        children.push(readElement());
+      } else {
+        const next = xml.indexOf('<', position);
+        const end = next === -1 ? xml.length : next;
+        text += xml.slice(position, end);
+        position = end;
+      }
+    }
+
+    const node: XmlElement = { name };
+    if (Object.keys(attributes).length > 0) node.attributes = attributes;
+    if (children.length > 0) {
+      node.children = children;
+    } else if (text.trim() !== '') {
+      node.text = unescapeXml(text.trim());
+    }
+    return node;
+  };
+
+  skipMisc();
+  const root = readElement();
+  skipMisc();
+  if (position < xml.length) fail('unexpected content after root element');
+  return root;
+}
+
+function localName(name: string): string {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * All direct children with the given local name
+ */
+export function findChildren(node: XmlElement | undefined, name: string): XmlElement[] {
+  return (node?.children || []).filter(child => localName(child.name) === name);
+}
+
+/**
+ * Follow a path of local names, taking the first match at each step
+ */
+export function findPath(node: XmlElement | undefined, ...path: string[]): XmlElement | undefined {
+  return path.reduce<XmlElement | undefined>(
+    (current, name) => findChildren(current, name)[0],
+    node
+  );
+}
+
+/**
+ * Text content at a path, if present
+ */
+export function textAt(node: XmlElement | undefined, ...path: string[]): string | undefined {
+  return findPath(node, ...path)?.text;
+}
+
+/**
+ * Numeric content at a path, if present and numeric
+ */
+export function numberAt(node: XmlElement | undefined, ...path: string[]): number | undefined {
+  const text = textAt(node, ...path);
+  if (text === undefined) return undefined;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : undefined;
+}
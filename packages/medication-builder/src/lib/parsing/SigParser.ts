@@ -0,0 +1,825 @@
+/**
+ * Free-Text Sig Parser
+ *
+ * Parses prescriber free-text sigs (e.g. "Take 1-2 tabs PO q4-6h PRN pain,
+ * max 8 tabs/day") into FHIR R4 SignatureInstruction objects. Timing phrases
+ * are delegated to FHIRTemporalParser, routes are resolved through the
+ * RouteValidator alias table, and ranges use the same DoseRangeInput /
+ * FrequencyRangeInput model as ComplexPRNBuilder.
+ *
+ * Every parsed field carries its own confidence, and any text that could not
+ * be attributed to a field is reported as the unparsed remainder.
+ *
+ * @since 3.3.0
+ */
+
+import { FHIRTemporalParser } from '../temporal/FHIRTemporalParser';
+import { RouteValidator } from '../validation/RouteValidator';
+import { DoseInput, AsNeededInput, DoseConstraints } from '../../builders/ISignatureBuilder';
+import { DoseRangeInput, FrequencyRangeInput } from '../../builders/IComplexRegimenBuilder';
+import {
+  SignatureInstruction,
+  TimingRepeat,
+  DoseAndRate,
+  RelationshipType
+} from '../../types/SignatureInstruction';
+import {
+  ISigParser,
+  ParsedField,
+  ParsedSigSegment,
+  SigParseResult,
+  SIG_CONFIDENCE
+} from './types';
+
+/**
+ * Number token: decimals, simple fractions, and spelled-out small numbers
+ */
+const NUMBER_PATTERN = '(?:\\d+\\s*\\/\\s*\\d+|\\d+(?:\\.\\d+)?|one-half|one|two|three|four|five|six|seven|eight|nine|ten|half)';
+
+const WORD_NUMBERS: Record<string, number> = {
+  'one': 1,
+  'two': 2,
+  'three': 3,
+  'four': 4,
+  'five': 5,
+  'six': 6,
+  'seven': 7,
+  'eight': 8,
+  'nine': 9,
+  'ten': 10,
+  'half': 0.5,
+  'one-half': 0.5
+};
+
+/**
+ * Dose unit spellings mapped to the unit used by the builders.
+ * Abbreviated spellings parse with lower confidence.
+ */
+const DOSE_UNITS: Array<{ pattern: string; unit: string; abbreviated: boolean }> = [
+  { pattern: 'tablets?', unit: 'tablet', abbreviated: false },
+  { pattern: 'tabs?', unit: 'tablet', abbreviated: true },
+  { pattern: 'capsules?', unit: 'capsule', abbreviated: false },
+  { pattern: 'caps?', unit: 'capsule', abbreviated: true },
+  { pattern: 'milligrams?', unit: 'mg', abbreviated: false },
+  { pattern: 'mg', unit: 'mg', abbreviated: false },
+  { pattern: 'micrograms?', unit: 'mcg', abbreviated: false },
+  { pattern: 'mcg', unit: 'mcg', abbreviated: false },
+  { pattern: 'grams?', unit: 'g', abbreviated: false },
+  { pattern: 'g', unit: 'g', abbreviated: true },
+  { pattern: 'milliliters?', unit: 'mL', abbreviated: false },
+  { pattern: 'ml', unit: 'mL', abbreviated: false },
+  { pattern: 'units?', unit: 'unit', abbreviated: false },
+  { pattern: 'iu', unit: 'unit', abbreviated: true },
+  { pattern: 'puffs?', unit: 'puff', abbreviated: false },
+  { pattern: 'sprays?', unit: 'spray', abbreviated: false },
+  { pattern: 'drops?', unit: 'drop', abbreviated: false },
+  { pattern: 'gtts?', unit: 'drop', abbreviated: true },
+  { pattern: 'clicks?', unit: 'click', abbreviated: false },
+  { pattern: 'patch(?:es)?', unit: 'patch', abbreviated: false },
+  { pattern: 'applications?', unit: 'application', abbreviated: false }
+];
+
+const UNIT_PATTERN = `(${DOSE_UNITS.map(u => u.pattern).join('|')})`;
+
+/**
+ * Named frequencies, most specific first. The canonical phrase is handed
+ * to FHIRTemporalParser so timing structures stay consistent.
+ */
+const TIMING_PHRASES: Array<{ pattern: RegExp; canonical: string }> = [
+  { pattern: /\b(?:four times (?:a |per )?day|four times daily|qid)\b/, canonical: 'four times daily' },
+  { pattern: /\b(?:three times (?:a |per )?day|three times daily|tid)\b/, canonical: 'three times daily' },
+  { pattern: /\b(?:twice (?:a |per )?day|twice daily|bid)\b/, canonical: 'twice daily' },
+  { pattern: /\b(?:twice (?:a |per )?week|twice weekly)\b/, canonical: 'twice weekly' },
+  { pattern: /\b(?:once (?:a |per )?week|once weekly|every week|weekly)\b/, canonical: 'once weekly' },
+  { pattern: /\b(?:every other day|qod)\b/, canonical: 'every other day' },
+  { pattern: /\b(?:once (?:a |per )?day|once daily|every day|daily|qd)\b/, canonical: 'once daily' }
+];
+
+/**
+ * Event-relative timing (FHIR EventTiming codes)
+ */
+const WHEN_PHRASES: Array<{ pattern: RegExp; code: string; impliesDaily: boolean }> = [
+  { pattern: /\b(?:at bedtime|before bed|nightly|qhs|hs)\b/, code: 'HS', impliesDaily: true },
+  { pattern: /\b(?:in the morning|every morning|each morning|qam)\b/, code: 'MORN', impliesDaily: true },
+  { pattern: /\b(?:in the evening|every evening|each evening|qpm)\b/, code: 'EVE', impliesDaily: true },
+  { pattern: /\b(?:at night)\b/, code: 'NIGHT', impliesDaily: true },
+  { pattern: /\b(?:before meals|ac)\b/, code: 'AC', impliesDaily: false },
+  { pattern: /\b(?:after meals|pc)\b/, code: 'PC', impliesDaily: false },
+  { pattern: /\b(?:with meals|with food)\b/, code: 'C', impliesDaily: false }
+];
+
+const VERB_PATTERN = /^\s*(take|inject|apply|instill|inhale|use|place|insert|give|chew|dissolve|spray|administer)\b/;
+
+/** Connective words that carry no meaning once fields are extracted */
+const FILLER_WORDS = new Set(['and', 'then', 'by', 'via', 'per', 'of', 'the', 'a', 'an', 'to', 'x', 'for', 'as', 'directed']);
+
+/**
+ * Working buffer for a single segment. Matched spans are blanked out so
+ * later extractors cannot reuse them and the remainder falls out naturally.
+ */
+interface SegmentCursor {
+  /** Original text (preserves casing for source fragments) */
+  original: string;
+  /** Lower-cased working copy with consumed spans blanked */
+  work: string;
+}
+
+export class SigParser implements ISigParser {
+  private readonly temporalParser: FHIRTemporalParser;
+  private readonly routeTerms: Array<{ term: string; route: string }>;
+
+  constructor(temporalParser: FHIRTemporalParser = new FHIRTemporalParser()) {
+    this.temporalParser = temporalParser;
+    this.routeTerms = this.buildRouteTerms();
+  }
+
+  /**
+   * Parse free-text sig to structured instructions
+   */
+  parse(sig: string): SigParseResult {
+    const warnings: string[] = [];
+
+    if (!sig || sig.trim() === '') {
+      return {
+        instructions: [],
+        segments: [],
+        confidence: 0,
+        unparsed: '',
+        warnings: ['Sig text is empty']
+      };
+    }
+
+    const segmentTexts = this.splitSegments(sig);
+    if (segmentTexts.length === 0) {
+      return {
+        instructions: [],
+        segments: [],
+        confidence: 0,
+        unparsed: sig.trim(),
+        warnings: [`No instructions found in "${sig.trim()}"`]
+      };
+    }
+
+    const segments: ParsedSigSegment[] = [];
+
+    segmentTexts.forEach((text, index) => {
+      const previous = segments[index - 1];
+      const segment = this.parseSegment(text, previous);
+      segments.push(segment);
+
+      const label = segmentTexts.length > 1 ? `Segment ${index + 1}` : 'Sig';
+      if (!segment.dose && !segment.doseRange) {
+        warnings.push(`${label}: no dose found in "${text}"`);
+      }
+      if (!segment.timing && !segment.asNeeded) {
+        warnings.push(`${label}: no frequency found in "${text}"`);
+      }
+      if (segment.remainder) {
+        warnings.push(`${label}: could not interpret "${segment.remainder}"`);
+      }
+    });
+
+    const instructions = segments.map((segment, index) =>
+      this.toInstruction(segment, index, segments.length)
+    );
+
+    return {
+      instructions,
+      segments,
+      confidence: Math.min(...segments.map(s => s.confidence)),
+      unparsed: segments.map(s => s.remainder).filter(r => r.length > 0).join(' | '),
+      warnings
+    };
+  }
+
+  /**
+   * Split a sig into sequential segments ("..., then ...")
+   */
+  private splitSegments(sig: string): string[] {
+    return sig
+      .split(/\s*[,;]?\s*\b(?:and\s+)?then\b\s*/i)
+      .map(part => part.trim().replace(/[.,;]+$/, '').trim())
+      .filter(part => part.length > 0);
+  }
+
+  /**
+   * Parse a single segment, inheriting route/timing/unit from the previous one
+   */
+  private parseSegment(text: string, previous?: ParsedSigSegment): ParsedSigSegment {
+    const cursor: SegmentCursor = { original: text, work: text.toLowerCase() };
+    const segment: ParsedSigSegment = { text, remainder: '', confidence: 0 };
+
+    // Order matters: bounded phrases that contain numbers and units
+    // (max dose, duration, frequency) are removed before the dose itself.
+    segment.maxDosePerPeriod = this.extractMaxDose(cursor);
+    segment.duration = this.extractDuration(cursor);
+    this.extractTiming(cursor, segment);
+    segment.asNeeded = this.extractAsNeeded(cursor);
+    this.extractDose(cursor, segment, previous);
+    // "max 8/day" counts in the dose's unit, so it waits for the dose
+    if (!segment.maxDosePerPeriod && segment.dose) {
+      segment.maxDosePerPeriod = this.extractMaxDose(cursor, segment.dose.value.unit);
+    }
+    segment.route = this.extractRoute(cursor);
+    segment.verb = this.extractVerb(cursor);
+
+    // Carry forward fields a tapering sig typically omits after "then"
+    if (previous) {
+      if (!segment.route && previous.route) {
+        segment.route = this.inherit(previous.route);
+      }
+      if (!segment.timing && !segment.asNeeded && previous.timing) {
+        segment.timing = this.inherit(previous.timing);
+        if (previous.frequencyRange) {
+          segment.frequencyRange = this.inherit(previous.frequencyRange);
+        }
+      }
+      if (!segment.verb && previous.verb) {
+        segment.verb = this.inherit(previous.verb);
+      }
+    }
+
+    segment.remainder = this.collectRemainder(cursor);
+    segment.confidence = this.scoreSegment(segment);
+
+    return segment;
+  }
+
+  /**
+   * Extract "max 8 tablets per day", "do not exceed 4 g in 24 hours", or
+   * with the dose unit given, a max without a unit ("max 8/day")
+   */
+  private extractMaxDose(cursor: SegmentCursor, doseUnit?: string): ParsedSigSegment['maxDosePerPeriod'] {
+    const pattern = new RegExp(
+      `\\b(?:do not exceed|not to exceed|no more than|nte|max(?:imum)?(?:\\s+of)?)\\s*:?\\s*` +
+      `(${NUMBER_PATTERN})${doseUnit ? '()' : `\\s*${UNIT_PATTERN}`}` +
+      `(?:\\s*(?:per|in|\\/|a|every|each)\\s*(?:(\\d+)\\s*)?(hours?|hrs?|h|days?|d|weeks?|wks?)\\b|\\s+(daily))`
+    );
+    const match = this.consume(cursor, pattern);
+    if (!match) return undefined;
+
+    const [, amountText, unitText, periodValueText, periodUnitText, dailyText] = match.groups;
+    let unit: string;
+    let confidence: number;
+    if (doseUnit) {
+      unit = doseUnit;
+      confidence = SIG_CONFIDENCE.INFERRED;
+    } else {
+      const unitInfo = this.resolveUnit(unitText);
+      unit = unitInfo.unit;
+      confidence = unitInfo.abbreviated ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT;
+    }
+
+    const period = dailyText
+      ? { value: 1, unit: 'd' }
+      : {
+          value: periodValueText ? parseInt(periodValueText, 10) : 1,
+          unit: this.normalizeTimeUnit(periodUnitText)
+        };
+
+    const value: NonNullable<DoseConstraints['maxDosePerPeriod']> = {
+      dose: { value: this.parseNumber(amountText), unit },
+      period
+    };
+
+    return this.field(value, match.source, confidence);
+  }
+
+  /**
+   * Extract therapy duration ("for 7 days", "x 2 weeks")
+   */
+  private extractDuration(cursor: SegmentCursor): ParsedSigSegment['duration'] {
+    const pattern = new RegExp(
+      `\\b(?:for|x)\\s*(${NUMBER_PATTERN}|a)\\s*(days?|weeks?|wks?|months?|mos?)\\b`
+    );
+    const match = this.consume(cursor, pattern);
+    if (!match) return undefined;
+
+    const [, amountText, unitText] = match.groups;
+    const value = amountText === 'a' ? 1 : this.parseNumber(amountText);
+    const unit = this.normalizeDurationUnit(unitText);
+
+    return this.field({ value, unit }, match.source, SIG_CONFIDENCE.EXPLICIT);
+  }
+
+  /**
+   * Extract frequency, frequency range and event timing into the segment
+   */
+  private extractTiming(cursor: SegmentCursor, segment: ParsedSigSegment): void {
+    let repeat: TimingRepeat | undefined;
+    let confidence: number = SIG_CONFIDENCE.EXPLICIT;
+    const sources: string[] = [];
+
+    // Interval range: "every 4-6 hours", "q4-6h"
+    const range = this.consume(
+      cursor,
+      /\b(every|q)\s*(\d+)\s*(?:-|to)\s*(\d+)\s*(hours?|hrs?|h)\b/
+    );
+    if (range) {
+      const [, prefix, lowText, highText] = range.groups;
+      const low = parseInt(lowText, 10);
+      const high = parseInt(highText, 10);
+      confidence = prefix === 'q' ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT;
+
+      repeat = { frequency: 1, period: low, periodMax: high, periodUnit: 'h' };
+
+      // Same representation ComplexPRNBuilder uses: administrations per day
+      const frequencyRange: FrequencyRangeInput = {
+        minFrequency: Math.floor(24 / high),
+        maxFrequency: Math.floor(24 / low),
+        period: 1,
+        periodUnit: 'd',
+        minInterval: low
+      };
+      segment.frequencyRange = this.field(frequencyRange, range.source, confidence);
+      sources.push(range.source);
+    }
+
+    // Interval: "every 8 hours", "q8h"
+    if (!repeat) {
+      const interval = this.consume(cursor, /\b(?:every\s+(\d+)\s*(?:hours?|hrs?)|q\s*(\d+)\s*h(?:rs?|ours?)?)\b/);
+      if (interval) {
+        const hours = interval.groups[1] || interval.groups[2];
+        const parsed = this.delegateToTemporalParser(`every ${hours} hours`);
+        repeat = parsed.repeat;
+        confidence = Math.min(
+          interval.groups[2] ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT,
+          parsed.confidence
+        );
+        sources.push(interval.source);
+      }
+    }
+
+    // Multi-day interval: "every 3 days", "every 2 weeks"
+    if (!repeat) {
+      const multiDay = this.consume(cursor, /\bevery\s+(\d+)\s+(days?|weeks?)\b/);
+      if (multiDay) {
+        repeat = {
+          frequency: 1,
+          period: parseInt(multiDay.groups[1], 10),
+          periodUnit: this.normalizeTimeUnit(multiDay.groups[2])
+        };
+        sources.push(multiDay.source);
+      }
+    }
+
+    // Counted frequency: "3 times a day", "two times per week"
+    if (!repeat) {
+      const counted = this.consume(
+        cursor,
+        new RegExp(`\\b(${NUMBER_PATTERN})\\s*(?:times|x)\\s*(?:a|per|each)?\\s*(day|daily|week|weekly)\\b`)
+      );
+      if (counted) {
+        repeat = {
+          frequency: this.parseNumber(counted.groups[1]),
+          period: 1,
+          periodUnit: counted.groups[2].startsWith('week') ? 'wk' : 'd'
+        };
+        sources.push(counted.source);
+      }
+    }
+
+    // Named frequency: "twice daily", "BID", "weekly"
+    if (!repeat) {
+      for (const phrase of TIMING_PHRASES) {
+        const named = this.consume(cursor, phrase.pattern);
+        if (named) {
+          const parsed = this.delegateToTemporalParser(phrase.canonical);
+          const isAbbreviation = /^[a-z]{2,3}$/.test(named.source.toLowerCase().trim()) &&
+            !['daily', 'day'].includes(named.source.toLowerCase().trim());
+          repeat = parsed.repeat;
+          confidence = Math.min(
+            isAbbreviation ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT,
+            parsed.confidence
+          );
+          sources.push(named.source);
+          break;
+        }
+      }
+    }
+
+    // Event timing: "at bedtime", "with meals"
+    const when: string[] = [];
+    let impliesDaily = false;
+    for (const phrase of WHEN_PHRASES) {
+      const event = this.consume(cursor, phrase.pattern);
+      if (event) {
+        when.push(phrase.code);
+        impliesDaily = impliesDaily || phrase.impliesDaily;
+        sources.push(event.source);
+      }
+    }
+
+    if (when.length > 0) {
+      if (!repeat) {
+        repeat = impliesDaily ? { frequency: 1, period: 1, periodUnit: 'd' } : {};
+        confidence = impliesDaily ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.INFERRED;
+      }
+      repeat.when = when;
+    }
+
+    if (repeat) {
+      segment.timing = this.field(repeat, sources.join(' '), confidence);
+    }
+  }
+
+  /**
+   * Run a canonical timing phrase through the temporal parser
+   */
+  private delegateToTemporalParser(phrase: string): { repeat: TimingRepeat; confidence: number } {
+    const result = this.temporalParser.parse(phrase);
+    const timing = Array.isArray(result.timing) ? result.timing[0] : result.timing;
+    const repeat = timing?.repeat || {};
+
+    return {
+      repeat: {
+        frequency: repeat.frequency,
+        period: repeat.period,
+        periodUnit: repeat.periodUnit
+      },
+      confidence: result.confidence
+    };
+  }
+
+  /**
+   * Extract PRN marker and indication ("as needed for pain", "PRN nausea")
+   */
+  private extractAsNeeded(cursor: SegmentCursor): ParsedField<AsNeededInput> | undefined {
+    const match = this.consume(
+      cursor,
+      /\b(?:as needed|if needed|when needed|prn)\b(?:\s+(?:for\s+)?([a-z][a-z\s'-]*?))?\s*(?=[,.;]|$)/
+    );
+    if (!match) return undefined;
+
+    const indicationText = match.groups[1]?.trim();
+    const value: AsNeededInput = { asNeeded: true };
+    if (indicationText) {
+      value.indication = this.originalText(match.source, indicationText);
+    }
+
+    const isAbbreviation = /\bprn\b/i.test(match.source);
+    return this.field(value, match.source, isAbbreviation ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT);
+  }
+
+  /**
+   * Extract dose or dose range into the segment
+   */
+  private extractDose(cursor: SegmentCursor, segment: ParsedSigSegment, previous?: ParsedSigSegment): void {
+    let match = this.consume(
+      cursor,
+      new RegExp(`\\b(${NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${NUMBER_PATTERN}))?\\s*${UNIT_PATTERN}\\b`)
+    );
+    let unit: string;
+    let confidence: number;
+    let inherited = false;
+
+    if (match) {
+      const unitInfo = this.resolveUnit(match.groups[3]);
+      unit = unitInfo.unit;
+      confidence = unitInfo.abbreviated ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT;
+      if (WORD_NUMBERS[match.groups[1]] !== undefined) {
+        confidence = Math.min(confidence, SIG_CONFIDENCE.ABBREVIATION);
+      }
+    } else {
+      // "then 1 daily" - reuse the unit from the previous segment
+      const previousUnit = previous?.dose?.value.unit || previous?.doseRange?.value.unit;
+      if (!previousUnit) return;
+
+      match = this.consume(
+        cursor,
+        new RegExp(`\\b(${NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${NUMBER_PATTERN}))?\\b`)
+      );
+      if (!match) return;
+
+      unit = previousUnit;
+      confidence = SIG_CONFIDENCE.INFERRED;
+      inherited = true;
+    }
+
+    const minValue = this.parseNumber(match.groups[1]);
+    const maxValue = match.groups[2] ? this.parseNumber(match.groups[2]) : undefined;
+
+    if (maxValue !== undefined && maxValue !== minValue) {
+      const doseRange: DoseRangeInput = { minValue, maxValue, unit };
+      segment.doseRange = this.field(doseRange, match.source, confidence);
+      segment.dose = this.field<DoseInput>({ value: minValue, unit, maxValue }, match.source, confidence);
+    } else {
+      segment.dose = this.field<DoseInput>({ value: minValue, unit }, match.source, confidence);
+    }
+
+    if (inherited) {
+      segment.dose.inherited = true;
+      if (segment.doseRange) {
+        segment.doseRange.inherited = true;
+      }
+    }
+  }
+
+  /**
+   * Extract route using the RouteValidator alias table
+   */
+  private extractRoute(cursor: SegmentCursor): ParsedField<string> | undefined {
+    for (const { term, route } of this.routeTerms) {
+      const pattern = new RegExp(`(?:\\b(?:by|via|per)\\s+)?\\b${this.escapeRegExp(term)}\\b`);
+      const match = this.consume(cursor, pattern);
+      if (match) {
+        const confidence = term.length <= 3 ? SIG_CONFIDENCE.ABBREVIATION : SIG_CONFIDENCE.EXPLICIT;
+        return this.field(route, match.source, confidence);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Extract leading administration verb
+   */
+  private extractVerb(cursor: SegmentCursor): ParsedField<string> | undefined {
+    const match = this.consume(cursor, VERB_PATTERN);
+    if (!match) return undefined;
+
+    const verb = match.groups[1];
+    return this.field(verb.charAt(0).toUpperCase() + verb.slice(1), match.source.trim(), SIG_CONFIDENCE.EXPLICIT);
+  }
+
+  /**
+   * Build the route search terms: aliases plus canonical names, longest first
+   */
+  private buildRouteTerms(): Array<{ term: string; route: string }> {
+    const terms = new Map<string, string>();
+
+    for (const [alias, canonical] of RouteValidator.getRouteAliases()) {
+      terms.set(alias, RouteValidator.getRouteMetadata(alias)?.name || canonical);
+    }
+    for (const route of RouteValidator.getAllRoutes()) {
+      if (!terms.has(route.name.toLowerCase())) {
+        terms.set(route.name.toLowerCase(), route.name);
+      }
+    }
+
+    return [...terms.entries()]
+      .map(([term, route]) => ({ term, route }))
+      .sort((a, b) => b.term.length - a.term.length);
+  }
+
+  /**
+   * Convert a parsed segment to a FHIR SignatureInstruction
+   */
+  private toInstruction(segment: ParsedSigSegment, index: number, total: number): SignatureInstruction {
+    const instruction: SignatureInstruction = {
+      id: `sig-${index + 1}`,
+      sequence: index + 1,
+      text: segment.text
+    };
+
+    const doseAndRate = this.buildDoseAndRate(segment);
+    if (doseAndRate) {
+      instruction.doseAndRate = doseAndRate;
+    }
+
+    if (segment.timing) {
+      const repeat: TimingRepeat = { ...segment.timing.value };
+      const count = this.calculateCount(repeat, segment.duration?.value);
+      if (count !== undefined) {
+        repeat.count = count;
+      }
+      instruction.timing = { repeat };
+    }
+
+    if (segment.route) {
+      const metadata = RouteValidator.getRouteMetadata(segment.route.value);
+      instruction.route = {
+        coding: [{
+          code: metadata?.fhirCode,
+          display: segment.route.value
+        }],
+        text: metadata?.humanReadable || segment.route.value
+      };
+    }
+
+    if (segment.asNeeded) {
+      instruction.asNeeded = segment.asNeeded.value.indication
+        ? { coding: [], text: segment.asNeeded.value.indication }
+        : {
+            coding: [{
+              system: 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor',
+              code: 'NI',
+              display: 'NoInformation'
+            }]
+          };
+    }
+
+    if (segment.maxDosePerPeriod) {
+      const { dose, period } = segment.maxDosePerPeriod.value;
+      instruction.maxDosePerPeriod = {
+        numerator: { value: dose.value, unit: dose.unit },
+        denominator: { value: period.value, unit: period.unit }
+      };
+    }
+
+    if (segment.duration) {
+      instruction.additionalInstructions = [{
+        text: `Continue for ${segment.duration.value.value} ${segment.duration.value.unit}`
+      }];
+    }
+
+    if (total > 1 && index > 0) {
+      instruction.relationship = {
+        type: RelationshipType.SEQUENTIAL,
+        targetId: `sig-${index}`
+      };
+    }
+
+    return instruction;
+  }
+
+  /**
+   * Build FHIR dose and rate structure, preferring the range when present
+   */
+  private buildDoseAndRate(segment: ParsedSigSegment): DoseAndRate[] | undefined {
+    const type = {
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/dose-rate-type',
+        code: 'ordered',
+        display: 'Ordered'
+      }]
+    };
+
+    if (segment.doseRange) {
+      const range = segment.doseRange.value;
+      return [{
+        type,
+        doseRange: {
+          low: { value: range.minValue, unit: range.unit },
+          high: { value: range.maxValue, unit: range.unit }
+        }
+      }];
+    }
+
+    if (segment.dose) {
+      return [{
+        type,
+        doseQuantity: { value: segment.dose.value.value, unit: segment.dose.value.unit }
+      }];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Total administrations for a bounded segment (FHIR Timing.repeat.count)
+   */
+  private calculateCount(repeat: TimingRepeat, duration?: { value: number; unit: string }): number | undefined {
+    if (!duration || !repeat.frequency || !repeat.period || !repeat.periodUnit) {
+      return undefined;
+    }
+
+    const hoursPer: Record<string, number> = {
+      'h': 1,
+      'd': 24,
+      'wk': 168,
+      'mo': 720
+    };
+    const durationHours = duration.value * (hoursPer[this.normalizeTimeUnit(duration.unit)] || 24);
+    const periodHours = repeat.period * (hoursPer[repeat.periodUnit] || 24);
+
+    return Math.ceil((durationHours / periodHours) * repeat.frequency);
+  }
+
+  /**
+   * Score a segment from its field confidences and unparsed remainder
+   */
+  private scoreSegment(segment: ParsedSigSegment): number {
+    const candidates: Array<ParsedField<unknown> | undefined> = [
+      segment.verb,
+      segment.dose,
+      segment.route,
+      segment.timing,
+      segment.asNeeded,
+      segment.maxDosePerPeriod,
+      segment.duration
+    ];
+    const fields = candidates.filter((f): f is ParsedField<unknown> => f !== undefined);
+
+    if (fields.length === 0) {
+      return 0;
+    }
+
+    let confidence = fields.reduce((sum, f) => sum + f.confidence, 0) / fields.length;
+
+    if (!segment.dose) {
+      confidence *= 0.5;
+    }
+
+    const remainderWords = segment.remainder ? segment.remainder.split(/\s+/).length : 0;
+    confidence -= remainderWords * SIG_CONFIDENCE.REMAINDER_PENALTY;
+
+    return Math.round(Math.max(SIG_CONFIDENCE.MINIMUM, Math.min(1, confidence)) * 100) / 100;
+  }
+
+  /**
+   * Remaining meaningful text after all extractors have run
+   */
+  private collectRemainder(cursor: SegmentCursor): string {
+    const words: string[] = [];
+    const pattern = /\S+/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(cursor.work)) !== null) {
+      const token = match[0].replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+      if (token && !FILLER_WORDS.has(token)) {
+        words.push(cursor.original.substr(match.index, match[0].length).replace(/[,.;:]+$/, ''));
+      }
+    }
+
+    return words.join(' ');
+  }
+
+  /**
+   * Match a pattern against the working copy and blank out the matched span
+   */
+  private consume(cursor: SegmentCursor, pattern: RegExp): { source: string; groups: string[] } | null {
+    const match = pattern.exec(cursor.work);
+    if (!match || match[0].trim() === '') {
+      return null;
+    }
+
+    const start = match.index;
+    const end = start + match[0].length;
+    const source = cursor.original.slice(start, end).trim();
+    cursor.work = cursor.work.slice(0, start) + ' '.repeat(end - start) + cursor.work.slice(end);
+
+    return { source, groups: Array.from(match) };
+  }
+
+  /**
+   * Recover original casing for a lower-cased fragment within a matched source
+   */
+  private originalText(source: string, fragment: string): string {
+    const offset = source.toLowerCase().indexOf(fragment);
+    return offset === -1 ? fragment : source.slice(offset, offset + fragment.length);
+  }
+
+  private field<T>(value: T, source: string, confidence: number): ParsedField<T> {
+    return { value, source, confidence };
+  }
+
+  private inherit<T>(field: ParsedField<T>): ParsedField<T> {
+    return {
+      value: field.value,
+      source: field.source,
+      confidence: Math.min(field.confidence, SIG_CONFIDENCE.INFERRED),
+      inherited: true
+    };
+  }
+
+  private parseNumber(text: string): number {
+    const normalized = text.trim().toLowerCase();
+    if (WORD_NUMBERS[normalized] !== undefined) {
+      return WORD_NUMBERS[normalized];
+    }
+
+    const fraction = normalized.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (fraction) {
+      return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+    }
+
+    return parseFloat(normalized);
+  }
+
+  private resolveUnit(text: string): { unit: string; abbreviated: boolean } {
+    const normalized = text.toLowerCase();
+    const entry = DOSE_UNITS.find(u => new RegExp(`^(?:${u.pattern})$`).test(normalized));
+    return entry ? { unit: entry.unit, abbreviated: entry.abbreviated } : { unit: text, abbreviated: true };
+  }
+
+  private normalizeTimeUnit(text: string): string {
+    const normalized = text.toLowerCase().replace(/\s+/g, '');
+    if (normalized.startsWith('h')) return 'h';
+    if (normalized.startsWith('w')) return 'wk';
+    if (normalized.startsWith('mo')) return 'mo';
+    return 'd';
+  }
+
+  private normalizeDurationUnit(text: string): string {
+    const unit = this.normalizeTimeUnit(text);
+    if (unit === 'wk') return 'weeks';
+    if (unit === 'mo') return 'months';
+    return 'days';
+  }
+
+  private escapeRegExp(text: string): string {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+/**
+ * Create singleton instance
+ */
+export const sigParser = new SigParser();
+
+/**
+ * Convenience function for parsing a free-text sig
+ */
+export function parseSig(sig: string): SigParseResult {
+  return sigParser.parse(sig);
+}
@@ -0,0 +1,210 @@
+/**
+ * Tests for Free-Text Sig Parser
+ *
+ * Validates parsing of prescriber sig text into FHIR SignatureInstruction
+ * objects, including ranges, PRN, sequential segments, field confidence
+ * and unparsed remainder reporting.
+ */
+
+import { SigParser, parseSig } from '../SigParser';
+import { SIG_CONFIDENCE } from '../types';
+import { RelationshipType } from '../../../types/SignatureInstruction';
+
+describe('SigParser', () => {
+  let parser: SigParser;
+
+  beforeEach(() => {
+    parser = new SigParser();
+  });
+
+  describe('Simple Sigs', () => {
+    it('should parse a standard tablet sig', () => {
+      const result = parser.parse('Take 1 tablet by mouth twice daily');
+
+      expect(result.instructions).toHaveLength(1);
+      expect(result.unparsed).toBe('');
+      expect(result.warnings).toEqual([]);
+
+      const [segment] = result.segments;
+      expect(segment.verb?.value).toBe('Take');
+      expect(segment.dose?.value).toEqual({ value: 1, unit: 'tablet' });
+      expect(segment.route?.value).toBe('Orally');
+      expect(segment.timing?.value).toMatchObject({ frequency: 2, period: 1, periodUnit: 'd' });
+
+      const [instruction] = result.instructions;
+      expect(instruction.text).toBe('Take 1 tablet by mouth twice daily');
+      expect(instruction.doseAndRate?.[0].doseQuantity).toEqual({ value: 1, unit: 'tablet' });
+      expect(instruction.route?.coding?.[0]).toMatchObject({ code: 'PO', display: 'Orally' });
+      expect(instruction.timing?.repeat).toMatchObject({ frequency: 2, period: 1, periodUnit: 'd' });
+    });
+
+    it('should resolve route abbreviations through RouteValidator aliases', () => {
+      const result = parser.parse('Inject 0.5 mL SQ once weekly');
+
+      expect(result.segments[0].route?.value).toBe('Subcutaneous');
+      expect(result.segments[0].route?.confidence).toBe(SIG_CONFIDENCE.ABBREVIATION);
+      expect(result.segments[0].timing?.value).toMatchObject({ frequency: 1, period: 1, periodUnit: 'wk' });
+    });
+
+    it('should parse spelled-out doses and event timing', () => {
+      const result = parser.parse('take one tablet by mouth at bedtime');
+
+      expect(result.segments[0].dose?.value).toEqual({ value: 1, unit: 'tablet' });
+      expect(result.instructions[0].timing?.repeat).toEqual({
+        frequency: 1,
+        period: 1,
+        periodUnit: 'd',
+        when: ['HS']
+      });
+    });
+
+    it('should parse q-hour abbreviations', () => {
+      const result = parser.parse('Take 2 caps PO q8h');
+
+      expect(result.segments[0].dose?.value).toEqual({ value: 2, unit: 'capsule' });
+      expect(result.segments[0].timing?.value).toMatchObject({ frequency: 1, period: 8, periodUnit: 'h' });
+      expect(result.segments[0].timing?.confidence).toBeLessThanOrEqual(SIG_CONFIDENCE.ABBREVIATION);
+    });
+  });
+
+  describe('PRN Sigs with Ranges', () => {
+    it('should parse dose range, interval range, indication and max dose', () => {
+      const result = parser.parse('Take 1-2 tabs PO q4-6h PRN pain, max 8/day');
+      const [segment] = result.segments;
+
+      expect(segment.doseRange?.value).toEqual({ minValue: 1, maxValue: 2, unit: 'tablet' });
+      expect(segment.frequencyRange?.value).toEqual({
+        minFrequency: 4,
+        maxFrequency: 6,
+        period: 1,
+        periodUnit: 'd',
+        minInterval: 4
+      });
+      expect(segment.asNeeded?.value).toEqual({ asNeeded: true, indication: 'pain' });
+      expect(segment.maxDosePerPeriod?.value).toEqual({
+        dose: { value: 8, unit: 'tablet' },
+        period: { value: 1, unit: 'd' }
+      });
+
+      const [instruction] = result.instructions;
+      expect(instruction.doseAndRate?.[0].doseRange).toEqual({
+        low: { value: 1, unit: 'tablet' },
+        high: { value: 2, unit: 'tablet' }
+      });
+      expect(instruction.timing?.repeat).toEqual({ frequency: 1, period: 4, periodMax: 6, periodUnit: 'h' });
+      expect(instruction.asNeeded).toEqual({ coding: [], text: 'pain' });
+      expect(instruction.maxDosePerPeriod).toEqual({
+        numerator: { value: 8, unit: 'tablet' },
+        denominator: { value: 1, unit: 'd' }
+      });
+    });
+
+    it('should give a max dose without a unit the dose unit', () => {
+      const result = parser.parse('Take 1-2 tabs PO q4-6h PRN pain, max 8/day');
+      const withUnit = parser.parse('Take 1-2 tabs PO q4-6h PRN pain, max 8 tabs/day');
+
+      expect(result.segments[0].maxDosePerPeriod?.confidence).toBe(SIG_CONFIDENCE.INFERRED);
+      expect(result.unparsed).toBe('');
+      expect(withUnit.segments[0].maxDosePerPeriod?.value).toEqual(result.segments[0].maxDosePerPeriod?.value);
+      expect(withUnit.segments[0].maxDosePerPeriod?.confidence).toBe(SIG_CONFIDENCE.ABBREVIATION);
+    });
+
+    it('should parse "do not exceed" limits over 24 hours', () => {
+      const result = parser.parse('Take 500 mg by mouth every 6 hours as needed for fever. Do not exceed 3000 mg in 24 hours');
+
+      expect(result.segments[0].maxDosePerPeriod?.value).toEqual({
+        dose: { value: 3000, unit: 'mg' },
+        period: { value: 24, unit: 'h' }
+      });
+      expect(result.segments[0].asNeeded?.value.indication).toBe('fever');
+    });
+
+    it('should use a NullFlavor coding when no indication is given', () => {
+      const result = parser.parse('Take 1 tablet by mouth every 8 hours as needed');
+
+      expect(result.instructions[0].asNeeded?.coding?.[0].code).toBe('NI');
+    });
+  });
+
+  describe('Sequential Segments', () => {
+    it('should split "then" segments into sequential instructions', () => {
+      const result = parser.parse('Take 2 tablets by mouth twice daily for 5 days, then 1 tablet daily for 5 days');
+
+      expect(result.instructions).toHaveLength(2);
+      expect(result.instructions[0].id).toBe('sig-1');
+      expect(result.instructions[0].timing?.repeat?.count).toBe(10);
+      expect(result.instructions[1].sequence).toBe(2);
+      expect(result.instructions[1].relationship).toEqual({
+        type: RelationshipType.SEQUENTIAL,
+        targetId: 'sig-1'
+      });
+      expect(result.instructions[1].timing?.repeat?.count).toBe(5);
+    });
+
+    it('should inherit route and dose unit from the previous segment', () => {
+      const result = parser.parse('Take 3 tablets by mouth daily for 3 days, then 2 daily for 3 days');
+      const second = result.segments[1];
+
+      expect(second.route?.value).toBe('Orally');
+      expect(second.route?.inherited).toBe(true);
+      expect(second.dose?.value).toEqual({ value: 2, unit: 'tablet' });
+      expect(second.dose?.inherited).toBe(true);
+      expect(second.dose?.confidence).toBe(SIG_CONFIDENCE.INFERRED);
+      expect(second.confidence).toBeLessThan(result.segments[0].confidence);
+      expect(result.confidence).toBe(second.confidence);
+    });
+  });
+
+  describe('Confidence and Remainder', () => {
+    it('should report text it could not interpret', () => {
+      const result = parser.parse('Instill 2 drops in each eye bid');
+
+      expect(result.unparsed).toBe('in each eye');
+      expect(result.segments[0].remainder).toBe('in each eye');
+      expect(result.warnings).toContain('Sig: could not interpret "in each eye"');
+    });
+
+    it('should lower confidence as the remainder grows', () => {
+      const clean = parser.parse('Take 1 tablet by mouth daily');
+      const noisy = parser.parse('Take 1 tablet by mouth daily alternating with vitamin supplement');
+
+      expect(noisy.confidence).toBeLessThan(clean.confidence);
+    });
+
+    it('should attach the source fragment to each field', () => {
+      const result = parser.parse('Take 1 tablet PO BID');
+      const [segment] = result.segments;
+
+      expect(segment.dose?.source).toBe('1 tablet');
+      expect(segment.route?.source).toBe('PO');
+      expect(segment.timing?.source).toBe('BID');
+    });
+
+    it('should warn when dose or frequency is missing', () => {
+      const result = parser.parse('Use as directed');
+
+      expect(result.instructions[0].doseAndRate).toBeUndefined();
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        expect.stringContaining('no dose found'),
+        expect.stringContaining('no frequency found')
+      ]));
+      expect(result.confidence).toBeLessThan(0.5);
+    });
+
+    it('should handle empty input', () => {
+      const result = parseSig('  ');
+
+      expect(result.instructions).toEqual([]);
+      expect(result.confidence).toBe(0);
+      expect(result.warnings).toEqual(['Sig text is empty']);
+    });
+
+    it('should handle input with no segments', () => {
+      const result = parseSig('then');
+
+      expect(result.instructions).toEqual([]);
+      expect(result.confidence).toBe(0);
+      expect(result.warnings).toEqual(['No instructions found in "then"']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Sig Parsing Types
+ *
+ * Defines the structures produced when free-text prescription sigs
+ * (e.g. "Take 1-2 tabs PO q4-6h PRN pain, max 8 tabs/day") are parsed
+ * into FHIR-compliant SignatureInstruction objects.
+ *
+ * @since 3.3.0
+ */
+
+import { DoseInput, AsNeededInput, DoseConstraints } from '../../builders/ISignatureBuilder';
+import { DoseRangeInput, FrequencyRangeInput } from '../../builders/IComplexRegimenBuilder';
+import { SignatureInstruction, TimingRepeat } from '../../types/SignatureInstruction';
+
+/**
+ * A single value recovered from sig text
+ */
+export interface ParsedField<T> {
+  /** Parsed value */
+  value: T;
+  /** Text fragment the value was parsed from */
+  source: string;
+  /** Confidence in this field (0-1) */
+  confidence: number;
+  /** Whether the value was carried over from a previous segment */
+  inherited?: boolean;
+}
+
+/**
+ * Parsed representation of one sig segment ("..., then ..." splits segments)
+ */
+export interface ParsedSigSegment {
+  /** Original segment text */
+  text: string;
+  /** Administration verb (Take, Inject, Apply, ...) */
+  verb?: ParsedField<string>;
+  /** Single dose */
+  dose?: ParsedField<DoseInput>;
+  /** Dose range (e.g., 1-2 tablets) */
+  doseRange?: ParsedField<DoseRangeInput>;
+  /** Canonical route name (see RouteValidator) */
+  route?: ParsedField<string>;
+  /** FHIR timing repeat */
+  timing?: ParsedField<TimingRepeat>;
+  /** Frequency range (e.g., every 4-6 hours) */
+  frequencyRange?: ParsedField<FrequencyRangeInput>;
+  /** As-needed configuration */
+  asNeeded?: ParsedField<AsNeededInput>;
+  /** Maximum dose per period */
+  maxDosePerPeriod?: ParsedField<NonNullable<DoseConstraints['maxDosePerPeriod']>>;
+  /** Duration of therapy for this segment */
+  duration?: ParsedField<{ value: number; unit: string }>;
+  /** Text that could not be attributed to any field */
+  remainder: string;
+  /** Overall confidence for the segment (0-1) */
+  confidence: number;
+}
+
+/**
+ * Result of parsing a free-text sig
+ */
+export interface SigParseResult {
+  /** FHIR instructions, one per segment */
+  instructions: SignatureInstruction[];
+  /** Field-level parse detail, one per segment */
+  segments: ParsedSigSegment[];
+  /** Overall confidence (lowest segment confidence) */
+  confidence: number;
+  /** Unparsed remainder across all segments */
+  unparsed: string;
+  /** Warnings raised during parsing */
+  warnings: string[];
+}
+
+/**
+ * Interface for sig parser implementations
+ */
+export interface ISigParser {
+  /**
+   * Parse free-text sig to structured instructions
+   */
+  parse(sig: string): SigParseResult;
+}
+
+/**
+ * Confidence levels used by the sig parser
+ */
+export const SIG_CONFIDENCE = {
+  /** Explicit, unambiguous text (e.g., "2 tablets", "by mouth") */
+  EXPLICIT: 0.95,
+  /** Standard abbreviation (e.g., "tabs", "PO", "BID") */
+  ABBREVIATION: 0.85,
+  /** Value inferred from context or carried from a previous segment */
+  INFERRED: 0.6,
+  /** Penalty applied per unparsed remainder word */
+  REMAINDER_PENALTY: 0.05,
+  /** Floor for segment confidence */
+  MINIMUM: 0.1
+} as const;
@@ -0,0 +1,229 @@
+/**
+ * Reconstitution Calculator
+ *
+ * Works out the concentration of a powder vial after it is mixed with
+ * its diluent, and the volume to draw up for a dose given either as an
+ * amount of drug (IU, mg, mcg) or as a volume. Every step is recorded
+ * so builders can show the full calculation in explain().
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity, Ratio, ReconstitutionInfo } from '../../types/MedicationProfile';
+import { ReconstitutionCalculation } from './types';
+
+/**
+ * Milligrams per mass unit
+ */
+const MASS_UNITS_IN_MG: Record<string, number> = {
+  mcg: 0.001,
+  ug: 0.001,
+  'µg': 0.001,
+  mg: 1,
+  g: 1000
+};
+
+/**
+ * Milliliters per volume unit
+ */
+const VOLUME_UNITS_IN_ML: Record<string, number> = {
+  ml: 1,
+  l: 1000
+};
+
+/**
+ * Decimal places for a volume drawn into a syringe
+ */
+const DRAW_VOLUME_DECIMALS = 2;
+
+export class ReconstitutionCalculator {
+  /**
+   * Drug per 1 mL after mixing
+   */
+  getConcentration(info: ReconstitutionInfo): Ratio {
+    this.validate(info);
+
+    if (info.concentration) {
+      const perMl = info.concentration.numerator.value / toMilliliters(info.concentration.denominator);
+      return perMilliliter(perMl, info.concentration.numerator.unit);
+    }
+
+    return perMilliliter(info.powderAmount.value / this.getTotalVolume(info), info.powderAmount.unit);
+  }
+
+  /**
+   * Calculates the draw volume for a dose
+   *
+   * @param info - Reconstitution from the medication profile
+   * @param dose - Dose as an amount of drug or as a volume
+   * @returns Draw volume, dose amount and the steps taken
+   * @throws Error if the dose unit matches neither the powder nor a volume
+   */
+  calculate(info: ReconstitutionInfo, dose: Quantity): ReconstitutionCalculation {
+    if (!(dose.value > 0)) {
+      throw new Error(`Invalid dose: ${dose.value} ${dose.unit}`);
+    }
+
+    const concentration = this.getConcentration(info);
+    const perMl = concentration.numerator.value;
+    const unit = concentration.numerator.unit;
+    const totalVolume = this.getTotalVolume(info);
+    const steps: string[] = [];
+
+    const displacement = info.displacementVolume ? toMilliliters(info.displacementVolume) : 0;
+    steps.push(
+      `Reconstitute: ${formatQuantity(info.powderAmount)} + ${formatQuantity(info.diluentVolume)} ${info.diluent}` +
+      (displacement ? ` + ${round(displacement)} mL displacement` : '') +
+      ` = ${round(totalVolume)} mL`
+    );
+    steps.push(info.concentration
+      ? `Concentration: ${round(perMl)} ${unit}/mL (labeled)`
+      : `Concentration: ${formatQuantity(info.powderAmount)} ÷ ${round(totalVolume)} mL = ${round(perMl)} ${unit}/mL`);
+
+    let drawVolume: number;
+    let doseAmount: number;
+    if (isVolumeUnit(dose.unit)) {
+      drawVolume = roundTo(toMilliliters(dose), DRAW_VOLUME_DECIMALS);
+      doseAmount = round(drawVolume * perMl);
+      steps.push(`Dose: ${drawVolume} mL × ${round(perMl)} ${unit}/mL = ${doseAmount} ${unit}`);
+    } else {
+      doseAmount = convertAmount(dose, unit);
+      const exact = doseAmount / perMl;
+      drawVolume = roundTo(exact, DRAW_VOLUME_DECIMALS);
+      const converted = sameUnit(dose.unit, unit) ? '' : ` (${round(doseAmount)} ${unit})`;
+      steps.push(
+        `Draw volume: ${formatQuantity(dose)}${converted} ÷ ${round(perMl)} ${unit}/mL = ` +
+        (round(exact) === drawVolume ? `${drawVolume} mL` : `${round(exact)} mL, rounded to ${drawVolume} mL`)
+      );
+      doseAmount = round(doseAmount);
+    }
+
+    if (drawVolume <= 0) {
+      throw new Error(`Dose ${formatQuantity(dose)} is too small to measure from this vial`);
+    }
+
+    const dosesPerVial = Math.floor(round(totalVolume / drawVolume));
+    steps.push(`Doses per vial: ${round(totalVolume)} mL ÷ ${drawVolume} mL = ${dosesPerVial}`);
+    if (dosesPerVial === 0) {
+      steps.push(`Dose volume exceeds one vial (${round(totalVolume)} mL)`);
+    }
+
+    const stability = this.describeStability(info);
+    if (stability) {
+      steps.push(stability);
+    }
+
+    return {
+      diluentVolume: { value: round(toMilliliters(info.diluentVolume)), unit: 'mL' },
+      diluent: info.diluent,
+      totalVolume: { value: round(totalVolume), unit: 'mL' },
+      concentration: perMilliliter(round(perMl), unit),
+      drawVolume: { value: drawVolume, unit: 'mL' },
+      doseAmount: { value: doseAmount, unit },
+      dosesPerVial,
+      steps
+    };
+  }
+
+  /**
+   * How long the mixed vial may be used (e.g., "Use within 30 days of
+   * mixing; store refrigerated")
+   */
+  describeStability(info: ReconstitutionInfo): string | undefined {
+    if (!info.stability) {
+      return undefined;
+    }
+
+    const { duration, storage } = info.stability;
+    return `Use within ${formatQuantity(duration)} of mixing${storage ? `; store ${storage}` : ''}`;
+  }
+
+  /**
+   * Volume after mixing, including any powder displacement (mL)
+   */
+  private getTotalVolume(info: ReconstitutionInfo): number {
+    return toMilliliters(info.diluentVolume) +
+      (info.displacementVolume ? toMilliliters(info.displacementVolume) : 0);
+  }
+
+  private validate(info: ReconstitutionInfo): void {
+    if (!(info.powderAmount?.value > 0)) {
+      throw new Error('Reconstitution requires a positive powder amount');
+    }
+    if (!(info.diluentVolume?.value > 0)) {
+      throw new Error('Reconstitution requires a positive diluent volume');
+    }
+    if (!isVolumeUnit(info.diluentVolume.unit)) {
+      throw new Error(`Invalid diluent volume unit: ${info.diluentVolume.unit}`);
+    }
+    if (info.concentration && !isVolumeUnit(info.concentration.denominator.unit)) {
+      throw new Error(`Invalid concentration: ${info.concentration.numerator.unit}/${info.concentration.denominator.unit}`);
+    }
+  }
+}
+
+function isVolumeUnit(unit: string): boolean {
+  return VOLUME_UNITS_IN_ML[unit.toLowerCase()] !== undefined;
+}
+
+function toMilliliters(quantity: Quantity): number {
+  const factor = VOLUME_UNITS_IN_ML[quantity.unit.toLowerCase()];
+  if (factor === undefined) {
+    throw new Error(`Invalid volume unit: ${quantity.unit}`);
+  }
+  return quantity.value * factor;
+}
+
+/**
+ * Converts a dose to the powder unit: mass units scale, other units
+ * (IU, units) must match
+ */
+function convertAmount(dose: Quantity, unit: string): number {
+  if (sameUnit(dose.unit, unit)) {
+    return dose.value;
+  }
+
+  const from = MASS_UNITS_IN_MG[dose.unit.toLowerCase()];
+  const to = MASS_UNITS_IN_MG[unit.toLowerCase()];
+  if (from === undefined || to === undefined) {
+    throw new Error(`Cannot convert ${dose.unit} to ${unit} for reconstitution`);
+  }
+  return dose.value * from / to;
+}
+
+function sameUnit(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function perMilliliter(value: number, unit: string): Ratio {
+  return {
+    numerator: { value, unit },
+    denominator: { value: 1, unit: 'mL' }
+  };
+}
+
+function formatQuantity(quantity: Quantity): string {
+  return `${round(quantity.value)} ${quantity.unit}`;
+}
+
+function round(value: number): number {
+  return roundTo(value, 4);
+}
+
+/**
+ * Rounds half up; toFixed would round 0.075 down to 0.07
+ */
+function roundTo(value: number, decimals: number): number {
+  const factor = 10 ** decimals;
+  return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+// Export singleton instance
+export const reconstitutionCalculator = new ReconstitutionCalculator();
+
+/**
+ * Convenience function for calculating a reconstituted dose
+ */
+export function calculateReconstitution(info: ReconstitutionInfo, dose: Quantity): ReconstitutionCalculation {
+  return reconstitutionCalculator.calculate(info, dose);
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for ReconstitutionCalculator
+ */
+
+import { ReconstitutionCalculator, calculateReconstitution } from '../ReconstitutionCalculator';
+import { ReconstitutionInfo } from '../../../types/MedicationProfile';
+
+const hcg: ReconstitutionInfo = {
+  powderAmount: { value: 10000, unit: 'IU' },
+  diluentVolume: { value: 5, unit: 'mL' },
+  diluent: 'bacteriostatic water',
+  stability: { duration: { value: 60, unit: 'days' }, storage: 'refrigerated' }
+};
+
+const peptide: ReconstitutionInfo = {
+  powderAmount: { value: 5, unit: 'mg' },
+  diluentVolume: { value: 2, unit: 'mL' },
+  diluent: 'bacteriostatic water'
+};
+
+describe('ReconstitutionCalculator', () => {
+  let calculator: ReconstitutionCalculator;
+
+  beforeEach(() => {
+    calculator = new ReconstitutionCalculator();
+  });
+
+  describe('Concentration', () => {
+    it('should divide the powder by the diluent volume', () => {
+      expect(calculator.getConcentration(hcg)).toEqual({
+        numerator: { value: 2000, unit: 'IU' },
+        denominator: { value: 1, unit: 'mL' }
+      });
+    });
+
+    it('should include powder displacement', () => {
+      const concentration = calculator.getConcentration({
+        ...peptide,
+        displacementVolume: { value: 0.5, unit: 'mL' }
+      });
+
+      expect(concentration.numerator).toEqual({ value: 2, unit: 'mg' });
+    });
+
+    it('should prefer a labeled concentration', () => {
+      const concentration = calculator.getConcentration({
+        ...hcg,
+        concentration: {
+          numerator: { value: 10000, unit: 'IU' },
+          denominator: { value: 5.2, unit: 'mL' }
+        }
+      });
+
+      expect(concentration.numerator.value).toBeCloseTo(1923.08, 2);
+    });
+  });
+
+  describe('Draw Volume', () => {
+    it('should calculate the volume for an IU dose', () => {
+      const result = calculator.calculate(hcg, { value: 500, unit: 'IU' });
+
+      expect(result.drawVolume).toEqual({ value: 0.25, unit: 'mL' });
+      expect(result.doseAmount).toEqual({ value: 500, unit: 'IU' });
+      expect(result.dosesPerVial).toBe(20);
+      expect(result.steps).toEqual([
+        'Reconstitute: 10000 IU + 5 mL bacteriostatic water = 5 mL',
+        'Concentration: 10000 IU ÷ 5 mL = 2000 IU/mL',
+        'Draw volume: 500 IU ÷ 2000 IU/mL = 0.25 mL',
+        'Doses per vial: 5 mL ÷ 0.25 mL = 20',
+        'Use within 60 days of mixing; store refrigerated'
+      ]);
+    });
+
+    it('should convert between mass units', () => {
+      const result = calculator.calculate(peptide, { value: 250, unit: 'mcg' });
+
+      expect(result.drawVolume.value).toBe(0.1);
+      expect(result.doseAmount).toEqual({ value: 0.25, unit: 'mg' });
+      expect(result.steps[2]).toBe('Draw volume: 250 mcg (0.25 mg) ÷ 2.5 mg/mL = 0.1 mL');
+    });
+
+    it('should calculate the amount for a volume dose', () => {
+      const result = calculator.calculate(hcg, { value: 0.1, unit: 'mL' });
+
+      expect(result.doseAmount).toEqual({ value: 200, unit: 'IU' });
+      expect(result.steps[2]).toBe('Dose: 0.1 mL × 2000 IU/mL = 200 IU');
+    });
+
+    it('should round the draw volume to what a syringe can measure', () => {
+      const result = calculator.calculate({ ...hcg, diluentVolume: { value: 3, unit: 'mL' } }, { value: 250, unit: 'IU' });
+
+      expect(result.drawVolume.value).toBe(0.08);
+      expect(result.steps[2]).toBe('Draw volume: 250 IU ÷ 3333.3333 IU/mL = 0.075 mL, rounded to 0.08 mL');
+    });
+
+    it('should reject doses it cannot measure', () => {
+      expect(() => calculator.calculate(hcg, { value: 5, unit: 'mg' }))
+        .toThrow('Cannot convert mg to IU for reconstitution');
+      expect(() => calculator.calculate(hcg, { value: 0, unit: 'IU' })).toThrow('Invalid dose');
+      expect(() => calculator.calculate(hcg, { value: 1, unit: 'IU' })).toThrow('too small to measure');
+    });
+
+    it('should reject incomplete reconstitution data', () => {
+      expect(() => calculateReconstitution({ ...hcg, diluentVolume: { value: 0, unit: 'mL' } }, { value: 500, unit: 'IU' }))
+        .toThrow('positive diluent volume');
+      expect(() => calculateReconstitution({ ...hcg, diluentVolume: { value: 5, unit: 'tsp' } }, { value: 500, unit: 'IU' }))
+        .toThrow('Invalid diluent volume unit: tsp');
+    });
+  });
+
+  describe('Stability', () => {
+    it('should describe the beyond-use period', () => {
+      expect(calculator.describeStability(hcg)).toBe('Use within 60 days of mixing; store refrigerated');
+      expect(calculator.describeStability(peptide)).toBeUndefined();
+    });
+  });
+});
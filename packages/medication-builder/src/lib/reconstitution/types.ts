@@ -0,0 +1,30 @@
+/**
+ * Reconstitution Types
+ *
+ * Results of mixing a powder vial and measuring a dose from it.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity, Ratio } from '../../types/MedicationProfile';
+
+/**
+ * Calculated dose from a reconstituted vial
+ */
+export interface ReconstitutionCalculation {
+  /** Diluent to add */
+  diluentVolume: Quantity;
+  diluent: string;
+  /** Volume in the vial after mixing (mL) */
+  totalVolume: Quantity;
+  /** Drug per 1 mL after mixing */
+  concentration: Ratio;
+  /** Volume to draw up for one dose (mL) */
+  drawVolume: Quantity;
+  /** Drug in one dose, in the powder unit */
+  doseAmount: Quantity;
+  /** Whole doses in one vial */
+  dosesPerVial: number;
+  /** Each step of the calculation, for the audit trail */
+  steps: string[];
+}
@@ -14,12 +14,12 @@ import {
   IModifierStrategyWithMetadata,
   SpecificityLevel,
   StrategyMetadata
-} from '../lib/strategies/types';
-import { MedicationRequestContext } from '../types/MedicationRequestContext';
+} from '../strategies/types';
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
 import { 
   DuplicateStrategyError, 
   PriorityConflictError 
-} from '../lib/dispatcher/errors';
+} from '../dispatcher/errors';
 
 /**
  * Composition chain for debugging
@@ -0,0 +1,534 @@
+/**
+ * Administration Scheduler
+ *
+ * Expands signature instructions into dated administration events in
+ * the patient's time zone, for patient calendars and nursing
+ * administration records.
+ *
+ * - Sequential instructions (taper phases) run one after another, each
+ *   for the length given by its bounds, boundsDuration or count.
+ * - Doses stay on the local clock: a daily 08:00 dose is 08:00 on both
+ *   sides of a daylight-saving change.
+ * - Interval doses (every N hours, every 36 hours) are spaced by elapsed
+ *   time from the first dose, so their clock times can change from day
+ *   to day and across a daylight-saving change.
+ * - As-needed instructions become daily allowances instead of events.
+ * - Conditional instructions (e.g., sliding-scale ranges) depend on a
+ *   reading at the time, so they are reported and left out.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity } from '../../types/MedicationProfile';
+import { RelationshipType, SignatureInstruction, TimingRepeat } from '../../types/SignatureInstruction';
+import { CyclicPattern, DAYS_OF_WEEK } from '../temporal/types';
+import { parseCycleTimingCode } from '../temporal/cycles';
+import {
+  isLocalDate,
+  isValidTimeZone,
+  zonedTimeToInstant,
+  instantToZoned,
+  addDays,
+  daysBetween,
+  dayOfWeekIndex,
+  parseLocalTime,
+  formatLocalTime
+} from './zoned-time';
+import {
+  AdministrationEvent,
+  AdministrationSchedule,
+  PrnAllowance,
+  ScheduleOptions
+} from './types';
+
+/**
+ * Clock times by doses per day
+ */
+export const DEFAULT_DOSE_TIMES: Record<number, string[]> = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00']
+};
+
+/**
+ * Clock times for FHIR EventTiming codes (Timing.repeat.when)
+ */
+export const EVENT_TIMING_TIMES: Record<string, string[]> = {
+  WAKE: ['07:00'],
+  MORN: ['08:00'],
+  NOON: ['12:00'],
+  AFT: ['14:00'],
+  EVE: ['18:00'],
+  NIGHT: ['22:00'],
+  PHS: ['21:00'],
+  HS: ['22:00'],
+  C: ['08:00', '12:30', '18:00'],
+  CM: ['08:00'],
+  CD: ['12:30'],
+  CV: ['18:00'],
+  AC: ['07:30', '12:00', '17:30'],
+  ACM: ['07:30'],
+  ACD: ['12:00'],
+  ACV: ['17:30'],
+  PC: ['08:30', '13:00', '18:30'],
+  PCM: ['08:30'],
+  PCD: ['13:00'],
+  PCV: ['18:30']
+};
+
+const DEFAULT_HORIZON_DAYS = 30;
+
+/** Interval dosing (every N hours) starts at this time on the first day */
+const FIRST_DOSE_MINUTES = 8 * 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = MINUTES_PER_DAY * MS_PER_MINUTE;
+
+/** Upper bound on days searched for a count-limited instruction */
+const MAX_COUNT_DAYS = 3660;
+
+/**
+ * Days per FHIR time unit
+ */
+const DAYS_PER_UNIT: Record<string, number> = {
+  s: 1 / 86400,
+  min: 1 / MINUTES_PER_DAY,
+  h: 1 / 24,
+  d: 1,
+  wk: 7,
+  mo: 30,
+  a: 365
+};
+
+/**
+ * When an instruction's doses fall within a day and across days
+ */
+interface DosingPattern {
+  /** Minutes after midnight, ascending */
+  times: number[];
+  /** Interval dosing: minutes between doses, from FIRST_DOSE_MINUTES on the first day */
+  intervalMinutes?: number;
+  /** Dose on every Nth day (1 = daily) */
+  everyDays: number;
+  /** Day offsets within each week, for weekly dosing without dayOfWeek */
+  weekOffsets?: number[];
+  /** Weeks between dosing weeks */
+  everyWeeks?: number;
+}
+
+export class AdministrationScheduler {
+
+  /**
+   * Expand instructions into a dated schedule
+   *
+   * @param instructions - Instructions for one order (e.g., all taper phases)
+   * @param options - Start date, time zone and horizon
+   * @returns Events in time order, PRN allowances and warnings
+   * @throws Error if the start date, time zone or horizon is invalid
+   */
+  generate(instructions: SignatureInstruction[], options: ScheduleOptions): AdministrationSchedule {
+    this.validateOptions(options);
+
+    const horizonDays = options.horizonDays ?? DEFAULT_HORIZON_DAYS;
+    const doseTimes = { ...DEFAULT_DOSE_TIMES, ...options.doseTimes };
+    const sequential = options.sequential ??
+      instructions.some(instruction => instruction.relationship?.type === RelationshipType.SEQUENTIAL);
+
+    const events: AdministrationEvent[] = [];
+    const prnAllowances: PrnAllowance[] = [];
+    const warnings: string[] = [];
+    let nextStartDay = 0;
+    let lastDay = 0;
+
+    instructions.forEach((instruction, index) => {
+      const label = `Instruction ${instruction.id || index}`;
+
+      if (instruction.relationship?.type === RelationshipType.CONDITIONAL) {
+        warnings.push(`${label}: conditional on "${instruction.relationship.condition || 'unspecified'}"; not scheduled`);
+        return;
+      }
+
+      const startDay = sequential ? nextStartDay : 0;
+      const lengthDays = getLengthDays(instruction);
+      const count = instruction.timing?.repeat?.count;
+      if (lengthDays === undefined && count === undefined && sequential && index < instructions.length - 1) {
+        warnings.push(`${label}: phase has no end; scheduled for ${horizonDays} days before the next phase`);
+      }
+
+      let endDay = startDay + (lengthDays ?? (count !== undefined ? MAX_COUNT_DAYS : horizonDays));
+      const phase = sequential ? index + 1 : undefined;
+
+      if (isAsNeeded(instruction)) {
+        prnAllowances.push(this.createAllowance(instruction, index, options.startDate, startDay, endDay));
+      } else {
+        const expanded = this.expandInstruction(instruction, index, phase, startDay, endDay, options, doseTimes, warnings);
+        events.push(...expanded);
+
+        // A count ends the instruction after its last dose
+        if (lengthDays === undefined && count !== undefined) {
+          const finalDate = expanded.length ? expanded[expanded.length - 1].localDate : options.startDate;
+          endDay = daysBetween(options.startDate, finalDate) + 1;
+        }
+      }
+
+      nextStartDay = endDay;
+      lastDay = Math.max(lastDay, endDay);
+    });
+
+    events.sort((a, b) => a.dateTime.localeCompare(b.dateTime));
+
+    return {
+      timeZone: options.timeZone,
+      startDate: options.startDate,
+      endDate: addDays(options.startDate, Math.max(lastDay, 1) - 1),
+      events,
+      prnAllowances,
+      warnings
+    };
+  }
+
+  /**
+   * Dated events for one scheduled instruction
+   */
+  private expandInstruction(
+    instruction: SignatureInstruction,
+    index: number,
+    phase: number | undefined,
+    startDay: number,
+    endDay: number,
+    options: ScheduleOptions,
+    doseTimes: Record<number, string[]>,
+    warnings: string[]
+  ): AdministrationEvent[] {
+    const label = `Instruction ${instruction.id || index}`;
+    const repeat = instruction.timing?.repeat;
+    const cycle = parseCycleTimingCode(instruction.timing?.code);
+    const pattern = this.getDosingPattern(repeat, doseTimes, label, warnings);
+    const dose = getDose(instruction);
+    const count = repeat?.count;
+    const events: AdministrationEvent[] = [];
+
+    if (!dose.dose && !dose.doseRange) {
+      warnings.push(`${label}: no dose quantity`);
+    }
+
+    // Adds an event and reports whether the count is reached
+    const addEvent = (instant: number): boolean => {
+      const zoned = instantToZoned(instant, options.timeZone);
+      events.push({
+        id: `dose-${index + 1}-${events.length + 1}`,
+        instructionIndex: index,
+        ...(instruction.id && { instructionId: instruction.id }),
+        ...(phase !== undefined && { phase }),
+        dateTime: new Date(instant).toISOString(),
+        localDate: zoned.date,
+        localTime: zoned.time,
+        utcOffset: zoned.offset,
+        ...dose,
+        text: instruction.text
+      });
+      return count !== undefined && events.length >= count;
+    };
+
+    if (pattern.intervalMinutes) {
+      const firstDose = zonedTimeToInstant(
+        addDays(options.startDate, startDay), formatLocalTime(FIRST_DOSE_MINUTES), options.timeZone
+      );
+      for (let instant = firstDose; ; instant += pattern.intervalMinutes * MS_PER_MINUTE) {
+        const localDate = instantToZoned(instant, options.timeZone).date;
+        const day = daysBetween(options.startDate, localDate);
+        if (day >= endDay) {
+          return events;
+        }
+        if (this.isDosingDay(repeat, pattern, cycle, day - startDay, localDate) && addEvent(instant)) {
+          return events;
+        }
+      }
+    }
+
+    for (let day = startDay; day < endDay; day++) {
+      const localDate = addDays(options.startDate, day);
+      if (!this.isDosingDay(repeat, pattern, cycle, day - startDay, localDate)) {
+        continue;
+      }
+
+      for (const minutes of pattern.times) {
+        if (addEvent(zonedTimeToInstant(localDate, formatLocalTime(minutes), options.timeZone))) {
+          return events;
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Work out dose times and day spacing from Timing.repeat
+   */
+  private getDosingPattern(
+    repeat: TimingRepeat | undefined,
+    doseTimes: Record<number, string[]>,
+    label: string,
+    warnings: string[]
+  ): DosingPattern {
+    const frequency = repeat?.frequency ?? 1;
+    const period = repeat?.period ?? 1;
+    const unit = repeat?.periodUnit ?? 'd';
+    const periodDays = period * (DAYS_PER_UNIT[unit] ?? 1);
+
+    if (!repeat?.frequency && !repeat?.timeOfDay?.length && !repeat?.when?.length) {
+      warnings.push(`${label}: no frequency; scheduled once daily`);
+    }
+
+    // Explicit clock times or event codes win over frequency
+    if (repeat?.timeOfDay?.length) {
+      return { times: sortTimes(repeat.timeOfDay.map(parseLocalTime)), everyDays: 1 };
+    }
+    if (repeat?.when?.length) {
+      const times = repeat.when.flatMap(code => {
+        const clock = EVENT_TIMING_TIMES[code];
+        if (!clock) {
+          warnings.push(`${label}: no clock time for "${code}"`);
+          return [];
+        }
+        return clock.map(time => applyOffset(parseLocalTime(time), code, repeat.offset));
+      });
+      if (times.length) {
+        return { times: sortTimes(times), everyDays: 1 };
+      }
+    }
+
+    // Every N hours (or minutes): fixed interval from the first dose time
+    if (periodDays < 1) {
+      return { times: [], intervalMinutes: periodDays * MINUTES_PER_DAY / frequency, everyDays: 1 };
+    }
+
+    const dailyTimes = (perDay: number) => sortTimes((doseTimes[perDay] || evenlySpaced(perDay)).map(parseLocalTime));
+
+    // Weekly: named weekdays, or doses spread across each week
+    if (unit === 'wk' && !repeat?.dayOfWeek?.length) {
+      const offsets = Array.from(new Set(
+        Array.from({ length: Math.min(frequency, 7) }, (_, k) => Math.floor(k * 7 / frequency))
+      ));
+      return { times: dailyTimes(1), everyDays: 1, weekOffsets: offsets, everyWeeks: Math.max(1, Math.round(period)) };
+    }
+    if (unit === 'wk') {
+      return { times: dailyTimes(1), everyDays: 1, everyWeeks: Math.max(1, Math.round(period)) };
+    }
+
+    // Daily or longer: several times a day, or once every N days
+    const perDay = frequency / periodDays;
+    if (perDay >= 1 && isWholeNumber(perDay)) {
+      return { times: dailyTimes(Math.round(perDay)), everyDays: 1 };
+    }
+    if (perDay < 1 && isWholeNumber(1 / perDay)) {
+      return { times: dailyTimes(1), everyDays: Math.round(1 / perDay) };
+    }
+
+    // Doses a fraction of a day apart (e.g., every 36 hours) keep the interval
+    return { times: [], intervalMinutes: MINUTES_PER_DAY / perDay, everyDays: 1 };
+  }
+
+  /**
+   * Whether doses fall on a day of the instruction
+   */
+  private isDosingDay(
+    repeat: TimingRepeat | undefined,
+    pattern: DosingPattern,
+    cycle: CyclicPattern | null,
+    phaseDay: number,
+    localDate: string
+  ): boolean {
+    if (cycle && phaseDay % (cycle.daysOn + cycle.daysOff) >= cycle.daysOn) {
+      return false;
+    }
+
+    if (repeat?.dayOfWeek?.length) {
+      // DAYS_OF_WEEK starts on Monday; getUTCDay() on Sunday
+      const day = DAYS_OF_WEEK[(dayOfWeekIndex(localDate) + 6) % 7];
+      if (!repeat.dayOfWeek.includes(day)) {
+        return false;
+      }
+    }
+
+    if (pattern.everyWeeks && Math.floor(phaseDay / 7) % pattern.everyWeeks !== 0) {
+      return false;
+    }
+    if (pattern.weekOffsets && !pattern.weekOffsets.includes(phaseDay % 7)) {
+      return false;
+    }
+
+    return phaseDay % pattern.everyDays === 0;
+  }
+
+  /**
+   * Daily limits for an as-needed instruction
+   */
+  private createAllowance(
+    instruction: SignatureInstruction,
+    index: number,
+    startDate: string,
+    startDay: number,
+    endDay: number
+  ): PrnAllowance {
+    const repeat = instruction.timing?.repeat;
+    const dose = getDose(instruction);
+    const limits: number[] = [];
+    let minHoursBetweenDoses: number | undefined;
+
+    if (repeat?.frequency && repeat.periodUnit && DAYS_PER_UNIT[repeat.periodUnit] !== undefined) {
+      const frequency = repeat.frequencyMax ?? repeat.frequency;
+      const periodDays = (repeat.period ?? 1) * DAYS_PER_UNIT[repeat.periodUnit];
+      limits.push(Math.floor(frequency / periodDays + 1e-9));
+      if (periodDays <= 1) {
+        minHoursBetweenDoses = round(periodDays * 24 / frequency);
+      }
+    }
+
+    // maxDosePerPeriod in the dose's own unit caps the count per day
+    const cap = instruction.maxDosePerPeriod;
+    const largestDose = dose.doseRange?.high || dose.dose;
+    if (cap && largestDose && cap.numerator.unit.toLowerCase() === largestDose.unit.toLowerCase()) {
+      const dosesPerPeriod = Math.floor(cap.numerator.value / largestDose.value + 1e-9);
+      const capDays = cap.denominator.value * (DAYS_PER_UNIT[cap.denominator.unit] ?? 1);
+      limits.push(capDays <= 1 ? Math.floor(dosesPerPeriod / capDays + 1e-9) : dosesPerPeriod);
+    }
+
+    const indication = getIndication(instruction);
+
+    return {
+      instructionIndex: index,
+      ...(instruction.id && { instructionId: instruction.id }),
+      startDate: addDays(startDate, startDay),
+      endDate: addDays(startDate, endDay - 1),
+      ...dose,
+      ...(indication && { indication }),
+      ...(limits.length && { maxDosesPerDay: Math.min(...limits) }),
+      ...(minHoursBetweenDoses !== undefined && { minHoursBetweenDoses }),
+      ...(cap && { maxDosePerPeriod: cap }),
+      text: instruction.text
+    };
+  }
+
+  private validateOptions(options: ScheduleOptions): void {
+    if (!isLocalDate(options.startDate)) {
+      throw new Error(`Invalid start date: ${options.startDate}. Expected YYYY-MM-DD`);
+    }
+    if (!isValidTimeZone(options.timeZone)) {
+      throw new Error(`Invalid time zone: ${options.timeZone}`);
+    }
+    if (options.horizonDays !== undefined && (!Number.isInteger(options.horizonDays) || options.horizonDays <= 0)) {
+      throw new Error(`Invalid horizon: ${options.horizonDays} days`);
+    }
+  }
+}
+
+/**
+ * As-needed if asNeeded is set. Builders record PRN use as a
+ * "Take as needed" additional instruction, so that counts too.
+ */
+function isAsNeeded(instruction: SignatureInstruction): boolean {
+  return !!instruction.asNeeded ||
+    !!instruction.additionalInstructions?.some(additional => /^take as needed\b/i.test(additional.text || ''));
+}
+
+/**
+ * Instruction length in days, if bounded. A cycle's boundsDuration is
+ * its "on" run, so only a cycle count bounds a cyclic instruction.
+ */
+function getLengthDays(instruction: SignatureInstruction): number | undefined {
+  const timing = instruction.timing;
+  const cycle = parseCycleTimingCode(timing?.code);
+
+  if (cycle) {
+    return cycle.cycles ? cycle.cycles * (cycle.daysOn + cycle.daysOff) : undefined;
+  }
+
+  const bounds = timing?.repeat?.boundsDuration;
+  if (bounds && DAYS_PER_UNIT[bounds.unit] !== undefined) {
+    return Math.max(1, Math.ceil(bounds.value * DAYS_PER_UNIT[bounds.unit]));
+  }
+
+  // Builders set bounds from the time the instruction was generated, so only the length is used
+  if (timing?.bounds?.start && timing.bounds.end) {
+    const ms = Date.parse(timing.bounds.end) - Date.parse(timing.bounds.start);
+    if (!isNaN(ms) && ms > 0) {
+      return Math.max(1, Math.round(ms / MS_PER_DAY));
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Fixed dose or dose range from the first doseAndRate entry
+ */
+function getDose(instruction: SignatureInstruction): Pick<AdministrationEvent, 'dose' | 'doseRange'> {
+  const entry = instruction.doseAndRate?.find(candidate => candidate.doseQuantity || candidate.doseRange);
+  if (entry?.doseRange?.low && entry.doseRange.high) {
+    return { doseRange: { low: entry.doseRange.low, high: entry.doseRange.high } };
+  }
+  const dose: Quantity | undefined = entry?.doseQuantity || entry?.doseRange?.high || entry?.doseRange?.low;
+  return dose ? { dose } : {};
+}
+
+function getIndication(instruction: SignatureInstruction): string | undefined {
+  const asNeeded = instruction.asNeeded;
+  const indication = asNeeded?.text || asNeeded?.coding?.find(coding => coding.display)?.display;
+  if (indication) {
+    return indication;
+  }
+
+  const note = instruction.additionalInstructions?.find(additional => /^take as needed\b/i.test(additional.text || ''));
+  return note?.text?.replace(/^take as needed\s*/i, '').replace(/^for\s+/i, '') || undefined;
+}
+
+/**
+ * Shift an event-code time by Timing.repeat.offset minutes: before the
+ * event for AC codes, after it otherwise
+ */
+function applyOffset(minutes: number, code: string, offset?: number): number {
+  if (!offset) return minutes;
+  const shifted = code.startsWith('AC') ? minutes - offset : minutes + offset;
+  return (shifted + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+function evenlySpaced(perDay: number): string[] {
+  const interval = MINUTES_PER_DAY / perDay;
+  return Array.from({ length: perDay }, (_, k) =>
+    formatLocalTime(Math.round(FIRST_DOSE_MINUTES + k * interval) % MINUTES_PER_DAY));
+}
+
+function isWholeNumber(value: number): boolean {
+  return Math.abs(value - Math.round(value)) < 1e-9;
+}
+
+function sortTimes(times: number[]): number[] {
+  return Array.from(new Set(times)).sort((a, b) => a - b);
+}
+
+function round(value: number): number {
+  return Number(value.toFixed(2));
+}
+
+// Export singleton instance
+export const administrationScheduler = new AdministrationScheduler();
+
+/**
+ * Convenience function for generating a schedule
+ */
+export function generateAdministrationSchedule(
+  instructions: SignatureInstruction[],
+  options: ScheduleOptions
+): AdministrationSchedule {
+  return administrationScheduler.generate(instructions, options);
+}
+
+/**
+ * Serialize a schedule as JSON
+ */
+export function scheduleToJSON(schedule: AdministrationSchedule): string {
+  return JSON.stringify(schedule, null, 2);
+}
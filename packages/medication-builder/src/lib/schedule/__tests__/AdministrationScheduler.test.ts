@@ -0,0 +1,327 @@
+/**
+ * Tests for AdministrationScheduler
+ */
+
+import {
+  AdministrationScheduler,
+  generateAdministrationSchedule,
+  scheduleToJSON
+} from '../AdministrationScheduler';
+import { RelationshipType, SignatureInstruction } from '../../../types/SignatureInstruction';
+import { createCycleTimingCode } from '../../temporal/cycles';
+
+function instruction(overrides: Partial<SignatureInstruction> = {}): SignatureInstruction {
+  return {
+    text: 'Take 1 tablet by mouth twice daily.',
+    doseAndRate: [{ doseQuantity: { value: 1, unit: 'tablet' } }],
+    timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd' } },
+    ...overrides
+  };
+}
+
+function taperPhase(id: string, tablets: number, days: number, previous?: string): SignatureInstruction {
+  return {
+    id,
+    text: `Take ${tablets} tablets by mouth once daily.`,
+    doseAndRate: [{ doseQuantity: { value: tablets, unit: 'tablet' } }],
+    timing: {
+      repeat: { frequency: 1, period: 1, periodUnit: 'd' },
+      bounds: { start: '2025-01-01T00:00:00.000Z', end: new Date(Date.UTC(2025, 0, 1 + days)).toISOString() }
+    },
+    ...(previous && { relationship: { type: RelationshipType.SEQUENTIAL, targetId: previous } })
+  };
+}
+
+describe('AdministrationScheduler', () => {
+  let scheduler: AdministrationScheduler;
+
+  beforeEach(() => {
+    scheduler = new AdministrationScheduler();
+  });
+
+  describe('Daily Schedules', () => {
+    it('should place twice-daily doses at 08:00 and 20:00 local time', () => {
+      const schedule = scheduler.generate([instruction()], {
+        startDate: '2025-06-02',
+        timeZone: 'America/New_York',
+        horizonDays: 2
+      });
+
+      expect(schedule.events.map(event => `${event.localDate} ${event.localTime}`)).toEqual([
+        '2025-06-02 08:00', '2025-06-02 20:00', '2025-06-03 08:00', '2025-06-03 20:00'
+      ]);
+      expect(schedule.events[0]).toMatchObject({
+        id: 'dose-1-1',
+        dateTime: '2025-06-02T12:00:00.000Z',
+        utcOffset: '-04:00',
+        dose: { value: 1, unit: 'tablet' }
+      });
+      expect(schedule.endDate).toBe('2025-06-03');
+    });
+
+    it('should use explicit clock times and event codes', () => {
+      const [clock] = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['21:15:00'] } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 1 }).events;
+      const [bedtime] = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd', when: ['HS'] } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 1 }).events;
+
+      expect(clock.localTime).toBe('21:15');
+      expect(bedtime.localTime).toBe('22:00');
+    });
+
+    it('should space interval doses from 08:00 on the first day', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 8, periodUnit: 'h' } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 2 });
+
+      expect(schedule.events.map(event => `${event.localDate} ${event.localTime}`)).toEqual([
+        '2025-06-02 08:00', '2025-06-02 16:00', '2025-06-03 00:00', '2025-06-03 08:00', '2025-06-03 16:00'
+      ]);
+    });
+
+    it('should step intervals that do not divide a day by elapsed time', () => {
+      const localTimes = (period: number, horizonDays: number) => scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period, periodUnit: 'h' } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays }).events
+        .map(event => `${event.localDate} ${event.localTime}`);
+
+      expect(localTimes(5, 2)).toEqual([
+        '2025-06-02 08:00', '2025-06-02 13:00', '2025-06-02 18:00', '2025-06-02 23:00',
+        '2025-06-03 04:00', '2025-06-03 09:00', '2025-06-03 14:00', '2025-06-03 19:00'
+      ]);
+      expect(localTimes(7, 2)).toEqual([
+        '2025-06-02 08:00', '2025-06-02 15:00', '2025-06-02 22:00',
+        '2025-06-03 05:00', '2025-06-03 12:00', '2025-06-03 19:00'
+      ]);
+      expect(localTimes(10, 3)).toEqual([
+        '2025-06-02 08:00', '2025-06-02 18:00',
+        '2025-06-03 04:00', '2025-06-03 14:00',
+        '2025-06-04 00:00', '2025-06-04 10:00', '2025-06-04 20:00'
+      ]);
+    });
+
+    it('should keep periods of a fraction of a day apart', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 36, periodUnit: 'h' } }
+      })], { startDate: '2025-03-07', timeZone: 'UTC', horizonDays: 6 });
+
+      expect(schedule.events.map(event => `${event.localDate} ${event.localTime}`)).toEqual([
+        '2025-03-07 08:00', '2025-03-08 20:00', '2025-03-10 08:00', '2025-03-11 20:00'
+      ]);
+    });
+
+    it('should stop after repeat.count doses', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd', count: 5 } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC' });
+
+      expect(schedule.events).toHaveLength(5);
+      expect(schedule.endDate).toBe('2025-06-04');
+    });
+  });
+
+  describe('Daylight Saving Time', () => {
+    it('should keep doses on the local clock across spring forward', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd' } }
+      })], { startDate: '2025-03-08', timeZone: 'America/New_York', horizonDays: 3 });
+
+      expect(schedule.events.map(event => event.localTime)).toEqual(['08:00', '08:00', '08:00']);
+      expect(schedule.events.map(event => event.dateTime)).toEqual([
+        '2025-03-08T13:00:00.000Z',
+        '2025-03-09T12:00:00.000Z',
+        '2025-03-10T12:00:00.000Z'
+      ]);
+      expect(schedule.events.map(event => event.utcOffset)).toEqual(['-05:00', '-04:00', '-04:00']);
+    });
+
+    it('should move a skipped time forward by the gap', () => {
+      const [dose] = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['02:30:00'] } }
+      })], { startDate: '2025-03-09', timeZone: 'America/New_York', horizonDays: 1 }).events;
+
+      expect(dose.localTime).toBe('03:30');
+      expect(dose.dateTime).toBe('2025-03-09T07:30:00.000Z');
+    });
+
+    it('should give a repeated time only its first occurrence at fall back', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['01:30:00'] } }
+      })], { startDate: '2025-11-02', timeZone: 'America/New_York', horizonDays: 1 });
+
+      expect(schedule.events).toHaveLength(1);
+      expect(schedule.events[0].dateTime).toBe('2025-11-02T05:30:00.000Z');
+      expect(schedule.events[0].utcOffset).toBe('-04:00');
+    });
+
+    it('should keep interval doses the interval apart across fall back in Europe', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 12, periodUnit: 'h' } }
+      })], { startDate: '2025-10-25', timeZone: 'Europe/Berlin', horizonDays: 2 });
+
+      expect(schedule.events.map(event => event.dateTime)).toEqual([
+        '2025-10-25T06:00:00.000Z',
+        '2025-10-25T18:00:00.000Z',
+        '2025-10-26T06:00:00.000Z',
+        '2025-10-26T18:00:00.000Z'
+      ]);
+      expect(schedule.events.map(event => event.localTime)).toEqual(['08:00', '20:00', '07:00', '19:00']);
+    });
+  });
+
+  describe('Sequential Phases', () => {
+    it('should run taper phases one after another', () => {
+      const schedule = scheduler.generate([
+        taperPhase('phase-1', 4, 3),
+        taperPhase('phase-2', 2, 3, 'phase-1'),
+        taperPhase('phase-3', 1, 2, 'phase-2')
+      ], { startDate: '2025-06-02', timeZone: 'America/Chicago' });
+
+      expect(schedule.events).toHaveLength(8);
+      expect(schedule.events.filter(event => event.phase === 1).map(event => event.localDate))
+        .toEqual(['2025-06-02', '2025-06-03', '2025-06-04']);
+      expect(schedule.events.filter(event => event.phase === 2)[0]).toMatchObject({
+        localDate: '2025-06-05',
+        instructionId: 'phase-2',
+        dose: { value: 2, unit: 'tablet' }
+      });
+      expect(schedule.events[7].localDate).toBe('2025-06-09');
+      expect(schedule.endDate).toBe('2025-06-09');
+    });
+
+    it('should warn when a phase before the last has no end', () => {
+      const schedule = scheduler.generate([
+        instruction({ id: 'open' }),
+        instruction({ id: 'next', relationship: { type: RelationshipType.SEQUENTIAL, targetId: 'open' } })
+      ], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 7 });
+
+      expect(schedule.warnings).toContain('Instruction open: phase has no end; scheduled for 7 days before the next phase');
+      expect(schedule.events.find(event => event.instructionId === 'next')?.localDate).toBe('2025-06-09');
+    });
+
+    it('should run unrelated instructions side by side', () => {
+      const schedule = scheduler.generate([instruction(), instruction()], {
+        startDate: '2025-06-02',
+        timeZone: 'UTC',
+        horizonDays: 1
+      });
+
+      expect(schedule.events).toHaveLength(4);
+      expect(schedule.events.every(event => event.phase === undefined)).toBe(true);
+    });
+  });
+
+  describe('Weekly and Cyclic Schedules', () => {
+    it('should dose only on listed weekdays', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 14 });
+
+      expect(schedule.events.map(event => event.localDate)).toEqual([
+        '2025-06-02', '2025-06-05', '2025-06-09', '2025-06-12'
+      ]);
+    });
+
+    it('should spread weekly doses without weekdays across the week', () => {
+      const schedule = scheduler.generate([instruction({
+        timing: { repeat: { frequency: 1, period: 1, periodUnit: 'wk' } }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 21 });
+
+      expect(schedule.events.map(event => event.localDate)).toEqual(['2025-06-02', '2025-06-09', '2025-06-16']);
+    });
+
+    it('should skip the off days of a cycle', () => {
+      const cycle = { daysOn: 5, daysOff: 2, cycles: 2 };
+      const schedule = scheduler.generate([instruction({
+        timing: {
+          repeat: { frequency: 1, period: 1, periodUnit: 'd', boundsDuration: { value: 5, unit: 'd' } },
+          code: createCycleTimingCode(cycle)
+        }
+      })], { startDate: '2025-06-02', timeZone: 'UTC' });
+
+      expect(schedule.events).toHaveLength(10);
+      expect(schedule.events.map(event => event.localDate)).not.toContain('2025-06-07');
+      expect(schedule.endDate).toBe('2025-06-15');
+    });
+  });
+
+  describe('As-Needed and Conditional Instructions', () => {
+    it('should turn PRN instructions into daily allowances', () => {
+      const schedule = scheduler.generate([instruction({
+        text: 'Take 1 tablet by mouth every 4 hours as needed for pain.',
+        asNeeded: { coding: [], text: 'pain' },
+        timing: { repeat: { frequency: 1, period: 4, periodUnit: 'h' } },
+        maxDosePerPeriod: {
+          numerator: { value: 4, unit: 'tablet' },
+          denominator: { value: 24, unit: 'h' }
+        }
+      })], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 10 });
+
+      expect(schedule.events).toHaveLength(0);
+      expect(schedule.prnAllowances[0]).toMatchObject({
+        startDate: '2025-06-02',
+        endDate: '2025-06-11',
+        indication: 'pain',
+        maxDosesPerDay: 4,
+        minHoursBetweenDoses: 4,
+        dose: { value: 1, unit: 'tablet' }
+      });
+    });
+
+    it('should recognise builder PRN instructions', () => {
+      const schedule = scheduler.generate([instruction({
+        additionalInstructions: [{ text: 'Take as needed for nausea' }]
+      })], { startDate: '2025-06-02', timeZone: 'UTC' });
+
+      expect(schedule.events).toHaveLength(0);
+      expect(schedule.prnAllowances[0].indication).toBe('nausea');
+      expect(schedule.prnAllowances[0].maxDosesPerDay).toBe(2);
+    });
+
+    it('should leave conditional instructions out', () => {
+      const schedule = scheduler.generate([instruction({
+        id: 'sliding-scale-1',
+        relationship: { type: RelationshipType.CONDITIONAL, condition: 'blood glucose 151-200 mg/dL' }
+      })], { startDate: '2025-06-02', timeZone: 'UTC' });
+
+      expect(schedule.events).toHaveLength(0);
+      expect(schedule.warnings).toEqual([
+        'Instruction sliding-scale-1: conditional on "blood glucose 151-200 mg/dL"; not scheduled'
+      ]);
+    });
+  });
+
+  describe('Options and Export', () => {
+    it('should reject invalid options', () => {
+      expect(() => scheduler.generate([instruction()], { startDate: '2025-02-30', timeZone: 'UTC' }))
+        .toThrow('Invalid start date: 2025-02-30');
+      expect(() => scheduler.generate([instruction()], { startDate: '2025-06-02', timeZone: 'Mars/Olympus' }))
+        .toThrow('Invalid time zone: Mars/Olympus');
+      expect(() => scheduler.generate([instruction()], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 0 }))
+        .toThrow('Invalid horizon');
+    });
+
+    it('should honour custom dose times', () => {
+      const schedule = generateAdministrationSchedule([instruction()], {
+        startDate: '2025-06-02',
+        timeZone: 'UTC',
+        horizonDays: 1,
+        doseTimes: { 2: ['09:00', '21:00'] }
+      });
+
+      expect(schedule.events.map(event => event.localTime)).toEqual(['09:00', '21:00']);
+    });
+
+    it('should export the schedule as JSON', () => {
+      const schedule = generateAdministrationSchedule([instruction()], {
+        startDate: '2025-06-02',
+        timeZone: 'UTC',
+        horizonDays: 1
+      });
+
+      expect(JSON.parse(scheduleToJSON(schedule))).toEqual(schedule);
+    });
+  });
+});
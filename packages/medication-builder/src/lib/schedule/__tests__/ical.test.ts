@@ -0,0 +1,107 @@
+/**
+ * Tests for iCalendar export
+ */
+
+import { toICalendar, escapeText, foldLine } from '../ical';
+import { generateAdministrationSchedule } from '../AdministrationScheduler';
+import { AdministrationSchedule } from '../types';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+
+const twiceDaily: SignatureInstruction = {
+  text: 'Take 1 tablet by mouth twice daily; with food, if possible.',
+  doseAndRate: [{ doseQuantity: { value: 1, unit: 'tablet' } }],
+  timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd' } }
+};
+
+const timestamp = new Date('2025-01-01T00:00:00Z');
+
+describe('toICalendar', () => {
+  let schedule: AdministrationSchedule;
+
+  beforeEach(() => {
+    schedule = generateAdministrationSchedule([twiceDaily], {
+      startDate: '2025-03-08',
+      timeZone: 'America/New_York',
+      horizonDays: 2
+    });
+  });
+
+  it('should write a VCALENDAR with one VEVENT per dose', () => {
+    const ics = toICalendar(schedule, { timestamp, title: 'Metformin' });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(4);
+    expect(ics).toContain('X-WR-TIMEZONE:America/New_York');
+    expect(ics).toContain('UID:2025-03-08-dose-1-1@medication-builder');
+    expect(ics).toContain('DTSTAMP:20250101T000000Z');
+    expect(ics).toContain('SUMMARY:Metformin 1 tablet');
+  });
+
+  it('should write dose times as UTC instants across the DST change', () => {
+    const ics = toICalendar(schedule, { timestamp });
+
+    expect(ics).toContain('DTSTART:20250308T130000Z');
+    expect(ics).toContain('DTSTART:20250309T120000Z');
+    expect(ics).toContain('DTSTART:20250310T000000Z');
+  });
+
+  it('should escape text values', () => {
+    const ics = toICalendar(schedule, { timestamp });
+
+    expect(ics).toContain('DESCRIPTION:Take 1 tablet by mouth twice daily\\; with food\\, if possible.');
+  });
+
+  it('should add reminders when requested', () => {
+    const ics = toICalendar(schedule, { timestamp, alarmMinutesBefore: 15 });
+
+    expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(4);
+    expect(ics).toContain('TRIGGER:-PT15M');
+  });
+
+  it('should write PRN allowances as daily all-day events', () => {
+    const prnSchedule = generateAdministrationSchedule([{
+      ...twiceDaily,
+      text: 'Take 1 tablet by mouth every 6 hours as needed for pain.',
+      asNeeded: { coding: [], text: 'pain' },
+      timing: { repeat: { frequency: 1, period: 6, periodUnit: 'h' } }
+    }], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 10 });
+
+    const ics = toICalendar(prnSchedule, { timestamp }).replace(/\r\n /g, '');
+
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250602');
+    expect(ics).toContain('DTEND;VALUE=DATE:20250603');
+    expect(ics).toContain('RRULE:FREQ=DAILY;UNTIL=20250611');
+    expect(ics).toContain('SUMMARY:As needed: 1 tablet (up to 4 doses per day\\, at least 6 hours apart)');
+  });
+
+  it('should keep every line within 75 octets', () => {
+    const longSchedule = generateAdministrationSchedule([{
+      ...twiceDaily,
+      text: 'Tome 1 tableta por vía oral dos veces al día con alimentos; no triture ni mastique la tableta. '.repeat(3)
+    }], { startDate: '2025-06-02', timeZone: 'UTC', horizonDays: 1 });
+
+    const lines = toICalendar(longSchedule, { timestamp }).split('\r\n');
+
+    lines.forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+  });
+});
+
+describe('iCalendar helpers', () => {
+  it('should escape backslashes, separators and newlines', () => {
+    expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+  });
+
+  it('should not split multi-byte characters when folding', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const unfolded = folded.replace(/\r\n /g, '');
+
+    expect(unfolded).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+    folded.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+  });
+});
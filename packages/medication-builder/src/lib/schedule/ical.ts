@@ -0,0 +1,178 @@
+/**
+ * iCalendar Export
+ *
+ * Writes an administration schedule as an RFC 5545 calendar: one
+ * VEVENT per dose at its UTC instant (so calendar apps show it at the
+ * right local time on both sides of a daylight-saving change), plus one
+ * daily all-day VEVENT per as-needed instruction listing its limits.
+ *
+ * Lines end in CRLF and are folded at 75 octets; TEXT values are escaped.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity } from '../../types/MedicationProfile';
+import { AdministrationEvent, AdministrationSchedule, ICalendarOptions, PrnAllowance } from './types';
+import { addDays } from './zoned-time';
+
+const DEFAULT_PRODUCT_ID = '-//Medication Builder//Administration Schedule//EN';
+const DEFAULT_UID_DOMAIN = 'medication-builder';
+
+/** Maximum octets per content line, excluding the CRLF */
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Serialize a schedule as an .ics calendar
+ */
+export function toICalendar(schedule: AdministrationSchedule, options: ICalendarOptions = {}): string {
+  const timestamp = formatDateTime(options.timestamp || new Date());
+  const domain = options.uidDomain || DEFAULT_UID_DOMAIN;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${options.productId || DEFAULT_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(options.calendarName ? [`X-WR-CALNAME:${escapeText(options.calendarName)}`] : []),
+    `X-WR-TIMEZONE:${schedule.timeZone}`
+  ];
+
+  for (const event of schedule.events) {
+    lines.push(...buildDoseEvent(event, schedule, timestamp, domain, options));
+  }
+  for (const allowance of schedule.prnAllowances) {
+    lines.push(...buildAllowanceEvent(allowance, schedule, timestamp, domain, options));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+export function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * (RFC 5545 §3.1)
+ */
+export function foldLine(line: string): string {
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+  // Continuation lines start with a space, which counts toward the limit
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function buildDoseEvent(
+  event: AdministrationEvent,
+  schedule: AdministrationSchedule,
+  timestamp: string,
+  domain: string,
+  options: ICalendarOptions
+): string[] {
+  const dose = formatDose(event.dose, event.doseRange);
+  const summary = ([options.title, dose].filter(Boolean).join(' ') || 'Medication dose') +
+    (event.phase !== undefined ? ` (phase ${event.phase})` : '');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${schedule.startDate}-${event.id}@${domain}`,
+    `DTSTAMP:${timestamp}`,
+    `DTSTART:${formatDateTime(new Date(event.dateTime))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(event.text)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+
+  if (options.alarmMinutesBefore !== undefined) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${options.alarmMinutesBefore}M`,
+      `DESCRIPTION:${escapeText(summary)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function buildAllowanceEvent(
+  allowance: PrnAllowance,
+  schedule: AdministrationSchedule,
+  timestamp: string,
+  domain: string,
+  options: ICalendarOptions
+): string[] {
+  const dose = formatDose(allowance.dose, allowance.doseRange);
+  const limits = [
+    allowance.maxDosesPerDay !== undefined ? `up to ${allowance.maxDosesPerDay} doses per day` : undefined,
+    allowance.minHoursBetweenDoses !== undefined ? `at least ${allowance.minHoursBetweenDoses} hours apart` : undefined
+  ].filter(Boolean).join(', ');
+  const summary = `${options.title ? `${options.title} as needed` : 'As needed'}` +
+    `${dose ? `: ${dose}` : ''}${limits ? ` (${limits})` : ''}`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${schedule.startDate}-prn-${allowance.instructionIndex + 1}@${domain}`,
+    `DTSTAMP:${timestamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(allowance.startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(allowance.startDate, 1))}`,
+    `RRULE:FREQ=DAILY;UNTIL=${formatDate(allowance.endDate)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(allowance.text)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+function formatDose(dose?: Quantity, doseRange?: { low: Quantity; high: Quantity }): string {
+  if (doseRange) {
+    return doseRange.low.unit === doseRange.high.unit
+      ? `${doseRange.low.value}-${doseRange.high.value} ${doseRange.high.unit}`
+      : `${doseRange.low.value} ${doseRange.low.unit} - ${doseRange.high.value} ${doseRange.high.unit}`;
+  }
+  return dose ? `${dose.value} ${dose.unit}` : '';
+}
+
+/**
+ * UTC DATE-TIME (e.g., 20250309T130000Z)
+ */
+function formatDateTime(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * DATE value (e.g., 20250309)
+ */
+function formatDate(localDate: string): string {
+  return localDate.replace(/-/g, '');
+}
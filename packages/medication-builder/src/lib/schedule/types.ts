@@ -0,0 +1,123 @@
+/**
+ * Administration Schedule Types
+ *
+ * Types for expanding signature instructions into dated administration
+ * events in the patient's time zone, for patient calendars and nursing
+ * administration records.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity, Ratio } from '../../types/MedicationProfile';
+
+/**
+ * Scheduling options
+ */
+export interface ScheduleOptions {
+  /** First day of therapy as a local date (YYYY-MM-DD) */
+  startDate: string;
+  /** IANA time zone the patient doses in (e.g., 'America/New_York') */
+  timeZone: string;
+  /**
+   * Days to schedule an instruction that has no end, counted from the
+   * day it starts
+   * @default 30
+   */
+  horizonDays?: number;
+  /**
+   * Clock times (HH:MM) keyed by doses per day, used when an instruction
+   * has no timeOfDay or when codes. Overrides DEFAULT_DOSE_TIMES per key.
+   */
+  doseTimes?: Record<number, string[]>;
+  /**
+   * Instructions are phases taken one after another (e.g., a taper).
+   * Detected automatically from SEQUENTIAL relationships.
+   */
+  sequential?: boolean;
+}
+
+/**
+ * One dated administration
+ */
+export interface AdministrationEvent {
+  /** Identifier, unique within the schedule */
+  id: string;
+  /** Index into the scheduled instructions */
+  instructionIndex: number;
+  /** Instruction id, if set */
+  instructionId?: string;
+  /** 1-based phase number for sequential regimens */
+  phase?: number;
+  /** UTC instant (ISO 8601) */
+  dateTime: string;
+  /** Local date (YYYY-MM-DD) in the schedule time zone */
+  localDate: string;
+  /** Local time (HH:MM) */
+  localTime: string;
+  /** Offset from UTC at this event (e.g., '-05:00') */
+  utcOffset: string;
+  /** Fixed dose */
+  dose?: Quantity;
+  /** Dose range, when the instruction gives one */
+  doseRange?: { low: Quantity; high: Quantity };
+  /** Instruction text */
+  text: string;
+}
+
+/**
+ * As-needed instruction: not scheduled, but limited per day
+ */
+export interface PrnAllowance {
+  instructionIndex: number;
+  instructionId?: string;
+  /** First local date the instruction applies */
+  startDate: string;
+  /** Last local date the instruction applies (inclusive) */
+  endDate: string;
+  dose?: Quantity;
+  doseRange?: { low: Quantity; high: Quantity };
+  /** Indication from asNeeded, if coded or given as text */
+  indication?: string;
+  /** Most doses allowed in one day, from frequency and maxDosePerPeriod */
+  maxDosesPerDay?: number;
+  /** Shortest allowed interval between doses */
+  minHoursBetweenDoses?: number;
+  maxDosePerPeriod?: Ratio;
+  text: string;
+}
+
+/**
+ * Expanded schedule
+ */
+export interface AdministrationSchedule {
+  timeZone: string;
+  /** First local date */
+  startDate: string;
+  /** Last local date (inclusive) */
+  endDate: string;
+  /** Scheduled administrations in time order */
+  events: AdministrationEvent[];
+  prnAllowances: PrnAllowance[];
+  /** Instructions that could not be scheduled, and assumptions made */
+  warnings: string[];
+}
+
+/**
+ * iCalendar export options
+ */
+export interface ICalendarOptions {
+  /** Prefix for event summaries, usually the medication name */
+  title?: string;
+  /** Calendar name (X-WR-CALNAME) */
+  calendarName?: string;
+  /** PRODID value */
+  productId?: string;
+  /** Domain used in event UIDs */
+  uidDomain?: string;
+  /** DTSTAMP instant; defaults to now */
+  timestamp?: Date;
+  /**
+   * Reminder before each dose, in minutes; omit for no alarm
+   */
+  alarmMinutesBefore?: number;
+}
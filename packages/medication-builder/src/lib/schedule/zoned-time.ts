@@ -0,0 +1,175 @@
+/**
+ * Zoned Time Utilities
+ *
+ * Wall-clock ↔ UTC conversion for IANA time zones using the built-in
+ * Intl API, so schedules stay on the patient's local clock across
+ * daylight-saving transitions without a date library.
+ *
+ * Local dates are 'YYYY-MM-DD' strings and local times 'HH:MM'.
+ * A time that does not exist (skipped by a spring-forward transition)
+ * moves forward by the length of the gap; a time that occurs twice
+ * (fall-back) resolves to the first occurrence.
+ *
+ * @since 3.3.0
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_TIME_PATTERN = /^(\d{2}):(\d{2})(?::\d{2})?$/;
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+/**
+ * Wall-clock reading of an instant in a time zone
+ */
+export interface ZonedDateTime {
+  /** Local date (YYYY-MM-DD) */
+  date: string;
+  /** Local time (HH:MM) */
+  time: string;
+  /** Offset from UTC (e.g., '-04:00') */
+  offset: string;
+}
+
+/**
+ * Check that a time zone is a valid IANA zone
+ */
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a string is a valid local date (YYYY-MM-DD)
+ */
+export function isLocalDate(value: string): boolean {
+  const match = LOCAL_DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCDate() === +match[3] && date.getUTCMonth() === +match[2] - 1;
+}
+
+/**
+ * Offset from UTC in minutes at an instant (e.g., -240 for EDT)
+ */
+export function getUtcOffsetMinutes(instant: number, timeZone: string): number {
+  const parts = getFormatter(timeZone).formatToParts(new Date(instant));
+  const value = (type: string) => Number(parts.find(part => part.type === type)!.value);
+  const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+
+  return Math.round((wallClock - Math.floor(instant / MS_PER_MINUTE) * MS_PER_MINUTE) / MS_PER_MINUTE);
+}
+
+/**
+ * UTC instant (epoch ms) of a local date and time in a time zone
+ */
+export function zonedTimeToInstant(date: string, time: string, timeZone: string): number {
+  const wallClock = parseLocalDate(date) + parseLocalTime(time) * MS_PER_MINUTE;
+
+  // Offsets in force a day either side cover any single transition
+  const offsets = Array.from(new Set([
+    getUtcOffsetMinutes(wallClock - MS_PER_DAY, timeZone),
+    getUtcOffsetMinutes(wallClock + MS_PER_DAY, timeZone)
+  ]));
+  const candidates = offsets
+    .map(offset => wallClock - offset * MS_PER_MINUTE)
+    .filter(instant => instant + getUtcOffsetMinutes(instant, timeZone) * MS_PER_MINUTE === wallClock)
+    .sort((a, b) => a - b);
+
+  if (candidates.length) {
+    return candidates[0];
+  }
+
+  // Skipped by a spring-forward transition: read with the earlier offset
+  return wallClock - offsets[0] * MS_PER_MINUTE;
+}
+
+/**
+ * Wall-clock date, time and offset of an instant in a time zone
+ */
+export function instantToZoned(instant: number, timeZone: string): ZonedDateTime {
+  const offset = getUtcOffsetMinutes(instant, timeZone);
+  const local = new Date(instant + offset * MS_PER_MINUTE).toISOString();
+
+  return {
+    date: local.slice(0, 10),
+    time: local.slice(11, 16),
+    offset: formatOffset(offset)
+  };
+}
+
+/**
+ * Add days to a local date
+ */
+export function addDays(date: string, days: number): string {
+  return new Date(parseLocalDate(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one local date to another
+ */
+export function daysBetween(from: string, to: string): number {
+  return Math.round((parseLocalDate(to) - parseLocalDate(from)) / MS_PER_DAY);
+}
+
+/**
+ * Day of week of a local date (0 = Sunday)
+ */
+export function dayOfWeekIndex(date: string): number {
+  return new Date(parseLocalDate(date)).getUTCDay();
+}
+
+/**
+ * Minutes after midnight for 'HH:MM' or 'HH:MM:SS'
+ */
+export function parseLocalTime(time: string): number {
+  const match = LOCAL_TIME_PATTERN.exec(time);
+  if (!match || +match[1] > 23 || +match[2] > 59) {
+    throw new Error(`Invalid local time: ${time}`);
+  }
+  return +match[1] * 60 + +match[2];
+}
+
+/**
+ * 'HH:MM' for minutes after midnight
+ */
+export function formatLocalTime(minutes: number): string {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseLocalDate(date: string): number {
+  if (!isLocalDate(date)) {
+    throw new Error(`Invalid local date: ${date}`);
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function formatOffset(minutes: number): string {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${formatLocalTime(absolute)}`;
+}
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
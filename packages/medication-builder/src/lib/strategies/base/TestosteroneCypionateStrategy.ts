@@ -12,6 +12,12 @@ import { MedicationRequestContext } from '../../types/MedicationRequestContext';
 import { SignatureInstruction } from '../../types/SignatureInstruction';
 import { createTemplateEngine } from '../../lib/templates/templates';
 import { TemplateDataBuilder } from '../../lib/templates/TemplateDataBuilder';
+import { injectionSiteRotation } from '../../injection-sites/InjectionSiteRotation';
+
+/**
+ * Gluteal sites from the product labeling, in order of preference
+ */
+const INJECTION_SITES = ['gluteal', 'ventrogluteal'];
 
 export class TestosteroneCypionateStrategy implements IBaseStrategyWithMetadata {
   readonly specificity = SpecificityLevel.MEDICATION_ID;
@@ -50,7 +56,7 @@ export class TestosteroneCypionateStrategy implements IBaseStrategyWithMetadata
     const text = this.templateEngine.render('INJECTION_TEMPLATE', templateData);
     
     // Build FHIR-compliant instruction
-    return {
+    const instruction: SignatureInstruction = {
       text,
       timing: this.buildTiming(frequency),
       doseAndRate: dose ? [{
@@ -73,13 +79,6 @@ export class TestosteroneCypionateStrategy implements IBaseStrategyWithMetadata
           display: 'Intramuscular'
         }]
       },
-      site: {
-        coding: [{
-          system: 'http://snomed.info/sct',
-          code: '723979003',
-          display: 'Structure of quadriceps femoris muscle and/or gluteus muscle'
-        }]
-      },
       method: {
         coding: [{
           system: 'http://snomed.info/sct',
@@ -96,6 +95,18 @@ export class TestosteroneCypionateStrategy implements IBaseStrategyWithMetadata
         text: 'Rotate injection sites'
       }]
     };
+
+    // Next site in the rotation, alternating sides from the last injection
+    const history = context.injectionSiteHistory || [];
+    const [nextSite] = injectionSiteRotation.plan(instruction, {
+      count: 1,
+      route: 'intramuscular',
+      sites: INJECTION_SITES,
+      history,
+      startDate: history.length > 0 ? context.timestamp.slice(0, 10) : undefined
+    }).sites;
+
+    return injectionSiteRotation.applySite(instruction, nextSite);
   }
 
   /**
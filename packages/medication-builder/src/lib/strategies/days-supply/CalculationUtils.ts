@@ -197,11 +197,17 @@ export class CalculationUtils implements ICalculationUtils {
   }
 
   /**
-   * Calculate doses per day from FHIR timing
+   * Calculate doses per day from FHIR timing.
+   * Daily (or shorter) repeats limited to certain weekdays are averaged over the week.
    */
-  calculateDosesPerDay(frequency: number, period: number, periodUnit: string): number {
+  calculateDosesPerDay(frequency: number, period: number, periodUnit: string, dayOfWeek?: string[]): number {
     const periodInDays = this.convertDurationToDays(period, periodUnit);
-    return frequency / periodInDays;
+    const dosesPerDay = frequency / periodInDays;
+
+    if (dayOfWeek?.length && periodInDays <= 1) {
+      return dosesPerDay * dayOfWeek.length / CALCULATION_CONSTANTS.DAYS_PER_WEEK;
+    }
+    return dosesPerDay;
   }
 
   /**
@@ -333,6 +339,6 @@ export function convertDurationToDays(value: number, unit: string): number {
   return calculationUtils.convertDurationToDays(value, unit);
 }
 
-export function calculateDosesPerDay(frequency: number, period: number, periodUnit: string): number {
-  return calculationUtils.calculateDosesPerDay(frequency, period, periodUnit);
+export function calculateDosesPerDay(frequency: number, period: number, periodUnit: string, dayOfWeek?: string[]): number {
+  return calculationUtils.calculateDosesPerDay(frequency, period, periodUnit, dayOfWeek);
 }
\ No newline at end of file
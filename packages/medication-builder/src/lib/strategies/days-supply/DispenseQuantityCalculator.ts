@@ -0,0 +1,231 @@
+/**
+ * Dispense Quantity Calculator
+ *
+ * The reverse of the days supply strategies: instead of how long a
+ * package lasts, how much to dispense for a target days supply. The
+ * quantity needed is found with whichever strategy the days supply
+ * dispatcher selects, so titrations, cycles, concentrations and vial
+ * losses count the same way in both directions. It is then rounded to
+ * what the dose form is dispensed in, and the leftover is reported as
+ * waste.
+ *
+ * @since 3.3.0
+ */
+
+import { DaysSupplyContext } from '../../temporal/types';
+import { PackageInfo } from '../../../types/MedicationProfile';
+import {
+  DaysSupplyCalculationError,
+  DispenseQuantityResult,
+  DispenseRegimen,
+  DispenseRounding
+} from './types';
+import { DaysSupplyStrategyDispatcher, daysSupplyDispatcher } from './DaysSupplyStrategyDispatcher';
+
+/**
+ * Rounding by dose form, matched against the lower-case dose form.
+ * Anything else (bottles, tubes, inhalers) is dispensed in whole items.
+ */
+export const DISPENSE_ROUNDING_RULES: ReadonlyArray<{ doseForms: readonly string[]; rounding: DispenseRounding }> = [
+  { doseForms: ['tablet', 'capsule'], rounding: 'unit' },
+  { doseForms: ['patch'], rounding: 'package' },
+  { doseForms: ['vial', 'pen', 'cartridge', 'syringe'], rounding: 'item' }
+];
+
+/**
+ * Largest quantity searched before a target is treated as unreachable
+ */
+const MAX_SEARCH_QUANTITY = 1e6;
+
+/**
+ * Bisection steps; enough for 4 decimal places at the largest quantity
+ */
+const SEARCH_ITERATIONS = 40;
+
+export class DispenseQuantityCalculator {
+  constructor(private readonly dispatcher: DaysSupplyStrategyDispatcher = daysSupplyDispatcher) {}
+
+  /**
+   * Calculates what to dispense, choosing the package size with the
+   * least waste (then the fewest items)
+   *
+   * @param regimen - Dose, timing and medication
+   * @param targetDaysSupply - Days the dispensed quantity must cover
+   * @param packages - Available package sizes
+   * @throws DaysSupplyCalculationError if no package size can cover the target
+   */
+  calculate(
+    regimen: DispenseRegimen,
+    targetDaysSupply: number,
+    packages: PackageInfo[]
+  ): DispenseQuantityResult {
+    const options = this.calculateOptions(regimen, targetDaysSupply, packages);
+    return options[0];
+  }
+
+  /**
+   * Calculates the dispense quantity for every package size, best first
+   */
+  calculateOptions(
+    regimen: DispenseRegimen,
+    targetDaysSupply: number,
+    packages: PackageInfo[]
+  ): DispenseQuantityResult[] {
+    if (!(targetDaysSupply > 0)) {
+      throw new Error(`Invalid target days supply: ${targetDaysSupply}`);
+    }
+    if (packages.length === 0) {
+      throw new Error('At least one package size is required');
+    }
+
+    return packages
+      .map(pkg => this.calculateForPackage(regimen, targetDaysSupply, pkg))
+      .sort((a, b) => a.waste - b.waste || a.count - b.count);
+  }
+
+  /**
+   * Dispense rounding for a dose form
+   */
+  getRounding(doseForm?: string): DispenseRounding {
+    const form = doseForm?.toLowerCase() || '';
+    const rule = DISPENSE_ROUNDING_RULES.find(r => r.doseForms.some(f => form.includes(f)));
+    return rule?.rounding || 'item';
+  }
+
+  private calculateForPackage(
+    regimen: DispenseRegimen,
+    targetDaysSupply: number,
+    pkg: PackageInfo
+  ): DispenseQuantityResult {
+    if (!(pkg.quantity > 0)) {
+      throw new Error(`Invalid package quantity: ${pkg.quantity} ${pkg.unit}`);
+    }
+
+    const rounding = this.getRounding(regimen.medication?.doseForm);
+    const warnings: string[] = [];
+    const base: DaysSupplyContext = { ...regimen, packageQuantity: pkg.quantity, packageUnit: pkg.unit };
+    const strategyId = this.dispatcher.getStrategy(base).id;
+
+    // Search without the beyond-use date: it limits each opened item, not the total
+    const unlimited = withoutBeyondUse(base);
+    const exactQuantity = this.findRequiredQuantity(unlimited, targetDaysSupply);
+    // Tablets and patches are used whole
+    const requiredQuantity = rounding === 'item' ? exactQuantity : Math.ceil(exactQuantity);
+
+    const grain = rounding === 'unit' ? 1
+      : rounding === 'package' ? pkg.quantity
+      : pkg.quantity / (pkg.packSize || 1);
+    let count = Math.ceil(round(requiredQuantity / grain));
+
+    // Each opened vial or pen is discarded at its beyond-use date
+    let budDaysPerItem: number | undefined;
+    if (rounding !== 'unit' && regimen.medication?.beyondUseAfterOpening) {
+      const perItem = this.dispatcher.calculateDaysSupply({ ...base, packageQuantity: grain }).breakdown;
+      if (perItem.budLimitedDaysSupply !== undefined &&
+          perItem.budLimitedDaysSupply < (perItem.theoreticalDaysSupply ?? Infinity)) {
+        budDaysPerItem = perItem.budLimitedDaysSupply;
+        if (budDaysPerItem === 0) {
+          throw new DaysSupplyCalculationError('Each item expires before its first full day of use', base);
+        }
+
+        const budCount = Math.ceil(targetDaysSupply / budDaysPerItem);
+        if (budCount > count) {
+          count = budCount;
+          warnings.push(
+            `Each ${grain} ${pkg.unit} expires ${budDaysPerItem} days after opening; ` +
+            `${count} needed for ${targetDaysSupply} days`
+          );
+        }
+      }
+    }
+
+    const quantity = round(count * grain);
+    let daysSupply = this.dispatcher.calculateDaysSupply({ ...unlimited, packageQuantity: quantity }).daysSupply;
+    if (budDaysPerItem !== undefined) {
+      daysSupply = Math.min(daysSupply, count * budDaysPerItem);
+    }
+
+    const waste = round(quantity - requiredQuantity);
+    if (waste > 0 && rounding !== 'unit') {
+      warnings.push(`${waste} ${pkg.unit} left over after ${targetDaysSupply} days`);
+    }
+
+    return {
+      quantity,
+      unit: pkg.unit,
+      count,
+      rounding,
+      package: pkg,
+      requiredQuantity,
+      waste,
+      daysSupply,
+      strategyId,
+      warnings
+    };
+  }
+
+  /**
+   * Smallest quantity whose days supply reaches the target, found by
+   * bisection so every strategy is used exactly as it calculates
+   */
+  private findRequiredQuantity(context: DaysSupplyContext, targetDaysSupply: number): number {
+    const daysFor = (quantity: number) =>
+      this.dispatcher.calculateDaysSupply({ ...context, packageQuantity: quantity });
+
+    let high = context.packageQuantity;
+    let result = daysFor(high);
+    while (result.daysSupply < targetDaysSupply) {
+      high *= 2;
+      if (high > MAX_SEARCH_QUANTITY) {
+        throw new DaysSupplyCalculationError(
+          `Cannot reach a ${targetDaysSupply}-day supply` +
+          (result.warnings.length ? `: ${result.warnings.join('; ')}` : ''),
+          context
+        );
+      }
+      result = daysFor(high);
+    }
+
+    let low = 0;
+    for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+      const middle = (low + high) / 2;
+      if (daysFor(middle).daysSupply >= targetDaysSupply) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    return round(high);
+  }
+}
+
+function withoutBeyondUse(context: DaysSupplyContext): DaysSupplyContext {
+  if (!context.medication?.beyondUseAfterOpening) {
+    return context;
+  }
+
+  const { beyondUseAfterOpening: _, ...medication } = context.medication;
+  return { ...context, medication };
+}
+
+/**
+ * Rounds to 4 decimal places, trimming bisection and float noise
+ */
+function round(value: number): number {
+  return Math.round((value + Number.EPSILON) * 10000) / 10000;
+}
+
+// Export singleton instance
+export const dispenseQuantityCalculator = new DispenseQuantityCalculator();
+
+/**
+ * Convenience function for the quantity to dispense for a target days supply
+ */
+export function calculateDispenseQuantity(
+  regimen: DispenseRegimen,
+  targetDaysSupply: number,
+  packages: PackageInfo[]
+): DispenseQuantityResult {
+  return dispenseQuantityCalculator.calculate(regimen, targetDaysSupply, packages);
+}
@@ -19,6 +19,7 @@ import {
   CALCULATION_CONSTANTS
 } from './types';
 import { calculationUtils } from './CalculationUtils';
+import { SYRINGE_UNITS, SyringeUnit, getSyringeUnitVolume, isSyringeUnit } from '../../units/syringe-units';
 
 export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
   readonly specificity = SpecificityLevel.DOSE_FORM;
@@ -115,7 +116,8 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
     return calculationUtils.calculateDosesPerDay(
       repeat.frequency,
       repeat.period,
-      repeat.periodUnit
+      repeat.periodUnit,
+      repeat.dayOfWeek
     );
   }
 
@@ -165,18 +167,25 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
       });
     }
 
-    // Validate dose precision for liquids
-    const precisionValidation = this.validateLiquidPrecision(effectiveDoseVolume, context);
+    // Validate dose precision for liquids; syringe doses are read from unit markings
+    const precisionValidation = isSyringeUnit(context.doseUnit)
+      ? this.validateSyringePrecision(context.doseAmount, context.doseUnit)
+      : this.validateLiquidPrecision(effectiveDoseVolume, context);
     if (precisionValidation.warnings.length > 0) {
       warnings.push(...precisionValidation.warnings);
       confidence = Math.min(confidence, precisionValidation.confidence);
     }
 
+    // Volume lost to priming, the container and each draw
+    const losses = this.calculateVolumeLosses(context, warnings);
+    const usableQuantity = Math.max(0, context.packageQuantity - losses.fixedLoss);
+
     // Calculate consumption per day
-    const consumptionPerDay = effectiveDoseVolume * dosesPerDay;
+    const consumptionPerDay = (effectiveDoseVolume + losses.perDoseLoss) * dosesPerDay;
 
     // Calculate days supply
-    const daysSupply = Math.floor(context.packageQuantity / consumptionPerDay);
+    const theoreticalDaysSupply = Math.floor(usableQuantity / consumptionPerDay);
+    let daysSupply = theoreticalDaysSupply;
 
     const breakdown = this.createBreakdown(
       context,
@@ -184,6 +193,45 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
       consumptionPerDay,
       conversions
     );
+    breakdown.theoreticalDaysSupply = theoreticalDaysSupply;
+    if (losses.fixedLoss > 0 || losses.perDoseLoss > 0) {
+      breakdown.volumeLosses = { ...losses, usableQuantity };
+    }
+
+    // Each opened multi-dose container is discarded at its beyond-use date
+    const beyondUseDays = this.getBeyondUseDays(context);
+    if (beyondUseDays !== undefined) {
+      const containerSize = this.getContainerSize(context);
+      if (containerSize === undefined || containerSize >= context.packageQuantity) {
+        daysSupply = Math.min(theoreticalDaysSupply, Math.floor(beyondUseDays));
+
+        if (beyondUseDays < theoreticalDaysSupply) {
+          const discarded = Math.round((usableQuantity - consumptionPerDay * beyondUseDays) * 100) / 100;
+          warnings.push(
+            `Expires ${beyondUseDays} days after opening, before it is used up (${theoreticalDaysSupply} days); ` +
+            `about ${discarded} ${context.packageUnit} will be discarded`
+          );
+        }
+      } else {
+        // Containers are opened one after another; losses were already taken from the whole package
+        const containers = this.splitIntoContainers(context.packageQuantity, containerSize);
+        const containerDays = containers.map(volume => Math.min(volume / consumptionPerDay, beyondUseDays));
+        daysSupply = Math.min(theoreticalDaysSupply, Math.floor(containerDays.reduce((sum, days) => sum + days, 0)));
+
+        const daysPerContainer = containerSize / consumptionPerDay;
+        if (beyondUseDays < daysPerContainer) {
+          const discarded = containers.reduce(
+            (sum, volume) => sum + Math.max(0, volume - consumptionPerDay * beyondUseDays), 0
+          );
+          warnings.push(
+            `Each ${containerSize} ${context.packageUnit} container expires ${beyondUseDays} days after opening, ` +
+            `before it is used up (${Math.floor(daysPerContainer)} days); ` +
+            `about ${Math.round(discarded * 100) / 100} ${context.packageUnit} will be discarded`
+          );
+        }
+      }
+      breakdown.budLimitedDaysSupply = daysSupply;
+    }
 
     return createDaysSupplyResult(
       daysSupply,
@@ -247,6 +295,71 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
     };
   }
 
+  /**
+   * Volume lost outside the doses, in the package unit: priming and
+   * container dead volume once, needle dead volume and air gap per dose
+   */
+  private calculateVolumeLosses(
+    context: DaysSupplyContext,
+    warnings: string[]
+  ): { fixedLoss: number; perDoseLoss: number } {
+    
+    const metadata = context.medication?.dispenserMetadata;
+    const toPackageUnit = (name: string, volume?: { value: number; unit: string }): number => {
+      if (!volume?.value) {
+        return 0;
+      }
+
+      const standardized = this.standardizeVolumeUnits(volume.value, volume.unit, context.packageUnit);
+      if (standardized.standardizedUnit !== context.packageUnit) {
+        warnings.push(`Cannot apply ${name} (${volume.value} ${volume.unit}) to a package in ${context.packageUnit}`);
+        return 0;
+      }
+      return standardized.standardizedAmount;
+    };
+
+    return {
+      fixedLoss: toPackageUnit('prime volume', metadata?.primeVolume) +
+        toPackageUnit('dead volume', metadata?.deadVolume),
+      perDoseLoss: toPackageUnit('needle dead volume', metadata?.needleDeadVolume) +
+        toPackageUnit('air gap volume', metadata?.airGapVolume)
+    };
+  }
+
+  /**
+   * Days the product may be used after opening, if known
+   */
+  private getBeyondUseDays(context: DaysSupplyContext): number | undefined {
+    const beyondUse = context.medication?.beyondUseAfterOpening;
+    return beyondUse
+      ? calculationUtils.convertDurationToDays(beyondUse.value, beyondUse.unit)
+      : undefined;
+  }
+
+  /**
+   * Volume of one container when the package holds several
+   * (packageInfo.quantity per unit, with packSize known)
+   */
+  private getContainerSize(context: DaysSupplyContext): number | undefined {
+    const packageInfo = context.medication?.packageInfo;
+    if (!packageInfo?.packSize || !(packageInfo.quantity > 0)) {
+      return undefined;
+    }
+
+    const standardized = this.standardizeVolumeUnits(packageInfo.quantity, packageInfo.unit, context.packageUnit);
+    return standardized.standardizedUnit === context.packageUnit ? standardized.standardizedAmount : undefined;
+  }
+
+  /**
+   * Container volumes for a package quantity; the last may be partly filled
+   */
+  private splitIntoContainers(packageQuantity: number, containerSize: number): number[] {
+    const full = Math.floor(packageQuantity / containerSize + 1e-9);
+    const remainder = packageQuantity - full * containerSize;
+    const containers: number[] = Array(full).fill(containerSize);
+    return remainder > 1e-9 ? [...containers, remainder] : containers;
+  }
+
   /**
    * Standardize volume units for calculation
    */
@@ -280,8 +393,9 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
       'ounces': 29.5735
     };
 
-    const fromFactor = volumeConversions[normalizedFrom];
-    const toFactor = volumeConversions[normalizedTo];
+    // Syringe units are a fixed volume (U-100: 0.01 mL)
+    const fromFactor = volumeConversions[normalizedFrom] || getSyringeUnitVolume(fromUnit);
+    const toFactor = volumeConversions[normalizedTo] || getSyringeUnitVolume(toUnit);
 
     if (!fromFactor || !toFactor) {
       return {
@@ -336,6 +450,32 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
     return { warnings, confidence };
   }
 
+  /**
+   * Validate a dose measured on an insulin syringe: it must fall on a
+   * whole or half unit marking
+   */
+  private validateSyringePrecision(
+    doseAmount: number,
+    doseUnit: SyringeUnit
+  ): { warnings: string[]; confidence: number } {
+    
+    const { syringe } = SYRINGE_UNITS[doseUnit];
+
+    if (!Number.isInteger(doseAmount * 2)) {
+      return {
+        warnings: [`Dose of ${doseAmount} units does not fall on a ${syringe} syringe marking`],
+        confidence: CALCULATION_CONSTANTS.MEDIUM_CONFIDENCE
+      };
+    }
+
+    return {
+      warnings: Number.isInteger(doseAmount)
+        ? []
+        : [`Half-unit dose (${doseAmount} units) - requires a ${syringe} syringe with half-unit markings`],
+      confidence: CALCULATION_CONSTANTS.HIGH_CONFIDENCE
+    };
+  }
+
   /**
    * Get number of decimal places
    */
@@ -393,7 +533,10 @@ export class LiquidDaysSupplyStrategy implements IDaysSupplyStrategy {
     return `Calculates days supply for liquid medications including oral solutions, ` +
            `injectable vials, and topical liquids. Handles concentration-based conversions ` +
            `from weight doses (mg) to volume doses (mL), standardizes volume units, and ` +
-           `validates dosing precision for accurate measurement. Supports dual dosing ` +
+           `validates dosing precision for accurate measurement. Doses in insulin ` +
+           `syringe units (U-100, U-50, U-40) are converted by syringe volume. Accounts ` +
+           `for priming, dead volume and per-draw losses, and limits multi-dose ` +
+           `containers to their beyond-use date after opening. Supports dual dosing ` +
            `display for injectable medications.`;
   }
 }
@@ -443,6 +586,29 @@ export const LIQUID_CALCULATION_EXAMPLES = {
     }
   },
 
+  MULTI_DOSE_VIAL: {
+    description: 'Multi-dose vial with per-draw loss and a beyond-use date',
+    input: {
+      packageQuantity: 10,
+      packageUnit: 'mL',
+      doseAmount: 1,
+      doseUnit: 'mL',
+      timing: 'once weekly',
+      medication: {
+        doseForm: 'Vial',
+        beyondUseAfterOpening: { value: 28, unit: 'd' },
+        dispenserMetadata: {
+          needleDeadVolume: { value: 0.07, unit: 'mL' }
+        }
+      }
+    },
+    expected: {
+      daysSupply: 28, // 10 mL lasts 65 days at 1.07 mL per week, but expires after 28
+      dosesPerDay: 1/7,
+      consumptionPerDay: 1.07/7
+    }
+  },
+
   PEDIATRIC_SUSPENSION: {
     description: 'Pediatric liquid with small volume',
     input: {
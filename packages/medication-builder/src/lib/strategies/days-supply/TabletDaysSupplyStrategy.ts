@@ -7,8 +7,9 @@
  * @since 3.1.0
  */
 
-import { DaysSupplyContext } from '../../temporal/types';
+import { DaysSupplyContext, CyclicPattern } from '../../temporal/types';
 import { FHIRTemporalParser } from '../../temporal/FHIRTemporalParser';
+import { activeDaysToCalendarDays, totalActiveDays } from '../../temporal/cycles';
 import { SpecificityLevel } from '../types';
 import {
   IDaysSupplyStrategy,
@@ -49,7 +50,7 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
       }
 
       // Parse timing
-      const timing = this.parseTiming(context);
+      const { timing, cycle } = this.parseTiming(context);
       const dosesPerDay = this.calculateDosesPerDay(timing);
 
       if (dosesPerDay === 0) {
@@ -64,7 +65,7 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
       }
 
       // Handle unit conversions and calculations
-      const result = this.performCalculation(context, dosesPerDay);
+      const result = this.performCalculation(context, dosesPerDay, cycle);
 
       // Check performance
       const executionTime = Date.now() - startTime;
@@ -87,16 +88,16 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
   }
 
   /**
-   * Parse timing from context
+   * Parse timing and any on/off cycle from context
    */
-  private parseTiming(context: DaysSupplyContext): any {
+  private parseTiming(context: DaysSupplyContext): { timing: any; cycle?: CyclicPattern } {
     if (typeof context.timing === 'string') {
       const parseResult = this.temporalParser.parse(context.timing);
-      return parseResult.timing;
+      return { timing: parseResult.timing, cycle: context.cycle || parseResult.cycle };
     }
     
     // For non-titration contexts, should be single timing
-    return context.timing;
+    return { timing: context.timing, cycle: context.cycle };
   }
 
   /**
@@ -115,7 +116,8 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
     return calculationUtils.calculateDosesPerDay(
       repeat.frequency,
       repeat.period,
-      repeat.periodUnit
+      repeat.periodUnit,
+      repeat.dayOfWeek
     );
   }
 
@@ -124,7 +126,8 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
    */
   private performCalculation(
     context: DaysSupplyContext,
-    dosesPerDay: number
+    dosesPerDay: number,
+    cycle?: CyclicPattern
   ): DaysSupplyResult {
     
     const conversions: CalculationBreakdown['conversions'] = [];
@@ -169,7 +172,7 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
     const consumptionPerDay = effectiveDoseAmount * dosesPerDay;
 
     // Calculate days supply
-    const daysSupply = Math.floor(totalQuantity / consumptionPerDay);
+    let daysSupply = Math.floor(totalQuantity / consumptionPerDay);
 
     const breakdown = this.createBreakdown(
       context,
@@ -179,9 +182,20 @@ export class TabletDaysSupplyStrategy implements IDaysSupplyStrategy {
       totalQuantity
     );
 
+    // Cyclic regimens only consume medication on active days
+    if (cycle) {
+      let activeDays = daysSupply;
+      if (activeDays > totalActiveDays(cycle)) {
+        activeDays = totalActiveDays(cycle);
+        warnings.push(`Supply exceeds the ${cycle.cycles}-cycle course`);
+      }
+      daysSupply = activeDaysToCalendarDays(activeDays, cycle);
+      breakdown.cyclicBreakdown = { ...cycle, activeDays };
+    }
+
     return createDaysSupplyResult(
       daysSupply,
-      'Standard tablet/capsule calculation',
+      cycle ? 'Cyclic tablet/capsule calculation (active days only)' : 'Standard tablet/capsule calculation',
       breakdown,
       confidence,
       warnings
@@ -13,6 +13,7 @@ import {
   STRATEGY_SELECTION_EXAMPLES
 } from '../index';
 import { SpecificityLevel } from '../../types';
+import { DaysSupplyContext } from '../../../temporal/types';
 
 describe('DaysSupplyStrategyDispatcher', () => {
   let dispatcher: DaysSupplyStrategyDispatcher;
@@ -126,6 +127,169 @@ describe('DaysSupplyStrategyDispatcher', () => {
       expect(result.daysSupply).toBe(8); // 120 mL / (5 mL × 3 doses) = 8 days
       expect(result.breakdown.conversions).toBeDefined();
     });
+
+    it('should calculate liquid days supply for syringe-unit doses', () => {
+      const context = createDaysSupplyContext(
+        10, 'mL', 25, '{U100_unit}', 'twice daily',
+        { doseForm: 'Injectable solution vial' }
+      );
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.daysSupply).toBe(20); // 10 mL / (0.25 mL × 2 doses) = 20 days
+      expect(result.breakdown.conversions).toContainEqual(expect.objectContaining({
+        from: '25 {U100_unit}',
+        to: '0.25 mL'
+      }));
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should read syringe units by syringe volume, not drug strength', () => {
+      const context = createDaysSupplyContext(
+        10, 'mL', 7.3, '{U40_unit}', 'once daily',
+        { doseForm: 'Solution' }
+      );
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.daysSupply).toBe(54); // 7.3 / 40 = 0.1825 mL daily
+      expect(result.warnings).toEqual(['Dose of 7.3 units does not fall on a U-40 syringe marking']);
+    });
+  });
+
+  describe('Cyclic Regimens', () => {
+    it('should count only active days for tablets', () => {
+      const context = createDaysSupplyContext(
+        30, 'tablet', 1, 'tablet', 'once daily 5 days on, 2 days off',
+        { doseForm: 'Tablet' }
+      );
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.daysSupply).toBe(42); // 30 active days = 6 cycles of 7 days
+      expect(result.breakdown.cyclicBreakdown).toMatchObject({ daysOn: 5, daysOff: 2, activeDays: 30 });
+      expect(result.calculationMethod).toContain('Cyclic');
+    });
+
+    it('should cover the off week of a 21/7 pack', () => {
+      const context = {
+        ...createDaysSupplyContext(21, 'tablet', 1, 'tablet', 'once daily', { doseForm: 'Tablet' }),
+        cycle: { daysOn: 21, daysOff: 7 }
+      };
+
+      expect(calculateDaysSupply(context).daysSupply).toBe(28);
+    });
+
+    it('should stop at the end of a finite course', () => {
+      const context = {
+        ...createDaysSupplyContext(30, 'tablet', 1, 'tablet', 'once daily', { doseForm: 'Tablet' }),
+        cycle: { daysOn: 5, daysOff: 2, cycles: 2 }
+      };
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.daysSupply).toBe(14);
+      expect(result.warnings).toContain('Supply exceeds the 2-cycle course');
+    });
+  });
+
+  describe('Weekday Schedules', () => {
+    it('should count only the listed weekdays for daily timing', () => {
+      const context = createDaysSupplyContext(
+        24, 'tablet', 1, 'tablet', 'once daily on Monday, Wednesday and Friday',
+        { doseForm: 'Tablet' }
+      );
+
+      expect(calculateDaysSupply(context).daysSupply).toBe(56); // 3 tablets per week
+    });
+  });
+
+  describe('Multi-Dose Vials', () => {
+    const vial = (dispenserMetadata?: NonNullable<DaysSupplyContext['medication']>['dispenserMetadata']) =>
+      createDaysSupplyContext(10, 'mL', 1, 'mL', 'once weekly', {
+        doseForm: 'Vial',
+        beyondUseAfterOpening: { value: 28, unit: 'd' },
+        dispenserMetadata
+      });
+
+    it('should limit days supply to the beyond-use date after opening', () => {
+      const result = calculateDaysSupply(vial({ needleDeadVolume: { value: 0.07, unit: 'mL' } }));
+
+      expect(result.daysSupply).toBe(28);
+      expect(result.breakdown.theoreticalDaysSupply).toBe(65); // 10 mL at 1.07 mL per week
+      expect(result.breakdown.budLimitedDaysSupply).toBe(28);
+      expect(result.warnings).toContain(
+        'Expires 28 days after opening, before it is used up (65 days); about 5.72 mL will be discarded'
+      );
+    });
+
+    it('should apply the beyond-use date to each container of a pack', () => {
+      const pack = (packageQuantity: number, packSize?: number) => createDaysSupplyContext(
+        packageQuantity, 'mL', 1, 'mL', 'once weekly', {
+          doseForm: 'Vial',
+          packageInfo: { quantity: 10, unit: 'mL', ...(packSize && { packSize }) },
+          beyondUseAfterOpening: { value: 28, unit: 'd' }
+        }
+      );
+
+      const threeVials = calculateDaysSupply(pack(30, 3));
+      expect(threeVials.daysSupply).toBe(84);
+      expect(threeVials.breakdown.budLimitedDaysSupply).toBe(84);
+      expect(threeVials.warnings).toContain(
+        'Each 10 mL container expires 28 days after opening, before it is used up (70 days); about 18 mL will be discarded'
+      );
+
+      // Without packSize the package is one container
+      expect(calculateDaysSupply(pack(30)).daysSupply).toBe(28);
+    });
+
+    it('should count a partly filled last container', () => {
+      const context = createDaysSupplyContext(15, 'mL', 1, 'mL', 'once daily', {
+        doseForm: 'Vial',
+        packageInfo: { quantity: 10, unit: 'mL', packSize: 2 },
+        beyondUseAfterOpening: { value: 28, unit: 'd' }
+      });
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.daysSupply).toBe(15);
+      expect(result.warnings.some(w => w.includes('expires'))).toBe(false);
+    });
+
+    it('should subtract priming, container and per-draw losses', () => {
+      const context = {
+        ...vial({
+          primeVolume: { value: 0.2, unit: 'mL' },
+          deadVolume: { value: 0.3, unit: 'mL' },
+          needleDeadVolume: { value: 0.05, unit: 'mL' },
+          airGapVolume: { value: 0.05, unit: 'mL' }
+        }),
+        timing: 'once daily'
+      };
+
+      const result = calculateDaysSupply(context);
+
+      expect(result.breakdown.volumeLosses).toEqual({ fixedLoss: 0.5, perDoseLoss: 0.1, usableQuantity: 9.5 });
+      expect(result.breakdown.consumptionPerDay).toBeCloseTo(1.1, 10);
+      expect(result.daysSupply).toBe(8); // 9.5 mL / 1.1 mL per day
+      expect(result.breakdown.budLimitedDaysSupply).toBe(8);
+      expect(result.warnings.some(w => w.startsWith('Expires'))).toBe(false);
+    });
+
+    it('should report the theoretical days supply without a beyond-use date', () => {
+      const result = calculateDaysSupply(createDaysSupplyContext(10, 'mL', 1, 'mL', 'once weekly', { doseForm: 'Vial' }));
+
+      expect(result.daysSupply).toBe(70);
+      expect(result.breakdown.theoreticalDaysSupply).toBe(70);
+      expect(result.breakdown.budLimitedDaysSupply).toBeUndefined();
+      expect(result.breakdown.volumeLosses).toBeUndefined();
+    });
+
+    it('should warn about losses it cannot convert to the package unit', () => {
+      const result = calculateDaysSupply(vial({ deadVolume: { value: 1, unit: '{click}' } }));
+
+      expect(result.warnings).toContain('Cannot apply dead volume (1 {click}) to a package in mL');
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,130 @@
+/**
+ * Tests for DispenseQuantityCalculator
+ */
+
+import {
+  DispenseQuantityCalculator,
+  DaysSupplyStrategyDispatcher,
+  calculateDispenseQuantity
+} from '../index';
+import { DispenseRegimen } from '../types';
+
+describe('DispenseQuantityCalculator', () => {
+  let calculator: DispenseQuantityCalculator;
+
+  beforeEach(() => {
+    calculator = new DispenseQuantityCalculator(new DaysSupplyStrategyDispatcher());
+  });
+
+  describe('Tablets', () => {
+    const regimen: DispenseRegimen = {
+      doseAmount: 1,
+      doseUnit: 'tablet',
+      timing: 'twice daily',
+      medication: { doseForm: 'Tablet' }
+    };
+
+    it('should dispense whole tablets for the target days supply', () => {
+      const result = calculator.calculate(regimen, 90, [{ quantity: 30, unit: 'tablet' }]);
+
+      expect(result.quantity).toBe(180);
+      expect(result.count).toBe(180);
+      expect(result.rounding).toBe('unit');
+      expect(result.waste).toBe(0);
+      expect(result.daysSupply).toBe(90);
+      expect(result.strategyId).toBe('tablet-days-supply');
+    });
+  });
+
+  describe('Vials and Pens', () => {
+    it('should dispense whole vials and report the waste', () => {
+      const result = calculator.calculate(
+        { doseAmount: 1, doseUnit: 'mL', timing: 'once weekly', medication: { doseForm: 'Vial' } },
+        90,
+        [{ quantity: 10, unit: 'mL' }]
+      );
+
+      expect(result.requiredQuantity).toBeCloseTo(12.857, 3); // 90 days of 1 mL weekly
+      expect(result.count).toBe(2);
+      expect(result.quantity).toBe(20);
+      expect(result.waste).toBeCloseTo(7.143, 3);
+      expect(result.daysSupply).toBe(140);
+      expect(result.strategyId).toBe('liquid-days-supply');
+      expect(result.warnings).toContain('7.1429 mL left over after 90 days');
+    });
+
+    it('should open a new vial at each beyond-use date', () => {
+      const result = calculator.calculate(
+        {
+          doseAmount: 1,
+          doseUnit: 'mL',
+          timing: 'once weekly',
+          medication: { doseForm: 'Vial', beyondUseAfterOpening: { value: 28, unit: 'd' } }
+        },
+        90,
+        [{ quantity: 10, unit: 'mL' }]
+      );
+
+      expect(result.count).toBe(4);
+      expect(result.quantity).toBe(40);
+      expect(result.daysSupply).toBe(112);
+      expect(result.warnings).toContain('Each 10 mL expires 28 days after opening; 4 needed for 90 days');
+    });
+
+    it('should dispense whole pens from a box', () => {
+      const result = calculator.calculate(
+        { doseAmount: 0.5, doseUnit: 'mL', timing: 'once weekly', medication: { doseForm: 'Pen' } },
+        90,
+        [{ quantity: 15, unit: 'mL', packSize: 5 }]
+      );
+
+      expect(result.rounding).toBe('item');
+      expect(result.count).toBe(3); // 3 mL pens
+      expect(result.quantity).toBe(9);
+      expect(result.daysSupply).toBe(126);
+    });
+
+    it('should choose the package size with the least waste', () => {
+      const regimen: DispenseRegimen = {
+        doseAmount: 1,
+        doseUnit: 'mL',
+        timing: 'once weekly',
+        medication: { doseForm: 'Vial' }
+      };
+      const packages = [{ quantity: 10, unit: 'mL' }, { quantity: 5, unit: 'mL' }];
+
+      const options = calculator.calculateOptions(regimen, 90, packages);
+
+      expect(options.map(option => option.package.quantity)).toEqual([5, 10]);
+      expect(calculateDispenseQuantity(regimen, 90, packages).quantity).toBe(15);
+    });
+  });
+
+  describe('Patches', () => {
+    it('should dispense whole boxes', () => {
+      const result = calculator.calculate(
+        { doseAmount: 1, doseUnit: 'patch', timing: 'once weekly', medication: { doseForm: 'Patch' } },
+        90,
+        [{ quantity: 4, unit: 'patch' }]
+      );
+
+      expect(result.rounding).toBe('package');
+      expect(result.requiredQuantity).toBe(13);
+      expect(result.count).toBe(4);
+      expect(result.quantity).toBe(16);
+      expect(result.waste).toBe(3);
+    });
+  });
+
+  describe('Error Handling', () => {
+    const regimen: DispenseRegimen = { doseAmount: 1, doseUnit: 'tablet', timing: 'once daily' };
+
+    it('should reject invalid targets and packages', () => {
+      expect(() => calculator.calculate(regimen, 0, [{ quantity: 30, unit: 'tablet' }]))
+        .toThrow('Invalid target days supply: 0');
+      expect(() => calculator.calculate(regimen, 30, [])).toThrow('At least one package size is required');
+      expect(() => calculator.calculate(regimen, 30, [{ quantity: 0, unit: 'tablet' }]))
+        .toThrow('Invalid package quantity: 0 tablet');
+    });
+  });
+});
@@ -24,7 +24,10 @@ export type {
   DaysSupplyStrategyMetadata,
   MedicationConversionContext,
   ICalculationUtils,
-  IUnitConverter
+  IUnitConverter,
+  DispenseRegimen,
+  DispenseRounding,
+  DispenseQuantityResult
 } from './types';
 
 // Import types for internal use
@@ -62,6 +65,14 @@ export { TitrationDaysSupplyStrategy, TITRATION_EXAMPLES } from './TitrationDays
 export { TabletDaysSupplyStrategy, TABLET_CALCULATION_EXAMPLES } from './TabletDaysSupplyStrategy';
 export { LiquidDaysSupplyStrategy, LIQUID_CALCULATION_EXAMPLES } from './LiquidDaysSupplyStrategy';
 
+// Reverse calculation: dispense quantity for a target days supply
+export {
+  DispenseQuantityCalculator,
+  dispenseQuantityCalculator,
+  calculateDispenseQuantity,
+  DISPENSE_ROUNDING_RULES
+} from './DispenseQuantityCalculator';
+
 // Utilities
 export { 
   CalculationUtils,
@@ -104,19 +115,7 @@ export function createDaysSupplyContext(
   doseAmount: number,
   doseUnit: string,
   timing: string | string[],
-  medication?: {
-    doseForm: string;
-    ingredient?: Array<{
-      strengthRatio?: {
-        numerator: { value: number; unit: string };
-        denominator: { value: number; unit: string };
-      };
-    }>;
-    dispenserInfo?: {
-      conversionRatio: number;
-      unit: string;
-    };
-  }
+  medication?: DaysSupplyContext['medication']
 ): DaysSupplyContext {
   return {
     packageQuantity,
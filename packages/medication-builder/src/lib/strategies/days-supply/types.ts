@@ -7,8 +7,9 @@
  * @since 3.1.0
  */
 
-import { DaysSupplyContext, TitrationPhase } from '../../temporal/types';
+import { DaysSupplyContext, TitrationPhase, CyclicPattern } from '../../temporal/types';
 import { SpecificityLevel } from '../types';
+import { PackageInfo } from '../../../types/MedicationProfile';
 
 /**
  * Result of days supply calculation
@@ -49,6 +50,21 @@ export interface CalculationBreakdown {
   }>;
   /** Titration-specific breakdown */
   titrationBreakdown?: TitrationBreakdown;
+  /** On/off cycle and the active (dosing) days the supply covers */
+  cyclicBreakdown?: CyclicPattern & { activeDays: number };
+  /** Volume lost outside the doses, in the package unit */
+  volumeLosses?: {
+    /** Lost once: priming and container dead volume */
+    fixedLoss: number;
+    /** Lost with each dose: needle dead volume and air gap */
+    perDoseLoss: number;
+    /** Package quantity left for doses */
+    usableQuantity: number;
+  };
+  /** Days the usable quantity lasts, ignoring any beyond-use date */
+  theoreticalDaysSupply?: number;
+  /** Days supply capped at the beyond-use date after opening */
+  budLimitedDaysSupply?: number;
 }
 
 /**
@@ -129,6 +145,42 @@ export interface IDaysSupplyStrategyDispatcher {
   getAvailableStrategies(): IDaysSupplyStrategy[];
 }
 
+/**
+ * What a dose form is dispensed in:
+ * - unit: whole tablets or capsules, counted out
+ * - item: whole items from the package (a vial, one pen from a box)
+ * - package: whole packages (a box of patches)
+ */
+export type DispenseRounding = 'unit' | 'item' | 'package';
+
+/**
+ * Regimen to dispense for: a days-supply context without the package
+ */
+export type DispenseRegimen = Omit<DaysSupplyContext, 'packageQuantity' | 'packageUnit'>;
+
+/**
+ * Quantity to dispense for a target days supply
+ */
+export interface DispenseQuantityResult {
+  /** Quantity to dispense, in the package unit */
+  quantity: number;
+  unit: string;
+  /** Whole units, items or packages dispensed */
+  count: number;
+  rounding: DispenseRounding;
+  /** Package size the quantity is made up of */
+  package: PackageInfo;
+  /** Quantity the regimen uses over the target days, including losses */
+  requiredQuantity: number;
+  /** Dispensed quantity left over after the target days */
+  waste: number;
+  /** Days supply of the dispensed quantity */
+  daysSupply: number;
+  /** Days supply strategy the dispatcher selected */
+  strategyId: string;
+  warnings: string[];
+}
+
 /**
  * Unit conversion service interface
  */
@@ -0,0 +1,83 @@
+/**
+ * Declarative Modifier
+ *
+ * A modifier compiled from a JSON definition. It applies to the
+ * medications of the declarative strategies that enable it, appending a
+ * sentence and/or additional instructions.
+ *
+ * @since 3.3.0
+ */
+
+import { IBaseStrategy, IModifierStrategyWithMetadata, StrategyMetadata } from '../types';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { AdditionalInstruction, SignatureInstruction } from '../../../types/SignatureInstruction';
+import { ModifierDefinition } from './types';
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+export class DeclarativeModifier implements IModifierStrategyWithMetadata {
+  readonly priority: number;
+  readonly metadata: StrategyMetadata;
+
+  /**
+   * @param definition - Parsed modifier definition
+   * @param strategies - Strategies that enable this modifier
+   */
+  constructor(
+    private readonly definition: ModifierDefinition,
+    private readonly strategies: IBaseStrategy[]
+  ) {
+    this.priority = definition.priority;
+    this.metadata = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      description: definition.description || 'Declarative modifier',
+      version: definition.version || '1.0.0'
+    };
+  }
+
+  /**
+   * Applies when a strategy that enables it matches
+   */
+  appliesTo(context: MedicationRequestContext): boolean {
+    return this.strategies.some(strategy => strategy.matches(context));
+  }
+
+  /**
+   * Appends the definition's text and additional instructions
+   */
+  modify(
+    instruction: SignatureInstruction,
+    _context: MedicationRequestContext
+  ): SignatureInstruction {
+    const { appendText, additionalInstructions } = this.definition;
+
+    return {
+      ...instruction,
+      text: appendText && instruction.text ? `${instruction.text} ${appendText}` : instruction.text,
+      additionalInstructions: additionalInstructions
+        ? [
+          ...(instruction.additionalInstructions || []),
+          ...additionalInstructions.map((item): AdditionalInstruction => ({
+            ...(item.code && {
+              coding: [{ system: item.system || SNOMED_SYSTEM, code: item.code, display: item.display }]
+            }),
+            text: item.text
+          }))
+        ]
+        : instruction.additionalInstructions
+    };
+  }
+
+  /**
+   * Explains the modifier's behavior
+   */
+  explain(): string {
+    const effects = [
+      this.definition.appendText && `appends "${this.definition.appendText}"`,
+      this.definition.additionalInstructions &&
+        `adds ${this.definition.additionalInstructions.map(item => `"${item.text}"`).join(', ')}`
+    ].filter(Boolean);
+    return `Declarative modifier ${this.definition.id}: ${effects.join(' and ')}`;
+  }
+}
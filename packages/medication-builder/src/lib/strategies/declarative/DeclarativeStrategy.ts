@@ -0,0 +1,203 @@
+/**
+ * Declarative Strategy
+ *
+ * A base strategy compiled from a JSON definition: match criteria pick
+ * the medications, a template renders the text, and the definition
+ * supplies dual dosing and default route, method and site coding.
+ *
+ * @since 3.3.0
+ */
+
+import { IBaseStrategyWithMetadata, SpecificityLevel, StrategyMetadata } from '../types';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+import { CodeableConcept, Ratio } from '../../../types/MedicationProfile';
+import { createTemplateEngine } from '../../templates/templates';
+import { TemplateDataBuilder } from '../../templates/TemplateDataBuilder';
+import { TemplateData } from '../../templates/types';
+import { LOCALE_VOCABULARY, DEFAULT_LOCALE } from '../../templates/locales';
+import { parseTiming } from '../../temporal/FHIRTemporalParser';
+import { CodingDefinition, DeclarativeTemplateKey, StrategyDefinition, StrategyMatchCriteria } from './types';
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+/**
+ * Timings parsed with less confidence are kept as text
+ */
+const MIN_TIMING_CONFIDENCE = 0.8;
+
+const DEFAULT_DUAL_DOSE_DECIMALS = 2;
+
+const TEMPLATE_DATA: Record<DeclarativeTemplateKey, (context: MedicationRequestContext) => TemplateData> = {
+  ORAL_TABLET_TEMPLATE: context => TemplateDataBuilder.forTablet(context),
+  LIQUID_DOSE_TEMPLATE: context => TemplateDataBuilder.forLiquid(context),
+  TOPICAL_APPLICATION_TEMPLATE: context => TemplateDataBuilder.forTopical(context),
+  INJECTION_TEMPLATE: context => TemplateDataBuilder.forInjection(context),
+  PRN_INSTRUCTION_TEMPLATE: context => TemplateDataBuilder.forPRN(context),
+  DEFAULT_TEMPLATE: context => TemplateDataBuilder.forDefault(context)
+};
+
+export class DeclarativeStrategy implements IBaseStrategyWithMetadata {
+  readonly specificity: SpecificityLevel;
+  readonly metadata: StrategyMetadata;
+  private templateEngine = createTemplateEngine();
+
+  constructor(private readonly definition: StrategyDefinition) {
+    this.specificity = specificityOf(definition.match);
+    this.metadata = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      description: definition.description || `Declarative strategy using ${definition.template}`,
+      examples: definition.examples,
+      version: definition.version || '1.0.0'
+    };
+  }
+
+  /**
+   * Matches when every criterion in the definition matches
+   */
+  matches(context: MedicationRequestContext): boolean {
+    return matchesCriteria(this.definition.match, context);
+  }
+
+  /**
+   * Renders the definition's template and codes the route, method and site
+   */
+  buildInstruction(context: MedicationRequestContext): SignatureInstruction {
+    const { dose, frequency } = context;
+    const { template, route, method, site } = this.definition;
+
+    const templateData = TEMPLATE_DATA[template](context);
+    if (this.definition.dualDose) {
+      templateData.dualDose = this.formatDualDose(context);
+    }
+    if (route?.text && !context.route) {
+      templateData.route = route.text;
+    }
+    if (site?.text) {
+      templateData.site = ` ${site.text}`;
+    }
+
+    return {
+      text: this.templateEngine.render(template, templateData),
+      timing: this.buildTiming(frequency),
+      doseAndRate: dose ? [{
+        type: {
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/dose-rate-type',
+            code: 'ordered',
+            display: 'Ordered'
+          }]
+        },
+        doseQuantity: {
+          value: dose.value,
+          unit: dose.unit
+        }
+      }] : undefined,
+      route: context.route
+        ? { coding: [], text: context.route }
+        : route && toCodeableConcept(route),
+      method: method && toCodeableConcept(method),
+      site: site && toCodeableConcept(site)
+    };
+  }
+
+  /**
+   * Explains the strategy's behavior
+   */
+  explain(): string {
+    const criteria = Object.entries(this.definition.match)
+      .map(([key, values]) => `${key} ${(values as string[]).join(' or ')}`)
+      .join(', ');
+    return `Declarative strategy ${this.definition.id}: Renders ${this.definition.template} for ${criteria}` +
+      (this.definition.dualDose ? ' with dual dosing' : '');
+  }
+
+  /**
+   * The dose in the concentration's other unit, e.g. ", as 1 mL" for 200 mg
+   * of 200 mg/mL; empty when the dose unit is not part of the concentration
+   */
+  private formatDualDose(context: MedicationRequestContext): string {
+    const { dose, medication } = context;
+    const concentration: Ratio | undefined = this.definition.dualDose?.concentration ||
+      medication?.concentrationRatio ||
+      medication?.ingredient?.[0]?.strengthRatio;
+    if (!dose || !concentration) return '';
+
+    const { numerator, denominator } = concentration;
+    const unit = dose.unit.toLowerCase();
+    const decimals = this.definition.dualDose?.decimals ?? DEFAULT_DUAL_DOSE_DECIMALS;
+    const format = (value: number, toUnit: string) =>
+      LOCALE_VOCABULARY[DEFAULT_LOCALE].phrases.dualDose(`${Number(value.toFixed(decimals))} ${toUnit}`);
+
+    if (unit === numerator.unit.toLowerCase()) {
+      return format(dose.value * denominator.value / numerator.value, denominator.unit);
+    }
+    if (unit === denominator.unit.toLowerCase()) {
+      return format(dose.value * numerator.value / denominator.value, numerator.unit);
+    }
+    return '';
+  }
+
+  /**
+   * Parsed FHIR timing, or the frequency as text when it cannot be parsed
+   */
+  private buildTiming(frequency?: string): SignatureInstruction['timing'] {
+    if (!frequency) return undefined;
+
+    const parsed = parseTiming(frequency);
+    if (!Array.isArray(parsed.timing) && parsed.confidence >= MIN_TIMING_CONFIDENCE) {
+      return parsed.timing as SignatureInstruction['timing'];
+    }
+
+    return {
+      code: {
+        coding: [],
+        text: frequency
+      }
+    };
+  }
+}
+
+/**
+ * Specificity of the most specific criterion
+ */
+function specificityOf(match: StrategyMatchCriteria): SpecificityLevel {
+  if (match.skus) return SpecificityLevel.MEDICATION_SKU;
+  if (match.ids || match.names) return SpecificityLevel.MEDICATION_ID;
+  if (match.ingredients) return SpecificityLevel.DOSE_FORM_AND_INGREDIENT;
+  if (match.doseForms) return SpecificityLevel.DOSE_FORM;
+  return SpecificityLevel.DEFAULT;
+}
+
+/**
+ * Whether a context meets every criterion given
+ */
+function matchesCriteria(match: StrategyMatchCriteria, context: MedicationRequestContext): boolean {
+  const medication = context.medication;
+  if (!medication) return false;
+
+  const equalsAny = (value: string | undefined, candidates: string[]) =>
+    !!value && candidates.some(candidate => candidate.toLowerCase() === value.toLowerCase());
+  const containsAny = (value: string | undefined, candidates: string[]) =>
+    !!value && candidates.some(candidate => value.toLowerCase().includes(candidate.toLowerCase()));
+
+  return (!match.skus || equalsAny(medication.sku, match.skus)) &&
+    (!match.ids || equalsAny(medication.id, match.ids)) &&
+    (!match.names || containsAny(medication.name, match.names)) &&
+    (!match.doseForms || equalsAny(medication.doseForm, match.doseForms)) &&
+    (!match.ingredients || (medication.ingredient || []).some(ingredient =>
+      containsAny(ingredient.name, match.ingredients!)
+    ));
+}
+
+function toCodeableConcept(coding: CodingDefinition): CodeableConcept {
+  return {
+    coding: [{
+      system: coding.system || SNOMED_SYSTEM,
+      code: coding.code,
+      display: coding.display
+    }],
+    ...(coding.text && { text: coding.text })
+  };
+}
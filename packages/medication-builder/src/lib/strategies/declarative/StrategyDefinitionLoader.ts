@@ -0,0 +1,152 @@
+/**
+ * Strategy Definition Loader
+ *
+ * Validates declarative strategy documents, compiles them into base
+ * strategies and modifiers, and registers them with a StrategyRegistry.
+ * A document that is invalid or clashes with existing registrations is
+ * rejected as a whole, with every problem reported against its JSON path.
+ *
+ * @since 3.3.0
+ */
+
+import type { StrategyRegistry } from '../../registry/StrategyRegistry';
+import { DeclarativeStrategy } from './DeclarativeStrategy';
+import { DeclarativeModifier } from './DeclarativeModifier';
+import { StrategyDefinitionError } from './errors';
+import { validateStrategyDefinitions } from './validateDefinitions';
+import { DefinitionIssue, LoadedStrategies, StrategyDefinitionDocument } from './types';
+
+/**
+ * Strategies and modifiers compiled from one document, keyed by id
+ */
+export interface CompiledStrategies {
+  strategies: Map<string, DeclarativeStrategy>;
+  modifiers: Map<string, DeclarativeModifier>;
+}
+
+export class StrategyDefinitionLoader {
+  /**
+   * Parse and validate a document
+   *
+   * @param source - JSON text or an already parsed object
+   * @throws {StrategyDefinitionError} If the JSON or the definitions are invalid
+   */
+  parse(source: string | unknown): StrategyDefinitionDocument {
+    let document: unknown = source;
+    if (typeof source === 'string') {
+      try {
+        document = JSON.parse(source);
+      } catch (error) {
+        throw StrategyDefinitionError.create([{
+          path: '$',
+          message: `is not valid JSON (${error instanceof Error ? error.message : String(error)})`
+        }]);
+      }
+    }
+
+    const issues = validateStrategyDefinitions(document);
+    if (issues.length > 0) {
+      throw StrategyDefinitionError.create(issues);
+    }
+    return document as StrategyDefinitionDocument;
+  }
+
+  /**
+   * Compile a document without registering it
+   *
+   * @throws {StrategyDefinitionError} If the JSON or the definitions are invalid
+   */
+  compile(source: string | unknown): CompiledStrategies {
+    const document = this.parse(source);
+
+    const strategies = new Map<string, DeclarativeStrategy>();
+    for (const definition of document.strategies) {
+      strategies.set(definition.id, new DeclarativeStrategy(definition));
+    }
+
+    const modifiers = new Map<string, DeclarativeModifier>();
+    for (const definition of document.modifiers || []) {
+      const enabledBy = document.strategies
+        .filter(strategy => strategy.modifiers?.includes(definition.id))
+        .map(strategy => strategies.get(strategy.id)!);
+      modifiers.set(definition.id, new DeclarativeModifier(definition, enabledBy));
+    }
+
+    return { strategies, modifiers };
+  }
+
+  /**
+   * Compile a document and register its strategies and modifiers under
+   * their ids
+   *
+   * @param source - JSON text or an already parsed object
+   * @param registry - Registry to add to
+   * @returns Names registered
+   * @throws {StrategyDefinitionError} If the document is invalid or an id
+   *   or modifier priority is already registered; nothing is registered
+   */
+  load(source: string | unknown, registry: StrategyRegistry): LoadedStrategies {
+    const document = this.parse(source);
+    const issues = this.findConflicts(document, registry);
+    if (issues.length > 0) {
+      throw StrategyDefinitionError.create(issues);
+    }
+
+    const { strategies, modifiers } = this.compile(document);
+    for (const [id, strategy] of strategies) {
+      registry.registerBase(id, strategy);
+    }
+    for (const [id, modifier] of modifiers) {
+      registry.registerModifier(id, modifier);
+    }
+
+    return {
+      strategies: [...strategies.keys()],
+      modifiers: [...modifiers.keys()]
+    };
+  }
+
+  /**
+   * Ids and priorities the registry already has
+   */
+  private findConflicts(document: StrategyDefinitionDocument, registry: StrategyRegistry): DefinitionIssue[] {
+    const issues: DefinitionIssue[] = [];
+    const bases = registry.getBaseStrategies();
+    const modifiers = registry.getModifiers();
+
+    document.strategies.forEach((strategy, i) => {
+      if (bases.has(strategy.id)) {
+        issues.push({ path: `$.strategies[${i}].id`, message: `strategy '${strategy.id}' is already registered` });
+      }
+    });
+
+    (document.modifiers || []).forEach((modifier, i) => {
+      if (modifiers.has(modifier.id)) {
+        issues.push({ path: `$.modifiers[${i}].id`, message: `modifier '${modifier.id}' is already registered` });
+      }
+      for (const [name, existing] of modifiers) {
+        if (existing.priority === modifier.priority) {
+          issues.push({
+            path: `$.modifiers[${i}].priority`,
+            message: `priority ${modifier.priority} is already used by modifier '${name}'`
+          });
+        }
+      }
+    });
+
+    return issues;
+  }
+}
+
+// Export singleton instance
+export const strategyDefinitionLoader = new StrategyDefinitionLoader();
+
+/**
+ * Convenience function to load declarative strategies into a registry
+ */
+export function loadStrategyDefinitions(
+  source: string | unknown,
+  registry: StrategyRegistry
+): LoadedStrategies {
+  return strategyDefinitionLoader.load(source, registry);
+}
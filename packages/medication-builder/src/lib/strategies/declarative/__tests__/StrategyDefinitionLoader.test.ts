@@ -0,0 +1,244 @@
+/**
+ * Tests for StrategyDefinitionLoader and the strategies it compiles
+ */
+
+import { StrategyDefinitionLoader, loadStrategyDefinitions } from '../StrategyDefinitionLoader';
+import { StrategyDefinitionError } from '../errors';
+import { StrategyDefinitionDocument } from '../types';
+import { SpecificityLevel, IBaseStrategy, IModifierStrategy } from '../../types';
+import type { StrategyRegistry } from '../../../registry/StrategyRegistry';
+import { MedicationRequestContext } from '../../../../types/MedicationRequestContext';
+import { MedicationProfile } from '../../../../types/MedicationProfile';
+
+const enanthate: StrategyDefinitionDocument = {
+  strategies: [{
+    id: 'testosterone-enanthate',
+    name: 'Testosterone Enanthate Strategy',
+    match: { names: ['testosterone enanthate'], doseForms: ['Vial'] },
+    template: 'INJECTION_TEMPLATE',
+    dualDose: { concentration: { numerator: { value: 250, unit: 'mg' }, denominator: { value: 1, unit: 'mL' } } },
+    route: { code: '78421000', display: 'Intramuscular', text: 'intramuscularly' },
+    method: { code: '422145002', display: 'Inject' },
+    site: { code: '23747009', display: 'Gluteal region', text: 'into the gluteal muscle' },
+    modifiers: ['rotate-sites']
+  }],
+  modifiers: [{
+    id: 'rotate-sites',
+    priority: 31,
+    additionalInstructions: [{ text: 'Rotate injection sites', code: '421769005', display: 'Rotate injection site' }]
+  }]
+};
+
+function createMedication(overrides: Partial<MedicationProfile> = {}): MedicationProfile {
+  return {
+    id: 'testosterone-enanthate-250',
+    name: 'Testosterone Enanthate 250 mg/mL',
+    type: 'medication',
+    isActive: true,
+    doseForm: 'Vial',
+    code: { coding: [{ display: 'Testosterone Enanthate 250 mg/mL' }] },
+    ingredient: [{
+      name: 'Testosterone Enanthate',
+      strengthRatio: {
+        numerator: { value: 250, unit: 'mg' },
+        denominator: { value: 1, unit: 'mL' }
+      }
+    }],
+    ...overrides
+  };
+}
+
+function createContext(overrides: Partial<MedicationRequestContext> = {}): MedicationRequestContext {
+  return {
+    id: 'req-1',
+    timestamp: '2026-01-01T00:00:00Z',
+    patient: { id: 'patient-1', age: 45 },
+    medication: createMedication(),
+    dose: { value: 125, unit: 'mg' },
+    frequency: 'once weekly',
+    route: '',
+    ...overrides
+  };
+}
+
+/**
+ * Just enough of a registry to see what was registered
+ */
+function createRegistry(
+  bases: Map<string, IBaseStrategy> = new Map(),
+  modifiers: Map<string, IModifierStrategy> = new Map()
+): StrategyRegistry {
+  return {
+    registerBase: (name: string, strategy: IBaseStrategy) => bases.set(name, strategy),
+    registerModifier: (name: string, modifier: IModifierStrategy) => modifiers.set(name, modifier),
+    getBaseStrategies: () => new Map(bases),
+    getModifiers: () => new Map(modifiers)
+  } as unknown as StrategyRegistry;
+}
+
+describe('StrategyDefinitionLoader', () => {
+  let loader: StrategyDefinitionLoader;
+
+  beforeEach(() => {
+    loader = new StrategyDefinitionLoader();
+  });
+
+  describe('load', () => {
+    it('should register strategies and modifiers under their ids', () => {
+      const registry = createRegistry();
+
+      const loaded = loadStrategyDefinitions(JSON.stringify(enanthate), registry);
+
+      expect(loaded).toEqual({ strategies: ['testosterone-enanthate'], modifiers: ['rotate-sites'] });
+      expect(registry.getBaseStrategies().get('testosterone-enanthate')).toMatchObject({
+        specificity: SpecificityLevel.MEDICATION_ID,
+        metadata: { id: 'testosterone-enanthate', name: 'Testosterone Enanthate Strategy', version: '1.0.0' }
+      });
+      expect(registry.getModifiers().get('rotate-sites')?.priority).toBe(31);
+    });
+
+    it('should report invalid JSON', () => {
+      expect(() => loader.load('{ "strategies": [', createRegistry()))
+        .toThrow(/^Invalid strategy definition at \$: is not valid JSON/);
+    });
+
+    it('should report every invalid definition against its JSON path', () => {
+      const document = {
+        strategies: [
+          { ...enanthate.strategies[0], template: 'INSULIN_TEMPLATE', modifiers: ['missing'] },
+          { id: 'tablets', match: {}, template: 'ORAL_TABLET_TEMPLATE', dualDose: {} }
+        ],
+        modifiers: enanthate.modifiers
+      };
+
+      let error: StrategyDefinitionError | undefined;
+      try {
+        loader.load(document, createRegistry());
+      } catch (e) {
+        error = e as StrategyDefinitionError;
+      }
+
+      expect(error).toBeInstanceOf(StrategyDefinitionError);
+      expect(error?.message).toBe(
+        'Invalid strategy definition at $.strategies[0].template: must be one of ORAL_TABLET_TEMPLATE, ' +
+        'LIQUID_DOSE_TEMPLATE, TOPICAL_APPLICATION_TEMPLATE, INJECTION_TEMPLATE, PRN_INSTRUCTION_TEMPLATE, ' +
+        'DEFAULT_TEMPLATE (and 3 more)'
+      );
+      expect(error?.issues.map(issue => issue.path)).toEqual([
+        '$.strategies[0].template',
+        '$.strategies[0].modifiers[0]',
+        '$.strategies[1].match',
+        '$.strategies[1].dualDose'
+      ]);
+    });
+
+    it('should register nothing when an id or priority is taken', () => {
+      const bases = new Map<string, IBaseStrategy>([['testosterone-enanthate', {} as IBaseStrategy]]);
+      const modifiers = new Map<string, IModifierStrategy>([['strength-display', { priority: 31 } as IModifierStrategy]]);
+      const registry = createRegistry(bases, modifiers);
+
+      expect(() => loader.load(enanthate, registry)).toThrow(StrategyDefinitionError);
+      try {
+        loader.load(enanthate, registry);
+      } catch (e) {
+        expect((e as StrategyDefinitionError).issues).toEqual([
+          { path: '$.strategies[0].id', message: "strategy 'testosterone-enanthate' is already registered" },
+          { path: '$.modifiers[0].priority', message: "priority 31 is already used by modifier 'strength-display'" }
+        ]);
+      }
+      expect(registry.getModifiers().has('rotate-sites')).toBe(false);
+    });
+  });
+
+  describe('compiled strategies', () => {
+    it('should match on every criterion given', () => {
+      const strategy = loader.compile(enanthate).strategies.get('testosterone-enanthate')!;
+
+      expect(strategy.matches(createContext())).toBe(true);
+      expect(strategy.matches(createContext({ medication: createMedication({ doseForm: 'Prefilled Syringe' }) })))
+        .toBe(false);
+      expect(strategy.matches(createContext({ medication: createMedication({ name: 'Testosterone Cypionate' }) })))
+        .toBe(false);
+    });
+
+    it('should take specificity from the most specific criterion', () => {
+      const { strategies } = loader.compile({
+        strategies: [
+          { id: 'sku', match: { skus: ['TE-250-5'] }, template: 'INJECTION_TEMPLATE' },
+          { id: 'form-ingredient', match: { doseForms: ['Tablet'], ingredients: ['prednisone'] }, template: 'ORAL_TABLET_TEMPLATE' },
+          { id: 'form', match: { doseForms: ['Cream'] }, template: 'TOPICAL_APPLICATION_TEMPLATE' }
+        ]
+      });
+
+      expect(strategies.get('sku')?.specificity).toBe(SpecificityLevel.MEDICATION_SKU);
+      expect(strategies.get('form-ingredient')?.specificity).toBe(SpecificityLevel.DOSE_FORM_AND_INGREDIENT);
+      expect(strategies.get('form')?.specificity).toBe(SpecificityLevel.DOSE_FORM);
+    });
+
+    it('should render the template with dual dosing and the default site', () => {
+      const strategy = loader.compile(enanthate).strategies.get('testosterone-enanthate')!;
+
+      const instruction = strategy.buildInstruction(createContext());
+
+      expect(instruction.text).toBe(
+        'Inject 125 mg, as 0.5 mL intramuscularly into the gluteal muscle once weekly.'
+      );
+      expect(instruction.route?.coding[0]).toEqual({
+        system: 'http://snomed.info/sct',
+        code: '78421000',
+        display: 'Intramuscular'
+      });
+      expect(instruction.method?.coding[0].code).toBe('422145002');
+      expect(instruction.site).toEqual({
+        coding: [{ system: 'http://snomed.info/sct', code: '23747009', display: 'Gluteal region' }],
+        text: 'into the gluteal muscle'
+      });
+      expect(instruction.timing?.repeat).toMatchObject({ frequency: 1, period: 1, periodUnit: 'wk' });
+    });
+
+    it('should use the dose in volume to show the mass', () => {
+      const strategy = loader.compile(enanthate).strategies.get('testosterone-enanthate')!;
+
+      const instruction = strategy.buildInstruction(createContext({ dose: { value: 0.5, unit: 'mL' } }));
+
+      expect(instruction.text).toContain('0.5 mL, as 125 mg');
+    });
+
+    it('should keep the route the request names', () => {
+      const strategy = loader.compile(enanthate).strategies.get('testosterone-enanthate')!;
+
+      const instruction = strategy.buildInstruction(createContext({ route: 'subcutaneous' }));
+
+      expect(instruction.text).toContain('subcutaneously');
+      expect(instruction.route).toEqual({ coding: [], text: 'subcutaneous' });
+    });
+  });
+
+  describe('compiled modifiers', () => {
+    it('should apply to the medications of the strategies that enable them', () => {
+      const { modifiers } = loader.compile(enanthate);
+      const modifier = modifiers.get('rotate-sites')!;
+
+      expect(modifier.appliesTo(createContext())).toBe(true);
+      expect(modifier.appliesTo(createContext({ medication: createMedication({ doseForm: 'Tablet' }) }))).toBe(false);
+    });
+
+    it('should add text and additional instructions', () => {
+      const { modifiers } = loader.compile({
+        ...enanthate,
+        modifiers: [{ ...enanthate.modifiers![0], appendText: 'Discard vial 28 days after first use.' }]
+      });
+
+      const instruction = modifiers.get('rotate-sites')!.modify(
+        { text: 'Inject 125 mg intramuscularly once weekly.' },
+        createContext()
+      );
+
+      expect(instruction.text).toBe('Inject 125 mg intramuscularly once weekly. Discard vial 28 days after first use.');
+      expect(instruction.additionalInstructions).toEqual([{
+        coding: [{ system: 'http://snomed.info/sct', code: '421769005', display: 'Rotate injection site' }],
+        text: 'Rotate injection sites'
+      }]);
+    });
+  });
+});
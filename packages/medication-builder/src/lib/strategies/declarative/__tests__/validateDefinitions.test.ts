@@ -0,0 +1,84 @@
+/**
+ * Tests for strategy definition validation
+ */
+
+import { validateStrategyDefinitions, isStrategyDefinitionDocument } from '../validateDefinitions';
+
+const strategy = {
+  id: 'prednisone-tablets',
+  match: { doseForms: ['Tablet'], ingredients: ['prednisone'] },
+  template: 'ORAL_TABLET_TEMPLATE'
+};
+
+describe('validateStrategyDefinitions', () => {
+  it('should accept a valid document', () => {
+    expect(validateStrategyDefinitions({ strategies: [strategy] })).toEqual([]);
+    expect(isStrategyDefinitionDocument({ strategies: [strategy] })).toBe(true);
+  });
+
+  it('should require an object with a strategies array', () => {
+    expect(validateStrategyDefinitions([])).toEqual([{ path: '$', message: 'must be an object' }]);
+    expect(validateStrategyDefinitions({})).toEqual([{ path: '$.strategies', message: 'must be an array' }]);
+  });
+
+  it('should report unrecognized properties', () => {
+    const issues = validateStrategyDefinitions({
+      strategies: [{ ...strategy, tempalte: 'DEFAULT_TEMPLATE', match: { ...strategy.match, form: ['Tablet'] } }]
+    });
+
+    expect(issues).toEqual([
+      { path: '$.strategies[0].tempalte', message: 'is not a recognized property' },
+      { path: '$.strategies[0].match.form', message: 'is not a recognized property' }
+    ]);
+  });
+
+  it('should check match criteria values', () => {
+    const issues = validateStrategyDefinitions({
+      strategies: [{ ...strategy, match: { skus: [], names: ['ok', 7] } }]
+    });
+
+    expect(issues).toEqual([
+      { path: '$.strategies[0].match.skus', message: 'must not be empty' },
+      { path: '$.strategies[0].match.names[1]', message: 'must be a non-empty string' }
+    ]);
+  });
+
+  it('should check dual dose rules and codings', () => {
+    const issues = validateStrategyDefinitions({
+      strategies: [{
+        ...strategy,
+        template: 'INJECTION_TEMPLATE',
+        dualDose: {
+          concentration: { numerator: { value: 0, unit: 'mg' }, denominator: { value: 1 } },
+          decimals: 1.5
+        },
+        route: { code: '78421000' }
+      }]
+    });
+
+    expect(issues).toEqual([
+      { path: '$.strategies[0].dualDose.concentration.numerator.value', message: 'must be a positive number' },
+      { path: '$.strategies[0].dualDose.concentration.denominator.unit', message: 'must be a non-empty string' },
+      { path: '$.strategies[0].dualDose.decimals', message: 'must be an integer from 0 to 6' },
+      { path: '$.strategies[0].route.display', message: 'must be a non-empty string' }
+    ]);
+  });
+
+  it('should report duplicate ids and modifier priorities', () => {
+    const issues = validateStrategyDefinitions({
+      strategies: [strategy, strategy],
+      modifiers: [
+        { id: 'take-with-food', priority: 40, appendText: 'Take with food.' },
+        { id: 'avoid-nsaids', priority: 40, additionalInstructions: [{ text: 'Avoid NSAIDs', display: 'NSAIDs' }] },
+        { id: 'empty', priority: 41 }
+      ]
+    });
+
+    expect(issues).toEqual([
+      { path: '$.modifiers[1].priority', message: "priority 40 is already used by modifier 'take-with-food'" },
+      { path: '$.modifiers[1].additionalInstructions[0].display', message: 'requires a code' },
+      { path: '$.modifiers[2]', message: 'must have appendText or additionalInstructions' },
+      { path: '$.strategies[1].id', message: "duplicate strategy id 'prednisone-tablets'" }
+    ]);
+  });
+});
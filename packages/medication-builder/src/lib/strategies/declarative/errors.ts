@@ -0,0 +1,39 @@
+/**
+ * Custom Error Classes for Declarative Strategies
+ *
+ * @since 3.3.0
+ */
+
+import { DefinitionIssue } from './types';
+
+/**
+ * Thrown when a strategy definition document is not valid JSON, does not
+ * match the definition format, or clashes with what is already registered.
+ */
+export class StrategyDefinitionError extends Error {
+  public readonly issues: DefinitionIssue[];
+
+  constructor(message: string, issues: DefinitionIssue[]) {
+    super(message);
+    this.name = 'StrategyDefinitionError';
+    this.issues = issues;
+
+    // Maintain proper stack trace in V8
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, StrategyDefinitionError);
+    }
+  }
+
+  /**
+   * Creates an error naming the first issue and counting the rest
+   */
+  static create(issues: DefinitionIssue[]): StrategyDefinitionError {
+    const [first] = issues;
+    const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : '';
+
+    return new StrategyDefinitionError(
+      `Invalid strategy definition at ${first.path}: ${first.message}${more}`,
+      issues
+    );
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Declarative Strategy Exports
+ *
+ * Central export point for JSON-defined strategies and their loader.
+ *
+ * @since 3.3.0
+ */
+
+export { DeclarativeStrategy } from './DeclarativeStrategy';
+export { DeclarativeModifier } from './DeclarativeModifier';
+export {
+  StrategyDefinitionLoader,
+  strategyDefinitionLoader,
+  loadStrategyDefinitions
+} from './StrategyDefinitionLoader';
+export {
+  validateStrategyDefinitions,
+  isStrategyDefinitionDocument,
+  DECLARATIVE_TEMPLATES
+} from './validateDefinitions';
+export { StrategyDefinitionError } from './errors';
+export type { CompiledStrategies } from './StrategyDefinitionLoader';
+export type {
+  DeclarativeTemplateKey,
+  StrategyMatchCriteria,
+  CodingDefinition,
+  DualDoseRule,
+  StrategyDefinition,
+  AdditionalInstructionDefinition,
+  ModifierDefinition,
+  StrategyDefinitionDocument,
+  DefinitionIssue,
+  LoadedStrategies
+} from './types';
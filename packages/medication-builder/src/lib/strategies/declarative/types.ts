@@ -0,0 +1,133 @@
+/**
+ * Declarative Strategy Types
+ *
+ * JSON shape for strategies and modifiers defined as data rather than
+ * TypeScript classes, so a protocol medication can be added without a
+ * code release.
+ *
+ * @since 3.3.0
+ */
+
+import { Ratio } from '../../../types/MedicationProfile';
+
+/**
+ * Template keys a declarative strategy can render
+ */
+export type DeclarativeTemplateKey =
+  | 'ORAL_TABLET_TEMPLATE'
+  | 'LIQUID_DOSE_TEMPLATE'
+  | 'TOPICAL_APPLICATION_TEMPLATE'
+  | 'INJECTION_TEMPLATE'
+  | 'PRN_INSTRUCTION_TEMPLATE'
+  | 'DEFAULT_TEMPLATE';
+
+/**
+ * Which medications a strategy handles. Every criterion given must
+ * match; within a criterion any listed value may match.
+ */
+export interface StrategyMatchCriteria {
+  /** Medication SKUs (exact, case-insensitive) */
+  skus?: string[];
+  /** Medication ids (exact, case-insensitive) */
+  ids?: string[];
+  /** Text contained in the medication name (case-insensitive) */
+  names?: string[];
+  /** Dose forms (exact, case-insensitive, e.g., 'Vial') */
+  doseForms?: string[];
+  /** Text contained in an ingredient name (case-insensitive) */
+  ingredients?: string[];
+}
+
+/**
+ * A coded value; the system defaults to SNOMED CT
+ */
+export interface CodingDefinition {
+  system?: string;
+  code: string;
+  display: string;
+  /** Instruction wording (e.g., 'intramuscularly', 'into the gluteal muscle') */
+  text?: string;
+}
+
+/**
+ * Show the dose in a second unit, e.g. "200 mg, as 1 mL"
+ */
+export interface DualDoseRule {
+  /** Defaults to the medication's concentration or first ingredient strength */
+  concentration?: Ratio;
+  /** Decimal places for the converted dose (default: 2) */
+  decimals?: number;
+}
+
+/**
+ * A base strategy
+ */
+export interface StrategyDefinition {
+  /** Registry name and metadata id */
+  id: string;
+  name?: string;
+  description?: string;
+  version?: string;
+  examples?: string[];
+  match: StrategyMatchCriteria;
+  template: DeclarativeTemplateKey;
+  dualDose?: DualDoseRule;
+  /** Route used when the request does not name one */
+  route?: CodingDefinition;
+  method?: CodingDefinition;
+  /** Default administration site */
+  site?: CodingDefinition;
+  /** Ids of modifiers in the same document to apply to this strategy's medications */
+  modifiers?: string[];
+}
+
+/**
+ * An additional instruction a modifier adds
+ */
+export interface AdditionalInstructionDefinition {
+  text: string;
+  system?: string;
+  code?: string;
+  display?: string;
+}
+
+/**
+ * A modifier, applied to the medications of the strategies that enable it
+ */
+export interface ModifierDefinition {
+  /** Registry name and metadata id */
+  id: string;
+  /** Must not clash with other registered modifiers */
+  priority: number;
+  name?: string;
+  description?: string;
+  version?: string;
+  /** Sentence appended to the instruction text */
+  appendText?: string;
+  additionalInstructions?: AdditionalInstructionDefinition[];
+}
+
+/**
+ * A file of declarative strategies and modifiers
+ */
+export interface StrategyDefinitionDocument {
+  strategies: StrategyDefinition[];
+  modifiers?: ModifierDefinition[];
+}
+
+/**
+ * A problem in a definition document
+ */
+export interface DefinitionIssue {
+  /** JSON path of the offending value, e.g. '$.strategies[0].template' */
+  path: string;
+  message: string;
+}
+
+/**
+ * Registry names added by a load
+ */
+export interface LoadedStrategies {
+  strategies: string[];
+  modifiers: string[];
+}
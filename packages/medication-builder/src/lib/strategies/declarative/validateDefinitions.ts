@@ -0,0 +1,321 @@
+/**
+ * Strategy Definition Validation
+ *
+ * Checks a parsed definition document against the declarative format and
+ * reports every problem with the JSON path it was found at, so a bad
+ * file can be fixed in one pass.
+ *
+ * @since 3.3.0
+ */
+
+import { DeclarativeTemplateKey, DefinitionIssue, StrategyDefinitionDocument } from './types';
+
+/**
+ * Templates a declarative strategy may use
+ */
+export const DECLARATIVE_TEMPLATES: readonly DeclarativeTemplateKey[] = [
+  'ORAL_TABLET_TEMPLATE',
+  'LIQUID_DOSE_TEMPLATE',
+  'TOPICAL_APPLICATION_TEMPLATE',
+  'INJECTION_TEMPLATE',
+  'PRN_INSTRUCTION_TEMPLATE',
+  'DEFAULT_TEMPLATE'
+];
+
+/**
+ * Templates with a {dualDose} placeholder
+ */
+export const DUAL_DOSE_TEMPLATES: readonly DeclarativeTemplateKey[] = [
+  'LIQUID_DOSE_TEMPLATE',
+  'INJECTION_TEMPLATE'
+];
+
+const MATCH_CRITERIA = ['skus', 'ids', 'names', 'doseForms', 'ingredients'];
+
+const STRATEGY_PROPERTIES = [
+  'id', 'name', 'description', 'version', 'examples', 'match',
+  'template', 'dualDose', 'route', 'method', 'site', 'modifiers'
+];
+
+const MODIFIER_PROPERTIES = [
+  'id', 'priority', 'name', 'description', 'version', 'appendText', 'additionalInstructions'
+];
+
+const CODING_PROPERTIES = ['system', 'code', 'display', 'text'];
+
+const MAX_DECIMALS = 6;
+
+type Issues = DefinitionIssue[];
+
+/**
+ * Problems in a definition document; empty when it is valid
+ *
+ * @param document - Parsed JSON
+ */
+export function validateStrategyDefinitions(document: unknown): DefinitionIssue[] {
+  const issues: Issues = [];
+
+  if (!isObject(document)) {
+    issues.push({ path: '$', message: 'must be an object' });
+    return issues;
+  }
+
+  checkProperties(document, '$', ['strategies', 'modifiers'], issues);
+
+  const modifierIds = new Set<string>();
+  if (document.modifiers !== undefined) {
+    if (checkArray(document.modifiers, '$.modifiers', issues)) {
+      const priorities = new Map<number, string>();
+      document.modifiers.forEach((modifier, i) =>
+        validateModifier(modifier, `$.modifiers[${i}]`, modifierIds, priorities, issues)
+      );
+    }
+  }
+
+  if (checkArray(document.strategies, '$.strategies', issues)) {
+    const strategyIds = new Set<string>();
+    document.strategies.forEach((strategy, i) =>
+      validateStrategy(strategy, `$.strategies[${i}]`, strategyIds, modifierIds, issues)
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Type guard for a document with no issues
+ */
+export function isStrategyDefinitionDocument(document: unknown): document is StrategyDefinitionDocument {
+  return validateStrategyDefinitions(document).length === 0;
+}
+
+function validateStrategy(
+  strategy: unknown,
+  path: string,
+  ids: Set<string>,
+  modifierIds: Set<string>,
+  issues: Issues
+): void {
+  if (!isObject(strategy)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(strategy, path, STRATEGY_PROPERTIES, issues);
+  checkId(strategy.id, `${path}.id`, ids, 'strategy', issues);
+  checkOptionalString(strategy.name, `${path}.name`, issues);
+  checkOptionalString(strategy.description, `${path}.description`, issues);
+  checkOptionalString(strategy.version, `${path}.version`, issues);
+  if (strategy.examples !== undefined) {
+    checkStringList(strategy.examples, `${path}.examples`, issues);
+  }
+
+  validateMatch(strategy.match, `${path}.match`, issues);
+
+  const template = strategy.template;
+  if (typeof template !== 'string' || !DECLARATIVE_TEMPLATES.includes(template as DeclarativeTemplateKey)) {
+    issues.push({
+      path: `${path}.template`,
+      message: `must be one of ${DECLARATIVE_TEMPLATES.join(', ')}`
+    });
+  }
+
+  if (strategy.dualDose !== undefined) {
+    validateDualDose(strategy.dualDose, `${path}.dualDose`, issues);
+    if (typeof template === 'string' && DECLARATIVE_TEMPLATES.includes(template as DeclarativeTemplateKey) &&
+        !DUAL_DOSE_TEMPLATES.includes(template as DeclarativeTemplateKey)) {
+      issues.push({ path: `${path}.dualDose`, message: `${template} has no dual dose` });
+    }
+  }
+
+  for (const key of ['route', 'method', 'site']) {
+    if (strategy[key] !== undefined) {
+      validateCoding(strategy[key], `${path}.${key}`, issues);
+    }
+  }
+
+  if (strategy.modifiers !== undefined && checkStringList(strategy.modifiers, `${path}.modifiers`, issues)) {
+    strategy.modifiers.forEach((id, i) => {
+      if (!modifierIds.has(id)) {
+        issues.push({ path: `${path}.modifiers[${i}]`, message: `unknown modifier '${id}'` });
+      }
+    });
+  }
+}
+
+function validateMatch(match: unknown, path: string, issues: Issues): void {
+  if (!isObject(match)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(match, path, MATCH_CRITERIA, issues);
+
+  const criteria = MATCH_CRITERIA.filter(key => match[key] !== undefined);
+  if (criteria.length === 0) {
+    issues.push({ path, message: `must have at least one of ${MATCH_CRITERIA.join(', ')}` });
+  }
+  for (const key of criteria) {
+    checkStringList(match[key], `${path}.${key}`, issues);
+  }
+}
+
+function validateDualDose(rule: unknown, path: string, issues: Issues): void {
+  if (!isObject(rule)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(rule, path, ['concentration', 'decimals'], issues);
+
+  if (rule.concentration !== undefined) {
+    const concentration = rule.concentration;
+    if (!isObject(concentration)) {
+      issues.push({ path: `${path}.concentration`, message: 'must be an object' });
+    } else {
+      checkProperties(concentration, `${path}.concentration`, ['numerator', 'denominator'], issues);
+      checkQuantity(concentration.numerator, `${path}.concentration.numerator`, issues);
+      checkQuantity(concentration.denominator, `${path}.concentration.denominator`, issues);
+    }
+  }
+
+  const decimals = rule.decimals;
+  if (decimals !== undefined &&
+      (typeof decimals !== 'number' || !Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS)) {
+    issues.push({ path: `${path}.decimals`, message: `must be an integer from 0 to ${MAX_DECIMALS}` });
+  }
+}
+
+function validateCoding(coding: unknown, path: string, issues: Issues): void {
+  if (!isObject(coding)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(coding, path, CODING_PROPERTIES, issues);
+  checkString(coding.code, `${path}.code`, issues);
+  checkString(coding.display, `${path}.display`, issues);
+  checkOptionalString(coding.system, `${path}.system`, issues);
+  checkOptionalString(coding.text, `${path}.text`, issues);
+}
+
+function validateModifier(
+  modifier: unknown,
+  path: string,
+  ids: Set<string>,
+  priorities: Map<number, string>,
+  issues: Issues
+): void {
+  if (!isObject(modifier)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(modifier, path, MODIFIER_PROPERTIES, issues);
+  checkId(modifier.id, `${path}.id`, ids, 'modifier', issues);
+  checkOptionalString(modifier.name, `${path}.name`, issues);
+  checkOptionalString(modifier.description, `${path}.description`, issues);
+  checkOptionalString(modifier.version, `${path}.version`, issues);
+
+  const priority = modifier.priority;
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+    issues.push({ path: `${path}.priority`, message: 'must be a number' });
+  } else if (priorities.has(priority)) {
+    issues.push({
+      path: `${path}.priority`,
+      message: `priority ${priority} is already used by modifier '${priorities.get(priority)}'`
+    });
+  } else if (typeof modifier.id === 'string') {
+    priorities.set(priority, modifier.id);
+  }
+
+  if (modifier.appendText === undefined && modifier.additionalInstructions === undefined) {
+    issues.push({ path, message: 'must have appendText or additionalInstructions' });
+  }
+  checkOptionalString(modifier.appendText, `${path}.appendText`, issues);
+
+  if (modifier.additionalInstructions !== undefined &&
+      checkArray(modifier.additionalInstructions, `${path}.additionalInstructions`, issues)) {
+    modifier.additionalInstructions.forEach((instruction, i) => {
+      const itemPath = `${path}.additionalInstructions[${i}]`;
+      if (!isObject(instruction)) {
+        issues.push({ path: itemPath, message: 'must be an object' });
+        return;
+      }
+      checkProperties(instruction, itemPath, ['text', 'system', 'code', 'display'], issues);
+      checkString(instruction.text, `${itemPath}.text`, issues);
+      checkOptionalString(instruction.system, `${itemPath}.system`, issues);
+      checkOptionalString(instruction.code, `${itemPath}.code`, issues);
+      checkOptionalString(instruction.display, `${itemPath}.display`, issues);
+      if (instruction.display !== undefined && instruction.code === undefined) {
+        issues.push({ path: `${itemPath}.display`, message: 'requires a code' });
+      }
+    });
+  }
+}
+
+function checkId(id: unknown, path: string, seen: Set<string>, kind: string, issues: Issues): void {
+  if (!checkString(id, path, issues)) return;
+
+  if (seen.has(id)) {
+    issues.push({ path, message: `duplicate ${kind} id '${id}'` });
+  }
+  seen.add(id);
+}
+
+function checkQuantity(quantity: unknown, path: string, issues: Issues): void {
+  if (!isObject(quantity)) {
+    issues.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  checkProperties(quantity, path, ['value', 'unit'], issues);
+  if (typeof quantity.value !== 'number' || !(quantity.value > 0) || !Number.isFinite(quantity.value)) {
+    issues.push({ path: `${path}.value`, message: 'must be a positive number' });
+  }
+  checkString(quantity.unit, `${path}.unit`, issues);
+}
+
+function checkProperties(value: Record<string, unknown>, path: string, allowed: string[], issues: Issues): void {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      issues.push({ path: `${path}.${key}`, message: 'is not a recognized property' });
+    }
+  }
+}
+
+function checkArray(value: unknown, path: string, issues: Issues): value is unknown[] {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: 'must be an array' });
+    return false;
+  }
+  return true;
+}
+
+function checkStringList(value: unknown, path: string, issues: Issues): value is string[] {
+  if (!checkArray(value, path, issues)) return false;
+
+  if (value.length === 0) {
+    issues.push({ path, message: 'must not be empty' });
+    return false;
+  }
+  return value.map((item, i) => checkString(item, `${path}[${i}]`, issues)).every(Boolean);
+}
+
+function checkString(value: unknown, path: string, issues: Issues): value is string {
+  if (typeof value !== 'string' || value.trim() === '') {
+    issues.push({ path, message: 'must be a non-empty string' });
+    return false;
+  }
+  return true;
+}
+
+function checkOptionalString(value: unknown, path: string, issues: Issues): void {
+  if (value !== undefined) {
+    checkString(value, path, issues);
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
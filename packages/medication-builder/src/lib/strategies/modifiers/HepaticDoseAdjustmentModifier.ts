@@ -0,0 +1,71 @@
+/**
+ * Hepatic Dose Adjustment Modifier
+ *
+ * Applies per-medication hepatic adjustment tables using the patient's
+ * Child-Pugh class (e.g., "contraindicated in Child-Pugh C").
+ *
+ * @since 3.3.0
+ */
+
+import { IModifierStrategyWithMetadata } from '../types';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+import {
+  DoseAdjustmentTables,
+  HepaticAdjustmentRule,
+  findAdjustmentTable,
+  applyDoseAdjustment
+} from './doseAdjustment';
+
+export class HepaticDoseAdjustmentModifier implements IModifierStrategyWithMetadata {
+  readonly priority = 6; // Right after renal adjustment
+
+  readonly metadata = {
+    id: 'hepatic-dose-adjustment-modifier',
+    name: 'Hepatic Dose Adjustment Modifier',
+    description: 'Adjusts dose or interval from Child-Pugh class using per-medication tables',
+    examples: ['Contraindicated in Child-Pugh C', 'Reduce to 50% in Child-Pugh B'],
+    version: '1.0.0'
+  };
+
+  constructor(private readonly tables: DoseAdjustmentTables) {}
+
+  /**
+   * Applies when the patient has a Child-Pugh class and a rule matches
+   */
+  appliesTo(context: MedicationRequestContext): boolean {
+    return this.findRule(context) !== undefined;
+  }
+
+  /**
+   * Rewrites the instruction for the first matching rule
+   */
+  modify(
+    instruction: SignatureInstruction,
+    context: MedicationRequestContext
+  ): SignatureInstruction {
+    const rule = this.findRule(context);
+    if (!rule) return instruction;
+
+    const reason = `Child-Pugh ${context.patient.hepaticFunction!.childPughScore}`;
+    return applyDoseAdjustment(instruction, context, rule.action, reason);
+  }
+
+  /**
+   * Explains the modifier's behavior
+   */
+  explain(): string {
+    return 'Hepatic dose adjustment modifier: Applies Child-Pugh dose/interval rules and adds a warning';
+  }
+
+  /**
+   * First rule listing the patient's Child-Pugh class
+   */
+  private findRule(context: MedicationRequestContext): HepaticAdjustmentRule | undefined {
+    const score = context.patient?.hepaticFunction?.childPughScore;
+    if (!score) return undefined;
+
+    return findAdjustmentTable(this.tables, context.medication)?.hepatic
+      ?.find(rule => rule.childPugh.includes(score));
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Renal Dose Adjustment Modifier
+ *
+ * Applies per-medication renal adjustment tables using the patient's
+ * eGFR or creatinine clearance (e.g., "reduce to 50% if eGFR < 30").
+ *
+ * @since 3.3.0
+ */
+
+import { IModifierStrategyWithMetadata } from '../types';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+import {
+  DoseAdjustmentTables,
+  RenalAdjustmentRule,
+  findAdjustmentTable,
+  applyDoseAdjustment
+} from './doseAdjustment';
+
+export class RenalDoseAdjustmentModifier implements IModifierStrategyWithMetadata {
+  readonly priority = 5; // Before display modifiers so they see the adjusted dose
+
+  readonly metadata = {
+    id: 'renal-dose-adjustment-modifier',
+    name: 'Renal Dose Adjustment Modifier',
+    description: 'Adjusts dose or interval from eGFR/CrCl using per-medication tables',
+    examples: ['Reduce to 50% if eGFR < 30', 'Extend interval to q48h if CrCl < 20'],
+    version: '1.0.0'
+  };
+
+  constructor(private readonly tables: DoseAdjustmentTables) {}
+
+  /**
+   * Applies when the patient has renal data and a rule matches
+   */
+  appliesTo(context: MedicationRequestContext): boolean {
+    return this.findRule(context) !== undefined;
+  }
+
+  /**
+   * Rewrites the instruction for the most restrictive matching rule
+   */
+  modify(
+    instruction: SignatureInstruction,
+    context: MedicationRequestContext
+  ): SignatureInstruction {
+    const rule = this.findRule(context);
+    if (!rule) return instruction;
+
+    const measure = rule.measure || 'egfr';
+    const value = this.getMeasureValue(context, measure)!;
+    const reason = `${measure === 'crcl' ? 'CrCl' : 'eGFR'} ${value} < ${rule.below}`;
+
+    return applyDoseAdjustment(instruction, context, rule.action, reason);
+  }
+
+  /**
+   * Explains the modifier's behavior
+   */
+  explain(): string {
+    return 'Renal dose adjustment modifier: Applies renal function dose/interval rules and adds a warning';
+  }
+
+  /**
+   * Lowest-threshold rule the patient falls under
+   */
+  private findRule(context: MedicationRequestContext): RenalAdjustmentRule | undefined {
+    const rules = findAdjustmentTable(this.tables, context.medication)?.renal;
+    if (!rules?.length || !context.patient?.renalFunction) return undefined;
+
+    return [...rules]
+      .sort((a, b) => a.below - b.below)
+      .find(rule => {
+        const value = this.getMeasureValue(context, rule.measure || 'egfr');
+        return value !== undefined && value < rule.below;
+      });
+  }
+
+  /**
+   * Patient eGFR or CrCl (mL/min)
+   */
+  private getMeasureValue(context: MedicationRequestContext, measure: 'egfr' | 'crcl'): number | undefined {
+    const renal = context.patient.renalFunction;
+    return measure === 'crcl' ? renal?.creatinineClearance : renal?.egfr;
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Tests for renal and hepatic dose adjustment modifiers
+ */
+
+import { RenalDoseAdjustmentModifier } from '../RenalDoseAdjustmentModifier';
+import { HepaticDoseAdjustmentModifier } from '../HepaticDoseAdjustmentModifier';
+import { DoseAdjustmentTables } from '../doseAdjustment';
+import { MedicationRequestContext } from '../../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../../types/SignatureInstruction';
+
+describe('Dose Adjustment Modifiers', () => {
+  const tables: DoseAdjustmentTables = {
+    gabapentin: {
+      renal: [
+        { below: 30, action: { type: 'reduceDose', percent: 50 } },
+        { measure: 'crcl', below: 15, action: { type: 'extendInterval', period: 48, periodUnit: 'h' } }
+      ],
+      hepatic: [{ childPugh: ['B'], action: { type: 'reduceDose', percent: 50 } }]
+    },
+    'ambrisentan-5mg': {
+      hepatic: [{ childPugh: ['C'], action: { type: 'contraindicated' } }]
+    }
+  };
+
+  let context: MedicationRequestContext;
+  let instruction: SignatureInstruction;
+
+  beforeEach(() => {
+    context = {
+      id: 'req-1',
+      timestamp: '2026-01-01T00:00:00Z',
+      patient: { id: 'patient-1', age: 70 },
+      medication: {
+        id: 'gabapentin-300mg',
+        name: 'Gabapentin 300 MG Oral Capsule',
+        type: 'medication',
+        isActive: true,
+        doseForm: 'Capsule',
+        code: { coding: [{ display: 'Gabapentin 300 MG Oral Capsule' }] },
+        ingredient: [{
+          name: 'Gabapentin',
+          strengthRatio: {
+            numerator: { value: 300, unit: 'mg' },
+            denominator: { value: 1, unit: 'capsule' }
+          }
+        }]
+      },
+      dose: { value: 600, unit: 'mg' },
+      route: 'by mouth',
+      frequency: 'three times daily'
+    };
+
+    instruction = {
+      text: 'Take 600 mg by mouth three times daily.',
+      doseAndRate: [{ doseQuantity: { value: 600, unit: 'mg' } }],
+      timing: { repeat: { frequency: 3, period: 1, periodUnit: 'd' } }
+    };
+  });
+
+  describe('RenalDoseAdjustmentModifier', () => {
+    let modifier: RenalDoseAdjustmentModifier;
+
+    beforeEach(() => {
+      modifier = new RenalDoseAdjustmentModifier(tables);
+    });
+
+    it('should not apply without renal function', () => {
+      expect(modifier.appliesTo(context)).toBe(false);
+    });
+
+    it('should not apply above the threshold', () => {
+      context.patient.renalFunction = { egfr: 45, unit: 'mL/min/1.73m2' };
+      expect(modifier.appliesTo(context)).toBe(false);
+    });
+
+    it('should reduce the dose to 50% when eGFR < 30', () => {
+      context.patient.renalFunction = { egfr: 25, unit: 'mL/min/1.73m2' };
+
+      expect(modifier.appliesTo(context)).toBe(true);
+      const result = modifier.modify(instruction, context);
+
+      expect(result.text).toBe('Take 300 mg by mouth three times daily.');
+      expect(result.doseAndRate?.[0].doseQuantity).toEqual({ value: 300, unit: 'mg' });
+      expect(result.additionalInstructions).toEqual([
+        { text: 'Warning: reduce dose to 50% (eGFR 25 < 30)' }
+      ]);
+    });
+
+    it('should reduce the dose in the patient instructions', () => {
+      context.patient.renalFunction = { egfr: 25, unit: 'mL/min/1.73m2' };
+
+      const result = modifier.modify({
+        ...instruction,
+        patientInstructions: 'Tome 600 mg por vía oral tres veces al día.'
+      }, context);
+
+      expect(result.patientInstructions).toBe('Tome 300 mg por vía oral tres veces al día.');
+    });
+
+    it('should extend the interval to q48h using the most restrictive rule', () => {
+      context.patient.renalFunction = { egfr: 12, unit: 'mL/min/1.73m2', creatinineClearance: 10 };
+
+      const result = modifier.modify(instruction, context);
+
+      expect(result.text).toBe('Take 600 mg by mouth every 48 hours.');
+      expect(result.timing?.repeat).toMatchObject({ frequency: 1, period: 48, periodUnit: 'h' });
+      expect(result.additionalInstructions?.[0].text)
+        .toBe('Warning: extend interval to every 48 h (CrCl 10 < 15)');
+    });
+
+    it('should match tables by ingredient name', () => {
+      context.medication.id = 'some-other-id';
+      context.patient.renalFunction = { egfr: 20, unit: 'mL/min/1.73m2' };
+      expect(modifier.appliesTo(context)).toBe(true);
+    });
+  });
+
+  describe('HepaticDoseAdjustmentModifier', () => {
+    let modifier: HepaticDoseAdjustmentModifier;
+
+    beforeEach(() => {
+      modifier = new HepaticDoseAdjustmentModifier(tables);
+      context.medication = { ...context.medication, id: 'ambrisentan-5mg', ingredient: [] };
+    });
+
+    it('should not apply for Child-Pugh A', () => {
+      context.patient.hepaticFunction = { unit: 'U/L', childPughScore: 'A' };
+      expect(modifier.appliesTo(context)).toBe(false);
+    });
+
+    it('should mark the instruction contraindicated in Child-Pugh C', () => {
+      context.patient.hepaticFunction = { unit: 'U/L', childPughScore: 'C' };
+
+      expect(modifier.appliesTo(context)).toBe(true);
+      const result = modifier.modify(instruction, context);
+
+      expect(result.text).toBe(
+        'Do not use: contraindicated (Child-Pugh C). Take 600 mg by mouth three times daily.'
+      );
+      expect(result.additionalInstructions).toEqual([
+        { text: 'Warning: contraindicated (Child-Pugh C)' }
+      ]);
+    });
+  });
+
+  describe('Renal and hepatic together', () => {
+    it('should reduce the already adjusted dose', () => {
+      context.patient.renalFunction = { egfr: 25, unit: 'mL/min/1.73m2' };
+      context.patient.hepaticFunction = { unit: 'U/L', childPughScore: 'B' };
+      const renal = new RenalDoseAdjustmentModifier(tables);
+      const hepatic = new HepaticDoseAdjustmentModifier(tables);
+
+      const result = hepatic.modify(renal.modify({
+        ...instruction,
+        patientInstructions: 'Tome 600 mg por vía oral tres veces al día.'
+      }, context), context);
+
+      expect(result.text).toBe('Take 150 mg by mouth three times daily.');
+      expect(result.patientInstructions).toBe('Tome 150 mg por vía oral tres veces al día.');
+      expect(result.doseAndRate?.[0].doseQuantity).toEqual({ value: 150, unit: 'mg' });
+    });
+  });
+
+  describe('Priority', () => {
+    it('should run renal before hepatic and before display modifiers', () => {
+      const renal = new RenalDoseAdjustmentModifier(tables);
+      const hepatic = new HepaticDoseAdjustmentModifier(tables);
+
+      expect(renal.priority).toBeLessThan(hepatic.priority);
+      expect(hepatic.priority).toBeLessThan(10);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Dose Adjustment Tables
+ *
+ * Declarative per-medication renal and hepatic adjustment rules and the
+ * shared logic that rewrites an instruction for a matched rule.
+ *
+ * @since 3.3.0
+ */
+
+import { MedicationProfile } from '../../../types/MedicationProfile';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+import { SignatureInstruction } from '../../../types/SignatureInstruction';
+
+/**
+ * What to do when a rule matches
+ */
+export type DoseAdjustmentAction =
+  /** Reduce each dose to a percentage of the ordered dose */
+  | { type: 'reduceDose'; percent: number }
+  /** Give one dose every `period` `periodUnit` (e.g., q48h) */
+  | { type: 'extendInterval'; period: number; periodUnit: string }
+  /** Do not use */
+  | { type: 'contraindicated' };
+
+/**
+ * Renal rule, matched when the measure is below the threshold
+ */
+export interface RenalAdjustmentRule {
+  /** Kidney function measure (defaults to eGFR) */
+  measure?: 'egfr' | 'crcl';
+  /** Applies when the measure is below this value (mL/min) */
+  below: number;
+  action: DoseAdjustmentAction;
+}
+
+/**
+ * Hepatic rule, matched on Child-Pugh class
+ */
+export interface HepaticAdjustmentRule {
+  childPugh: Array<'A' | 'B' | 'C'>;
+  action: DoseAdjustmentAction;
+}
+
+/**
+ * Adjustment rules for a single medication
+ */
+export interface DoseAdjustmentTable {
+  renal?: RenalAdjustmentRule[];
+  hepatic?: HepaticAdjustmentRule[];
+}
+
+/**
+ * Tables keyed by medication ID or lower-case ingredient name
+ */
+export type DoseAdjustmentTables = Record<string, DoseAdjustmentTable>;
+
+/**
+ * Find the adjustment table for a medication. Medication ID wins over
+ * ingredient name.
+ */
+export function findAdjustmentTable(
+  tables: DoseAdjustmentTables,
+  medication: MedicationProfile | undefined
+): DoseAdjustmentTable | undefined {
+  if (!medication) return undefined;
+  if (tables[medication.id]) return tables[medication.id];
+
+  for (const ingredient of medication.ingredient || []) {
+    const table = tables[ingredient.name.toLowerCase()];
+    if (table) return table;
+  }
+
+  return undefined;
+}
+
+/**
+ * Describe an action for warnings and explanations
+ */
+export function describeAdjustmentAction(action: DoseAdjustmentAction): string {
+  switch (action.type) {
+    case 'reduceDose':
+      return `reduce dose to ${action.percent}%`;
+    case 'extendInterval':
+      return `extend interval to every ${action.period} ${action.periodUnit}`;
+    case 'contraindicated':
+      return 'contraindicated';
+  }
+}
+
+const PERIOD_UNIT_WORDS: Record<string, string> = {
+  h: 'hours',
+  d: 'days',
+  wk: 'weeks'
+};
+
+/**
+ * Rewrite an instruction for an adjustment and append a warning
+ *
+ * @param instruction - Instruction to rewrite
+ * @param context - Request context (ordered dose and frequency)
+ * @param action - Adjustment to apply
+ * @param reason - Why the adjustment applies (e.g., "eGFR 25 < 30")
+ * @returns New instruction with rewritten text, structured dose/timing and a warning
+ */
+export function applyDoseAdjustment(
+  instruction: SignatureInstruction,
+  context: MedicationRequestContext,
+  action: DoseAdjustmentAction,
+  reason: string
+): SignatureInstruction {
+  let text = instruction.text;
+  let patientInstructions = instruction.patientInstructions;
+  let doseAndRate = instruction.doseAndRate;
+  let timing = instruction.timing;
+
+  switch (action.type) {
+    case 'reduceDose': {
+      const factor = action.percent / 100;
+      const scale = (value?: number) => value === undefined ? undefined : round(value * factor);
+
+      doseAndRate = doseAndRate?.map(entry => ({
+        ...entry,
+        ...(entry.doseQuantity && {
+          doseQuantity: { ...entry.doseQuantity, value: scale(entry.doseQuantity.value)! }
+        }),
+        ...(entry.doseRange && {
+          doseRange: {
+            low: entry.doseRange.low && { ...entry.doseRange.low, value: scale(entry.doseRange.low.value)! },
+            high: entry.doseRange.high && { ...entry.doseRange.high, value: scale(entry.doseRange.high.value)! }
+          }
+        })
+      }));
+
+      // The current dose, which an earlier adjustment may already have changed
+      const dose = instruction.doseAndRate?.find(entry => entry.doseQuantity)?.doseQuantity?.value ??
+        context.dose?.value;
+      if (dose !== undefined) {
+        const pattern = new RegExp(`(^|\\s)${escapeRegExp(String(dose))}(?=\\s)`);
+        const rewrite = (value: string) => value.replace(pattern, `$1${scale(dose)}`);
+        text = rewrite(text);
+        patientInstructions = patientInstructions && rewrite(patientInstructions);
+      }
+      break;
+    }
+
+    case 'extendInterval': {
+      const unitWord = PERIOD_UNIT_WORDS[action.periodUnit] || action.periodUnit;
+      const intervalText = `every ${action.period} ${unitWord}`;
+
+      timing = {
+        ...timing,
+        repeat: {
+          ...timing?.repeat,
+          frequency: 1,
+          period: action.period,
+          periodUnit: action.periodUnit
+        }
+      };
+
+      const frequency = context.frequency?.toLowerCase();
+      text = frequency && text.includes(frequency)
+        ? text.replace(frequency, intervalText)
+        : text.replace(/\.?$/, ` ${intervalText}.`);
+      break;
+    }
+
+    case 'contraindicated':
+      text = `Do not use: contraindicated (${reason}). ${text}`;
+      break;
+  }
+
+  return {
+    ...instruction,
+    text,
+    patientInstructions,
+    doseAndRate,
+    timing,
+    additionalInstructions: [
+      ...(instruction.additionalInstructions || []),
+      { text: `Warning: ${describeAdjustmentAction(action)} (${reason})` }
+    ]
+  };
+}
+
+function round(value: number): number {
+  return Number(value.toFixed(4));
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -7,4 +7,15 @@
  */
 
 export { TopiclickModifier } from './TopiclickModifier';
-export { StrengthDisplayModifier } from './StrengthDisplayModifier';
\ No newline at end of file
+export { StrengthDisplayModifier } from './StrengthDisplayModifier';
+export { RenalDoseAdjustmentModifier } from './RenalDoseAdjustmentModifier';
+export { HepaticDoseAdjustmentModifier } from './HepaticDoseAdjustmentModifier';
+export { registerDoseAdjustmentModifiers } from './registerDoseAdjustmentModifiers';
+export { applyDoseAdjustment, findAdjustmentTable } from './doseAdjustment';
+export type {
+  DoseAdjustmentAction,
+  DoseAdjustmentTable,
+  DoseAdjustmentTables,
+  RenalAdjustmentRule,
+  HepaticAdjustmentRule
+} from './doseAdjustment';
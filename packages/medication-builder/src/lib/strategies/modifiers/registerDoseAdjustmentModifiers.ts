@@ -0,0 +1,24 @@
+/**
+ * Dose Adjustment Modifier Registration
+ *
+ * Registers the renal and hepatic adjustment modifiers with a
+ * StrategyRegistry using one shared set of adjustment tables.
+ *
+ * @since 3.3.0
+ */
+
+import type { StrategyRegistry } from '../../registry/StrategyRegistry';
+import { DoseAdjustmentTables } from './doseAdjustment';
+import { RenalDoseAdjustmentModifier } from './RenalDoseAdjustmentModifier';
+import { HepaticDoseAdjustmentModifier } from './HepaticDoseAdjustmentModifier';
+
+/**
+ * Register renal and hepatic adjustment modifiers sharing one set of tables
+ */
+export function registerDoseAdjustmentModifiers(
+  registry: StrategyRegistry,
+  tables: DoseAdjustmentTables
+): void {
+  registry.registerModifier('renal-dose-adjustment', new RenalDoseAdjustmentModifier(tables));
+  registry.registerModifier('hepatic-dose-adjustment', new HepaticDoseAdjustmentModifier(tables));
+}
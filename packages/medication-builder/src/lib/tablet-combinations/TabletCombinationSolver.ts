@@ -0,0 +1,209 @@
+/**
+ * Tablet Combination Solver
+ *
+ * Finds the combinations of available tablet strengths that make a dose
+ * no single strength can, e.g. warfarin 7.5 mg as one 5 mg tablet plus
+ * one 2.5 mg tablet. Tablets are split only as far as their scoring
+ * allows, and combinations are ranked by fewest tablets or fewest
+ * products.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity, ScoringType } from '../../types/MedicationProfile';
+import {
+  TabletCombination,
+  TabletCombinationPart,
+  TabletCombinationPreference,
+  TabletProduct
+} from './types';
+
+/**
+ * Smallest piece of a tablet by scoring
+ */
+const SPLIT_STEPS: Record<ScoringType, number> = {
+  [ScoringType.NONE]: 1,
+  [ScoringType.HALF]: 0.5,
+  [ScoringType.QUARTER]: 0.25
+};
+
+/**
+ * Milligrams per mass unit
+ */
+const MASS_UNITS_IN_MG: Record<string, number> = {
+  mcg: 0.001,
+  ug: 0.001,
+  'µg': 0.001,
+  mg: 1,
+  g: 1000
+};
+
+/**
+ * Most tablets considered for one dose
+ */
+const MAX_TABLETS_PER_DOSE = 10;
+
+/**
+ * Relative tolerance when matching the dose, for float noise in strengths
+ */
+const DOSE_TOLERANCE = 1e-9;
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+interface ScaledProduct {
+  product: TabletProduct;
+  /** Strength in the target unit */
+  strength: number;
+  step: number;
+}
+
+export class TabletCombinationSolver {
+  /**
+   * Every combination that makes the dose exactly, best first
+   *
+   * @param target - Dose to make (e.g., 12.5 mg)
+   * @param products - Strengths on formulary
+   * @param preference - Fewest tablets (default) or fewest products
+   * @throws Error if the dose or a product strength is invalid
+   */
+  solve(
+    target: Quantity,
+    products: TabletProduct[],
+    preference: TabletCombinationPreference = 'fewest-tablets'
+  ): TabletCombination[] {
+    if (!(target.value > 0)) {
+      throw new Error(`Invalid dose: ${target.value} ${target.unit}`);
+    }
+    if (products.length === 0) {
+      throw new Error('At least one tablet product is required');
+    }
+
+    const scaled = products
+      .map(product => this.scale(product, target.unit))
+      .sort((a, b) => b.strength - a.strength);
+    const tolerance = target.value * DOSE_TOLERANCE;
+    const combinations: TabletCombination[] = [];
+
+    const search = (index: number, remaining: number, tablets: number, parts: TabletCombinationPart[]) => {
+      if (Math.abs(remaining) <= tolerance) {
+        combinations.push(this.createCombination(target, parts, tablets));
+        return;
+      }
+      if (index === scaled.length) {
+        return;
+      }
+
+      const { product, strength, step } = scaled[index];
+      const maxTablets = Math.floor(
+        Math.min((remaining + tolerance) / strength, MAX_TABLETS_PER_DOSE - tablets) / step
+      ) * step;
+      for (let count = maxTablets; count > 0; count -= step) {
+        search(index + 1, remaining - count * strength, tablets + count, [...parts, { product, tablets: count }]);
+      }
+      search(index + 1, remaining, tablets, parts);
+    };
+    search(0, target.value, 0, []);
+
+    return combinations.sort(preference === 'fewest-products'
+      ? (a, b) => a.productCount - b.productCount || a.tabletCount - b.tabletCount || splits(a) - splits(b)
+      : (a, b) => a.tabletCount - b.tabletCount || a.productCount - b.productCount || splits(a) - splits(b));
+  }
+
+  /**
+   * The best combination, or undefined when none makes the dose
+   */
+  findBest(
+    target: Quantity,
+    products: TabletProduct[],
+    preference: TabletCombinationPreference = 'fewest-tablets'
+  ): TabletCombination | undefined {
+    return this.solve(target, products, preference)[0];
+  }
+
+  /**
+   * Describes tablets of one product, e.g. "one and a half 5 mg tablets"
+   */
+  describePart(part: TabletCombinationPart): string {
+    const strength = `${formatNumber(part.product.strength.value)} ${part.product.strength.unit}`;
+    const whole = Math.floor(part.tablets);
+    const fraction = part.tablets - whole;
+
+    if (fraction === 0) {
+      return `${toWords(whole)} ${strength} tablet${whole === 1 ? '' : 's'}`;
+    }
+    if (whole === 0) {
+      return fraction === 0.5 ? `half a ${strength} tablet`
+        : fraction === 0.25 ? `a quarter of a ${strength} tablet`
+        : `three quarters of a ${strength} tablet`;
+    }
+
+    const fractionText = fraction === 0.5 ? 'a half' : fraction === 0.25 ? 'a quarter' : 'three quarters';
+    return `${toWords(whole)} and ${fractionText} ${strength} tablets`;
+  }
+
+  private scale(product: TabletProduct, unit: string): ScaledProduct {
+    if (!(product.strength?.value > 0)) {
+      throw new Error(`Invalid tablet strength: ${product.strength?.value} ${product.strength?.unit}`);
+    }
+
+    return {
+      product,
+      strength: convertStrength(product.strength, unit),
+      step: SPLIT_STEPS[product.isScored || ScoringType.NONE]
+    };
+  }
+
+  private createCombination(target: Quantity, parts: TabletCombinationPart[], tabletCount: number): TabletCombination {
+    return {
+      parts,
+      total: { value: target.value, unit: target.unit },
+      tabletCount,
+      productCount: parts.length,
+      requiresSplitting: parts.some(part => part.tablets % 1 !== 0),
+      text: parts.map(part => this.describePart(part)).join(' plus ')
+    };
+  }
+}
+
+function splits(combination: TabletCombination): number {
+  return combination.parts.filter(part => part.tablets % 1 !== 0).length;
+}
+
+/**
+ * Converts a strength to the dose unit: mass units scale, other units
+ * must match
+ */
+function convertStrength(strength: Quantity, unit: string): number {
+  if (strength.unit.toLowerCase() === unit.toLowerCase()) {
+    return strength.value;
+  }
+
+  const from = MASS_UNITS_IN_MG[strength.unit.toLowerCase()];
+  const to = MASS_UNITS_IN_MG[unit.toLowerCase()];
+  if (from === undefined || to === undefined) {
+    throw new Error(`Cannot convert ${strength.unit} to ${unit} for tablet combinations`);
+  }
+  return strength.value * from / to;
+}
+
+function toWords(value: number): string {
+  return NUMBER_WORDS[value] || String(value);
+}
+
+function formatNumber(value: number): string {
+  return String(Math.round(value * 10000) / 10000);
+}
+
+// Export singleton instance
+export const tabletCombinationSolver = new TabletCombinationSolver();
+
+/**
+ * Convenience function for the best combination of tablets for a dose
+ */
+export function findTabletCombination(
+  target: Quantity,
+  products: TabletProduct[],
+  preference: TabletCombinationPreference = 'fewest-tablets'
+): TabletCombination | undefined {
+  return tabletCombinationSolver.findBest(target, products, preference);
+}
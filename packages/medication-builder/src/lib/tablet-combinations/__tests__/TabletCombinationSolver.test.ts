@@ -0,0 +1,92 @@
+/**
+ * Tests for TabletCombinationSolver
+ */
+
+import { TabletCombinationSolver, findTabletCombination } from '../TabletCombinationSolver';
+import { TabletProduct } from '../types';
+import { ScoringType } from '../../../types/MedicationProfile';
+
+const warfarin5: TabletProduct = { strength: { value: 5, unit: 'mg' }, isScored: ScoringType.HALF };
+const warfarin2_5: TabletProduct = { strength: { value: 2.5, unit: 'mg' } };
+const prednisone5: TabletProduct = { strength: { value: 5, unit: 'mg' } };
+const prednisone2_5: TabletProduct = { strength: { value: 2.5, unit: 'mg' } };
+
+describe('TabletCombinationSolver', () => {
+  let solver: TabletCombinationSolver;
+
+  beforeEach(() => {
+    solver = new TabletCombinationSolver();
+  });
+
+  describe('Combinations', () => {
+    it('should combine strengths for a dose no single strength makes', () => {
+      const best = solver.findBest({ value: 12.5, unit: 'mg' }, [prednisone5, prednisone2_5]);
+
+      expect(best?.text).toBe('two 5 mg tablets plus one 2.5 mg tablet');
+      expect(best?.tabletCount).toBe(3);
+      expect(best?.productCount).toBe(2);
+      expect(best?.requiresSplitting).toBe(false);
+    });
+
+    it('should list every combination, best first', () => {
+      const combinations = solver.solve({ value: 7.5, unit: 'mg' }, [prednisone5, prednisone2_5]);
+
+      expect(combinations.map(c => c.text)).toEqual([
+        'one 5 mg tablet plus one 2.5 mg tablet',
+        'three 2.5 mg tablets'
+      ]);
+    });
+
+    it('should split scored tablets', () => {
+      const best = solver.findBest({ value: 7.5, unit: 'mg' }, [warfarin5, warfarin2_5]);
+
+      expect(best?.text).toBe('one and a half 5 mg tablets');
+      expect(best?.tabletCount).toBe(1.5);
+      expect(best?.requiresSplitting).toBe(true);
+    });
+
+    it('should describe split tablets', () => {
+      expect(solver.describePart({ product: warfarin5, tablets: 0.5 })).toBe('half a 5 mg tablet');
+      expect(solver.describePart({ product: warfarin5, tablets: 0.25 })).toBe('a quarter of a 5 mg tablet');
+      expect(solver.describePart({ product: warfarin5, tablets: 2.75 })).toBe('two and three quarters 5 mg tablets');
+    });
+
+    it('should convert between mass units', () => {
+      const best = findTabletCombination(
+        { value: 137, unit: 'mcg' },
+        [{ strength: { value: 0.125, unit: 'mg' } }, { strength: { value: 12, unit: 'mcg' } }]
+      );
+
+      expect(best?.text).toBe('one 0.125 mg tablet plus one 12 mcg tablet');
+    });
+
+    it('should return nothing when no combination makes the dose', () => {
+      expect(solver.solve({ value: 3, unit: 'mg' }, [prednisone5, prednisone2_5])).toEqual([]);
+      expect(findTabletCombination({ value: 3, unit: 'mg' }, [prednisone5])).toBeUndefined();
+    });
+  });
+
+  describe('Preferences', () => {
+    it('should prefer fewest tablets by default', () => {
+      const best = solver.findBest({ value: 12.5, unit: 'mg' }, [prednisone5, prednisone2_5]);
+
+      expect(best?.parts.map(p => p.tablets)).toEqual([2, 1]);
+    });
+
+    it('should prefer a single product when asked', () => {
+      const best = solver.findBest({ value: 12.5, unit: 'mg' }, [prednisone5, prednisone2_5], 'fewest-products');
+
+      expect(best?.text).toBe('five 2.5 mg tablets');
+      expect(best?.productCount).toBe(1);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject invalid doses and products', () => {
+      expect(() => solver.solve({ value: 0, unit: 'mg' }, [prednisone5])).toThrow('Invalid dose: 0 mg');
+      expect(() => solver.solve({ value: 5, unit: 'mg' }, [])).toThrow('At least one tablet product is required');
+      expect(() => solver.solve({ value: 5, unit: 'mg' }, [{ strength: { value: 5, unit: 'mL' } }]))
+        .toThrow('Cannot convert mL to mg for tablet combinations');
+    });
+  });
+});
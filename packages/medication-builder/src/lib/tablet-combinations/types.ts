@@ -0,0 +1,53 @@
+/**
+ * Tablet Combination Types
+ *
+ * Products on formulary and the combinations of them that make up a dose.
+ *
+ * @since 3.3.0
+ */
+
+import { Quantity, ScoringType } from '../../types/MedicationProfile';
+
+/**
+ * A tablet strength that can be dispensed
+ */
+export interface TabletProduct {
+  /** Drug per tablet (e.g., 2.5 mg) */
+  strength: Quantity;
+  /** How far the tablet may be split; unscored when omitted */
+  isScored?: ScoringType;
+  /** Optional product identifier, carried through to the result */
+  id?: string;
+}
+
+/**
+ * What to minimize when several combinations make the dose
+ */
+export type TabletCombinationPreference = 'fewest-tablets' | 'fewest-products';
+
+/**
+ * Tablets of one product within a combination
+ */
+export interface TabletCombinationPart {
+  product: TabletProduct;
+  /** Tablets of this product; 0.5 and 0.25 for split tablets */
+  tablets: number;
+}
+
+/**
+ * Products that together make one dose
+ */
+export interface TabletCombination {
+  /** Strongest product first */
+  parts: TabletCombinationPart[];
+  /** Dose made, in the target unit */
+  total: Quantity;
+  /** Tablets taken, counting split tablets as fractions */
+  tabletCount: number;
+  /** Distinct products used */
+  productCount: number;
+  /** Whether any tablet must be split */
+  requiresSplitting: boolean;
+  /** E.g., "one 5 mg tablet plus one 2.5 mg tablet" */
+  text: string;
+}
@@ -1,25 +1,41 @@
 import { TemplateData } from './types';
-import { MedicationRequestContext } from '../types/MedicationRequestContext';
+import { MedicationRequestContext } from '../../types/MedicationRequestContext';
+import {
+  SupportedLocale,
+  DEFAULT_LOCALE,
+  LOCALE_VOCABULARY,
+  localizeVerb,
+  localizeRoute,
+  localizeFrequency,
+  localizeDoseUnit,
+  localizePeriodUnit,
+  localizeDiluent,
+  localizeSyringeUnit,
+  describeSchedule
+} from './locales';
+import { ReconstitutionCalculation } from '../reconstitution/types';
+import { isSyringeUnit } from '../units/syringe-units';
 
 /**
  * Builds template data from MedicationRequestContext
  * Handles all the complex logic for dose formatting, pluralization, etc.
+ * Every builder accepts a locale; en-US output is the pharmacist text.
  */
 export class TemplateDataBuilder {
   
   /**
    * Build template data for tablet/capsule medications
    */
-  static forTablet(context: MedicationRequestContext): TemplateData {
+  static forTablet(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, route, frequency, specialInstructions } = context;
     
     return {
-      verb: 'Take',
-      doseText: dose ? this.formatTabletDose(dose.value, dose.unit) : '',
+      verb: localizeVerb('Take', locale),
+      doseText: dose ? this.formatTabletDose(dose.value, dose.unit, locale) : '',
       doseValue: dose?.value,
-      doseUnit: dose ? this.formatTabletUnit(dose.value, dose.unit) : '',
-      route: this.formatRoute(route, 'tablet'),
-      frequency: frequency?.toLowerCase() || '',
+      doseUnit: dose ? this.formatTabletUnit(dose.value, dose.unit, locale) : '',
+      route: localizeRoute(this.formatRoute(route, 'tablet'), locale),
+      frequency: this.formatFrequency(frequency, locale, context),
       specialInstructions: specialInstructions ? ` ${specialInstructions}` : ''
     };
   }
@@ -27,40 +43,68 @@ export class TemplateDataBuilder {
   /**
    * Build template data for liquid medications
    */
-  static forLiquid(context: MedicationRequestContext): TemplateData {
+  static forLiquid(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { medication, dose, route, frequency, specialInstructions } = context;
+    const shakeWell = `(${LOCALE_VOCABULARY[locale].phrases.shakeWell})`;
     
     // Handle suspension shake instruction
     let liquidInstructions = specialInstructions || '';
     if (medication?.doseForm?.toLowerCase().includes('suspension')) {
       liquidInstructions = liquidInstructions ? 
-        `${liquidInstructions} (shake well before use)` : 
-        ' (shake well before use)';
+        `${liquidInstructions} ${shakeWell}` : 
+        ` ${shakeWell}`;
     }
     
     return {
-      verb: 'Take',
+      verb: localizeVerb('Take', locale),
       doseValue: dose?.value,
-      doseUnit: dose?.unit || '',
+      doseUnit: dose ? this.formatUnit(dose.value, dose.unit, locale) : '',
       dualDose: '', // Will be calculated by strategy if needed
-      route: this.formatRoute(route, 'liquid'),
-      frequency: frequency?.toLowerCase() || '',
+      route: localizeRoute(this.formatRoute(route, 'liquid'), locale),
+      frequency: this.formatFrequency(frequency, locale, context),
       specialInstructions: liquidInstructions ? ` ${liquidInstructions}` : ''
     };
   }
 
+  /**
+   * Build template data for a dose drawn from a reconstituted vial:
+   * "Add 5 mL bacteriostatic water; inject 0.25 mL (500 IU) ..."
+   */
+  static forReconstitution(
+    context: MedicationRequestContext,
+    calculation: ReconstitutionCalculation,
+    locale: SupportedLocale = DEFAULT_LOCALE
+  ): TemplateData {
+    const phrases = LOCALE_VOCABULARY[locale].phrases;
+    const route = this.formatRoute(context.route, 'liquid');
+    const verb = /intramuscular|subcutaneous|intravenous|intradermal/i.test(route) ? 'Inject' : 'Take';
+    const mixing = phrases.reconstitute(
+      `${calculation.diluentVolume.value} mL`,
+      localizeDiluent(calculation.diluent, locale)
+    );
+    const { doseAmount } = calculation;
+
+    return {
+      ...this.forLiquid(context, locale),
+      verb: `${mixing}; ${localizeVerb(verb, locale).toLowerCase()}`,
+      doseValue: calculation.drawVolume.value,
+      doseUnit: 'mL',
+      dualDose: ` (${doseAmount.value} ${this.formatUnit(doseAmount.value, doseAmount.unit, locale)})`
+    };
+  }
+
   /**
    * Build template data for topical medications
    */
-  static forTopical(context: MedicationRequestContext): TemplateData {
+  static forTopical(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, frequency, specialInstructions } = context;
     
     return {
-      verb: 'Apply',
-      doseText: dose ? `${dose.value} ${dose.unit}` : 'a thin layer',
-      route: 'topically',
+      verb: localizeVerb('Apply', locale),
+      doseText: dose ? this.formatDose(dose.value, dose.unit, locale) : LOCALE_VOCABULARY[locale].phrases.thinLayer,
+      route: localizeRoute('topically', locale),
       site: '', // Site information not available in current context
-      frequency: frequency?.toLowerCase() || '',
+      frequency: this.formatFrequency(frequency, locale, context),
       specialInstructions: specialInstructions ? ` ${specialInstructions}` : ''
     };
   }
@@ -68,17 +112,17 @@ export class TemplateDataBuilder {
   /**
    * Build template data for injection medications
    */
-  static forInjection(context: MedicationRequestContext): TemplateData {
+  static forInjection(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, route, frequency } = context;
     
     return {
-      verb: 'Inject',
+      verb: localizeVerb('Inject', locale),
       doseValue: dose?.value,
-      doseUnit: dose?.unit || '',
+      doseUnit: dose ? this.formatUnit(dose.value, dose.unit, locale) : '',
       dualDose: '', // Will be calculated by strategy if needed
-      route: this.formatRoute(route, 'injection'),
+      route: localizeRoute(this.formatRoute(route, 'injection'), locale),
       site: '', // Site information not available in current context
-      frequency: frequency?.toLowerCase() || '',
+      frequency: this.formatFrequency(frequency, locale, context),
       technique: '' // Technique information not available in current context
     };
   }
@@ -86,8 +130,9 @@ export class TemplateDataBuilder {
   /**
    * Build template data for testosterone cypionate specifically
    */
-  static forTestosteroneCypionate(context: MedicationRequestContext): TemplateData {
+  static forTestosteroneCypionate(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, frequency } = context;
+    const phrases = LOCALE_VOCABULARY[locale].phrases;
     
     // Calculate dual dosing for testosterone cypionate
     let dualDose = '';
@@ -95,52 +140,79 @@ export class TemplateDataBuilder {
       if (dose.unit === 'mg') {
         // Assume 200mg/mL concentration (standard)
         const mlValue = (dose.value / 200).toFixed(2);
-        dualDose = `, as ${mlValue} mL`;
+        dualDose = phrases.dualDose(`${mlValue} mL`);
       } else if (dose.unit === 'mL') {
         const mgValue = dose.value * 200;
-        dualDose = `, as ${mgValue} mg`;
+        dualDose = phrases.dualDose(`${mgValue} mg`);
       }
     }
     
     return {
-      verb: 'Inject',
+      verb: localizeVerb('Inject', locale),
       doseValue: dose?.value,
       doseUnit: dose?.unit || '',
       dualDose,
-      route: 'intramuscularly',
-      site: ' (rotate injection sites)',
-      frequency: frequency?.toLowerCase() || '',
+      route: localizeRoute('intramuscularly', locale),
+      site: ` (${phrases.rotateSites})`,
+      frequency: this.formatFrequency(frequency, locale, context),
       technique: ''
     };
   }
 
+  /**
+   * Build template data for insulin doses timed to meals.
+   * The meal timing stands in for the frequency (e.g., "before meals").
+   */
+  static forInsulin(context: MedicationRequestContext, mealTiming: string, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
+    const { dose, route } = context;
+
+    return {
+      verb: localizeVerb('Inject', locale),
+      doseValue: dose?.value,
+      // The template pluralizes 'unit' itself; syringe units name the syringe
+      doseUnit: dose && isSyringeUnit(dose.unit)
+        ? localizeSyringeUnit(dose.unit, dose.value, locale)
+        : dose?.unit || '',
+      route: localizeRoute(this.formatRoute(route || 'subcutaneous', 'injection'), locale),
+      frequency: this.formatFrequency(mealTiming, locale),
+      mealTiming: undefined,
+      site: undefined
+    };
+  }
+
   /**
    * Build template data for PRN (as needed) medications
    */
-  static forPRN(context: MedicationRequestContext): TemplateData {
+  static forPRN(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, route, frequency, asNeeded, maxDosePerPeriod } = context;
+    const phrases = LOCALE_VOCABULARY[locale].phrases;
     
     return {
-      verb: 'Take',
-      doseText: dose ? `${dose.value} ${dose.unit}` : '',
-      route: this.formatRoute(route, 'prn'),
-      frequencyText: frequency?.toLowerCase() || '',
-      indication: asNeeded ? ` for ${asNeeded}` : '',
-      maxDose: maxDosePerPeriod ? `. Do not exceed ${maxDosePerPeriod.dose.value} ${maxDosePerPeriod.dose.unit} in ${maxDosePerPeriod.period.value} ${maxDosePerPeriod.period.unit}` : ''
+      verb: localizeVerb('Take', locale),
+      doseText: dose ? this.formatDose(dose.value, dose.unit, locale) : '',
+      route: localizeRoute(this.formatRoute(route, 'prn'), locale),
+      frequencyText: this.formatFrequency(frequency, locale, context),
+      indication: asNeeded ? phrases.indication(asNeeded) : '',
+      maxDose: maxDosePerPeriod ? phrases.maxDose(
+        this.formatDose(maxDosePerPeriod.dose.value, maxDosePerPeriod.dose.unit, locale),
+        `${maxDosePerPeriod.period.value} ${locale === DEFAULT_LOCALE
+          ? maxDosePerPeriod.period.unit
+          : localizePeriodUnit(maxDosePerPeriod.period.unit, maxDosePerPeriod.period.value, locale)}`
+      ) : ''
     };
   }
 
   /**
    * Build template data for default/fallback case
    */
-  static forDefault(context: MedicationRequestContext): TemplateData {
+  static forDefault(context: MedicationRequestContext, locale: SupportedLocale = DEFAULT_LOCALE): TemplateData {
     const { dose, route, frequency, specialInstructions } = context;
     
     return {
-      verb: this.getDefaultVerb(route),
-      doseText: dose ? `${dose.value} ${dose.unit}` : 'as directed',
-      route: this.formatRoute(route, 'default'),
-      frequency: frequency?.toLowerCase() || '',
+      verb: localizeVerb(this.getDefaultVerb(route), locale),
+      doseText: dose ? this.formatDose(dose.value, dose.unit, locale) : LOCALE_VOCABULARY[locale].phrases.asDirected,
+      route: localizeRoute(this.formatRoute(route, 'default'), locale),
+      frequency: this.formatFrequency(frequency, locale, context),
       specialInstructions: specialInstructions ? ` ${specialInstructions}` : ''
     };
   }
@@ -149,49 +221,58 @@ export class TemplateDataBuilder {
    * Format tablet doses with proper fractions
    * CRITICAL: Never go below 1/4 tablet
    */
-  private static formatTabletDose(value: number, unit: string): string {
+  private static formatTabletDose(value: number, unit: string, locale: SupportedLocale): string {
     // If unit is already 'tablet', format with fractions
     if (unit.toLowerCase() === 'tablet' || unit.toLowerCase() === 'tablets') {
-      if (value < 0.25) return '1/4 tablet';
-      if (value === 0.25) return '1/4 tablet';
-      if (value === 0.5) return '1/2 tablet';
-      if (value === 0.75) return '3/4 tablet';
-      if (value === 1) return '1 tablet';
-      if (value === 1.5) return '1 and 1/2 tablets';
-      if (value === 2) return '2 tablets';
-      if (value === 2.5) return '2 and 1/2 tablets';
-      
-      // For other values, format as decimal
-      const whole = Math.floor(value);
-      const fraction = value - whole;
-      
-      if (fraction === 0) {
-        return `${whole} tablet${whole === 1 ? '' : 's'}`;
-      } else if (fraction === 0.25) {
-        return `${whole} and 1/4 tablets`;
-      } else if (fraction === 0.5) {
-        return `${whole} and 1/2 tablets`;
-      } else if (fraction === 0.75) {
-        return `${whole} and 3/4 tablets`;
-      }
-      
-      return `${value} tablets`;
+      return LOCALE_VOCABULARY[locale].formatTablets(value);
     }
     
     // For other units (mg, mcg, etc.), return as-is
-    return `${value} ${unit}`;
+    return this.formatDose(value, unit, locale);
   }
 
   /**
    * Format tablet unit for display
    */
-  private static formatTabletUnit(value: number, unit: string): string {
+  private static formatTabletUnit(value: number, unit: string, locale: SupportedLocale): string {
     if (unit.toLowerCase() === 'tablet' || unit.toLowerCase() === 'tablets') {
-      return value === 1 ? 'tablet' : 'tablets';
+      return localizeDoseUnit('tablet', value, locale);
     }
     return unit;
   }
 
+  /**
+   * Format a dose as "value unit"
+   */
+  private static formatDose(value: number, unit: string, locale: SupportedLocale): string {
+    return `${value} ${this.formatUnit(value, unit, locale)}`;
+  }
+
+  /**
+   * Translate a dose unit. English keeps the unit exactly as given,
+   * except syringe units, which name the syringe to read.
+   */
+  private static formatUnit(value: number, unit: string, locale: SupportedLocale): string {
+    if (isSyringeUnit(unit)) {
+      return localizeSyringeUnit(unit, value, locale);
+    }
+    return locale === DEFAULT_LOCALE ? unit : localizeDoseUnit(unit, value, locale);
+  }
+
+  /**
+   * Format frequency text for the locale, followed by any weekday or
+   * clock-time schedule from the context
+   */
+  private static formatFrequency(
+    frequency: string | undefined,
+    locale: SupportedLocale,
+    context?: Pick<MedicationRequestContext, 'dayOfWeek' | 'timeOfDay'>
+  ): string {
+    const lower = frequency?.toLowerCase() || '';
+    const text = lower && locale !== DEFAULT_LOCALE ? localizeFrequency(lower, locale) : lower;
+    return text + describeSchedule(context?.dayOfWeek, context?.timeOfDay, locale);
+  }
+
   /**
    * Format route based on medication type
    */
@@ -1,6 +1,7 @@
 import IntlMessageFormat from 'intl-messageformat';
 import '@formatjs/intl-pluralrules/polyfill';
 import '@formatjs/intl-pluralrules/locale-data/en';
+import '@formatjs/intl-pluralrules/locale-data/es';
 
 import { 
   TemplateData, 
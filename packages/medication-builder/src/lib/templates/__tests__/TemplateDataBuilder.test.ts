@@ -0,0 +1,179 @@
+import { TemplateDataBuilder } from '../TemplateDataBuilder';
+import {
+  isSupportedLocale,
+  getLocaleVocabulary,
+  localizeFrequency,
+  localizeDoseUnit,
+  localizeSyringeUnit,
+  describeSchedule
+} from '../locales';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+
+function createContext(overrides: Partial<MedicationRequestContext> = {}): MedicationRequestContext {
+  return {
+    id: 'ctx-1',
+    timestamp: '2025-01-01T00:00:00.000Z',
+    medication: {
+      id: 'med-1',
+      name: 'Lisinopril 10mg Tablet',
+      type: 'medication',
+      isActive: true,
+      doseForm: 'Tablet'
+    },
+    patient: { id: 'patient-1', age: 60 },
+    dose: { value: 1, unit: 'tablet' },
+    frequency: 'Twice daily',
+    route: 'Orally',
+    ...overrides
+  };
+}
+
+describe('TemplateDataBuilder', () => {
+  describe('en-US (default)', () => {
+    it('should keep pharmacist text unchanged', () => {
+      const data = TemplateDataBuilder.forTablet(createContext({ dose: { value: 1.5, unit: 'tablet' } }));
+
+      expect(data).toEqual({
+        verb: 'Take',
+        doseText: '1 and 1/2 tablets',
+        doseValue: 1.5,
+        doseUnit: 'tablets',
+        route: 'by mouth',
+        frequency: 'twice daily',
+        specialInstructions: ''
+      });
+    });
+
+    it('should keep PRN max dose wording', () => {
+      const data = TemplateDataBuilder.forPRN(createContext({
+        frequency: 'every 6 hours',
+        asNeeded: 'pain',
+        maxDosePerPeriod: {
+          dose: { value: 4, unit: 'tablet' },
+          period: { value: 24, unit: 'h' }
+        }
+      }));
+
+      expect(data.indication).toBe(' for pain');
+      expect(data.maxDose).toBe('. Do not exceed 4 tablet in 24 h');
+    });
+
+    it('should append weekday and clock-time schedules to the frequency', () => {
+      const data = TemplateDataBuilder.forTablet(createContext({
+        frequency: 'twice weekly',
+        dayOfWeek: ['mon', 'thu'],
+        timeOfDay: ['08:00:00']
+      }));
+
+      expect(data.frequency).toBe('twice weekly on Mondays and Thursdays at 08:00');
+    });
+
+    it('should name the syringe for syringe-unit doses', () => {
+      const insulin = TemplateDataBuilder.forInsulin(
+        createContext({ dose: { value: 12, unit: '{U100_unit}' }, route: undefined }),
+        'before meals'
+      );
+      const unitDose = TemplateDataBuilder.forInsulin(createContext({ dose: { value: 12, unit: 'unit' } }), 'before meals');
+
+      expect(insulin.doseUnit).toBe('units on a U-100 syringe');
+      expect(unitDose.doseUnit).toBe('unit');
+    });
+  });
+
+  describe('es-US', () => {
+    it('should localize verb, route, frequency and tablet fractions', () => {
+      const data = TemplateDataBuilder.forTablet(createContext({ dose: { value: 0.5, unit: 'tablet' } }), 'es-US');
+
+      expect(data.verb).toBe('Tome');
+      expect(data.doseText).toBe('media tableta');
+      expect(data.doseUnit).toBe('tabletas');
+      expect(data.route).toBe('por vía oral');
+      expect(data.frequency).toBe('dos veces al día');
+    });
+
+    it('should format whole and mixed tablet counts', () => {
+      const format = (value: number) =>
+        TemplateDataBuilder.forTablet(createContext({ dose: { value, unit: 'tablet' } }), 'es-US').doseText;
+
+      expect(format(0.25)).toBe('1/4 de tableta');
+      expect(format(1)).toBe('1 tableta');
+      expect(format(1.5)).toBe('1 tableta y media');
+      expect(format(2.75)).toBe('2 tabletas y 3/4');
+    });
+
+    it('should localize PRN indication and max dose', () => {
+      const data = TemplateDataBuilder.forPRN(createContext({
+        frequency: 'every 6 hours',
+        asNeeded: 'dolor',
+        maxDosePerPeriod: {
+          dose: { value: 4, unit: 'tablet' },
+          period: { value: 24, unit: 'h' }
+        }
+      }), 'es-US');
+
+      expect(data.frequencyText).toBe('cada 6 horas');
+      expect(data.indication).toBe(' para dolor');
+      expect(data.maxDose).toBe('. No exceda 4 tabletas en 24 horas');
+    });
+
+    it('should localize liquid suspension and injection data', () => {
+      const suspension = createContext({
+        medication: { ...createContext().medication, doseForm: 'Suspension' },
+        dose: { value: 5, unit: 'mL' },
+        route: undefined
+      });
+      const liquid = TemplateDataBuilder.forLiquid(suspension, 'es-US');
+      const injection = TemplateDataBuilder.forTestosteroneCypionate(
+        createContext({ dose: { value: 100, unit: 'mg' }, frequency: 'once weekly' }),
+        'es-US'
+      );
+
+      expect(liquid.doseUnit).toBe('mL');
+      expect(liquid.specialInstructions).toContain('(agite bien antes de usar)');
+      expect(injection.verb).toBe('Inyecte');
+      expect(injection.dualDose).toBe(', como 0.50 mL');
+      expect(injection.route).toBe('por vía intramuscular');
+      expect(injection.frequency).toBe('una vez por semana');
+    });
+
+    it('should fall back to "as directed" without a dose', () => {
+      expect(TemplateDataBuilder.forDefault(createContext({ dose: undefined }), 'es-US').doseText)
+        .toBe('según las indicaciones');
+    });
+  });
+});
+
+describe('Template locales', () => {
+  it('should reject unsupported locales', () => {
+    expect(isSupportedLocale('es-US')).toBe(true);
+    expect(isSupportedLocale('fr-FR')).toBe(false);
+    expect(() => getLocaleVocabulary('fr-FR')).toThrow('Unsupported locale: fr-FR');
+  });
+
+  it('should localize builder frequency phrases', () => {
+    expect(localizeFrequency('three times daily', 'es-US')).toBe('tres veces al día');
+    expect(localizeFrequency('4 times per 1 d', 'es-US')).toBe('4 veces al día');
+    expect(localizeFrequency('2 times per 3 d', 'es-US')).toBe('2 veces cada 3 días');
+    expect(localizeFrequency('every 4-6 hours', 'es-US')).toBe('cada 4-6 horas');
+    expect(localizeFrequency('with breakfast', 'es-US')).toBe('with breakfast');
+  });
+
+  it('should describe weekday and time schedules', () => {
+    expect(describeSchedule(['mon', 'wed', 'fri'], undefined, 'en-US')).toBe(' on Mondays, Wednesdays and Fridays');
+    expect(describeSchedule(undefined, ['08:00', '20:00:00'], 'en-US')).toBe(' at 08:00 and 20:00');
+    expect(describeSchedule(['mon', 'thu'], ['08:00'], 'es-US')).toBe(' los lunes y jueves a las 08:00');
+    expect(describeSchedule(undefined, undefined, 'en-US')).toBe('');
+  });
+
+  it('should pluralize dose units', () => {
+    expect(localizeDoseUnit('click', 1, 'es-US')).toBe('clic');
+    expect(localizeDoseUnit('puffs', 2, 'es-US')).toBe('inhalaciones');
+    expect(localizeDoseUnit('patches', 2, 'es-US')).toBe('parches');
+    expect(localizeDoseUnit('mg', 2, 'es-US')).toBe('mg');
+  });
+
+  it('should localize syringe units', () => {
+    expect(localizeSyringeUnit('{U100_unit}', 1, 'en-US')).toBe('unit on a U-100 syringe');
+    expect(localizeSyringeUnit('{U40_unit}', 20, 'es-US')).toBe('unidades en una jeringa U-40');
+  });
+});
@@ -0,0 +1,473 @@
+/**
+ * Template Locale Vocabulary
+ *
+ * Locale-specific words and phrases used when building template data:
+ * verbs, routes, frequencies, dose units, tablet fractions and the
+ * short connecting phrases (indication, max dose, dual dose).
+ * English strings match the phrases TemplateDataBuilder has always
+ * produced so en-US output is unchanged.
+ *
+ * @since 3.3.0
+ */
+
+import { SYRINGE_UNITS, SyringeUnit } from '../units/syringe-units';
+
+/**
+ * Locales with a complete template set
+ */
+export const SUPPORTED_LOCALES = ['en-US', 'es-US'] as const;
+
+export type SupportedLocale = typeof SUPPORTED_LOCALES[number];
+
+/**
+ * Locale used for pharmacist-facing instruction text
+ */
+export const DEFAULT_LOCALE: SupportedLocale = 'en-US';
+
+/**
+ * Singular/plural forms of a word
+ */
+export interface PluralForms {
+  one: string;
+  other: string;
+}
+
+/**
+ * Vocabulary for one locale
+ */
+export interface LocaleVocabulary {
+  /** Imperative verbs keyed by English verb */
+  verbs: Record<string, string>;
+  /** Route phrases keyed by lower-case English route phrase */
+  routes: Record<string, string>;
+  /** Frequency phrases keyed by lower-case English frequency */
+  frequencies: Record<string, string>;
+  /** Time units keyed by UCUM code */
+  periodUnits: Record<string, PluralForms>;
+  /** Dose units keyed by lower-case singular English unit */
+  doseUnits: Record<string, PluralForms>;
+  /** "N times per period" when the period is a single unit, keyed by UCUM code */
+  timesPer: Record<string, (count: number) => string>;
+  /** Recurring weekday names keyed by FHIR day code ("Mondays") */
+  weekdays: Record<string, string>;
+  /** Reconstitution diluents keyed by lower-case English name */
+  diluents: Record<string, string>;
+  phrases: {
+    asNeeded: string;
+    asDirected: string;
+    thinLayer: string;
+    shakeWell: string;
+    rotateSites: string;
+    indication: (indication: string) => string;
+    maxDose: (dose: string, period: string) => string;
+    dualDose: (dose: string) => string;
+    every: (interval: string, unit: string) => string;
+    /** PRN dose range note; `range` is already formatted (e.g., '1-2 tablets') */
+    doseRange: (range: string) => string;
+    timesEvery: (count: number, period: number, unit: string) => string;
+    phase: (sequence: number, name: string) => string;
+    containing: (ingredients: string) => string;
+    /** Sliding-scale condition; `max` is omitted for the open top range */
+    ifBloodGlucose: (min: number, max: number | undefined, unit: string) => string;
+    noInsulin: string;
+    /** On/off cycle appended to the frequency; `cycles` omitted repeats indefinitely */
+    cycle: (daysOn: number, daysOff: number, cycles?: number) => string;
+    /** Conjunction before the last item of a list */
+    and: string;
+    /** Weekday schedule; `days` is an already joined list */
+    onDays: (days: string) => string;
+    /** Clock-time schedule; `times` is an already joined list */
+    atTimes: (times: string) => string;
+    /** Mixing step for a powder vial */
+    reconstitute: (volume: string, diluent: string) => string;
+    /** Insulin syringe units; `units` is already pluralized */
+    syringeUnits: (units: string, syringe: string) => string;
+  };
+  /** Tablet dose with fractions (never below 1/4 tablet) */
+  formatTablets: (value: number) => string;
+}
+
+const EN_PERIOD_UNITS: Record<string, PluralForms> = {
+  min: { one: 'minute', other: 'minutes' },
+  h: { one: 'hour', other: 'hours' },
+  d: { one: 'day', other: 'days' },
+  wk: { one: 'week', other: 'weeks' },
+  mo: { one: 'month', other: 'months' }
+};
+
+const EN_US: LocaleVocabulary = {
+  verbs: {},
+  routes: {},
+  frequencies: {},
+  periodUnits: EN_PERIOD_UNITS,
+  doseUnits: {
+    tablet: { one: 'tablet', other: 'tablets' },
+    capsule: { one: 'capsule', other: 'capsules' },
+    click: { one: 'click', other: 'clicks' },
+    spray: { one: 'spray', other: 'sprays' },
+    puff: { one: 'puff', other: 'puffs' },
+    drop: { one: 'drop', other: 'drops' },
+    unit: { one: 'unit', other: 'units' },
+    patch: { one: 'patch', other: 'patches' }
+  },
+  timesPer: {
+    d: count => `${count} times daily`,
+    wk: count => `${count} times weekly`
+  },
+  weekdays: {
+    mon: 'Mondays',
+    tue: 'Tuesdays',
+    wed: 'Wednesdays',
+    thu: 'Thursdays',
+    fri: 'Fridays',
+    sat: 'Saturdays',
+    sun: 'Sundays'
+  },
+  diluents: {},
+  phrases: {
+    asNeeded: 'as needed',
+    asDirected: 'as directed',
+    thinLayer: 'a thin layer',
+    shakeWell: 'shake well before use',
+    rotateSites: 'rotate injection sites',
+    indication: indication => ` for ${indication}`,
+    maxDose: (dose, period) => `. Do not exceed ${dose} in ${period}`,
+    dualDose: dose => `, as ${dose}`,
+    every: (interval, unit) => `every ${interval} ${unit}`,
+    doseRange: range => `Dose range: ${range}`,
+    timesEvery: (count, period, unit) => `${count} times per ${period} ${unit}`,
+    phase: (sequence, name) => `Phase ${sequence} (${name})`,
+    containing: ingredients => `(containing ${ingredients})`,
+    ifBloodGlucose: (min, max, unit) => max === undefined
+      ? `If blood glucose is ${min} ${unit} or higher`
+      : `If blood glucose is ${min}-${max} ${unit}`,
+    noInsulin: 'no insulin',
+    cycle: (daysOn, daysOff, cycles) =>
+      `for ${daysOn} ${daysOn === 1 ? 'day' : 'days'}, then stop for ${daysOff} ${daysOff === 1 ? 'day' : 'days'}; ` +
+      (cycles ? `repeat for ${cycles} ${cycles === 1 ? 'cycle' : 'cycles'} in total` : 'repeat'),
+    and: 'and',
+    onDays: days => `on ${days}`,
+    atTimes: times => `at ${times}`,
+    reconstitute: (volume, diluent) => `Add ${volume} ${diluent}`,
+    syringeUnits: (units, syringe) => `${units} on a ${syringe} syringe`
+  },
+  formatTablets: value => {
+    if (value <= 0.25) return '1/4 tablet';
+    if (value === 0.5) return '1/2 tablet';
+    if (value === 0.75) return '3/4 tablet';
+
+    const whole = Math.floor(value);
+    const fraction = value - whole;
+
+    if (fraction === 0) return `${whole} tablet${whole === 1 ? '' : 's'}`;
+    if (fraction === 0.25) return `${whole} and 1/4 tablets`;
+    if (fraction === 0.5) return `${whole} and 1/2 tablets`;
+    if (fraction === 0.75) return `${whole} and 3/4 tablets`;
+    return `${value} tablets`;
+  }
+};
+
+const ES_US: LocaleVocabulary = {
+  verbs: {
+    'Take': 'Tome',
+    'Inject': 'Inyecte',
+    'Apply': 'Aplique',
+    'Instill': 'Ponga',
+    'Inhale': 'Inhale',
+    'Insert': 'Introduzca',
+    'Use': 'Use',
+    'Spray': 'Rocíe',
+    'Dissolve': 'Disuelva',
+    'Place': 'Coloque',
+    'Chew': 'Mastique'
+  },
+  routes: {
+    'by mouth': 'por vía oral',
+    'orally': 'por vía oral',
+    'intramuscularly': 'por vía intramuscular',
+    'subcutaneously': 'por vía subcutánea',
+    'subcutaneous': 'por vía subcutánea',
+    'intravenous': 'por vía intravenosa',
+    'intravenously': 'por vía intravenosa',
+    'topically': 'por vía tópica',
+    'sublingually': 'debajo de la lengua',
+    'rectally': 'por vía rectal',
+    'vaginally': 'por vía vaginal',
+    'intranasal': 'en cada fosa nasal',
+    'into each nostril': 'en cada fosa nasal',
+    'inhaled': 'por inhalación',
+    'transdermal': 'sobre la piel',
+    'on scalp': 'en el cuero cabelludo',
+    'to scalp': 'en el cuero cabelludo'
+  },
+  frequencies: {
+    'once daily': 'una vez al día',
+    'daily': 'una vez al día',
+    'twice daily': 'dos veces al día',
+    'three times daily': 'tres veces al día',
+    'four times daily': 'cuatro veces al día',
+    'every other day': 'cada dos días',
+    'once weekly': 'una vez por semana',
+    'weekly': 'una vez por semana',
+    'twice weekly': 'dos veces por semana',
+    'once monthly': 'una vez al mes',
+    'monthly': 'una vez al mes',
+    'at bedtime': 'a la hora de acostarse',
+    'before meals': 'antes de las comidas',
+    'before breakfast': 'antes del desayuno',
+    'before lunch': 'antes del almuerzo',
+    'before dinner': 'antes de la cena',
+    'after meals': 'después de las comidas',
+    'in the morning': 'por la mañana',
+    'in the evening': 'por la noche',
+    'as directed': 'según las indicaciones'
+  },
+  periodUnits: {
+    min: { one: 'minuto', other: 'minutos' },
+    h: { one: 'hora', other: 'horas' },
+    d: { one: 'día', other: 'días' },
+    wk: { one: 'semana', other: 'semanas' },
+    mo: { one: 'mes', other: 'meses' }
+  },
+  doseUnits: {
+    tablet: { one: 'tableta', other: 'tabletas' },
+    capsule: { one: 'cápsula', other: 'cápsulas' },
+    click: { one: 'clic', other: 'clics' },
+    spray: { one: 'atomización', other: 'atomizaciones' },
+    puff: { one: 'inhalación', other: 'inhalaciones' },
+    drop: { one: 'gota', other: 'gotas' },
+    unit: { one: 'unidad', other: 'unidades' },
+    patch: { one: 'parche', other: 'parches' },
+    application: { one: 'aplicación', other: 'aplicaciones' }
+  },
+  timesPer: {
+    h: count => `${count} veces por hora`,
+    d: count => `${count} veces al día`,
+    wk: count => `${count} veces por semana`,
+    mo: count => `${count} veces al mes`
+  },
+  weekdays: {
+    mon: 'lunes',
+    tue: 'martes',
+    wed: 'miércoles',
+    thu: 'jueves',
+    fri: 'viernes',
+    sat: 'sábados',
+    sun: 'domingos'
+  },
+  diluents: {
+    'bacteriostatic water': 'agua bacteriostática',
+    'sterile water': 'agua estéril',
+    'sodium chloride 0.9%': 'cloruro de sodio al 0.9%',
+    'water': 'agua'
+  },
+  phrases: {
+    asNeeded: 'según sea necesario',
+    asDirected: 'según las indicaciones',
+    thinLayer: 'una capa fina',
+    shakeWell: 'agite bien antes de usar',
+    rotateSites: 'rote los sitios de inyección',
+    indication: indication => ` para ${indication}`,
+    maxDose: (dose, period) => `. No exceda ${dose} en ${period}`,
+    dualDose: dose => `, como ${dose}`,
+    every: (interval, unit) => `cada ${interval} ${unit}`,
+    doseRange: range => `Rango de dosis: ${range}`,
+    timesEvery: (count, period, unit) => `${count} veces cada ${period} ${unit}`,
+    phase: (sequence, name) => `Fase ${sequence} (${name})`,
+    containing: ingredients => `(contiene ${ingredients})`,
+    ifBloodGlucose: (min, max, unit) => max === undefined
+      ? `Si su glucosa en sangre es ${min} ${unit} o más`
+      : `Si su glucosa en sangre está entre ${min} y ${max} ${unit}`,
+    noInsulin: 'no se inyecte insulina',
+    cycle: (daysOn, daysOff, cycles) =>
+      `durante ${daysOn} ${daysOn === 1 ? 'día' : 'días'}, luego suspenda por ${daysOff} ${daysOff === 1 ? 'día' : 'días'}; ` +
+      (cycles ? `repita hasta completar ${cycles} ${cycles === 1 ? 'ciclo' : 'ciclos'}` : 'repita'),
+    and: 'y',
+    onDays: days => `los ${days}`,
+    atTimes: times => `a las ${times}`,
+    reconstitute: (volume, diluent) => `Agregue ${volume} de ${diluent}`,
+    syringeUnits: (units, syringe) => `${units} en una jeringa ${syringe}`
+  },
+  formatTablets: value => {
+    if (value <= 0.25) return '1/4 de tableta';
+    if (value === 0.5) return 'media tableta';
+    if (value === 0.75) return '3/4 de tableta';
+
+    const whole = Math.floor(value);
+    const fraction = value - whole;
+    const tablets = `${whole} tableta${whole === 1 ? '' : 's'}`;
+
+    if (fraction === 0) return tablets;
+    if (fraction === 0.25) return `${tablets} y 1/4`;
+    if (fraction === 0.5) return `${tablets} y media`;
+    if (fraction === 0.75) return `${tablets} y 3/4`;
+    return `${value} tabletas`;
+  }
+};
+
+/**
+ * Vocabulary by locale
+ */
+export const LOCALE_VOCABULARY: Record<SupportedLocale, LocaleVocabulary> = {
+  'en-US': EN_US,
+  'es-US': ES_US
+};
+
+/**
+ * English time unit words mapped back to UCUM codes
+ */
+const ENGLISH_PERIOD_UNITS: Record<string, string> = Object.entries(EN_PERIOD_UNITS)
+  .reduce<Record<string, string>>((map, [code, forms]) => {
+    map[code] = code;
+    map[forms.one] = code;
+    map[forms.other] = code;
+    return map;
+  }, {});
+
+/**
+ * Type guard for supported locales
+ */
+export function isSupportedLocale(locale: any): locale is SupportedLocale {
+  return typeof locale === 'string' && (SUPPORTED_LOCALES as readonly string[]).includes(locale);
+}
+
+/**
+ * Get the vocabulary for a locale
+ *
+ * @throws Error if the locale is not supported
+ */
+export function getLocaleVocabulary(locale: string): LocaleVocabulary {
+  if (!isSupportedLocale(locale)) {
+    throw new Error(`Unsupported locale: ${locale}. Supported: ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+  return LOCALE_VOCABULARY[locale];
+}
+
+/**
+ * Localize an imperative verb (e.g. "Take" -> "Tome")
+ */
+export function localizeVerb(verb: string, locale: SupportedLocale): string {
+  return LOCALE_VOCABULARY[locale].verbs[verb] || verb;
+}
+
+/**
+ * Localize a route phrase (e.g. "by mouth" -> "por vía oral")
+ */
+export function localizeRoute(route: string, locale: SupportedLocale): string {
+  return LOCALE_VOCABULARY[locale].routes[route.toLowerCase()] || route;
+}
+
+/**
+ * Localize a diluent name (e.g. "bacteriostatic water" -> "agua bacteriostática")
+ */
+export function localizeDiluent(diluent: string, locale: SupportedLocale): string {
+  return LOCALE_VOCABULARY[locale].diluents[diluent.toLowerCase()] || diluent;
+}
+
+/**
+ * Localize a time unit given as a UCUM code or English word
+ */
+export function localizePeriodUnit(unit: string, value: number, locale: SupportedLocale): string {
+  const code = ENGLISH_PERIOD_UNITS[unit.toLowerCase()];
+  const forms = code ? LOCALE_VOCABULARY[locale].periodUnits[code] : undefined;
+  if (!forms) return unit;
+  return value === 1 ? forms.one : forms.other;
+}
+
+/**
+ * Localize and pluralize a dose unit. Units without an entry
+ * (mg, mL, mcg) are returned unchanged.
+ */
+export function localizeDoseUnit(unit: string, value: number, locale: SupportedLocale): string {
+  const lower = unit.toLowerCase();
+  const vocabulary = LOCALE_VOCABULARY[locale].doseUnits;
+  const forms = vocabulary[lower] ||
+    vocabulary[lower.replace(/es$/, '')] ||
+    vocabulary[lower.replace(/s$/, '')];
+  if (!forms) return unit;
+  return value === 1 ? forms.one : forms.other;
+}
+
+/**
+ * Localize an insulin syringe unit (e.g. "{U100_unit}" -> "units on a
+ * U-100 syringe")
+ */
+export function localizeSyringeUnit(unit: SyringeUnit, value: number, locale: SupportedLocale): string {
+  const vocabulary = LOCALE_VOCABULARY[locale];
+  const forms = vocabulary.doseUnits.unit;
+  return vocabulary.phrases.syringeUnits(value === 1 ? forms.one : forms.other, SYRINGE_UNITS[unit].syringe);
+}
+
+/**
+ * Join list items for the locale ("A, B and C" / "A, B y C")
+ */
+export function joinList(items: string[], locale: SupportedLocale): string {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} ${LOCALE_VOCABULARY[locale].phrases.and} ${items[items.length - 1]}`;
+}
+
+/**
+ * Describe a weekday and clock-time schedule
+ * (e.g. " on Mondays and Thursdays at 08:00 and 20:00"). Returns an
+ * empty string when neither is set; otherwise the text starts with a space.
+ */
+export function describeSchedule(
+  dayOfWeek: string[] | undefined,
+  timeOfDay: string[] | undefined,
+  locale: SupportedLocale
+): string {
+  const vocabulary = LOCALE_VOCABULARY[locale];
+  let text = '';
+
+  if (dayOfWeek?.length) {
+    const days = dayOfWeek.map(day => vocabulary.weekdays[day] || day);
+    text += ` ${vocabulary.phrases.onDays(joinList(days, locale))}`;
+  }
+  if (timeOfDay?.length) {
+    // Display hh:mm; FHIR time values carry seconds
+    const times = timeOfDay.map(time => time.replace(/^(\d{2}:\d{2}):00$/, '$1'));
+    text += ` ${vocabulary.phrases.atTimes(joinList(times, locale))}`;
+  }
+
+  return text;
+}
+
+/**
+ * Localize a frequency phrase. Handles the fixed phrases in the
+ * vocabulary plus "every N hours", "every N-M hours", "N times daily"
+ * and the builders' "N times per P unit" form. Unknown phrases are
+ * returned unchanged.
+ */
+export function localizeFrequency(frequency: string, locale: SupportedLocale): string {
+  const vocabulary = LOCALE_VOCABULARY[locale];
+  const lower = frequency.trim().toLowerCase();
+
+  if (vocabulary.frequencies[lower]) {
+    return vocabulary.frequencies[lower];
+  }
+
+  const every = /^every (\d+(?:\.\d+)?(?:-\d+(?:\.\d+)?)?) ([a-z]+)$/.exec(lower);
+  if (every) {
+    const upper = Number(every[1].split('-').pop());
+    return vocabulary.phrases.every(every[1], localizePeriodUnit(every[2], upper, locale));
+  }
+
+  const timesDaily = /^(\d+) times (daily|weekly)$/.exec(lower);
+  if (timesDaily) {
+    return vocabulary.timesPer[timesDaily[2] === 'daily' ? 'd' : 'wk'](Number(timesDaily[1]));
+  }
+
+  const timesPer = /^(\d+) times per (\d+(?:\.\d+)?) ([a-z]+)$/.exec(lower);
+  if (timesPer) {
+    const count = Number(timesPer[1]);
+    const period = Number(timesPer[2]);
+    const unitCode = ENGLISH_PERIOD_UNITS[timesPer[3]];
+
+    if (period === 1 && unitCode && vocabulary.timesPer[unitCode]) {
+      return vocabulary.timesPer[unitCode](count);
+    }
+    return vocabulary.phrases.timesEvery(count, period, localizePeriodUnit(timesPer[3], period, locale));
+  }
+
+  return frequency;
+}
@@ -14,6 +14,19 @@ export const TEMPLATES = {
 
     PRN_INSTRUCTION_TEMPLATE: `{verb} {doseText} {route} {frequencyText} as needed{indication}{maxDose}.`,
 
+    DEFAULT_TEMPLATE: `{verb} {doseText} {route} {frequency}{specialInstructions}.`
+  },
+  'es-US': {
+    ORAL_TABLET_TEMPLATE: `{verb} {doseText} {route} {frequency}{specialInstructions}.`,
+
+    LIQUID_DOSE_TEMPLATE: `{verb} {doseValue} {doseUnit}{dualDose} {route} {frequency}{specialInstructions}.`,
+
+    TOPICAL_APPLICATION_TEMPLATE: `{verb} {doseText} {route}{site} {frequency}{specialInstructions}.`,
+
+    INJECTION_TEMPLATE: `{verb} {doseValue} {doseUnit}{dualDose} {route}{site} {frequency}{technique}.`,
+
+    PRN_INSTRUCTION_TEMPLATE: `{verb} {doseText} {route} {frequencyText} según sea necesario{indication}{maxDose}.`,
+
     DEFAULT_TEMPLATE: `{verb} {doseText} {route} {frequency}{specialInstructions}.`
   }
 } as const;
@@ -83,6 +96,64 @@ export const SPECIALIZED_TEMPLATES = {
       undefined {}
       other { {waitBetweenDrops}}
     }.`
+  },
+  'es-US': {
+    TESTOSTERONE_INJECTION_TEMPLATE: `{verb} {doseValue} {doseUnit}, como {dualDose}, {route} {frequency}. {technique, select,
+      undefined {Rote los sitios de inyección.}
+      other {{technique}}
+    }`,
+
+    TOPICLICK_APPLICATION_TEMPLATE: `{verb} {doseValue, plural,
+      =1 {# clic}
+      other {# clics}
+    } {route}{site, select,
+      undefined {}
+      other { en {site}}
+    } {frequency}{specialInstructions, select,
+      undefined {}
+      other { {specialInstructions}}
+    }.`,
+
+    COMPOUNDED_MEDICATION_TEMPLATE: `{verb} {doseValue} {doseUnit} de {medicationName} {route} {frequency}{specialInstructions, select,
+      undefined {}
+      other { {specialInstructions}}
+    }. {compoundingInstructions, select,
+      undefined {}
+      other {Notas de preparación: {compoundingInstructions}}
+    }`,
+
+    INSULIN_INJECTION_TEMPLATE: `{verb} {doseValue} {doseUnit, select,
+      unit {{doseValue, plural, one {unidad} other {unidades}}}
+      other {{doseUnit}}
+    } {route} {frequency}{mealTiming, select,
+      undefined {}
+      other { {mealTiming}}
+    }{site, select,
+      undefined {}
+      other {. Rote los sitios de inyección en {site}}
+    }.`,
+
+    INHALER_TEMPLATE: `{verb} {doseValue, plural,
+      =1 {# inhalación}
+      other {# inhalaciones}
+    } {route} {frequency}{spacerInstructions, select,
+      undefined {}
+      other { {spacerInstructions}}
+    }{rinseInstructions, select,
+      undefined {}
+      other { {rinseInstructions}}
+    }.`,
+
+    DROPS_TEMPLATE: `{verb} {doseValue, plural,
+      =1 {# gota}
+      other {# gotas}
+    } {route}{site, select,
+      undefined {}
+      other { en {site}}
+    } {frequency}{waitBetweenDrops, select,
+      undefined {}
+      other { {waitBetweenDrops}}
+    }.`
   }
 } as const;
 
@@ -53,7 +53,8 @@ export type TemplateKey =
   | 'TOPICAL_APPLICATION_TEMPLATE'
   | 'INJECTION_TEMPLATE'
   | 'PRN_INSTRUCTION_TEMPLATE'
-  | 'DEFAULT_TEMPLATE';
+  | 'DEFAULT_TEMPLATE'
+  | 'INSULIN_INJECTION_TEMPLATE';
 
 export interface LocaleTemplates {
   [key: string]: string;
@@ -16,12 +16,30 @@ import {
   Duration,
   TemporalParseResult,
   DaysSupplyContext,
+  CyclicPattern,
+  DayOfWeek,
   createDuration,
   createFHIRTiming,
   TITRATION_PATTERNS,
   COMMON_TIMING_PATTERNS,
   isFHIRTiming
 } from './types';
+import { parseCyclicPattern, stripCyclicPattern, createCycleTimingCode } from './cycles';
+
+/**
+ * Weekday names and abbreviations ("Monday", "Mondays", "Mon", "Thurs")
+ */
+const WEEKDAY_PATTERN = /\b(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?\b/gi;
+
+/**
+ * Clock times ("08:00", "8am", "8:30 pm")
+ */
+const CLOCK_TIME_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b(\d{1,2}):(\d{2})\b/gi;
+
+/**
+ * Words left over once weekdays and times are removed
+ */
+const SCHEDULE_CONNECTORS = /\b(?:on|every|at|and)\b|,/gi;
 
 export class FHIRTemporalParser implements ITemporalParser {
   
@@ -37,6 +55,12 @@ export class FHIRTemporalParser implements ITemporalParser {
 
       // Handle string input
       if (typeof timing === 'string') {
+        // On/off cycles read like titrations ("then stop"), so check them first
+        const cycle = parseCyclicPattern(timing);
+        if (cycle) {
+          return this.parseCyclicTiming(timing, cycle);
+        }
+
         // Check if it's a titration sequence in a single string
         if (this.detectTitrationInString(timing)) {
           const phases = this.splitTitrationString(timing);
@@ -63,6 +87,12 @@ export class FHIRTemporalParser implements ITemporalParser {
    */
   private parseSingleTiming(timingStr: string): TemporalParseResult {
     const normalized = timingStr.toLowerCase().trim();
+
+    // Weekday and clock-time schedules ("every Monday and Thursday", "at 08:00 and 20:00")
+    const scheduled = this.parseScheduledTiming(timingStr);
+    if (scheduled) {
+      return scheduled;
+    }
     
     // Try to match against existing frequency definitions
     const frequency = getFrequency(timingStr);
@@ -99,6 +129,117 @@ export class FHIRTemporalParser implements ITemporalParser {
     };
   }
 
+  /**
+   * Parse weekday and clock-time phrases into repeat.dayOfWeek and
+   * repeat.timeOfDay. The rest of the string supplies the frequency;
+   * without one, each listed time (or each listed day) is one dose.
+   *
+   * @returns null when the string names no weekdays or times
+   */
+  private parseScheduledTiming(timingStr: string): TemporalParseResult | null {
+    const dayOfWeek = this.extractDaysOfWeek(timingStr);
+    const timeOfDay = this.extractTimesOfDay(timingStr);
+    if (!dayOfWeek.length && !timeOfDay.length) {
+      return null;
+    }
+
+    const frequencyText = timingStr
+      .replace(WEEKDAY_PATTERN, '')
+      .replace(CLOCK_TIME_PATTERN, '')
+      .replace(SCHEDULE_CONNECTORS, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    let base: TemporalParseResult;
+    if (frequencyText) {
+      base = this.parseSingleTiming(frequencyText);
+    } else {
+      base = {
+        timing: timeOfDay.length
+          ? createFHIRTiming(timeOfDay.length, 1, 'd')
+          : createFHIRTiming(dayOfWeek.length, 1, 'wk'),
+        isTitration: false,
+        confidence: 0.85,
+        warnings: []
+      };
+    }
+    const baseTiming = base.timing as FHIRTiming;
+
+    return {
+      ...base,
+      timing: {
+        ...baseTiming,
+        repeat: {
+          ...baseTiming.repeat,
+          ...(dayOfWeek.length && { dayOfWeek }),
+          ...(timeOfDay.length && { timeOfDay })
+        }
+      }
+    };
+  }
+
+  /**
+   * Extract FHIR day codes in the order written, without duplicates
+   */
+  private extractDaysOfWeek(timingStr: string): DayOfWeek[] {
+    const days: DayOfWeek[] = [];
+    for (const match of timingStr.matchAll(WEEKDAY_PATTERN)) {
+      const day = match[1].slice(0, 3).toLowerCase() as DayOfWeek;
+      if (!days.includes(day)) {
+        days.push(day);
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Extract clock times as FHIR time (hh:mm:ss)
+   */
+  private extractTimesOfDay(timingStr: string): string[] {
+    const times: string[] = [];
+    for (const match of timingStr.matchAll(CLOCK_TIME_PATTERN)) {
+      let hours = parseInt(match[1] ?? match[4], 10);
+      const minutes = match[2] ?? match[5] ?? '00';
+      const meridiem = match[3]?.toLowerCase();
+
+      if (meridiem === 'pm' && hours < 12) hours += 12;
+      if (meridiem === 'am' && hours === 12) hours = 0;
+      if (hours > 23 || parseInt(minutes, 10) > 59) continue;
+
+      const time = `${String(hours).padStart(2, '0')}:${minutes}:00`;
+      if (!times.includes(time)) {
+        times.push(time);
+      }
+    }
+    return times;
+  }
+
+  /**
+   * Parse an on/off cycle: the dosing frequency bounded to the "on" days,
+   * with the cycle named in Timing.code
+   */
+  private parseCyclicTiming(timingStr: string, cycle: CyclicPattern): TemporalParseResult {
+    const frequencyText = stripCyclicPattern(timingStr);
+    const base = !frequencyText || frequencyText.toLowerCase() === 'daily'
+      ? this.parseSingleTiming('once daily')
+      : this.parseSingleTiming(frequencyText);
+    const baseTiming = base.timing as FHIRTiming;
+
+    return {
+      timing: {
+        repeat: {
+          ...baseTiming.repeat,
+          boundsDuration: createDuration(cycle.daysOn, 'd')
+        },
+        code: createCycleTimingCode(cycle)
+      },
+      isTitration: false,
+      cycle,
+      confidence: base.confidence,
+      warnings: base.warnings
+    };
+  }
+
   /**
    * Parse common frequency patterns
    */
@@ -429,8 +570,13 @@ export class FHIRTemporalParser implements ITemporalParser {
     
     // Calculate how many timing periods fit in the given period
     const timingPeriodsInGivenPeriod = periodInTimingUnits;
+
+    // Daily or shorter repeats only run on the listed weekdays
+    const activeDayFraction = repeat.dayOfWeek?.length && ['s', 'min', 'h', 'd'].includes(repeat.periodUnit!)
+      ? repeat.dayOfWeek.length / 7
+      : 1;
     
-    return dosesPerTimingPeriod * timingPeriodsInGivenPeriod;
+    return dosesPerTimingPeriod * timingPeriodsInGivenPeriod * activeDayFraction;
   }
 
   /**
@@ -502,6 +648,9 @@ export function isTitrationSchedule(timing: string | string[] | FHIRTiming | FHI
   }
   
   if (typeof timing === 'string') {
+    if (parseCyclicPattern(timing)) {
+      return false;
+    }
     const parser = new FHIRTemporalParser();
     return parser.detectTitrationInString(timing);
   }
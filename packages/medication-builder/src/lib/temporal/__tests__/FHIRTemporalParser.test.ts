@@ -6,7 +6,7 @@
  */
 
 import { FHIRTemporalParser, parseTiming, isTitrationSchedule } from '../FHIRTemporalParser';
-import { createDuration, createFHIRTiming } from '../types';
+import { createDuration, createFHIRTiming, FHIRTiming } from '../types';
 
 describe('FHIRTemporalParser', () => {
   let parser: FHIRTemporalParser;
@@ -307,4 +307,78 @@ describe('FHIRTemporalParser', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('Cyclic Regimens', () => {
+    it('should parse "5 days on, 2 days off" as a bounded daily repeat', () => {
+      const result = parser.parse('once daily 5 days on, 2 days off');
+
+      expect(result.isTitration).toBe(false);
+      expect(result.cycle).toEqual({ daysOn: 5, daysOff: 2 });
+      expect(result.timing).toMatchObject({
+        repeat: {
+          frequency: 1,
+          period: 1,
+          periodUnit: 'd',
+          boundsDuration: { value: 5, unit: 'd' }
+        },
+        code: { coding: [{ code: '5-on-2-off' }] }
+      });
+    });
+
+    it('should parse rendered cycle text without treating "then" as a titration', () => {
+      const result = parser.parse('daily for 21 days, then stop for 7 days; repeat for 3 cycles');
+
+      expect(result.isTitration).toBe(false);
+      expect(result.cycle).toEqual({ daysOn: 21, daysOff: 7, cycles: 3 });
+      expect(isTitrationSchedule('daily for 21 days, then stop for 7 days; repeat')).toBe(false);
+    });
+
+    it('should keep the dosing frequency of a cyclic sig', () => {
+      const result = parser.parse('twice daily, 21 on / 7 off');
+
+      expect(result.timing).toMatchObject({
+        repeat: { frequency: 2, period: 1, periodUnit: 'd' }
+      });
+    });
+  });
+
+  describe('Weekday and Time-of-Day Schedules', () => {
+    it('should parse weekday phrases to dayOfWeek', () => {
+      const result = parser.parse('every Monday and Thursday');
+
+      expect(result.timing).toMatchObject({
+        repeat: { frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] }
+      });
+      expect(result.isTitration).toBe(false);
+    });
+
+    it('should keep an explicit frequency alongside weekdays', () => {
+      const result = parser.parse('twice weekly on Mon, Thurs');
+
+      expect(result.timing).toMatchObject({
+        repeat: { frequency: 2, period: 1, periodUnit: 'wk', dayOfWeek: ['mon', 'thu'] }
+      });
+    });
+
+    it('should parse clock times to timeOfDay', () => {
+      expect(parser.parse('at 08:00 and 20:00').timing).toMatchObject({
+        repeat: { frequency: 2, period: 1, periodUnit: 'd', timeOfDay: ['08:00:00', '20:00:00'] }
+      });
+      expect(parser.parse('once daily at 9pm').timing).toMatchObject({
+        repeat: { frequency: 1, period: 1, periodUnit: 'd', timeOfDay: ['21:00:00'] }
+      });
+    });
+
+    it('should not read month as Monday', () => {
+      const result = parser.parse('once monthly');
+
+      expect((result.timing as FHIRTiming).repeat?.dayOfWeek).toBeUndefined();
+    });
+
+    it('should count daily doses only on the listed weekdays', () => {
+      const timing = createFHIRTiming(1, 1, 'd', { dayOfWeek: ['mon', 'wed', 'fri'] });
+
+      expect(parser.calculateDosesPerPeriod(timing, createDuration(1, 'wk'))).toBeCloseTo(3);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for cyclic regimen helpers
+ */
+
+import {
+  parseCyclicPattern,
+  stripCyclicPattern,
+  activeDaysToCalendarDays,
+  totalActiveDays,
+  createCycleTimingCode,
+  appendCycleText,
+  CYCLE_CODE_SYSTEM
+} from '../cycles';
+import { isCyclicPattern } from '../types';
+
+describe('cycles', () => {
+  describe('parseCyclicPattern', () => {
+    it('should parse common on/off wordings', () => {
+      expect(parseCyclicPattern('5 days on, 2 days off')).toEqual({ daysOn: 5, daysOff: 2 });
+      expect(parseCyclicPattern('21 on / 7 off')).toEqual({ daysOn: 21, daysOff: 7 });
+      expect(parseCyclicPattern('for 5 days, then stop for 2 days; repeat x 4 cycles'))
+        .toEqual({ daysOn: 5, daysOff: 2, cycles: 4 });
+    });
+
+    it('should return null for non-cyclic timing', () => {
+      expect(parseCyclicPattern('once daily')).toBeNull();
+      expect(parseCyclicPattern('Week 1-4: once weekly, then Week 5+: twice weekly')).toBeNull();
+    });
+
+    it('should strip the cycle wording', () => {
+      expect(stripCyclicPattern('twice daily, 21 on / 7 off')).toBe('twice daily');
+      expect(stripCyclicPattern('daily for 5 days, then stop for 2 days; repeat')).toBe('daily');
+    });
+  });
+
+  describe('active days', () => {
+    it('should include off days after each full on run', () => {
+      const cycle = { daysOn: 5, daysOff: 2 };
+
+      expect(activeDaysToCalendarDays(5, cycle)).toBe(7);
+      expect(activeDaysToCalendarDays(12, cycle)).toBe(16);
+      expect(activeDaysToCalendarDays(0, cycle)).toBe(0);
+    });
+
+    it('should total active days for finite courses only', () => {
+      expect(totalActiveDays({ daysOn: 21, daysOff: 7, cycles: 3 })).toBe(63);
+      expect(totalActiveDays({ daysOn: 21, daysOff: 7 })).toBe(Infinity);
+    });
+  });
+
+  describe('FHIR and text', () => {
+    it('should name the cycle in Timing.code', () => {
+      expect(createCycleTimingCode({ daysOn: 21, daysOff: 7 })).toEqual({
+        coding: [{ system: CYCLE_CODE_SYSTEM, code: '21-on-7-off', display: '21 days on, 7 days off' }],
+        text: '21 days on, 7 days off'
+      });
+    });
+
+    it('should append the cycle phrase to instruction text', () => {
+      expect(appendCycleText('Take 1 tablet by mouth once daily.', { daysOn: 5, daysOff: 2 }))
+        .toBe('Take 1 tablet by mouth once daily for 5 days, then stop for 2 days; repeat.');
+      expect(appendCycleText('Tome 1 tableta por vía oral una vez al día.', { daysOn: 21, daysOff: 7, cycles: 3 }, 'es-US'))
+        .toBe('Tome 1 tableta por vía oral una vez al día durante 21 días, luego suspenda por 7 días; repita hasta completar 3 ciclos.');
+    });
+
+    it('should validate cycle shape', () => {
+      expect(isCyclicPattern({ daysOn: 5, daysOff: 2 })).toBe(true);
+      expect(isCyclicPattern({ daysOn: 5, daysOff: 0 })).toBe(false);
+      expect(isCyclicPattern({ daysOn: 1.5, daysOff: 2 })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Cyclic Regimen Helpers
+ *
+ * Shared logic for on/off regimens such as "5 days on, 2 days off" or
+ * 21/7 oral contraceptive packs: parsing, FHIR Timing coding, instruction
+ * text and active-day arithmetic for days supply.
+ *
+ * FHIR R4 Timing has no on/off construct, so a cycle is emitted as the
+ * dosing repeat bounded to the "on" days (repeat.boundsDuration) plus a
+ * Timing.code naming the full cycle.
+ *
+ * @since 3.3.0
+ */
+
+import { CyclicPattern } from './types';
+import { SupportedLocale, DEFAULT_LOCALE, LOCALE_VOCABULARY } from '../templates/locales';
+
+/**
+ * Code system for cycle codes such as "21-on-7-off"
+ */
+export const CYCLE_CODE_SYSTEM = 'urn:medication-builder:cycle';
+
+/**
+ * Patterns for cycles written in sigs, in match order
+ */
+const CYCLE_PATTERNS: RegExp[] = [
+  // "5 days on, 2 days off", "21 on / 7 off"
+  /(\d+)\s*(?:days?\s+)?on\s*(?:,|\/|and|then)?\s*(\d+)\s*(?:days?\s+)?off/i,
+  // "for 5 days, then stop for 2 days"
+  /for\s+(\d+)\s+days?,?\s*then\s+(?:stop|off)\s+(?:for\s+)?(\d+)\s+days?/i
+];
+
+const CYCLE_COUNT_PATTERN = /(?:for|x)\s*(\d+)\s*cycles?/i;
+
+/**
+ * Find an on/off cycle in a timing string
+ *
+ * @returns The cycle, or null when the string is not cyclic
+ */
+export function parseCyclicPattern(timing: string): CyclicPattern | null {
+  for (const pattern of CYCLE_PATTERNS) {
+    const match = timing.match(pattern);
+    if (match) {
+      const cycleCount = timing.match(CYCLE_COUNT_PATTERN);
+      return {
+        daysOn: parseInt(match[1], 10),
+        daysOff: parseInt(match[2], 10),
+        ...(cycleCount && { cycles: parseInt(cycleCount[1], 10) })
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove the cycle wording, leaving the dosing frequency (e.g., "once daily")
+ */
+export function stripCyclicPattern(timing: string): string {
+  return [...CYCLE_PATTERNS, CYCLE_COUNT_PATTERN]
+    .reduce((text, pattern) => text.replace(pattern, ''), timing)
+    .replace(/[;,]?\s*repeat\b/i, '')
+    .replace(/\s*[,;]\s*$/, '')
+    .trim();
+}
+
+/**
+ * Calendar days in one cycle
+ */
+export function cycleLength(cycle: CyclicPattern): number {
+  return cycle.daysOn + cycle.daysOff;
+}
+
+/**
+ * Calendar days covered by a number of active (dosing) days.
+ * Off days after the last full "on" run are covered too, since the next
+ * dose is not due until the following cycle starts.
+ */
+export function activeDaysToCalendarDays(activeDays: number, cycle: CyclicPattern): number {
+  const fullCycles = Math.floor(activeDays / cycle.daysOn);
+  const remainder = activeDays - fullCycles * cycle.daysOn;
+
+  return fullCycles * cycleLength(cycle) + remainder;
+}
+
+/**
+ * Active days in the whole course, or Infinity when the cycle repeats indefinitely
+ */
+export function totalActiveDays(cycle: CyclicPattern): number {
+  return cycle.cycles === undefined ? Infinity : cycle.cycles * cycle.daysOn;
+}
+
+/**
+ * Describe a cycle for display (e.g., "21 days on, 7 days off")
+ */
+export function describeCycle(cycle: CyclicPattern): string {
+  const description = `${cycle.daysOn} days on, ${cycle.daysOff} days off`;
+  return cycle.cycles ? `${description} x ${cycle.cycles} cycles` : description;
+}
+
+/**
+ * Timing.code naming the cycle
+ */
+export function createCycleTimingCode(cycle: CyclicPattern) {
+  return {
+    coding: [{
+      system: CYCLE_CODE_SYSTEM,
+      code: `${cycle.daysOn}-on-${cycle.daysOff}-off`,
+      display: describeCycle(cycle)
+    }],
+    text: describeCycle(cycle)
+  };
+}
+
+/**
+ * Read the cycle back from a Timing.code made by createCycleTimingCode
+ *
+ * @returns The cycle, or null when the code names no cycle
+ */
+export function parseCycleTimingCode(code?: {
+  coding?: Array<{ system?: string; code?: string; display?: string }>;
+}): CyclicPattern | null {
+  const coding = code?.coding?.find(entry => entry.system === CYCLE_CODE_SYSTEM);
+  const match = coding?.code && /^(\d+)-on-(\d+)-off$/.exec(coding.code);
+  if (!match) {
+    return null;
+  }
+
+  const cycleCount = coding!.display && / x (\d+) cycles$/.exec(coding!.display);
+  return {
+    daysOn: parseInt(match[1], 10),
+    daysOff: parseInt(match[2], 10),
+    ...(cycleCount && { cycles: parseInt(cycleCount[1], 10) })
+  };
+}
+
+/**
+ * Append the cycle phrase to rendered instruction text
+ * ("... once daily." → "... once daily for 5 days, then stop for 2 days; repeat.")
+ */
+export function appendCycleText(
+  text: string,
+  cycle: CyclicPattern,
+  locale: SupportedLocale = DEFAULT_LOCALE
+): string {
+  const phrase = LOCALE_VOCABULARY[locale].phrases.cycle(cycle.daysOn, cycle.daysOff, cycle.cycles);
+  return `${text.replace(/\.\s*$/, '')} ${phrase}.`;
+}
@@ -82,6 +82,30 @@ export interface FHIRTiming {
   };
 }
 
+/**
+ * FHIR R4 day-of-week codes, Monday first
+ */
+export const DAYS_OF_WEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] as const;
+
+export type DayOfWeek = typeof DAYS_OF_WEEK[number];
+
+/**
+ * Clock time accepted for Timing.repeat.timeOfDay ("08:00" or "08:00:00")
+ */
+export const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Cyclic on/off regimen (e.g., 5 days on / 2 days off, 21 on / 7 off)
+ */
+export interface CyclicPattern {
+  /** Consecutive days the medication is taken */
+  daysOn: number;
+  /** Consecutive days off before the cycle repeats */
+  daysOff: number;
+  /** Number of cycles; omit to repeat indefinitely */
+  cycles?: number;
+}
+
 /**
  * Represents a single phase in a titration schedule
  */
@@ -116,6 +140,8 @@ export interface DaysSupplyContext {
   doseAmount: number;
   /** Dose unit */
   doseUnit: string;
+  /** On/off cycle; only active days consume medication */
+  cycle?: CyclicPattern;
   /** Medication information for conversions */
   medication?: {
     doseForm: string;
@@ -134,6 +160,19 @@ export interface DaysSupplyContext {
       unit: string;
       packSize?: number;
     };
+    /**
+     * How long a multi-dose container may be used after first puncture or
+     * mixing. Applies to each container when packageInfo.packSize is known;
+     * otherwise packageQuantity is taken as a single container.
+     */
+    beyondUseAfterOpening?: { value: number; unit: string };
+    /** Volumes lost outside the doses (see DispenserMetadata) */
+    dispenserMetadata?: {
+      primeVolume?: { value: number; unit: string };
+      airGapVolume?: { value: number; unit: string };
+      deadVolume?: { value: number; unit: string };
+      needleDeadVolume?: { value: number; unit: string };
+    };
   };
 }
 
@@ -147,6 +186,8 @@ export interface TemporalParseResult {
   isTitration: boolean;
   /** Titration phases if applicable */
   phases?: TitrationPhase[];
+  /** On/off cycle if the timing is cyclic */
+  cycle?: CyclicPattern;
   /** Confidence in parsing (0-1) */
   confidence: number;
   /** Warnings or issues during parsing */
@@ -227,6 +268,13 @@ export function createDuration(value: number, unit: Duration['unit']): Duration
   return { value, unit };
 }
 
+/**
+ * Helper function to normalize a clock time to FHIR time (hh:mm:ss)
+ */
+export function toFHIRTime(time: string): string {
+  return time.length === 5 ? `${time}:00` : time;
+}
+
 /**
  * Helper function to create basic FHIRTiming
  */
@@ -262,6 +310,21 @@ export function isTitrationPhase(obj: any): obj is TitrationPhase {
          obj.duration && typeof obj.duration.value === 'number';
 }
 
+export function isCyclicPattern(obj: any): obj is CyclicPattern {
+  return obj && typeof obj === 'object' &&
+         Number.isInteger(obj.daysOn) && obj.daysOn > 0 &&
+         Number.isInteger(obj.daysOff) && obj.daysOff > 0 &&
+         (obj.cycles === undefined || (Number.isInteger(obj.cycles) && obj.cycles > 0));
+}
+
+export function isDayOfWeek(obj: any): obj is DayOfWeek {
+  return typeof obj === 'string' && (DAYS_OF_WEEK as readonly string[]).includes(obj);
+}
+
+export function isTimeOfDay(obj: any): obj is string {
+  return typeof obj === 'string' && TIME_OF_DAY_PATTERN.test(obj);
+}
+
 export function isDuration(obj: any): obj is Duration {
   return obj && typeof obj === 'object' &&
          typeof obj.value === 'number' &&
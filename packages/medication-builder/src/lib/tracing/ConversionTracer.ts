@@ -30,12 +30,14 @@ export class ConversionTracer {
   private options: Required<TracerOptions>;
   private traces: TraceEntry[] = [];
   private startTime: number = 0;
+  private startEpoch: number = 0;
   private operationTimings: Map<string, number[]> = new Map();
   private currentOperationStart: Map<string, number> = new Map();
   
   constructor(options?: TracerOptions) {
     this.options = { ...DEFAULT_OPTIONS, ...options };
     this.startTime = performance.now();
+    this.startEpoch = Date.now();
   }
   
   /**
@@ -45,6 +47,13 @@ export class ConversionTracer {
     return this.options.enabled;
   }
   
+  /**
+   * Wall-clock time (ms since the Unix epoch) that entry timestamps count from
+   */
+  get startedAt(): number {
+    return this.startEpoch;
+  }
+  
   /**
    * Check if in dry-run mode
    */
@@ -87,6 +96,13 @@ export class ConversionTracer {
     }
   }
   
+  /**
+   * Recorded entries, oldest first
+   */
+  getEntries(): TraceEntry[] {
+    return [...this.traces];
+  }
+  
   /**
    * Start timing an operation
    */
@@ -343,6 +359,7 @@ ${edges.join('\n')}
     this.operationTimings.clear();
     this.currentOperationStart.clear();
     this.startTime = performance.now();
+    this.startEpoch = Date.now();
   }
   
   /**
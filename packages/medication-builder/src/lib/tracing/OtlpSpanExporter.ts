@@ -0,0 +1,326 @@
+/**
+ * OTLP Span Exporter
+ *
+ * Turns StrategyDispatcher audits and ConversionTracer entries into
+ * OpenTelemetry spans (OTLP-JSON) so signature generation shows up in an
+ * observability stack end to end. Each dispatch is a trace:
+ *
+ *   dispatch
+ *   ├── strategy <name>          (building the instruction and its modifiers)
+ *   │   └── modifier <name>
+ *   │       └── convert          (conversions that ran inside the modifier)
+ *   └── safety <name>            (allergy and interaction checks)
+ *
+ * Conversions are placed under the innermost span whose time window
+ * contains them; conversions outside any dispatch become traces of
+ * their own.
+ *
+ * @since 3.3.0
+ */
+import type { StrategySelectionAudit } from '../dispatcher/StrategyDispatcher';
+import { ConversionTracer } from './ConversionTracer';
+import {
+  OtlpAttribute,
+  OtlpExporterOptions,
+  OtlpExportRequest,
+  OtlpSpan,
+  OtlpSpanEvent,
+  OtlpStatusCode,
+  SpanSink,
+  TraceEntry
+} from './types';
+
+const SCOPE_NAME = '@marek/medication-builder';
+
+const DEFAULT_SERVICE_NAME = 'medication-builder';
+
+/**
+ * SPAN_KIND_INTERNAL: work inside the process, not a remote call
+ */
+const SPAN_KIND_INTERNAL = 1;
+
+/**
+ * A span and the wall-clock window (epoch ms) it covers
+ */
+interface SpanWindow {
+  span: OtlpSpan;
+  startMs: number;
+  endMs: number;
+  depth: number;
+}
+
+/**
+ * Tracer entries from one conversion_start to its end
+ */
+interface ConversionRun {
+  start: TraceEntry;
+  entries: TraceEntry[];
+}
+
+export class OtlpSpanExporter {
+  private readonly serviceName: string;
+  private readonly generateId: (bytes: number) => string;
+
+  constructor(private readonly sink: SpanSink, options: OtlpExporterOptions = {}) {
+    this.serviceName = options.serviceName || DEFAULT_SERVICE_NAME;
+    this.generateId = options.generateId || randomHex;
+  }
+
+  /**
+   * Build the spans for dispatch audits and write them, with any traced
+   * conversions, to the sink
+   *
+   * @param audits - From StrategyDispatcher.getAuditLog()
+   * @param tracer - Tracer shared with the UnitConverter, if conversions were traced
+   * @returns The request that was written
+   */
+  async export(audits: StrategySelectionAudit[], tracer?: ConversionTracer): Promise<OtlpExportRequest> {
+    const request = this.toRequest(this.toSpans(audits, tracer));
+    await this.sink.write(request);
+    return request;
+  }
+
+  /**
+   * Spans for dispatch audits, with traced conversions nested inside the
+   * dispatch that ran them
+   */
+  toSpans(audits: StrategySelectionAudit[], tracer?: ConversionTracer): OtlpSpan[] {
+    const windows: SpanWindow[] = [];
+
+    for (const audit of audits) {
+      const traceId = this.generateId(16);
+      const start = audit.timestamp.getTime();
+      const dispatch = this.addSpan(windows, {
+        traceId,
+        name: 'dispatch',
+        startMs: start,
+        endMs: start + audit.executionTimeMs,
+        depth: 0,
+        attributes: toAttributes({
+          'medication.name': audit.context.medication?.name,
+          'medication.dose_form': audit.context.medication?.doseForm,
+          'dispatch.selected_strategy': audit.selectedStrategy ?? undefined,
+          'dispatch.candidate_strategies': audit.candidateStrategies.length,
+          'dispatch.applied_modifiers': audit.appliedModifiers.join(', '),
+          'dispatch.allergy_alerts': audit.allergyAlerts.length,
+          'dispatch.interaction_alerts': audit.interactionAlerts.length
+        }),
+        error: audit.error
+      });
+
+      // The strategy span is recorded after its modifiers; it parents them
+      const strategyPhase = audit.phases.find(phase => phase.kind === 'strategy');
+      const strategy = strategyPhase && this.addSpan(windows, {
+        traceId,
+        parentSpanId: dispatch.spanId,
+        name: `strategy ${strategyPhase.name}`,
+        startMs: start + strategyPhase.startMs,
+        endMs: start + strategyPhase.startMs + strategyPhase.durationMs,
+        depth: 1,
+        attributes: toAttributes({ 'strategy.name': strategyPhase.name })
+      });
+
+      for (const phase of audit.phases) {
+        if (phase.kind === 'strategy') {
+          continue;
+        }
+
+        const parent = phase.kind === 'modifier' && strategy ? strategy : dispatch;
+        this.addSpan(windows, {
+          traceId,
+          parentSpanId: parent.spanId,
+          name: `${phase.kind} ${phase.name}`,
+          startMs: start + phase.startMs,
+          endMs: start + phase.startMs + phase.durationMs,
+          depth: parent === dispatch ? 1 : 2,
+          attributes: toAttributes(phase.kind === 'modifier'
+            ? {
+              'modifier.name': phase.name,
+              'modifier.changed': audit.modifierChanges.some(change => change.modifier === phase.name)
+            }
+            : { 'safety.check': phase.name })
+        });
+      }
+    }
+
+    const dispatchWindows = [...windows];
+    for (const run of tracer ? collectConversions(tracer.getEntries()) : []) {
+      this.addConversionSpan(windows, dispatchWindows, run, tracer!.startedAt);
+    }
+
+    return windows.map(window => window.span);
+  }
+
+  /**
+   * Wrap spans in an OTLP export request for this service
+   */
+  toRequest(spans: OtlpSpan[]): OtlpExportRequest {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: SCOPE_NAME },
+          spans
+        }]
+      }]
+    };
+  }
+
+  private addConversionSpan(
+    windows: SpanWindow[],
+    dispatchWindows: SpanWindow[],
+    run: ConversionRun,
+    epoch: number
+  ): void {
+    const startMs = epoch + run.start.timestamp;
+    const last = run.entries[run.entries.length - 1];
+    const endMs = last ? epoch + last.timestamp : startMs;
+    const end = run.entries.find(entry => entry.type === 'conversion_end');
+    const failure = run.entries.find(entry => entry.type === 'error');
+
+    // Innermost dispatch span that was running when the conversion started
+    const parent = dispatchWindows
+      .filter(window => window.startMs <= startMs && startMs <= window.endMs)
+      .sort((a, b) => b.depth - a.depth || b.startMs - a.startMs)[0];
+
+    this.addSpan(windows, {
+      traceId: parent ? parent.span.traceId : this.generateId(16),
+      parentSpanId: parent?.span.spanId,
+      name: 'convert',
+      startMs,
+      endMs,
+      depth: parent ? parent.depth + 1 : 0,
+      attributes: toAttributes({
+        'conversion.value': run.start.data?.value,
+        'conversion.from_unit': run.start.data?.fromUnit,
+        'conversion.to_unit': run.start.data?.toUnit,
+        'conversion.result': end?.data?.result,
+        'conversion.confidence': end?.data?.confidence,
+        'conversion.steps': end?.data?.steps
+      }),
+      events: run.entries
+        .filter(entry => entry.type !== 'conversion_end')
+        .map(entry => toEvent(entry, epoch)),
+      error: failure && (failure.error?.message || failure.description)
+    });
+  }
+
+  private addSpan(
+    windows: SpanWindow[],
+    fields: {
+      traceId: string;
+      parentSpanId?: string;
+      name: string;
+      startMs: number;
+      endMs: number;
+      depth: number;
+      attributes: OtlpAttribute[];
+      events?: OtlpSpanEvent[];
+      error?: string;
+    }
+  ): OtlpSpan {
+    const span: OtlpSpan = {
+      traceId: fields.traceId,
+      spanId: this.generateId(8),
+      ...(fields.parentSpanId && { parentSpanId: fields.parentSpanId }),
+      name: fields.name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(fields.startMs),
+      endTimeUnixNano: toUnixNano(fields.endMs),
+      attributes: fields.attributes,
+      events: fields.events || [],
+      status: fields.error
+        ? { code: OtlpStatusCode.ERROR, message: fields.error }
+        : { code: OtlpStatusCode.UNSET }
+    };
+
+    windows.push({ span, startMs: fields.startMs, endMs: fields.endMs, depth: fields.depth });
+    return span;
+  }
+}
+
+/**
+ * Group tracer entries into conversions. A conversion ends at its
+ * conversion_end or error, or when the next one starts; entries before
+ * the first start (trimmed by maxTraceEntries) are dropped.
+ */
+function collectConversions(entries: TraceEntry[]): ConversionRun[] {
+  const runs: ConversionRun[] = [];
+  let current: ConversionRun | undefined;
+
+  for (const entry of entries) {
+    if (entry.type === 'conversion_start') {
+      current = { start: entry, entries: [] };
+      runs.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    current.entries.push(entry);
+    if (entry.type === 'conversion_end' || entry.type === 'error') {
+      current = undefined;
+    }
+  }
+
+  return runs;
+}
+
+function toEvent(entry: TraceEntry, epoch: number): OtlpSpanEvent {
+  if (entry.type === 'error') {
+    return {
+      timeUnixNano: toUnixNano(epoch + entry.timestamp),
+      name: 'exception',
+      attributes: toAttributes({
+        'exception.type': entry.error?.name,
+        'exception.message': entry.error?.message || entry.description
+      })
+    };
+  }
+
+  return {
+    timeUnixNano: toUnixNano(epoch + entry.timestamp),
+    name: entry.type,
+    attributes: toAttributes({ description: entry.description, ...entry.data })
+  };
+}
+
+/**
+ * OTLP attributes for the primitive values; others are left out
+ */
+function toAttributes(values: Record<string, unknown>): OtlpAttribute[] {
+  const attributes: OtlpAttribute[] = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    if (typeof value === 'string') {
+      attributes.push({ key, value: { stringValue: value } });
+    } else if (typeof value === 'boolean') {
+      attributes.push({ key, value: { boolValue: value } });
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      attributes.push({
+        key,
+        value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value }
+      });
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Epoch milliseconds as a decimal nanosecond string; too large for a
+ * double to hold exactly
+ */
+function toUnixNano(ms: number): string {
+  const whole = Math.floor(ms);
+  return (BigInt(whole) * 1000000n + BigInt(Math.round((ms - whole) * 1e6))).toString();
+}
+
+function randomHex(bytes: number): string {
+  let hex = '';
+  for (let i = 0; i < bytes; i++) {
+    hex += Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
@@ -0,0 +1,276 @@
+/**
+ * Tests for OtlpSpanExporter and span sinks
+ */
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { OtlpSpanExporter } from '../OtlpSpanExporter';
+import { ConversionTracer } from '../ConversionTracer';
+import { FileSpanSink, HttpSpanSink, InMemorySpanSink } from '../span-sinks';
+import { OtlpAttribute, OtlpExportRequest, OtlpSpan, OtlpStatusCode } from '../types';
+import type { StrategySelectionAudit } from '../../dispatcher/StrategyDispatcher';
+import { MedicationRequestContext } from '../../../types/MedicationRequestContext';
+
+const DISPATCH_START = Date.UTC(2026, 0, 15, 9, 0, 0);
+
+function createAudit(overrides: Partial<StrategySelectionAudit> = {}): StrategySelectionAudit {
+  return {
+    timestamp: new Date(DISPATCH_START),
+    context: {
+      medication: { name: 'Testosterone Cypionate', doseForm: 'Vial' }
+    } as MedicationRequestContext,
+    candidateStrategies: [
+      { name: 'InjectionStrategy', specificity: 3, matched: true },
+      { name: 'DefaultStrategy', specificity: 0, matched: true }
+    ],
+    selectedStrategy: 'InjectionStrategy',
+    appliedModifiers: ['route-warning'],
+    modifierChanges: [{
+      modifier: 'route-warning',
+      textBefore: 'Inject 0.5 mL',
+      textAfter: 'Inject 0.5 mL intramuscularly',
+      addedInstructions: []
+    }],
+    interactionAlerts: [],
+    allergyAlerts: [],
+    phases: [
+      { name: 'route-warning', kind: 'modifier', startMs: 2, durationMs: 3 },
+      { name: 'InjectionStrategy', kind: 'strategy', startMs: 1, durationMs: 5 },
+      { name: 'AllergyChecker', kind: 'safety', startMs: 7, durationMs: 1 }
+    ],
+    executionTimeMs: 10,
+    ...overrides
+  };
+}
+
+/**
+ * Sequential ids so spans can be told apart in assertions
+ */
+function sequentialIds(): (bytes: number) => string {
+  let next = 0;
+  return bytes => (++next).toString(16).padStart(bytes * 2, '0');
+}
+
+function attribute(item: { attributes: OtlpAttribute[] }, key: string): unknown {
+  const value = item.attributes.find(a => a.key === key)?.value;
+  return value && Object.values(value)[0];
+}
+
+function byName(spans: OtlpSpan[], name: string): OtlpSpan {
+  const span = spans.find(s => s.name === name);
+  if (!span) {
+    throw new Error(`No span named ${name}`);
+  }
+  return span;
+}
+
+describe('OtlpSpanExporter', () => {
+  let exporter: OtlpSpanExporter;
+
+  beforeEach(() => {
+    exporter = new OtlpSpanExporter(new InMemorySpanSink(), { generateId: sequentialIds() });
+  });
+
+  describe('dispatch spans', () => {
+    it('should nest strategy, modifier and safety spans under the dispatch', () => {
+      const spans = exporter.toSpans([createAudit()]);
+
+      const dispatch = byName(spans, 'dispatch');
+      const strategy = byName(spans, 'strategy InjectionStrategy');
+      const modifier = byName(spans, 'modifier route-warning');
+      const safety = byName(spans, 'safety AllergyChecker');
+
+      expect(spans).toHaveLength(4);
+      expect(dispatch.parentSpanId).toBeUndefined();
+      expect(strategy.parentSpanId).toBe(dispatch.spanId);
+      expect(modifier.parentSpanId).toBe(strategy.spanId);
+      expect(safety.parentSpanId).toBe(dispatch.spanId);
+      expect(new Set(spans.map(s => s.traceId)).size).toBe(1);
+    });
+
+    it('should time spans in Unix nanoseconds', () => {
+      const spans = exporter.toSpans([createAudit()]);
+      const nanos = BigInt(DISPATCH_START) * 1000000n;
+
+      expect(byName(spans, 'dispatch').startTimeUnixNano).toBe(nanos.toString());
+      expect(byName(spans, 'dispatch').endTimeUnixNano).toBe((nanos + 10000000n).toString());
+      expect(byName(spans, 'modifier route-warning').startTimeUnixNano).toBe((nanos + 2000000n).toString());
+    });
+
+    it('should describe the dispatch in attributes', () => {
+      const spans = exporter.toSpans([createAudit()]);
+      const dispatch = byName(spans, 'dispatch');
+
+      expect(attribute(dispatch, 'medication.name')).toBe('Testosterone Cypionate');
+      expect(attribute(dispatch, 'dispatch.selected_strategy')).toBe('InjectionStrategy');
+      expect(attribute(dispatch, 'dispatch.candidate_strategies')).toBe('2');
+      expect(attribute(byName(spans, 'modifier route-warning'), 'modifier.changed')).toBe(true);
+      expect(dispatch.status.code).toBe(OtlpStatusCode.UNSET);
+    });
+
+    it('should mark failed dispatches as errors', () => {
+      const spans = exporter.toSpans([createAudit({
+        selectedStrategy: null,
+        phases: [],
+        error: 'No matching strategy found'
+      })]);
+
+      expect(spans).toHaveLength(1);
+      expect(spans[0].status).toEqual({
+        code: OtlpStatusCode.ERROR,
+        message: 'No matching strategy found'
+      });
+    });
+
+    it('should give each dispatch its own trace', () => {
+      const spans = exporter.toSpans([createAudit(), createAudit()]);
+      const dispatches = spans.filter(s => s.name === 'dispatch');
+
+      expect(dispatches[0].traceId).not.toBe(dispatches[1].traceId);
+    });
+  });
+
+  describe('conversion spans', () => {
+    let tracer: ConversionTracer;
+
+    beforeEach(() => {
+      tracer = new ConversionTracer({ enabled: true });
+    });
+
+    function traceConversion(failed = false): void {
+      tracer.trace({
+        type: 'conversion_start',
+        description: 'Convert 5 {click} to mL',
+        data: { value: 5, fromUnit: '{click}', toUnit: 'mL' }
+      });
+      tracer.trace({ type: 'conversion_step', description: 'Device conversion', data: { factor: 0.25 } });
+      if (failed) {
+        tracer.trace({ type: 'error', description: 'Conversion failed', error: new Error('Unknown unit') });
+      } else {
+        tracer.trace({
+          type: 'conversion_end',
+          description: 'Conversion complete',
+          data: { result: 1.25, confidence: 0.9, steps: 1 }
+        });
+      }
+    }
+
+    it('should nest conversions in the span that ran them', () => {
+      traceConversion();
+      const audit = createAudit({
+        timestamp: new Date(tracer.startedAt - 2),
+        phases: [{ name: 'route-warning', kind: 'modifier', startMs: 0, durationMs: 1000 }]
+      });
+
+      const spans = exporter.toSpans([audit], tracer);
+      const convert = byName(spans, 'convert');
+
+      expect(convert.parentSpanId).toBe(byName(spans, 'modifier route-warning').spanId);
+      expect(convert.traceId).toBe(byName(spans, 'dispatch').traceId);
+    });
+
+    it('should record the conversion in attributes and events', () => {
+      traceConversion();
+
+      const convert = byName(exporter.toSpans([], tracer), 'convert');
+
+      expect(attribute(convert, 'conversion.from_unit')).toBe('{click}');
+      expect(attribute(convert, 'conversion.to_unit')).toBe('mL');
+      expect(attribute(convert, 'conversion.result')).toBe(1.25);
+      expect(convert.events.map(e => e.name)).toEqual(['conversion_step']);
+      expect(attribute(convert.events[0], 'factor')).toBe(0.25);
+    });
+
+    it('should export conversions outside a dispatch as their own traces', () => {
+      traceConversion();
+      traceConversion();
+
+      const spans = exporter.toSpans([createAudit()], tracer);
+      const conversions = spans.filter(s => s.name === 'convert');
+
+      expect(conversions).toHaveLength(2);
+      expect(conversions[0].parentSpanId).toBeUndefined();
+      expect(conversions[0].traceId).not.toBe(conversions[1].traceId);
+    });
+
+    it('should record failed conversions as exceptions', () => {
+      traceConversion(true);
+
+      const convert = byName(exporter.toSpans([], tracer), 'convert');
+
+      expect(convert.status).toEqual({ code: OtlpStatusCode.ERROR, message: 'Unknown unit' });
+      expect(convert.events.map(e => e.name)).toEqual(['conversion_step', 'exception']);
+    });
+  });
+
+  describe('export', () => {
+    it('should write the request to the sink', async () => {
+      const sink = new InMemorySpanSink();
+      exporter = new OtlpSpanExporter(sink, { serviceName: 'sig-builder' });
+
+      const request = await exporter.export([createAudit()]);
+
+      expect(sink.requests).toEqual([request]);
+      expect(sink.spans).toHaveLength(4);
+      expect(request.resourceSpans[0].resource.attributes).toEqual([
+        { key: 'service.name', value: { stringValue: 'sig-builder' } }
+      ]);
+      expect(request.resourceSpans[0].scopeSpans[0].scope.name).toBe('@marek/medication-builder');
+      expect(sink.spans[0].traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(sink.spans[0].spanId).toMatch(/^[0-9a-f]{16}$/);
+    });
+  });
+});
+
+describe('span sinks', () => {
+  const request: OtlpExportRequest = {
+    resourceSpans: [{ resource: { attributes: [] }, scopeSpans: [] }]
+  };
+
+  describe('FileSpanSink', () => {
+    it('should append one JSON line per export', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'otlp-'));
+      const file = path.join(dir, 'spans.jsonl');
+      const sink = new FileSpanSink(file);
+
+      await sink.write(request);
+      await sink.write(request);
+
+      const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+      expect(lines.map(line => JSON.parse(line))).toEqual([request, request]);
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('HttpSpanSink', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should post the export to the collector', async () => {
+      const fetchMock = jest.fn().mockResolvedValue({ ok: true, status: 200, statusText: 'OK' });
+      global.fetch = fetchMock as unknown as typeof fetch;
+
+      await new HttpSpanSink(undefined, { Authorization: 'Bearer token' }).write(request);
+
+      expect(fetchMock).toHaveBeenCalledWith('http://localhost:4318/v1/traces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+        body: JSON.stringify(request)
+      });
+    });
+
+    it('should reject exports the collector refuses', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable'
+      }) as unknown as typeof fetch;
+
+      await expect(new HttpSpanSink('http://collector:4318/v1/traces').write(request))
+        .rejects.toThrow('OTLP export to http://collector:4318/v1/traces failed: 503 Service Unavailable');
+    });
+  });
+});
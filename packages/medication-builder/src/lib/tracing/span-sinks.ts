@@ -0,0 +1,80 @@
+/**
+ * Span Sinks
+ *
+ * Destinations for OTLP-JSON span exports: memory for tests and
+ * debugging, a JSON Lines file for offline analysis, or a collector's
+ * OTLP/HTTP endpoint.
+ *
+ * @since 3.3.0
+ */
+import { OtlpExportRequest, OtlpSpan, SpanSink } from './types';
+
+/**
+ * OTLP/HTTP trace endpoint of a collector on this machine
+ */
+export const DEFAULT_OTLP_ENDPOINT = 'http://localhost:4318/v1/traces';
+
+/**
+ * Keeps every export in memory
+ */
+export class InMemorySpanSink implements SpanSink {
+  readonly requests: OtlpExportRequest[] = [];
+
+  async write(request: OtlpExportRequest): Promise<void> {
+    this.requests.push(request);
+  }
+
+  /**
+   * Every span written, in export order
+   */
+  get spans(): OtlpSpan[] {
+    return this.requests.flatMap(request =>
+      request.resourceSpans.flatMap(resource =>
+        resource.scopeSpans.flatMap(scope => scope.spans)
+      )
+    );
+  }
+
+  clear(): void {
+    this.requests.length = 0;
+  }
+}
+
+/**
+ * Appends each export to a file as one line of JSON, the format of the
+ * OpenTelemetry Collector's file exporter. Node only.
+ */
+export class FileSpanSink implements SpanSink {
+  constructor(private readonly path: string) {}
+
+  async write(request: OtlpExportRequest): Promise<void> {
+    // Loaded on first write so browser bundles never need fs
+    const { appendFile } = await import('fs/promises');
+    await appendFile(this.path, `${JSON.stringify(request)}\n`, 'utf8');
+  }
+}
+
+/**
+ * Posts each export to an OTLP/HTTP collector endpoint
+ */
+export class HttpSpanSink implements SpanSink {
+  constructor(
+    private readonly endpoint: string = DEFAULT_OTLP_ENDPOINT,
+    private readonly headers: Record<string, string> = {}
+  ) {}
+
+  /**
+   * @throws Error if the collector does not accept the export
+   */
+  async write(request: OtlpExportRequest): Promise<void> {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(request)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP export to ${this.endpoint} failed: ${response.status} ${response.statusText}`);
+    }
+  }
+}
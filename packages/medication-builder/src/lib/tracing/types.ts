@@ -97,4 +97,82 @@ export interface ConversionTraceContext {
   cacheHit?: boolean;
   confidence?: number;
   steps?: number;
-}
\ No newline at end of file
+}
+/**
+ * OTLP attribute, in the OpenTelemetry protocol's JSON encoding
+ */
+export interface OtlpAttribute {
+  key: string;
+  value: {
+    stringValue?: string;
+    /** int64, encoded as a decimal string */
+    intValue?: string;
+    doubleValue?: number;
+    boolValue?: boolean;
+  };
+}
+
+/**
+ * Timestamped event within a span (e.g., a conversion step)
+ */
+export interface OtlpSpanEvent {
+  timeUnixNano: string;
+  name: string;
+  attributes: OtlpAttribute[];
+}
+
+/**
+ * OTLP span status codes
+ */
+export enum OtlpStatusCode {
+  UNSET = 0,
+  OK = 1,
+  ERROR = 2
+}
+
+/**
+ * OTLP span; IDs are lowercase hex (16 bytes for traces, 8 for spans)
+ */
+export interface OtlpSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId?: string;
+  name: string;
+  /** SPAN_KIND_INTERNAL (1) for everything this library records */
+  kind: number;
+  startTimeUnixNano: string;
+  endTimeUnixNano: string;
+  attributes: OtlpAttribute[];
+  events: OtlpSpanEvent[];
+  status: { code: OtlpStatusCode; message?: string };
+}
+
+/**
+ * Body of an OTLP/HTTP JSON trace export (POST /v1/traces)
+ */
+export interface OtlpExportRequest {
+  resourceSpans: Array<{
+    resource: { attributes: OtlpAttribute[] };
+    scopeSpans: Array<{
+      scope: { name: string; version?: string };
+      spans: OtlpSpan[];
+    }>;
+  }>;
+}
+
+/**
+ * Destination for exported spans
+ */
+export interface SpanSink {
+  write(request: OtlpExportRequest): Promise<void>;
+}
+
+/**
+ * Span exporter configuration
+ */
+export interface OtlpExporterOptions {
+  /** service.name resource attribute (default: medication-builder) */
+  serviceName?: string;
+  /** Random hex ID of the given byte length; replace for deterministic IDs */
+  generateId?: (bytes: number) => string;
+}
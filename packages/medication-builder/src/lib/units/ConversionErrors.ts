@@ -129,6 +129,30 @@ export class PrecisionError extends ConversionError {
   }
 }
 
+/**
+ * Thrown when the custom conversion rule that applies has expired
+ * 
+ * Examples:
+ * - A compounded cream lot's click volume past the lot's expiry
+ * - A product-wide override with an end date that has passed
+ */
+export class ExpiredConversionError extends ConversionError {
+  readonly errorType = 'EXPIRED_CONVERSION';
+  
+  constructor(
+    public readonly from: string,
+    public readonly to: string,
+    public readonly expiresAt: string,
+    public readonly lotNumber?: string
+  ) {
+    super(
+      `Custom conversion from ${from} to ${to}${lotNumber ? ` for lot ${lotNumber}` : ''} ` +
+      `expired on ${expiresAt}`,
+      { from, to, expiresAt, lotNumber }
+    );
+  }
+}
+
 /**
  * Error result type for functional error handling
  */
@@ -216,5 +240,14 @@ export const ConversionErrors = {
     actualPrecision: number
   ): PrecisionError {
     return new PrecisionError(value, from, to, expectedPrecision, actualPrecision);
+  },
+
+  expiredConversion(
+    from: string,
+    to: string,
+    expiresAt: string,
+    lotNumber?: string
+  ): ExpiredConversionError {
+    return new ExpiredConversionError(from, to, expiresAt, lotNumber);
   }
 } as const;
\ No newline at end of file
@@ -17,6 +17,9 @@ import {
   ConversionErrors,
   MissingContextError
 } from './ConversionErrors';
+import { SYRINGE_UNITS, TICK_SIZES, roundToTicks } from './syringe-units';
+import { findCustomConversion, isCustomConversionExpired } from './custom-conversions';
+import { Rational } from './Rational';
 
 /**
  * Default device unit definitions for common medical devices
@@ -44,6 +47,18 @@ const DEFAULT_DEVICE_UNITS: DeviceUnit[] = [
       instructions: 'Size may vary based on dropper and liquid viscosity'
     }
   },
+  ...Object.entries(SYRINGE_UNITS).map(([id, { syringe, unitsPerMl }]): DeviceUnit => ({
+    id,
+    display: 'unit',
+    pluralDisplay: 'units',
+    ratioTo: 'mL',
+    factor: 1 / unitsPerMl, // Markings are volume, independent of drug strength
+    metadata: {
+      device: `${syringe} insulin syringe`,
+      instructions: `Measure to the unit markings on a ${syringe} syringe (${unitsPerMl} units = 1 mL)`,
+      ticks: 'whole'
+    }
+  })),
   {
     id: '{tablet}',
     display: 'tablet',
@@ -189,6 +204,77 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     }
   }
   
+  /**
+   * Convert involving device units with exact fractions. Follows the same
+   * steps as convert(), keeping every intermediate value as a fraction.
+   */
+  convertExact(
+    value: Rational,
+    from: string,
+    to: string,
+    context?: ConversionContext
+  ): ConversionSuccess {
+    const trace: ConversionStep[] = [];
+    const fromDevice = this.getDeviceUnit(from);
+    const toDevice = this.getDeviceUnit(to);
+    let exact = value;
+    let unit = from;
+
+    if (fromDevice && toDevice && fromDevice.ratioTo === toDevice.ratioTo) {
+      // Direct conversion between compatible device units
+      const factor = Rational.from(this.getConversionFactor(fromDevice, context))
+        .divide(this.getConversionFactor(toDevice, context));
+      const description = `Convert ${from} to ${to} via ${fromDevice.ratioTo}` +
+        this.describeLot(fromDevice, context) + this.describeLot(toDevice, context);
+      exact = this.pushExactStep(trace, description, exact, from, exact.multiply(factor), to, factor, 'device');
+      return this.createExactResult(this.roundToTicksExact(exact, toDevice, context, trace), value, from, to, trace);
+    }
+
+    if (fromDevice) {
+      const factor = Rational.from(this.getConversionFactor(fromDevice, context));
+
+      // Apply air-prime loss if applicable
+      if (context?.airPrimeLoss && fromDevice.metadata?.airPrimeLoss) {
+        const remaining = exact.subtract(fromDevice.metadata.airPrimeLoss);
+        exact = this.pushExactStep(
+          trace,
+          `Air-prime adjustment: ${fromDevice.metadata.airPrimeLoss} ${fromDevice.pluralDisplay} wasted`,
+          exact, from, remaining.compare(0) < 0 ? Rational.ZERO : remaining, from, undefined, 'device'
+        );
+      }
+
+      const description = `Convert ${from} to ${fromDevice.ratioTo}${this.describeLot(fromDevice, context)}`;
+      exact = this.pushExactStep(trace, description, exact, from, exact.multiply(factor), fromDevice.ratioTo, factor, 'device');
+      unit = fromDevice.ratioTo;
+    }
+
+    const target = toDevice ? toDevice.ratioTo : to;
+    if (unit !== target) {
+      const description = fromDevice || toDevice ? `Convert ${unit} to ${target}` : 'Standard UCUM conversion';
+      exact = this.pushExactStep(trace, description, exact, unit, this.ucumWrapper.convertExact(exact, unit, target), target, undefined, 'standard');
+      unit = target;
+    }
+
+    if (toDevice) {
+      const factor = Rational.ONE.divide(this.getConversionFactor(toDevice, context));
+      const description = `Convert ${unit} to ${to}${this.describeLot(toDevice, context)}`;
+      exact = this.pushExactStep(trace, description, exact, unit, exact.multiply(factor), to, factor, 'device');
+
+      // Apply air-prime loss warning if applicable
+      if (context?.airPrimeLoss && toDevice.metadata?.airPrimeLoss) {
+        this.pushExactStep(
+          trace,
+          `Note: First ${toDevice.metadata.airPrimeLoss} ${toDevice.pluralDisplay} will be wasted for priming`,
+          exact, to, exact.add(toDevice.metadata.airPrimeLoss), to, undefined, 'device'
+        );
+      }
+
+      exact = this.roundToTicksExact(exact, toDevice, context, trace);
+    }
+
+    return this.createExactResult(exact, value, from, to, trace);
+  }
+
   /**
    * Convert between two device units
    */
@@ -234,7 +320,8 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     const finalValue = baseValue / toFactor;
     
     trace.push({
-      description: `Convert ${from} to ${to} via ${fromDevice.ratioTo}`,
+      description: `Convert ${from} to ${to} via ${fromDevice.ratioTo}` +
+        this.describeLot(fromDevice, context) + this.describeLot(toDevice, context),
       fromValue: value,
       fromUnit: from,
       toValue: finalValue,
@@ -244,7 +331,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     });
     
     return {
-      value: finalValue,
+      value: this.roundToTicks(finalValue, toDevice, context, trace),
       originalValue: value,
       fromUnit: from,
       toUnit: to,
@@ -284,7 +371,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     const baseUnit = deviceUnit.ratioTo;
     
     trace.push({
-      description: `Convert ${from} to ${baseUnit}`,
+      description: `Convert ${from} to ${baseUnit}${this.describeLot(deviceUnit, context)}`,
       fromValue: effectiveValue,
       fromUnit: from,
       toValue: baseValue,
@@ -357,7 +444,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     const deviceValue = baseValue / factor;
     
     trace.push({
-      description: `Convert ${baseUnit} to ${to}`,
+      description: `Convert ${baseUnit} to ${to}${this.describeLot(deviceUnit, context)}`,
       fromValue: baseValue,
       fromUnit: baseUnit,
       toValue: deviceValue,
@@ -379,7 +466,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     }
     
     return {
-      value: deviceValue,
+      value: this.roundToTicks(deviceValue, deviceUnit, context, trace),
       originalValue: value,
       fromUnit: from,
       toUnit: to,
@@ -387,6 +474,107 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     };
   }
   
+  /**
+   * Round to the device's markings (e.g., whole units on an insulin
+   * syringe). The exact value stays in the trace so the rounding can be
+   * scored and explained.
+   */
+  private roundToTicks(
+    value: number,
+    deviceUnit: DeviceUnit,
+    context: ConversionContext | undefined,
+    trace: ConversionStep[]
+  ): number {
+    if (!deviceUnit.metadata?.ticks) {
+      return value;
+    }
+    
+    const ticks = context?.tickRounding || deviceUnit.metadata.ticks;
+    if (ticks === 'none') {
+      return value;
+    }
+    
+    const rounded = roundToTicks(value, ticks);
+    // Ignore float noise (0.1 mL is 10.000000000000002 units)
+    if (Math.abs(rounded - value) > 1e-9) {
+      trace.push({
+        description: `Round to nearest ${ticks} ${deviceUnit.display} mark`,
+        fromValue: value,
+        fromUnit: deviceUnit.id,
+        toValue: rounded,
+        toUnit: deviceUnit.id,
+        type: 'rounding'
+      });
+    }
+    
+    return rounded;
+  }
+  
+  /**
+   * Round an exact value to the device's markings
+   */
+  private roundToTicksExact(
+    value: Rational,
+    deviceUnit: DeviceUnit,
+    context: ConversionContext | undefined,
+    trace: ConversionStep[]
+  ): Rational {
+    const ticks = context?.tickRounding || deviceUnit.metadata?.ticks;
+    if (!deviceUnit.metadata?.ticks || !ticks || ticks === 'none') {
+      return value;
+    }
+
+    const size = Rational.from(TICK_SIZES[ticks]);
+    const rounded = value.divide(size).roundTo(0).multiply(size);
+    if (!rounded.equals(value)) {
+      this.pushExactStep(trace, `Round to nearest ${ticks} ${deviceUnit.display} mark`, value, deviceUnit.id, rounded, deviceUnit.id, undefined, 'rounding');
+    }
+
+    return rounded;
+  }
+
+  /**
+   * Record a step of an exact conversion, returning its result
+   */
+  private pushExactStep(
+    trace: ConversionStep[],
+    description: string,
+    fromValue: Rational,
+    fromUnit: string,
+    toValue: Rational,
+    toUnit: string,
+    factor: Rational | undefined,
+    type: ConversionStep['type']
+  ): Rational {
+    trace.push({
+      description,
+      fromValue: fromValue.toNumber(),
+      fromUnit,
+      toValue: toValue.toNumber(),
+      toUnit,
+      ...(factor && { factor: factor.toNumber() }),
+      type
+    });
+    return toValue;
+  }
+
+  private createExactResult(
+    exact: Rational,
+    originalValue: Rational,
+    from: string,
+    to: string,
+    trace: ConversionStep[]
+  ): ConversionSuccess {
+    return {
+      value: exact.toNumber(),
+      originalValue: originalValue.toNumber(),
+      fromUnit: from,
+      toUnit: to,
+      trace,
+      exact
+    };
+  }
+
   /**
    * Get conversion factor for a device unit, considering context
    */
@@ -394,14 +582,69 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     deviceUnit: DeviceUnit,
     context?: ConversionContext
   ): number {
+    return this.resolveConversionFactor(deviceUnit, context).factor;
+  }
+  
+  /**
+   * Lot of the lot-specific factor a device unit converts with, if any
+   */
+  getLotNumber(unit: string, context?: ConversionContext): string | undefined {
+    const deviceUnit = this.getDeviceUnit(unit);
+    if (!deviceUnit) {
+      return undefined;
+    }
+
+    try {
+      return this.resolveConversionFactor(deviceUnit, context).lotNumber;
+    } catch {
+      // A factor that cannot be resolved was not used
+      return undefined;
+    }
+  }
+  
+  /**
+   * Note for trace steps that use a lot-specific factor, e.g. " (lot A123)"
+   */
+  private describeLot(deviceUnit: DeviceUnit, context?: ConversionContext): string {
+    const { lotNumber } = this.resolveConversionFactor(deviceUnit, context);
+    return lotNumber ? ` (lot ${lotNumber})` : '';
+  }
+  
+  /**
+   * Conversion factor for a device unit, with the lot it applies to when
+   * it is lot-specific
+   */
+  private resolveConversionFactor(
+    deviceUnit: DeviceUnit,
+    context?: ConversionContext
+  ): { factor: number; lotNumber?: string } {
     // Check for custom conversions in context first
     if (context?.customConversions) {
       const custom = context.customConversions.find(
         c => c.from === deviceUnit.id && c.to === deviceUnit.ratioTo
       );
       if (custom) {
-        return custom.factor;
+        return { factor: custom.factor };
+      }
+    }
+    
+    // Then the medication's own rules, ahead of any default ratio
+    const rule = findCustomConversion(
+      context?.medication?.customConversions,
+      deviceUnit.id,
+      deviceUnit.ratioTo,
+      context?.lotNumber
+    );
+    if (rule) {
+      if (isCustomConversionExpired(rule, context?.conversionDate)) {
+        throw ConversionErrors.expiredConversion(
+          deviceUnit.id,
+          deviceUnit.ratioTo,
+          rule.expiresAt!,
+          rule.lotSpecific ? rule.lotNumber : undefined
+        );
       }
+      return { factor: rule.factor, lotNumber: rule.lotSpecific ? rule.lotNumber : undefined };
     }
     
     // Check for medication-specific strength (for tablets, capsules, etc.)
@@ -411,7 +654,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
         // Check if we have strengthQuantity (direct strength per unit)
         if (ingredient.strengthQuantity && 
             ingredient.strengthQuantity.unit === deviceUnit.ratioTo) {
-          return ingredient.strengthQuantity.value;
+          return { factor: ingredient.strengthQuantity.value };
         }
         
         // Check if we have strengthRatio where denominator is 1 unit
@@ -420,7 +663,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
             ingredient.strengthRatio.denominator.value === 1 &&
             (ingredient.strengthRatio.denominator.unit === 'tablet' || 
              ingredient.strengthRatio.denominator.unit === 'capsule')) {
-          return ingredient.strengthRatio.numerator.value;
+          return { factor: ingredient.strengthRatio.numerator.value };
         }
       }
     }
@@ -429,7 +672,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
     if (context?.lotNumber && deviceUnit.metadata?.lotVariations) {
       const lotFactor = deviceUnit.metadata.lotVariations.get(context.lotNumber);
       if (lotFactor !== undefined) {
-        return lotFactor;
+        return { factor: lotFactor, lotNumber: context.lotNumber };
       }
     }
     
@@ -438,7 +681,7 @@ export class DeviceUnitAdapter implements IDeviceUnitAdapter {
       throw this.createMissingContextError(deviceUnit, context);
     }
     
-    return deviceUnit.factor;
+    return { factor: deviceUnit.factor };
   }
   
   /**
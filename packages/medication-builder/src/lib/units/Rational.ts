@@ -0,0 +1,178 @@
+/**
+ * Rational Numbers
+ *
+ * Exact fractions for conversion chains. Numerator and denominator are
+ * BigInts, so a chain of factors cannot overflow, and decimals from unit
+ * tables and labels (0.25 mL per click, 0.05 mL per drop) are read as the
+ * decimal that was written rather than its binary approximation.
+ *
+ * @since 3.3.0
+ */
+
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Significant digits kept when a fraction is too large for a direct
+ * Number division
+ */
+const SIGNIFICANT_DIGITS = 20;
+
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+
+export class Rational {
+  static readonly ZERO = new Rational(0n, 1n);
+  static readonly ONE = new Rational(1n, 1n);
+
+  readonly numerator: bigint;
+  readonly denominator: bigint;
+
+  private constructor(numerator: bigint, denominator: bigint) {
+    if (denominator === 0n) {
+      throw new Error('Rational denominator cannot be zero');
+    }
+
+    // Lowest terms, with the sign on the numerator
+    const divisor = gcd(abs(numerator), abs(denominator)) || 1n;
+    const sign = denominator < 0n ? -1n : 1n;
+    this.numerator = sign * numerator / divisor;
+    this.denominator = sign * denominator / divisor;
+  }
+
+  /**
+   * A fraction of two integers
+   */
+  static of(numerator: bigint | number, denominator: bigint | number = 1n): Rational {
+    return new Rational(toBigInt(numerator), toBigInt(denominator));
+  }
+
+  /**
+   * The decimal a number is written as (0.1 is 1/10, not the nearest double)
+   */
+  static from(value: number | Rational): Rational {
+    if (value instanceof Rational) {
+      return value;
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot represent ${value} as a rational number`);
+    }
+
+    const match = DECIMAL_PATTERN.exec(String(value));
+    if (!match) {
+      throw new Error(`Cannot represent ${value} as a rational number`);
+    }
+
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const scale = Number(exponent) - fraction.length;
+    const digits = BigInt(`${sign}${whole}${fraction}`);
+    return scale >= 0
+      ? new Rational(digits * 10n ** BigInt(scale), 1n)
+      : new Rational(digits, 10n ** BigInt(-scale));
+  }
+
+  add(other: Rational | number): Rational {
+    const o = Rational.from(other);
+    return new Rational(
+      this.numerator * o.denominator + o.numerator * this.denominator,
+      this.denominator * o.denominator
+    );
+  }
+
+  subtract(other: Rational | number): Rational {
+    const o = Rational.from(other);
+    return this.add(new Rational(-o.numerator, o.denominator));
+  }
+
+  multiply(other: Rational | number): Rational {
+    const o = Rational.from(other);
+    return new Rational(this.numerator * o.numerator, this.denominator * o.denominator);
+  }
+
+  divide(other: Rational | number): Rational {
+    const o = Rational.from(other);
+    if (o.numerator === 0n) {
+      throw new Error('Division by zero');
+    }
+    return new Rational(this.numerator * o.denominator, this.denominator * o.numerator);
+  }
+
+  /**
+   * Negative, zero or positive as this is less than, equal to or greater than other
+   */
+  compare(other: Rational | number): number {
+    const o = Rational.from(other);
+    const difference = this.numerator * o.denominator - o.numerator * this.denominator;
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+  }
+
+  equals(other: Rational | number): boolean {
+    return this.compare(other) === 0;
+  }
+
+  isZero(): boolean {
+    return this.numerator === 0n;
+  }
+
+  /**
+   * Round half away from zero to a number of decimal places
+   */
+  roundTo(decimals: number): Rational {
+    const scale = 10n ** BigInt(decimals);
+    const scaled = this.numerator * scale;
+    let quotient = scaled / this.denominator;
+    const remainder = abs(scaled % this.denominator);
+    if (remainder * 2n >= this.denominator) {
+      quotient += this.numerator < 0n ? -1n : 1n;
+    }
+    return new Rational(quotient, scale);
+  }
+
+  /**
+   * Nearest double
+   */
+  toNumber(): number {
+    const { numerator, denominator } = this;
+    if (abs(numerator) <= MAX_SAFE && denominator <= MAX_SAFE) {
+      // One division of two exact doubles is correctly rounded
+      return Number(numerator) / Number(denominator);
+    }
+
+    // Keep enough digits of the quotient for parseFloat to round once
+    const shift = SIGNIFICANT_DIGITS + digitCount(denominator) - digitCount(abs(numerator));
+    const quotient = shift >= 0
+      ? numerator * 10n ** BigInt(shift) / denominator
+      : numerator / (denominator * 10n ** BigInt(-shift));
+    return Number(`${quotient}e${-shift}`);
+  }
+
+  /**
+   * E.g. "200/3", or "200" for whole numbers
+   */
+  toString(): string {
+    return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+  }
+}
+
+function toBigInt(value: bigint | number): bigint {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (!Number.isInteger(value)) {
+    throw new Error(`Rational parts must be integers, got ${value}`);
+  }
+  return BigInt(value);
+}
+
+function abs(value: bigint): bigint {
+  return value < 0n ? -value : value;
+}
+
+function gcd(a: bigint, b: bigint): bigint {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function digitCount(value: bigint): number {
+  return value.toString().length;
+}
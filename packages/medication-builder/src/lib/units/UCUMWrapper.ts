@@ -18,6 +18,7 @@ import {
   success,
   error
 } from './ConversionErrors';
+import { Rational } from './Rational';
 
 /**
  * Mapping of common medical units to js-quantities format
@@ -124,6 +125,21 @@ export class UCUMWrapper implements IUCUMWrapper {
     }
   }
   
+  /**
+   * Convert between standard units with exact fractions. The unit factor
+   * is read to 15 significant digits, which drops the float noise
+   * js-quantities leaves in factors like mg to g.
+   */
+  convertExact(value: Rational, from: string, to: string): Rational {
+    // Factor and offset, so affine units such as temperatures stay exact.
+    // Converting 1 first raises convert's errors; 0 can fail differently
+    const one = Rational.from(Number(this.convert(1, from, to).toPrecision(15)));
+    const offset = Rational.from(Number(this.convert(0, from, to).toPrecision(15)));
+    const factor = one.subtract(offset);
+
+    return value.multiply(factor).add(offset);
+  }
+  
   /**
    * Validate a unit string
    */
@@ -19,6 +19,9 @@ import {
 } from './types';
 import { UCUMWrapper } from './UCUMWrapper';
 import { DeviceUnitAdapter } from './DeviceUnitAdapter';
+import { SYRINGE_UNITS } from './syringe-units';
+import { Rational } from './Rational';
+import { findCustomConversion } from './custom-conversions';
 import {
   ConversionError,
   ConversionErrors
@@ -35,9 +38,73 @@ const DEFAULT_OPTIONS: Required<ConversionOptions> = {
   trace: true,
   tolerance: 1e-6,
   maxSteps: 10,
-  strict: false
+  strict: false,
+  rational: false
 };
 
+/**
+ * International units have no fixed mass; they convert to volume only
+ * through a concentration (e.g., insulin 100 IU/mL)
+ */
+const ARBITRARY_UNITS = ['IU', '[iU]', '[IU]'];
+
+/**
+ * Amount-of-substance units in mmol
+ */
+const MOLE_UNITS_IN_MMOL: Record<string, number> = {
+  mol: 1000,
+  mmol: 1,
+  umol: 0.001,
+  'µmol': 0.001,
+  'μmol': 0.001
+};
+
+/**
+ * Equivalent units in mEq, matched case-insensitively (mEq, meq)
+ */
+const EQUIVALENT_UNITS_IN_MEQ: Record<string, number> = {
+  eq: 1000,
+  meq: 1,
+  ueq: 0.001,
+  'µeq': 0.001,
+  'μeq': 0.001
+};
+
+/**
+ * Molar mass units in mg/mmol (numerically the same as g/mol)
+ */
+const MOLAR_MASS_UNITS: Record<string, number> = {
+  'g/mol': 1,
+  'mg/mmol': 1,
+  'kg/mol': 1000
+};
+
+/**
+ * Electrolyte amounts convert along mg ⇄ mmol (molar mass) ⇄ mEq (valence)
+ */
+const MOLAR_LADDER = ['mg', 'mmol', 'mEq'] as const;
+
+type MolarLadderUnit = typeof MOLAR_LADDER[number];
+
+/**
+ * Ladder position and scale to it for mmol and mEq units
+ */
+function getMolarUnit(unit: string): { base: MolarLadderUnit; factor: number } | undefined {
+  const moleFactor = lookupFactor(MOLE_UNITS_IN_MMOL, unit);
+  if (moleFactor !== undefined) {
+    return { base: 'mmol', factor: moleFactor };
+  }
+  const factor = lookupFactor(EQUIVALENT_UNITS_IN_MEQ, unit.toLowerCase());
+  return factor !== undefined ? { base: 'mEq', factor } : undefined;
+}
+
+/**
+ * Factor for a unit in a table; own keys only, so 'valueOf' is not a unit
+ */
+function lookupFactor(table: Record<string, number>, unit: string): number | undefined {
+  return Object.prototype.hasOwnProperty.call(table, unit) ? table[unit] : undefined;
+}
+
 /**
  * Main Unit Converter implementation
  */
@@ -123,7 +190,8 @@ export class UnitConverter implements IUnitConverter {
           originalValue: value,
           fromUnit: from,
           toUnit: to,
-          trace: identityTrace
+          trace: identityTrace,
+          ...(opts.rational && { exact: Rational.from(value) })
         };
         
         // Calculate confidence for identity conversion
@@ -137,8 +205,9 @@ export class UnitConverter implements IUnitConverter {
           { value, fromUnit: from, toUnit: to },
           {
             usedDefaults: false,
-            hasLotSpecificData: context?.lotNumber !== undefined,
-            missingRequiredContext: false
+            hasLotSpecificData: false, // No conversion factor is applied
+            missingRequiredContext: false,
+            usedRationalArithmetic: opts.rational
           }
         );
         
@@ -187,7 +256,9 @@ export class UnitConverter implements IUnitConverter {
         }
       });
       
-      const result = this.deviceAdapter.convert(value, from, to, context);
+      const result = opts.rational
+        ? this.deviceAdapter.convertExact(Rational.from(value), from, to, context)
+        : this.deviceAdapter.convert(value, from, to, context);
       
       // Trace each conversion step
       result.trace.forEach(step => {
@@ -205,8 +276,11 @@ export class UnitConverter implements IUnitConverter {
         });
       });
       
-      // Apply precision check if in strict mode
-      if (opts.strict && result.trace.length > 0) {
+      // Exact results are only rounded for display; float results are
+      // checked for precision in strict mode
+      if (opts.rational) {
+        this.roundForDisplay(result, result.exact!, opts.tolerance);
+      } else if (opts.strict && result.trace.length > 0) {
         this.checkPrecision(result, opts.tolerance);
       }
       
@@ -227,9 +301,10 @@ export class UnitConverter implements IUnitConverter {
         result.trace,
         { value, fromUnit: from, toUnit: to },
         {
-          usedDefaults: context?.customConversions ? false : result.trace.some(s => s.type === 'device'),
-          hasLotSpecificData: context?.lotNumber !== undefined,
-          missingRequiredContext: false // We would have thrown earlier if required context was missing
+          usedDefaults: this.hasCustomConversion(from, to, context) ? false : result.trace.some(s => s.type === 'device'),
+          hasLotSpecificData: this.usesLotSpecificFactor(from, to, context),
+          missingRequiredContext: false, // We would have thrown earlier if required context was missing
+          usedRationalArithmetic: opts.rational
         }
       );
       
@@ -297,6 +372,14 @@ export class UnitConverter implements IUnitConverter {
       };
     }
     
+    if (ARBITRARY_UNITS.includes(unit) || getMolarUnit(unit)) {
+      return {
+        valid: true,
+        normalized: unit,
+        type: 'standard'
+      };
+    }
+    
     // Check standard units
     return this.ucumWrapper.validate(unit);
   }
@@ -452,7 +535,12 @@ export class UnitConverter implements IUnitConverter {
     to: string,
     context?: ConversionContext
   ): boolean {
-    // Only use concentration conversion if context provides strengthRatio
+    // mmol and mEq convert through molar mass and valence, with or without a strength
+    if (getMolarUnit(from) || getMolarUnit(to)) {
+      return true;
+    }
+    
+    // Otherwise only use concentration conversion if context provides strengthRatio
     if (!context?.strengthRatio) {
       return false;
     }
@@ -465,8 +553,8 @@ export class UnitConverter implements IUnitConverter {
       return false;
     }
     
-    // Check if we're converting between mass and volume
-    const massUnits = ['pg', 'ng', 'mcg', 'μg', 'mg', 'g', 'kg'];
+    // Check if we're converting between mass (or IU) and volume
+    const massUnits = ['pg', 'ng', 'mcg', 'μg', 'mg', 'g', 'kg', ...ARBITRARY_UNITS];
     const volumeUnits = ['μL', 'uL', 'mL', 'dL', 'L'];
     
     const fromIsMass = massUnits.includes(from) || 
@@ -510,6 +598,17 @@ export class UnitConverter implements IUnitConverter {
       }
     });
     
+    const exact = Rational.from(value);
+    const rational = options.rational;
+    
+    // Amount to amount (e.g., mEq to mg) needs no strength
+    if (!this.isVolumeUnit(from) && !this.isVolumeUnit(to)) {
+      return this.createConcentrationResult(
+        this.convertAmount(exact, from, to, context, trace, rational),
+        value, from, to, context, trace, options
+      );
+    }
+    
     // Check if we have strength ratio in context
     if (!context?.strengthRatio) {
       throw ConversionErrors.missingContext(
@@ -531,28 +630,20 @@ export class UnitConverter implements IUnitConverter {
     
     // Convert through the concentration
     // Example: 2 mL of 100 mg/mL = 200 mg
-    let result: number;
+    const concentration = Rational.from(numerator.value).divide(denominator.value);
+    let result: Rational;
     
     // Determine if we're converting volume to mass or mass to volume
-    const volumeUnits = ['μL', 'uL', 'mL', 'dL', 'L'];
-    const fromIsVolume = volumeUnits.includes(from) ||
-      (this.deviceAdapter.isDeviceUnit(from) &&
-       volumeUnits.includes(this.deviceAdapter.getDeviceUnit(from)?.ratioTo || ''));
-    
-    if (fromIsVolume) {
+    if (this.isVolumeUnit(from)) {
       // Converting from volume to mass
       // First convert input to denominator unit if needed
-      let volumeInDenomUnit = value;
+      let volumeInDenomUnit = exact;
       let currentUnit = from;
       
       if (from !== denominator.unit) {
         try {
-          const volumeConversion = this.deviceAdapter.convert(
-            value, from, denominator.unit, context
-          );
-          volumeInDenomUnit = volumeConversion.value;
+          volumeInDenomUnit = this.convertLeg(exact, from, denominator.unit, context, trace, rational);
           currentUnit = denominator.unit;
-          trace.push(...volumeConversion.trace);
         } catch (e) {
           // If direct conversion fails, we need better unit compatibility checking
           throw new Error(`Cannot convert ${from} to ${denominator.unit} for concentration calculation`);
@@ -560,81 +651,91 @@ export class UnitConverter implements IUnitConverter {
       }
       
       // Apply concentration
-      const massValue = (volumeInDenomUnit * numerator.value) / denominator.value;
+      const massValue = volumeInDenomUnit.multiply(concentration);
       
-      trace.push({
+      this.recordStep(trace, {
         description: `Apply concentration ${numerator.value} ${numerator.unit}/${denominator.value} ${denominator.unit}`,
-        fromValue: volumeInDenomUnit,
+        fromValue: volumeInDenomUnit.toNumber(),
         fromUnit: currentUnit,
-        toValue: massValue,
+        toValue: massValue.toNumber(),
         toUnit: numerator.unit,
-        factor: numerator.value / denominator.value,
+        factor: concentration.toNumber(),
         type: 'concentration'
       });
       
       // Convert to target unit
       if (numerator.unit !== to) {
-        const finalConversion = this.deviceAdapter.convert(
-          massValue, numerator.unit, to, context
-        );
-        trace.push(...finalConversion.trace);
-        result = finalConversion.value;
+        result = this.convertAmount(massValue, numerator.unit, to, context, trace, rational);
       } else {
         result = massValue;
       }
     } else {
       // Converting from mass to volume
       // First convert input to numerator unit if needed
-      let massInNumUnit = value;
+      let massInNumUnit = exact;
       let currentUnit = from;
       
       if (from !== numerator.unit) {
         try {
-          const massConversion = this.deviceAdapter.convert(
-            value, from, numerator.unit, context
-          );
-          massInNumUnit = massConversion.value;
+          massInNumUnit = this.convertAmount(exact, from, numerator.unit, context, trace, rational);
           currentUnit = numerator.unit;
-          trace.push(...massConversion.trace);
         } catch (e) {
+          if (e instanceof ConversionError) {
+            throw e;
+          }
           // If direct conversion fails, we need better unit compatibility checking
           throw new Error(`Cannot convert ${from} to ${numerator.unit} for concentration calculation`);
         }
       }
       
       // Apply inverse concentration
-      const volumeValue = (massInNumUnit * denominator.value) / numerator.value;
+      const volumeValue = massInNumUnit.divide(concentration);
       
-      trace.push({
+      this.recordStep(trace, {
         description: `Apply inverse concentration ${denominator.value} ${denominator.unit}/${numerator.value} ${numerator.unit}`,
-        fromValue: massInNumUnit,
+        fromValue: massInNumUnit.toNumber(),
         fromUnit: currentUnit,
-        toValue: volumeValue,
+        toValue: volumeValue.toNumber(),
         toUnit: denominator.unit,
-        factor: denominator.value / numerator.value,
+        factor: Rational.ONE.divide(concentration).toNumber(),
         type: 'concentration'
       });
       
       // Convert to target unit
       if (denominator.unit !== to) {
-        const finalConversion = this.deviceAdapter.convert(
-          volumeValue, denominator.unit, to, context
-        );
-        trace.push(...finalConversion.trace);
-        result = finalConversion.value;
+        result = this.convertLeg(volumeValue, denominator.unit, to, context, trace, rational);
       } else {
         result = volumeValue;
       }
     }
     
+    return this.createConcentrationResult(result, value, from, to, context, trace, options);
+  }
+  
+  /**
+   * Wrap a concentration-pathway result with its confidence score
+   */
+  private createConcentrationResult(
+    result: Rational,
+    value: number,
+    from: string,
+    to: string,
+    context: ConversionContext | undefined,
+    trace: ConversionStep[],
+    options: Required<ConversionOptions>
+  ): ConversionSuccess {
     const finalResult: ConversionSuccess = {
-      value: result,
+      value: result.toNumber(),
       originalValue: value,
       fromUnit: from,
       toUnit: to,
       trace
     };
     
+    if (options.rational) {
+      this.roundForDisplay(finalResult, result, options.tolerance);
+    }
+    
     // Check max steps constraint
     if (options.trace && trace.length > options.maxSteps) {
       throw new Error(`Conversion exceeded maximum steps (${options.maxSteps})`);
@@ -651,8 +752,9 @@ export class UnitConverter implements IUnitConverter {
       { value, fromUnit: from, toUnit: to },
       {
         usedDefaults: false, // Concentration conversions use explicit strength ratio
-        hasLotSpecificData: context?.lotNumber !== undefined,
-        missingRequiredContext: false // We would have thrown earlier if strengthRatio was missing
+        hasLotSpecificData: this.usesLotSpecificFactor(from, to, context),
+        missingRequiredContext: false, // We would have thrown earlier if strengthRatio was missing
+        usedRationalArithmetic: options.rational
       }
     );
     
@@ -663,6 +765,223 @@ export class UnitConverter implements IUnitConverter {
     return finalResult;
   }
   
+  /**
+   * Convert between amounts, going through molar mass and valence when
+   * either unit is mmol or mEq (e.g., 20 mEq KCl → 20 mmol → 1491 mg)
+   */
+  private convertAmount(
+    value: Rational,
+    from: string,
+    to: string,
+    context: ConversionContext | undefined,
+    trace: ConversionStep[],
+    rational: boolean
+  ): Rational {
+    const fromMolar = getMolarUnit(from);
+    const toMolar = getMolarUnit(to);
+    
+    if (!fromMolar && !toMolar) {
+      return this.convertLeg(value, from, to, context, trace, rational);
+    }
+    
+    const start = MOLAR_LADDER.indexOf(fromMolar?.base || 'mg');
+    const end = MOLAR_LADDER.indexOf(toMolar?.base || 'mg');
+    const molarMass = context?.molarMass || context?.medication?.molarMass;
+    
+    // Check everything the path needs before converting
+    const missing: string[] = [];
+    if (Math.min(start, end) === 0 && Math.max(start, end) >= 1 && !molarMass) {
+      missing.push('molarMass');
+    }
+    if (Math.max(start, end) === 2 && Math.min(start, end) <= 1 && !molarMass?.valence) {
+      missing.push('valence');
+    }
+    if (missing.length) {
+      throw ConversionErrors.missingContext(
+        missing,
+        `${from} to ${to} conversion`,
+        context as Record<string, unknown>
+      );
+    }
+    
+    // Bring the amount onto the ladder: mmol, mEq, or mg for a mass
+    let amount = value;
+    let unit: string = MOLAR_LADDER[start];
+    if (fromMolar) {
+      amount = this.scaleMolar(amount, from, unit, fromMolar.factor, trace);
+    } else if (from !== 'mg') {
+      amount = this.convertAmount(amount, from, 'mg', context, trace, rational);
+    }
+    
+    // Walk the ladder
+    const step = end > start ? 1 : -1;
+    for (let position = start; position !== end; position += step) {
+      const next = MOLAR_LADDER[position + step];
+      const crossing = Math.min(position, position + step);
+      const factor = crossing === 0
+        ? this.getMolarMassInMgPerMmol(molarMass!)
+        : Rational.from(molarMass!.valence!);
+      const applied = (next === 'mg' || next === 'mEq') ? factor : Rational.ONE.divide(factor);
+      const description = crossing === 0
+        ? `${next === 'mg' ? 'Multiply' : 'Divide'} by molar mass ${molarMass!.value} ${molarMass!.unit}`
+        : `${next === 'mEq' ? 'Multiply' : 'Divide'} by valence ${factor}`;
+      
+      this.recordStep(trace, {
+        description,
+        fromValue: amount.toNumber(),
+        fromUnit: unit,
+        toValue: amount.multiply(applied).toNumber(),
+        toUnit: next,
+        factor: applied.toNumber(),
+        type: 'concentration'
+      });
+      amount = amount.multiply(applied);
+      unit = next;
+    }
+    
+    // Leave the ladder in the target unit
+    if (toMolar) {
+      return this.scaleMolar(amount, unit, to, Rational.ONE.divide(toMolar.factor), trace);
+    }
+    return to === 'mg' ? amount : this.convertAmount(amount, 'mg', to, context, trace, rational);
+  }
+  
+  /**
+   * Scale between units of the same kind (e.g., mol → mmol)
+   */
+  private scaleMolar(
+    value: Rational,
+    from: string,
+    to: string,
+    factor: Rational | number,
+    trace: ConversionStep[]
+  ): Rational {
+    const exactFactor = Rational.from(factor);
+    if (exactFactor.equals(1)) {
+      return value;
+    }
+    
+    const scaled = value.multiply(exactFactor);
+    this.recordStep(trace, {
+      description: `Convert ${from} to ${to}`,
+      fromValue: value.toNumber(),
+      fromUnit: from,
+      toValue: scaled.toNumber(),
+      toUnit: to,
+      factor: exactFactor.toNumber(),
+      type: 'standard'
+    });
+    return scaled;
+  }
+  
+  private getMolarMassInMgPerMmol(molarMass: { value: number; unit: string }): Rational {
+    const factor = lookupFactor(MOLAR_MASS_UNITS, molarMass.unit);
+    if (factor === undefined || !(molarMass.value > 0)) {
+      throw new Error(`Invalid molar mass: ${molarMass.value} ${molarMass.unit}`);
+    }
+    return Rational.from(molarMass.value).multiply(factor);
+  }
+  
+  /**
+   * Convert through the device adapter, with exact fractions in rational mode
+   */
+  private convertLeg(
+    value: Rational,
+    from: string,
+    to: string,
+    context: ConversionContext | undefined,
+    trace: ConversionStep[],
+    rational: boolean
+  ): Rational {
+    const conversion = rational
+      ? this.deviceAdapter.convertExact(value, from, to, context)
+      : this.deviceAdapter.convert(value.toNumber(), from, to, context);
+    conversion.trace.forEach(step => this.recordStep(trace, step));
+    return conversion.exact || Rational.from(conversion.value);
+  }
+  
+  /**
+   * Round an exact result to the tolerance for display, recording the
+   * rounding step when it changes the value
+   */
+  private roundForDisplay(result: ConversionSuccess, exact: Rational, tolerance: number): void {
+    const decimals = Math.max(0, -Math.floor(Math.log10(tolerance)));
+    const rounded = exact.roundTo(decimals);
+    
+    result.exact = exact;
+    result.value = rounded.toNumber();
+    
+    if (!rounded.equals(exact)) {
+      this.recordStep(result.trace, {
+        description: `Round ${exact} ${result.toUnit} to ${decimals} decimal places for display`,
+        fromValue: exact.toNumber(),
+        fromUnit: result.toUnit,
+        toValue: result.value,
+        toUnit: result.toUnit,
+        type: 'rounding'
+      });
+    }
+  }
+  
+  /**
+   * Add a step to the conversion trace and the tracer
+   */
+  private recordStep(trace: ConversionStep[], step: ConversionStep): void {
+    trace.push(step);
+    this.tracer.trace({
+      type: 'conversion_step',
+      description: step.description,
+      data: {
+        fromValue: step.fromValue,
+        fromUnit: step.fromUnit,
+        toValue: step.toValue,
+        toUnit: step.toUnit,
+        factor: step.factor,
+        stepType: step.type
+      }
+    });
+  }
+  
+  /**
+   * Check if custom conversion factors replace a device's default ratio
+   */
+  private hasCustomConversion(from: string, to: string, context?: ConversionContext): boolean {
+    if (context?.customConversions) {
+      return true;
+    }
+    
+    return [from, to].some(unit => {
+      const deviceUnit = this.deviceAdapter.getDeviceUnit(unit);
+      return deviceUnit !== undefined && findCustomConversion(
+        context?.medication?.customConversions,
+        deviceUnit.id,
+        deviceUnit.ratioTo,
+        context?.lotNumber
+      ) !== undefined;
+    });
+  }
+  
+  /**
+   * Check if either unit converts with a lot-specific factor for the context's lot
+   */
+  private usesLotSpecificFactor(from: string, to: string, context?: ConversionContext): boolean {
+    if (context?.lotNumber === undefined) {
+      return false;
+    }
+    
+    return [from, to].some(unit => this.deviceAdapter.getLotNumber(unit, context) !== undefined);
+  }
+  
+  /**
+   * Check if a unit (or the unit a device unit measures in) is a volume
+   */
+  private isVolumeUnit(unit: string): boolean {
+    const volumeUnits = ['μL', 'uL', 'mL', 'dL', 'L'];
+    return volumeUnits.includes(unit) ||
+      (this.deviceAdapter.isDeviceUnit(unit) &&
+       volumeUnits.includes(this.deviceAdapter.getDeviceUnit(unit)?.ratioTo || ''));
+  }
+  
   /**
    * Check precision constraints
    */
@@ -698,7 +1017,8 @@ export class UnitConverter implements IUnitConverter {
     // For now, we'll check common device units
     const commonDeviceUnits = [
       '{click}', '{drop}', '{tablet}', '{capsule}',
-      '{patch}', '{puff}', '{spray}', '{application}'
+      '{patch}', '{puff}', '{spray}', '{application}',
+      ...Object.keys(SYRINGE_UNITS)
     ];
     
     const units: DeviceUnit[] = [];
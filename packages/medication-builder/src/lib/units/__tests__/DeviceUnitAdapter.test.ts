@@ -3,9 +3,11 @@
  */
 import { DeviceUnitAdapter } from '../DeviceUnitAdapter';
 import { UCUMWrapper } from '../UCUMWrapper';
-import { MissingContextError } from '../ConversionErrors';
+import { Rational } from '../Rational';
+import { MissingContextError, ExpiredConversionError } from '../ConversionErrors';
 import { DeviceUnit, ConversionContext } from '../types';
 import { MedicationProfile } from '../../types/MedicationProfile';
+import { CustomConversion } from '../../../types/MedicationProfile';
 
 describe('DeviceUnitAdapter', () => {
   let adapter: DeviceUnitAdapter;
@@ -253,6 +255,79 @@ describe('DeviceUnitAdapter', () => {
     });
   });
   
+  describe('insulin syringe units', () => {
+    it('should register U-100, U-50 and U-40 syringe units', () => {
+      expect(adapter.convert(1, 'mL', '{U100_unit}').value).toBe(100);
+      expect(adapter.convert(1, 'mL', '{U50_unit}').value).toBe(50);
+      expect(adapter.convert(1, 'mL', '{U40_unit}').value).toBe(40);
+      expect(adapter.convert(25, '{U100_unit}', 'mL').value).toBe(0.25);
+      expect(adapter.getDeviceUnit('{U100_unit}')?.metadata?.device).toBe('U-100 insulin syringe');
+    });
+    
+    it('should convert between syringes by volume', () => {
+      const result = adapter.convert(20, '{U40_unit}', '{U100_unit}');
+      expect(result.value).toBe(50); // 0.5 mL
+    });
+    
+    it('should round to whole unit marks and keep the exact value in the trace', () => {
+      const result = adapter.convert(0.123, 'mL', '{U100_unit}');
+      
+      expect(result.value).toBe(12);
+      expect(result.trace[result.trace.length - 1]).toEqual({
+        description: 'Round to nearest whole unit mark',
+        fromValue: expect.closeTo(12.3, 10),
+        fromUnit: '{U100_unit}',
+        toValue: 12,
+        toUnit: '{U100_unit}',
+        type: 'rounding'
+      });
+    });
+    
+    it('should round to half unit marks or not at all from context', () => {
+      expect(adapter.convert(0.123, 'mL', '{U100_unit}', { tickRounding: 'half' }).value).toBe(12.5);
+      expect(adapter.convert(0.123, 'mL', '{U100_unit}', { tickRounding: 'none' }).value).toBeCloseTo(12.3, 10);
+      // Devices without markings are never rounded
+      expect(adapter.convert(0.12, 'mL', '{drop}', { tickRounding: 'whole' }).value).toBeCloseTo(2.4, 10);
+    });
+    
+    it('should not record float noise as rounding', () => {
+      const result = adapter.convert(0.125, 'mL', '{U100_unit}', { tickRounding: 'half' });
+      
+      expect(result.value).toBe(12.5);
+      expect(result.trace.some(step => step.type === 'rounding')).toBe(false);
+    });
+  });
+  
+  describe('exact conversions', () => {
+    it('should convert device units without float noise', () => {
+      // 3 × 0.05 mL is 0.15000000000000002 in floating point
+      const result = adapter.convertExact(Rational.of(3), '{drop}', 'mL');
+      
+      expect(result.exact?.toString()).toBe('3/20');
+      expect(result.value).toBe(0.15);
+      expect(result.trace).toEqual(adapter.convert(3, '{drop}', 'mL').trace.map(step => ({
+        ...step,
+        toValue: 0.15
+      })));
+    });
+    
+    it('should round exactly to syringe marks', () => {
+      const result = adapter.convertExact(Rational.from(0.125), 'mL', '{U100_unit}', { tickRounding: 'half' });
+      
+      expect(result.exact?.toString()).toBe('25/2');
+      expect(result.trace.some(step => step.type === 'rounding')).toBe(false);
+      
+      const rounded = adapter.convertExact(Rational.from(0.123), 'mL', '{U100_unit}');
+      expect(rounded.value).toBe(12);
+      expect(rounded.trace[rounded.trace.length - 1]).toMatchObject({ fromValue: 12.3, toValue: 12, type: 'rounding' });
+    });
+    
+    it('should convert between device units by volume', () => {
+      expect(adapter.convertExact(Rational.of(20), '{U40_unit}', '{U100_unit}').exact?.toString()).toBe('50');
+      expect(adapter.convertExact(Rational.of(1), '{click}', '{drop}').exact?.toString()).toBe('5');
+    });
+  });
+  
   describe('lot-specific variations', () => {
     it('should use lot-specific conversion factor when available', () => {
       // Register a device with lot variations
@@ -288,6 +363,53 @@ describe('DeviceUnitAdapter', () => {
     });
   });
   
+  describe('medication custom conversions', () => {
+    // Compounded cream lot measured at 0.27 mL per click
+    const lotRule: CustomConversion = {
+      from: { value: 1, unit: '{click}' },
+      to: { value: 0.27, unit: 'mL' },
+      factor: 0.27,
+      lotSpecific: true,
+      lotNumber: 'B2401',
+      expiresAt: '2030-01-31'
+    };
+    const productRule: CustomConversion = {
+      from: { value: 1, unit: 'click' },
+      to: { value: 0.26, unit: 'mL' },
+      factor: 0.26,
+      lotSpecific: false
+    };
+    const withRules = (lotNumber?: string, conversionDate = '2030-01-01'): ConversionContext => ({
+      medication: { customConversions: [productRule, lotRule] } as MedicationProfile,
+      lotNumber,
+      conversionDate
+    });
+    
+    it('should apply the lot rule ahead of the default click volume', () => {
+      const result = adapter.convert(4, '{click}', 'mL', withRules('B2401'));
+      
+      expect(result.value).toBeCloseTo(1.08, 10);
+      expect(result.trace[0].description).toBe('Convert {click} to mL (lot B2401)');
+      expect(adapter.convert(1.08, 'mL', '{click}', withRules('B2401')).value).toBeCloseTo(4, 10);
+    });
+    
+    it('should use the product rule for other lots', () => {
+      expect(adapter.convert(4, '{click}', 'mL', withRules('B2402')).value).toBeCloseTo(1.04, 10);
+      expect(adapter.convert(4, '{click}', 'mL', withRules()).value).toBeCloseTo(1.04, 10);
+      expect(adapter.convert(4, '{click}', 'mL').value).toBe(1);
+    });
+    
+    it('should reject an expired rule', () => {
+      expect(() => adapter.convert(4, '{click}', 'mL', withRules('B2401', '2030-02-01')))
+        .toThrow(ExpiredConversionError);
+      expect(() => adapter.convert(4, '{click}', 'mL', withRules('B2401', '2030-02-01')))
+        .toThrow('Custom conversion from {click} to mL for lot B2401 expired on 2030-01-31');
+      // A date alone is good through the end of that day
+      expect(() => adapter.convert(4, '{click}', 'mL', withRules('B2401', '2030-01-31T23:00:00Z')))
+        .not.toThrow();
+    });
+  });
+  
   describe('trace information', () => {
     it('should provide detailed trace for multi-step conversions', () => {
       const context: ConversionContext = {
@@ -0,0 +1,72 @@
+/**
+ * Tests for Rational
+ */
+import { Rational } from '../Rational';
+
+describe('Rational', () => {
+  describe('construction', () => {
+    it('should read numbers as the decimal they are written as', () => {
+      expect(Rational.from(0.1).toString()).toBe('1/10');
+      expect(Rational.from(0.05).toString()).toBe('1/20');
+      expect(Rational.from(-2.5).toString()).toBe('-5/2');
+      expect(Rational.from(1e-7).toString()).toBe('1/10000000');
+      expect(Rational.from(1.5e21).toString()).toBe('1500000000000000000000');
+    });
+    
+    it('should reduce to lowest terms with a positive denominator', () => {
+      expect(Rational.of(10, 4).toString()).toBe('5/2');
+      expect(Rational.of(3, -6).toString()).toBe('-1/2');
+      expect(Rational.of(0, 7).toString()).toBe('0');
+    });
+    
+    it('should reject values that are not exact', () => {
+      expect(() => Rational.from(NaN)).toThrow('Cannot represent NaN as a rational number');
+      expect(() => Rational.of(1.5)).toThrow('Rational parts must be integers, got 1.5');
+      expect(() => Rational.of(1, 0)).toThrow('Rational denominator cannot be zero');
+    });
+  });
+  
+  describe('arithmetic', () => {
+    it('should add, subtract, multiply and divide exactly', () => {
+      expect(Rational.from(0.1).add(0.2).equals(0.3)).toBe(true);
+      expect(Rational.of(1, 3).subtract(Rational.of(1, 6)).toString()).toBe('1/6');
+      expect(Rational.from(0.05).multiply(3).toString()).toBe('3/20');
+      expect(Rational.of(200).divide(3).toString()).toBe('200/3');
+    });
+    
+    it('should not overflow on long chains of factors', () => {
+      let value = Rational.ONE;
+      for (let i = 0; i < 10; i++) {
+        value = value.multiply(Rational.of(1, 3)).multiply(1000);
+      }
+      
+      expect(value.toString()).toBe('1000000000000000000000000000000/59049');
+      expect(value.toNumber() / (1e30 / 59049)).toBeCloseTo(1, 12);
+    });
+    
+    it('should reject division by zero', () => {
+      expect(() => Rational.ONE.divide(0)).toThrow('Division by zero');
+    });
+    
+    it('should compare values', () => {
+      expect(Rational.of(1, 3).compare(0.3)).toBe(1);
+      expect(Rational.of(-1, 2).compare(0)).toBe(-1);
+      expect(Rational.of(2, 4).equals(0.5)).toBe(true);
+      expect(Rational.ZERO.isZero()).toBe(true);
+    });
+  });
+  
+  describe('rounding', () => {
+    it('should round half away from zero', () => {
+      expect(Rational.of(200, 3).roundTo(6).toNumber()).toBe(66.666667);
+      expect(Rational.of(5, 2).roundTo(0).toNumber()).toBe(3);
+      expect(Rational.of(-5, 2).roundTo(0).toNumber()).toBe(-3);
+      expect(Rational.from(0.125).roundTo(2).toNumber()).toBe(0.13);
+    });
+    
+    it('should give the nearest double', () => {
+      expect(Rational.of(1, 3).toNumber()).toBe(1 / 3);
+      expect(Rational.of(10n ** 30n + 1n, 10n ** 30n).toNumber()).toBe(1);
+    });
+  });
+});
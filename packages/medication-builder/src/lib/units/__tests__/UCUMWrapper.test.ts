@@ -2,6 +2,7 @@
  * Tests for UCUM Wrapper
  */
 import { UCUMWrapper } from '../UCUMWrapper';
+import { Rational } from '../Rational';
 import { 
   ImpossibleConversionError, 
   InvalidUnitError 
@@ -104,6 +105,18 @@ describe('UCUMWrapper', () => {
     });
   });
   
+  describe('convertExact', () => {
+    it('should convert with exact fractions', () => {
+      expect(wrapper.convertExact(Rational.of(1, 3), 'g', 'mg').toString()).toBe('1000/3');
+      expect(wrapper.convertExact(Rational.from(0.1), 'mg', 'g').toString()).toBe('1/10000');
+    });
+    
+    it('should throw the same errors as convert', () => {
+      expect(() => wrapper.convertExact(Rational.ONE, 'mg', 'mL'))
+        .toThrow(ImpossibleConversionError);
+    });
+  });
+  
   describe('validate', () => {
     it('should validate standard mass units', () => {
       const units = ['pg', 'ng', 'mcg', 'μg', 'mg', 'g', 'kg'];
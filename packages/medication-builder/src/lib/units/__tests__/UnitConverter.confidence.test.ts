@@ -3,6 +3,7 @@
  */
 import { UnitConverter } from '../UnitConverter';
 import { ConversionContext } from '../types';
+import { MedicationProfile } from '../../../types/MedicationProfile';
 
 describe('UnitConverter - Confidence Score Integration', () => {
   let converter: UnitConverter;
@@ -42,7 +43,11 @@ describe('UnitConverter - Confidence Score Integration', () => {
               numerator: { value: 100, unit: 'mg' },
               denominator: { value: 1, unit: 'tablet' }
             }
-          }]
+          }],
+          // Assayed strength of the lot
+          customConversions: [
+            { from: { value: 1, unit: '{tablet}' }, to: { value: 100, unit: 'mg' }, factor: 100, lotSpecific: true, lotNumber: 'LOT123' }
+          ]
         }
       };
       
@@ -145,6 +150,66 @@ describe('UnitConverter - Confidence Score Integration', () => {
     });
   });
   
+  describe('lot-specific custom conversions', () => {
+    const cream = {
+      customConversions: [
+        { from: { value: 1, unit: '{click}' }, to: { value: 0.26, unit: 'mL' }, factor: 0.26, lotSpecific: false },
+        { from: { value: 1, unit: '{click}' }, to: { value: 0.27, unit: 'mL' }, factor: 0.27, lotSpecific: true, lotNumber: 'B2401' }
+      ]
+    } as MedicationProfile;
+    
+    it('should score a measured lot above the default click volume', () => {
+      const standard = converter.convert(4, '{click}', 'mL');
+      const product = converter.convert(4, '{click}', 'mL', { medication: cream });
+      const lot = converter.convert(4, '{click}', 'mL', { medication: cream, lotNumber: 'B2401' });
+      
+      expect(lot.value).toBeCloseTo(1.08, 10);
+      expect(product.confidence).toBeCloseTo(standard.confidence! + 0.10, 10); // No default factor
+      expect(lot.confidence).toBeGreaterThan(product.confidence!);
+      
+      const explanation = converter.explain();
+      expect(explanation).toContain('Lot-specific conversion data available');
+      expect(explanation).toContain('Convert {click} to mL (lot B2401)');
+    });
+    
+    it('should not score a lot without its own rule as lot-specific', () => {
+      const product = converter.convert(4, '{click}', 'mL', { medication: cream });
+      const unknownLot = converter.convert(4, '{click}', 'mL', { medication: cream, lotNumber: 'UNKNOWN' });
+      const standard = converter.convert(4, '{click}', 'mL');
+      const noRules = converter.convert(4, '{click}', 'mL', { lotNumber: 'UNKNOWN' });
+      
+      expect(unknownLot.value).toBeCloseTo(1.04, 10);
+      expect(unknownLot.confidence).toBeCloseTo(product.confidence!, 10);
+      expect(noRules.confidence).toBeCloseTo(standard.confidence!, 10);
+      expect(converter.explain()).not.toContain('Lot-specific conversion data available');
+    });
+  });
+  
+  describe('syringe unit rounding', () => {
+    const context: ConversionContext = {
+      strengthRatio: {
+        numerator: { value: 100, unit: 'IU' },
+        denominator: { value: 1, unit: 'mL' }
+      }
+    };
+    
+    it('should lower confidence when the dose is rounded to a syringe marking', () => {
+      const exact = converter.convert(12, 'IU', '{U100_unit}', { ...context, tickRounding: 'half' });
+      const rounded = converter.convert(12.3, 'IU', '{U100_unit}', { ...context, tickRounding: 'half' });
+      
+      expect(rounded.value).toBe(12.5);
+      expect(rounded.confidence).toBeCloseTo(exact.confidence! - 0.05, 10);
+      expect(converter.explain()).toContain('Rounded to device markings: 12.3 → 12.5 {U100_unit} (1.626% change)');
+    });
+    
+    it('should keep the exact value when rounding is turned off', () => {
+      const result = converter.convert(12.3, 'IU', '{U100_unit}', { ...context, tickRounding: 'none' });
+      
+      expect(result.value).toBeCloseTo(12.3, 10);
+      expect(result.trace.some(s => s.type === 'rounding')).toBe(false);
+    });
+  });
+  
   describe('edge cases', () => {
     it('should handle very small values with precision warnings', () => {
       const result = converter.convert(0.0000001, 'mg', 'mcg');
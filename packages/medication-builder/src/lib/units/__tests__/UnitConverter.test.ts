@@ -10,7 +10,8 @@ import {
 import { MedicationProfile } from '../../types/MedicationProfile';
 import {
   InvalidUnitError,
-  ImpossibleConversionError
+  ImpossibleConversionError,
+  MissingContextError
 } from '../ConversionErrors';
 
 describe('UnitConverter', () => {
@@ -90,6 +91,214 @@ describe('UnitConverter', () => {
     });
   });
   
+  describe('syringe unit conversions', () => {
+    it('should convert IU to U-100 syringe units through the concentration', () => {
+      const context: ConversionContext = {
+        strengthRatio: {
+          numerator: { value: 500, unit: 'IU' },
+          denominator: { value: 1, unit: 'mL' }
+        }
+      };
+      
+      // U-500 insulin: 75 IU = 0.15 mL = 15 marks on a U-100 syringe
+      const result = converter.convert(75, 'IU', '{U100_unit}', context);
+      expect(result.value).toBe(15);
+      expect(result.trace.map(s => s.type)).toEqual(['concentration', 'device']);
+    });
+    
+    it('should convert mg to U-40 syringe units', () => {
+      const context: ConversionContext = {
+        strengthRatio: {
+          numerator: { value: 2.5, unit: 'mg' },
+          denominator: { value: 1, unit: 'mL' }
+        }
+      };
+      
+      const result = converter.convert(0.5, 'mg', '{U40_unit}', context);
+      expect(result.value).toBe(8); // 0.5 mg ÷ 2.5 mg/mL = 0.2 mL × 40
+    });
+    
+    it('should round to the syringe markings', () => {
+      const context: ConversionContext = {
+        strengthRatio: {
+          numerator: { value: 2.5, unit: 'mg' },
+          denominator: { value: 1, unit: 'mL' }
+        }
+      };
+      
+      const whole = converter.convert(0.33, 'mg', '{U100_unit}', context);
+      const half = converter.convert(0.33, 'mg', '{U100_unit}', { ...context, tickRounding: 'half' });
+      
+      expect(whole.value).toBe(13); // 13.2 units
+      expect(half.value).toBe(13);
+      expect(whole.trace[whole.trace.length - 1]).toMatchObject({
+        type: 'rounding',
+        fromValue: expect.closeTo(13.2, 10),
+        toValue: 13
+      });
+      expect(converter.convert(0.13, 'mg', '{U100_unit}', { ...context, tickRounding: 'half' }).value)
+        .toBe(5); // 5.2 units
+    });
+    
+    it('should list syringe units as compatible with mL', () => {
+      const codes = converter.getCompatibleUnits('mL').map(u => u.code);
+      expect(codes).toEqual(expect.arrayContaining(['{U100_unit}', '{U50_unit}', '{U40_unit}']));
+    });
+  });
+  
+  describe('electrolyte conversions', () => {
+    const potassiumChloride: ConversionContext = {
+      molarMass: { value: 74.55, unit: 'g/mol', valence: 1 }
+    };
+    const magnesiumSulfate: ConversionContext = {
+      molarMass: { value: 246.47, unit: 'g/mol', valence: 2 }
+    };
+    
+    it('should convert mEq to mg through molar mass and valence', () => {
+      const result = converter.convert(20, 'mEq', 'mg', potassiumChloride);
+      expect(result.value).toBeCloseTo(1491, 10);
+      expect(result.trace.map(s => s.description)).toEqual([
+        'Divide by valence 1',
+        'Multiply by molar mass 74.55 g/mol'
+      ]);
+    });
+    
+    it('should convert between mEq and mmol for divalent ions', () => {
+      expect(converter.convert(4, 'mEq', 'mmol', magnesiumSulfate).value).toBe(2);
+      expect(converter.convert(2, 'mmol', 'mEq', magnesiumSulfate).value).toBe(4);
+      expect(converter.convert(986, 'mg', 'mEq', magnesiumSulfate).value).toBeCloseTo(8.001, 3);
+    });
+    
+    it('should scale within mole and equivalent units', () => {
+      const result = converter.convert(500, 'umol', 'mg', potassiumChloride);
+      expect(result.value).toBeCloseTo(37.275, 10);
+      expect(result.trace[0]).toMatchObject({ type: 'standard', toValue: 0.5, toUnit: 'mmol' });
+    });
+    
+    it('should use the medication molar mass', () => {
+      const context: ConversionContext = {
+        medication: { molarMass: { value: 74.55, unit: 'g/mol', valence: 1 } } as MedicationProfile
+      };
+      
+      expect(converter.convert(1, 'mmol', 'mg', context).value).toBe(74.55);
+    });
+    
+    it('should convert mEq to mL through a mEq concentration', () => {
+      // Potassium chloride oral solution 20 mEq/15 mL
+      const context: ConversionContext = {
+        strengthRatio: {
+          numerator: { value: 20, unit: 'mEq' },
+          denominator: { value: 15, unit: 'mL' }
+        }
+      };
+      
+      expect(converter.convert(40, 'mEq', 'mL', context).value).toBe(30);
+    });
+    
+    it('should convert mg to mL through a mEq concentration', () => {
+      const context: ConversionContext = {
+        ...potassiumChloride,
+        strengthRatio: {
+          numerator: { value: 20, unit: 'mEq' },
+          denominator: { value: 15, unit: 'mL' }
+        }
+      };
+      
+      const result = converter.convert(1491, 'mg', 'mL', context);
+      expect(result.value).toBeCloseTo(15, 10);
+      expect(result.trace.map(s => s.type)).toEqual(['concentration', 'concentration', 'concentration']);
+    });
+    
+    it('should require molar mass and valence', () => {
+      expect(() => converter.convert(20, 'mEq', 'mg')).toThrow(MissingContextError);
+      expect(() => converter.convert(20, 'mEq', 'mg'))
+        .toThrow('Missing required context for mEq to mg conversion: molarMass, valence');
+      expect(() => converter.convert(20, 'mEq', 'mmol', { molarMass: { value: 74.55, unit: 'g/mol' } }))
+        .toThrow('Missing required context for mEq to mmol conversion: valence');
+      expect(() => converter.convert(2, 'mmol', 'mg', { molarMass: { value: 74.55, unit: 'g/mol' } }))
+        .not.toThrow();
+    });
+    
+    it('should validate mole and equivalent units', () => {
+      expect(converter.validate('mEq').valid).toBe(true);
+      expect(converter.validate('meq').valid).toBe(true);
+      expect(converter.validate('mmol').valid).toBe(true);
+    });
+
+    it('should not treat object properties as molar units', () => {
+      expect(() => converter.convert(1, 'valueOf', 'mg')).toThrow(InvalidUnitError);
+      expect(() => converter.convert(1, 'mg', 'hasOwnProperty')).toThrow(InvalidUnitError);
+      expect(converter.validate('toString').valid).toBe(false);
+    });
+  });
+  
+  describe('rational arithmetic', () => {
+    const rational: ConversionOptions = { rational: true };
+    const threeMgPerMl: ConversionContext = {
+      strengthRatio: {
+        numerator: { value: 3, unit: 'mg' },
+        denominator: { value: 1, unit: 'mL' }
+      }
+    };
+    
+    it('should convert device units exactly', () => {
+      const result = converter.convert(3, '{drop}', 'mL', undefined, rational);
+      expect(result.value).toBe(0.15);
+      expect(result.exact?.toString()).toBe('3/20');
+      expect(result.trace.some(s => s.type === 'rounding')).toBe(false);
+    });
+    
+    it('should keep concentration results exact until display', () => {
+      const result = converter.convert(200, 'mg', 'mL', threeMgPerMl, rational);
+      
+      expect(result.exact?.toString()).toBe('200/3');
+      expect(result.value).toBe(66.666667);
+      expect(result.trace[result.trace.length - 1]).toEqual({
+        description: 'Round 200/3 mL to 6 decimal places for display',
+        fromValue: 200 / 3,
+        fromUnit: 'mL',
+        toValue: 66.666667,
+        toUnit: 'mL',
+        type: 'rounding'
+      });
+    });
+    
+    it('should round for display to the tolerance', () => {
+      const result = converter.convert(200, 'mg', 'mL', threeMgPerMl, { rational: true, tolerance: 1e-2 });
+      expect(result.value).toBe(66.67);
+    });
+    
+    it('should convert through device units and concentrations exactly', () => {
+      const context: ConversionContext = {
+        strengthRatio: {
+          numerator: { value: 100, unit: 'mg' },
+          denominator: { value: 1, unit: 'mL' }
+        }
+      };
+      
+      const result = converter.convert(3, '{drop}', 'g', context, rational);
+      expect(result.exact?.toString()).toBe('3/200');
+      expect(result.value).toBe(0.015);
+    });
+    
+    it('should convert electrolytes exactly', () => {
+      const result = converter.convert(20, 'mEq', 'mg', {
+        molarMass: { value: 74.55, unit: 'g/mol', valence: 1 }
+      }, rational);
+      
+      expect(result.value).toBe(1491);
+      expect(result.exact?.toString()).toBe('1491');
+    });
+    
+    it('should score exact results higher than floating point', () => {
+      const float = converter.convert(200, 'mg', 'mL', threeMgPerMl);
+      const exact = converter.convert(200, 'mg', 'mL', threeMgPerMl, rational);
+      
+      expect(float.exact).toBeUndefined();
+      expect(exact.confidence).toBeCloseTo(float.confidence! + 0.05, 10);
+    });
+  });
+  
   describe('validation', () => {
     it('should validate standard units', () => {
       expect(converter.validate('mg').valid).toBe(true);
@@ -118,6 +118,36 @@ describe('UnitConverter - Tracing Integration', () => {
     });
   });
   
+  describe('electrolyte tracing', () => {
+    it('should trace molar mass and valence steps', () => {
+      converter.convert(4, 'mEq', 'mg', {
+        molarMass: { value: 246.47, unit: 'g/mol', valence: 2 }
+      });
+      
+      const json = JSON.parse(converter.exportTrace('json'));
+      const steps = json.traces.filter((t: { type: string }) => t.type === 'conversion_step');
+      
+      expect(steps.map((t: { description: string }) => t.description)).toEqual([
+        'Starting concentration-based conversion',
+        'Divide by valence 2',
+        'Multiply by molar mass 246.47 g/mol'
+      ]);
+      expect(steps[2].data).toMatchObject({ fromValue: 2, fromUnit: 'mmol', toUnit: 'mg', stepType: 'concentration' });
+    });
+    
+    it('should trace missing molar context as an error', () => {
+      expect(() => converter.convert(4, 'mEq', 'mg')).toThrow();
+      
+      const json = JSON.parse(converter.exportTrace('json'));
+      expect(json.traces).toContainEqual(
+        expect.objectContaining({
+          type: 'error',
+          data: expect.objectContaining({ errorType: 'MissingContextError' })
+        })
+      );
+    });
+  });
+  
   describe('error tracing', () => {
     it('should trace validation errors', () => {
       expect(() => converter.convert(100, 'invalid', 'mg')).toThrow();
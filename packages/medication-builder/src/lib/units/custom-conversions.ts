@@ -0,0 +1,54 @@
+/**
+ * Medication Custom Conversions
+ *
+ * Overrides from MedicationProfile.customConversions for device units
+ * whose delivery varies by product or batch, e.g. a compounded cream lot
+ * that gives 0.27 mL per click rather than the dispenser's rated 0.25 mL.
+ * A lot-specific rule applies only to its own lot and wins over a general
+ * rule. Kept free of converter dependencies like the syringe units.
+ *
+ * @since 3.3.0
+ */
+import { CustomConversion } from '../../types/MedicationProfile';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Unit code without annotation braces, so "click" matches {click}
+ */
+function unitKey(unit: string): string {
+  return unit.replace(/^\{(.*)\}$/, '$1').toLowerCase();
+}
+
+/**
+ * The rule that converts from one unit to another for a lot: the lot's
+ * own rule first, then a rule for every lot
+ */
+export function findCustomConversion(
+  rules: CustomConversion[] | undefined,
+  from: string,
+  to: string,
+  lotNumber?: string
+): CustomConversion | undefined {
+  const matching = (rules || []).filter(rule =>
+    unitKey(rule.from.unit) === unitKey(from) && unitKey(rule.to.unit) === unitKey(to)
+  );
+
+  return matching.find(rule => rule.lotSpecific && lotNumber !== undefined && rule.lotNumber === lotNumber)
+    || matching.find(rule => !rule.lotSpecific);
+}
+
+/**
+ * Check if a rule has expired on a date (default now). A date without a
+ * time is good through the end of that day.
+ */
+export function isCustomConversionExpired(rule: CustomConversion, date: Date | string = new Date()): boolean {
+  if (!rule.expiresAt) {
+    return false;
+  }
+
+  const on = new Date(date);
+  return DATE_ONLY.test(rule.expiresAt)
+    ? on.toISOString().slice(0, 10) > rule.expiresAt
+    : on.getTime() >= new Date(rule.expiresAt).getTime();
+}
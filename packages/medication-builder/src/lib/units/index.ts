@@ -15,6 +15,25 @@ export { UCUMWrapper } from './UCUMWrapper';
 // Tier 2: Device Unit Adapter
 export { DeviceUnitAdapter } from './DeviceUnitAdapter';
 
+// Insulin syringe units
+export {
+  SYRINGE_UNITS,
+  isSyringeUnit,
+  getSyringeUnitVolume,
+  roundToTicks,
+  type SyringeUnit,
+  type TickRounding
+} from './syringe-units';
+
+// Medication custom conversions
+export {
+  findCustomConversion,
+  isCustomConversionExpired
+} from './custom-conversions';
+
+// Exact arithmetic
+export { Rational } from './Rational';
+
 // Error types
 export {
   ConversionError,
@@ -22,6 +41,7 @@ export {
   MissingContextError,
   InvalidUnitError,
   PrecisionError,
+  ExpiredConversionError,
   ConversionErrors,
   // Result types
   type ConversionResult,
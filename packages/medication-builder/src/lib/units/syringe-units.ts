@@ -0,0 +1,58 @@
+/**
+ * Insulin Syringe Units
+ *
+ * Syringes graduated in units rather than mL. The markings are a fixed
+ * volume whatever the drug: on a U-100 syringe 100 units = 1 mL, so
+ * 10 units of U-500 insulin drawn on it is still 0.1 mL. Kept free of
+ * converter dependencies so templates and days-supply strategies can
+ * use it directly.
+ *
+ * @since 3.3.0
+ */
+
+/**
+ * Syringe unit codes with the syringe they are read from
+ */
+export const SYRINGE_UNITS = {
+  '{U100_unit}': { syringe: 'U-100', unitsPerMl: 100 },
+  '{U50_unit}': { syringe: 'U-50', unitsPerMl: 50 },
+  '{U40_unit}': { syringe: 'U-40', unitsPerMl: 40 }
+} as const;
+
+export type SyringeUnit = keyof typeof SYRINGE_UNITS;
+
+/**
+ * Rounding to syringe markings: whole-unit or half-unit ticks
+ */
+export type TickRounding = 'whole' | 'half';
+
+/**
+ * Syringe units per tick
+ */
+export const TICK_SIZES: Record<TickRounding, number> = {
+  whole: 1,
+  half: 0.5
+};
+
+/**
+ * Check if a unit is read from an insulin syringe
+ */
+export function isSyringeUnit(unit: string): unit is SyringeUnit {
+  return Object.prototype.hasOwnProperty.call(SYRINGE_UNITS, unit);
+}
+
+/**
+ * Volume of one syringe unit (mL), or undefined for other units
+ */
+export function getSyringeUnitVolume(unit: string): number | undefined {
+  return isSyringeUnit(unit) ? 1 / SYRINGE_UNITS[unit].unitsPerMl : undefined;
+}
+
+/**
+ * Round a syringe-unit amount to the nearest tick
+ */
+export function roundToTicks(value: number, ticks: TickRounding): number {
+  const size = TICK_SIZES[ticks];
+  // Trim float noise first: 0.125 mL / 0.01 mL is 12.499999999999998
+  return Math.round(Number((value / size).toPrecision(12))) * size;
+}
@@ -1,7 +1,9 @@
 /**
  * Type definitions for the Unit Converter system
  */
-import { MedicationProfile } from '../types/MedicationProfile';
+import { MedicationProfile, MolarMass } from '../../types/MedicationProfile';
+import { Rational } from './Rational';
+import { TickRounding } from './syringe-units';
 
 /**
  * Represents a unit of measurement
@@ -25,6 +27,8 @@ export interface ConversionContext {
   medication?: MedicationProfile;
   /** Specific lot number for lot-specific conversions */
   lotNumber?: string;
+  /** Date the dose is given (ISO 8601), for custom conversion expiry; defaults to now */
+  conversionDate?: string;
   /** Air-prime loss (e.g., first N clicks wasted) */
   airPrimeLoss?: number;
   /** Custom conversion factors */
@@ -34,6 +38,10 @@ export interface ConversionContext {
     numerator: { value: number; unit: string };
     denominator: { value: number; unit: string };
   };
+  /** Molar mass and valence for mEq/mmol conversions; defaults to the medication's */
+  molarMass?: MolarMass;
+  /** Tick rounding for device units with markings; 'none' keeps the exact value */
+  tickRounding?: TickRounding | 'none';
 }
 
 /**
@@ -80,6 +88,8 @@ export interface DeviceMetadata {
   lotVariations?: Map<string, number>;
   /** Usage instructions */
   instructions?: string;
+  /** Default markings; conversions to the unit round to the nearest tick */
+  ticks?: TickRounding;
 }
 
 /**
@@ -99,7 +109,7 @@ export interface ConversionStep {
   /** Factor applied */
   factor?: number;
   /** Type of conversion */
-  type: 'standard' | 'device' | 'concentration' | 'custom';
+  type: 'standard' | 'device' | 'concentration' | 'custom' | 'rounding';
 }
 
 /**
@@ -118,6 +128,8 @@ export interface ConversionSuccess {
   trace: ConversionStep[];
   /** Conversion confidence score (0-1) */
   confidence?: number;
+  /** Exact result, when converted with rational arithmetic */
+  exact?: Rational;
 }
 
 /**
@@ -132,6 +144,8 @@ export interface ConversionOptions {
   maxSteps?: number;
   /** Strict mode - fail on any warnings */
   strict?: boolean;
+  /** Exact rational arithmetic; the value is rounded to the tolerance only for display */
+  rational?: boolean;
 }
 
 /**
@@ -156,6 +170,8 @@ export interface UnitValidation {
 export interface IUCUMWrapper {
   /** Convert between standard units */
   convert(value: number, from: string, to: string): number;
+  /** Convert between standard units with exact fractions */
+  convertExact(value: Rational, from: string, to: string): Rational;
   /** Validate a unit string */
   validate(unit: string): UnitValidation;
   /** Get compatible units */
@@ -177,10 +193,19 @@ export interface IDeviceUnitAdapter {
     to: string, 
     context?: ConversionContext
   ): ConversionSuccess;
+  /** Convert involving device units with exact fractions */
+  convertExact(
+    value: Rational,
+    from: string,
+    to: string,
+    context?: ConversionContext
+  ): ConversionSuccess;
   /** Check if unit is a device unit */
   isDeviceUnit(unit: string): boolean;
   /** Get device unit metadata */
   getDeviceUnit(unit: string): DeviceUnit | undefined;
+  /** Lot of the lot-specific factor a device unit converts with, if any */
+  getLotNumber(unit: string, context?: ConversionContext): string | undefined;
 }
 
 /**
@@ -179,6 +179,13 @@ export class RouteValidator {
     };
   }
 
+  /**
+   * Get the alias table used for route normalization (alias -> canonical route)
+   */
+  static getRouteAliases(): ReadonlyMap<string, string> {
+    return new Map(this.ROUTE_ALIASES);
+  }
+
   /**
    * Get all available routes
    */
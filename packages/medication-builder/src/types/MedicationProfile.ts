@@ -104,6 +104,8 @@ export interface MolarMass {
   value: number;
   /** Unit (typically g/mol) */
   unit: string;
+  /** Charge of the ion counted in mEq (K+ 1, Mg2+ 2); mEq = mmol × valence */
+  valence?: number;
 }
 
 /**
@@ -116,10 +118,34 @@ export interface DispenserMetadata {
   primeVolume?: Quantity;
   /** Delivery precision (e.g., 0.25 for quarter doses) */
   deliveryPrecision?: number;
-  /** Air gap volume for safety */
+  /** Air gap volume for safety, lost with each dose */
   airGapVolume?: Quantity;
   /** Dead volume that cannot be dispensed */
   deadVolume?: Quantity;
+  /** Volume left in the syringe hub and needle after each draw */
+  needleDeadVolume?: Quantity;
+}
+
+/**
+ * Reconstitution of a powder vial (e.g., HCG 10,000 IU with bacteriostatic water)
+ */
+export interface ReconstitutionInfo {
+  /** Drug in the vial before mixing (e.g., 10000 IU or 5 mg) */
+  powderAmount: Quantity;
+  /** Diluent volume to add */
+  diluentVolume: Quantity;
+  /** Diluent name (e.g., 'bacteriostatic water') */
+  diluent: string;
+  /** Volume the dissolved powder adds, when significant */
+  displacementVolume?: Quantity;
+  /** Concentration after mixing; calculated when omitted */
+  concentration?: Ratio;
+  /** How long the mixed vial may be used */
+  stability?: {
+    duration: Quantity;
+    /** Storage condition (e.g., 'refrigerated') */
+    storage?: string;
+  };
 }
 
 /**
@@ -218,6 +244,10 @@ export interface MedicationProfile {
   customConversions?: CustomConversion[];
   /** Metadata for special dispensers */
   dispenserMetadata?: DispenserMetadata;
+  /** Mixing instructions for powder vials */
+  reconstitution?: ReconstitutionInfo;
+  /** How long a multi-dose container may be used after first puncture (e.g., 28 days) */
+  beyondUseAfterOpening?: Quantity;
   
   // ===== Existing optional fields (for compatibility) =====
   /** Package information */
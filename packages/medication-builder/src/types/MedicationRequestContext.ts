@@ -127,6 +127,10 @@ export interface MedicationRequestContext {
   frequency: string;
   /** Route of administration */
   route: string;
+  /** Days of week for scheduled doses (FHIR codes, e.g. 'mon') */
+  dayOfWeek?: string[];
+  /** Clock times for scheduled doses (e.g. '08:00') */
+  timeOfDay?: string[];
   /** Duration of therapy */
   duration?: Quantity;
   /** Quantity to dispense */
@@ -148,6 +152,13 @@ export interface MedicationRequestContext {
     dose: Quantity;
     period: Quantity;
   };
+  /** Previous injections, oldest first, for site rotation */
+  injectionSiteHistory?: Array<{
+    siteId: string;
+    side: 'left' | 'right';
+    /** Local date (YYYY-MM-DD) */
+    date: string;
+  }>;
   /** Tapering instructions */
   taperingInstructions?: Array<{
     startDate: string;
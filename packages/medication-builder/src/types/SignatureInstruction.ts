@@ -37,10 +37,16 @@ export interface TimingRepeat {
   periodMax?: number;
   /** Unit of time (UCUM) */
   periodUnit?: string;
+  /** Days of week the event occurs on (mon | tue | wed | thu | fri | sat | sun) */
+  dayOfWeek?: string[];
+  /** Times of day the event occurs at (hh:mm:ss) */
+  timeOfDay?: string[];
   /** Regular life events the event is tied to */
   when?: string[];
   /** Minutes from event (before or after) */
   offset?: number;
+  /** Length of time the timing applies (e.g., the "on" days of a cycle) */
+  boundsDuration?: Quantity;
 }
 
 /**